@@ -22,6 +22,10 @@ const ownerRouts = require('./routes/ownerRoutes');
 const memberRoutes = require('./routes/memberRoutes');
 const paymentRoutes = require('./routes/paymentRoutes');
 const subscriptionRoutes = require('./routes/subscriptionRoutes');
+const couponRoutes = require('./routes/couponRoutes');
+const entitlementRoutes = require('./routes/entitlementRoutes');
+const webhookEndpointRoutes = require('./routes/webhookEndpointRoutes');
+const staffRoutes = require('./routes/staffRoutes');
 
 class App {
   constructor() {
@@ -155,8 +159,15 @@ class App {
       next();
     });
     
-    // Body parsing
-    this.app.use(express.json({ limit: '10mb' }));
+    // Body parsing; the Omise webhook keeps its raw body for signature verification
+    this.app.use(express.json({
+      limit: '10mb',
+      verify: (req, res, buf) => {
+        if (req.originalUrl.startsWith('/api/payments/webhook')) {
+          req.rawBody = buf;
+        }
+      }
+    }));
 
     // Sanitize request body
     this.app.use((req, res, next) => {
@@ -235,6 +246,7 @@ class App {
     this.app.use('/api/member/auth', memberAuthRoutes);
     this.app.use('/api/features', featureRoutes);
     this.app.use('/api/plans', planRoutes);
+    this.app.use('/api/coupons', couponRoutes);
     this.app.use('/api/dashboard', dashboardRoutes);
     this.app.use('/api/auth', profileRoutes);
     this.app.use('/api/owner', ownerRouts);
@@ -246,6 +258,15 @@ class App {
     // Payment and Subscription routes
     this.app.use('/api/payments', paymentRoutes);
     this.app.use('/api/subscriptions', subscriptionRoutes);
+
+    // Entitlement checks for owner applications
+    this.app.use('/api/entitlements', entitlementRoutes);
+
+    // Outbound webhook endpoints registered by owners
+    this.app.use('/api/webhook-endpoints', webhookEndpointRoutes);
+
+    // Staff accounts within an owner's organization
+    this.app.use('/api/staff', staffRoutes);
   
     if (process.env.NODE_ENV === 'development') {
       this.app.get('/api/debug/routes', (req, res) => {
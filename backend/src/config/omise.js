@@ -1,15 +1,34 @@
 const Omise = require('omise');
+const { MockOmise } = require('../utils/omiseMock');
+const { DEFAULT_CURRENCY, SUPPORTED_CURRENCIES, toMinorUnits, fromMinorUnits } = require('../utils/currency');
+
+// OMISE_MODE=mock swaps the Omise API for an in-process simulator so payments work without network or keys.
+// Tests use it by default when no Omise keys are configured.
+const OMISE_MODE = process.env.OMISE_MODE
+  || (process.env.NODE_ENV === 'test' && !process.env.OMISE_SECRET_KEY ? 'mock' : 'live');
+const isMockMode = OMISE_MODE === 'mock';
+
+if (!['live', 'mock'].includes(OMISE_MODE)) {
+  throw new Error('OMISE_MODE must be either "live" or "mock"');
+}
+
+if (isMockMode && process.env.NODE_ENV === 'production') {
+  throw new Error('OMISE_MODE=mock cannot be used in production');
+}
 
 // Validate environment variables
-if (!process.env.OMISE_SECRET_KEY) {
+if (!isMockMode && !process.env.OMISE_SECRET_KEY) {
   throw new Error('OMISE_SECRET_KEY environment variable is required');
 }
 
-if (!process.env.OMISE_PUBLIC_KEY) {
+if (!isMockMode && !process.env.OMISE_PUBLIC_KEY) {
   throw new Error('OMISE_PUBLIC_KEY environment variable is required');
 }
 
-console.log('Initializing Omise with configuration:', {
+console.log('Initializing Omise with configuration:', isMockMode ? {
+  mode: OMISE_MODE,
+  environment: process.env.NODE_ENV || 'development'
+} : {
   secretKey: process.env.OMISE_SECRET_KEY.substring(0, 15) + '...',
   publicKey: process.env.OMISE_PUBLIC_KEY.substring(0, 15) + '...',
   isTestMode: process.env.OMISE_SECRET_KEY.includes('test'),
@@ -17,26 +36,63 @@ console.log('Initializing Omise with configuration:', {
 });
 
 // Initialize Omise
-const omise = Omise({
-  secretKey: process.env.OMISE_SECRET_KEY,
-  publicKey: process.env.OMISE_PUBLIC_KEY,
-  apiVersion: '2019-05-29'
-});
+const omise = isMockMode
+  ? new MockOmise({
+    webhookSecret: process.env.OMISE_WEBHOOK_SECRET || null,
+    // Deliver simulated webhooks to this app, e.g. http://localhost:3000/api/payments/webhook
+    webhookUrl: process.env.OMISE_MOCK_WEBHOOK_URL || null,
+    // Complete pending PromptPay, 3-D Secure and redirect charges on their own after this many seconds
+    autoCompleteSeconds: parseInt(process.env.OMISE_MOCK_AUTO_COMPLETE_SECONDS, 10) || null
+  })
+  : Omise({
+    secretKey: process.env.OMISE_SECRET_KEY,
+    publicKey: process.env.OMISE_PUBLIC_KEY,
+    apiVersion: '2019-05-29'
+  });
 
 const OMISE_CONFIG = {
-  currency: 'THB', // Thai Baht
-  supportedPaymentMethods: ['card', 'promptpay'],
+  currency: DEFAULT_CURRENCY, // Used when a plan or payment names none
+  supportedCurrencies: SUPPORTED_CURRENCIES,
+  supportedPaymentMethods: ['card', 'promptpay', 'mobile_banking', 'truemoney', 'installment'],
   webhookEndpoint: '/api/payments/webhook',
+  // Limits per currency, in its smallest unit. Only cards take foreign currencies;
+  // the local methods have no entry outside THB.
   minAmount: {
-    card: 100, // 1 THB minimum for cards
-    promptpay: 2000 // 20 THB minimum for PromptPay
+    THB: {
+      card: 100, // 1 THB minimum for cards
+      promptpay: 2000, // 20 THB minimum for PromptPay
+      mobile_banking: 2000, // 20 THB minimum for mobile banking
+      truemoney: 2000, // 20 THB minimum for TrueMoney
+      installment: 200000 // 2,000 THB minimum for installments
+    },
+    USD: { card: 100 }, // 1 USD
+    SGD: { card: 100 }, // 1 SGD
+    JPY: { card: 100 } // 100 JPY, no minor unit
   },
   maxAmount: {
-    card: 20000000, // 200,000 THB maximum for cards
-    promptpay: 5000000 // 50,000 THB maximum for PromptPay
+    THB: {
+      card: 20000000, // 200,000 THB maximum for cards
+      promptpay: 5000000, // 50,000 THB maximum for PromptPay
+      mobile_banking: 15000000, // 150,000 THB maximum for mobile banking
+      truemoney: 10000000, // 100,000 THB maximum for TrueMoney
+      installment: 20000000 // 200,000 THB maximum for installments
+    },
+    USD: { card: 600000 }, // 6,000 USD
+    SGD: { card: 800000 }, // 8,000 SGD
+    JPY: { card: 900000 } // 900,000 JPY
+  },
+  // Names used in amount validation messages
+  methodLabels: {
+    card: 'Card payment',
+    promptpay: 'PromptPay',
+    mobile_banking: 'Mobile banking',
+    truemoney: 'TrueMoney',
+    installment: 'Installment'
   },
+  // live or mock, see OMISE_MODE above
+  mode: OMISE_MODE,
   // Test mode detection
-  isTestMode: process.env.OMISE_SECRET_KEY.includes('test'),
+  isTestMode: isMockMode || process.env.OMISE_SECRET_KEY.includes('test'),
   // API endpoints
   apiEndpoint: 'https://api.omise.co',
   vaultEndpoint: 'https://vault.omise.co',
@@ -45,8 +101,12 @@ const OMISE_CONFIG = {
     'charge.complete',
     'charge.successful', 
     'charge.failed',
-    'charge.expired'
+    'charge.expired',
+    'refund.create'
   ],
+  // Webhook verification: signed deliveries when a secret is set, otherwise the object is re-fetched from Omise
+  webhookSecret: process.env.OMISE_WEBHOOK_SECRET || null,
+  webhookSignatureToleranceSeconds: 300,
   // Card validation settings
   card: {
     requireSecurityCodeCheck: true,
@@ -58,6 +118,39 @@ const OMISE_CONFIG = {
       jcb: [3]
     }
   },
+  // Methods where the member leaves for their bank or wallet and comes back to the return URI
+  redirectPaymentMethods: ['mobile_banking', 'truemoney', 'installment'],
+  redirect: {
+    returnPath: '/payment/return' // On MEMBER_FRONTEND_URL, used when the request gives no return URI
+  },
+  // Mobile banking apps, keyed by the bank code members choose
+  mobileBanking: {
+    banks: {
+      kplus: { name: 'K PLUS', sourceType: 'mobile_banking_kplus' },
+      scb: { name: 'SCB EASY', sourceType: 'mobile_banking_scb' },
+      bay: { name: 'KMA (Krungsri)', sourceType: 'mobile_banking_bay' },
+      bbl: { name: 'Bualuang mBanking', sourceType: 'mobile_banking_bbl' },
+      ktb: { name: 'Krungthai NEXT', sourceType: 'mobile_banking_ktb' }
+    }
+  },
+  // TrueMoney wallet is charged against the member's Thai mobile number
+  truemoney: {
+    phoneNumberPattern: /^0[689]\d{8}$/
+  },
+  // Card installments, keyed by the issuing bank code members choose, with the terms in months each bank offers
+  installment: {
+    minMonthlyAmount: 30000, // 300 THB minimum per monthly installment
+    banks: {
+      kbank: { name: 'Kasikorn Bank', sourceType: 'installment_kbank', terms: [3, 4, 6, 10] },
+      bay: { name: 'Krungsri', sourceType: 'installment_bay', terms: [3, 4, 6, 9, 10] },
+      bbl: { name: 'Bangkok Bank', sourceType: 'installment_bbl', terms: [4, 6, 8, 9, 10] },
+      ktc: { name: 'KTC', sourceType: 'installment_ktc', terms: [3, 4, 5, 6, 7, 8, 9, 10] },
+      first_choice: { name: 'Krungsri First Choice', sourceType: 'installment_first_choice', terms: [3, 4, 6, 9, 10, 12, 18, 24, 36] },
+      scb: { name: 'SCB', sourceType: 'installment_scb', terms: [3, 4, 6, 9, 10] },
+      ttb: { name: 'ttb', sourceType: 'installment_ttb', terms: [3, 4, 6, 10, 12] },
+      uob: { name: 'UOB', sourceType: 'installment_uob', terms: [3, 4, 6, 10] }
+    }
+  },
   // PromptPay settings
   promptpay: {
     expiryMinutes: 15, // QR code expires in 15 minutes
@@ -165,34 +258,47 @@ function validateToken(token) {
   return { valid: true };
 }
 
-// Validate amount for different payment methods
-function validateAmount(amount, paymentMethod) {
+// Validate amount for different payment methods in the currency it is charged in;
+// installments also need each monthly share to be large enough
+function validateAmount(amount, paymentMethod, { installmentTerm, currency = DEFAULT_CURRENCY } = {}) {
   const numAmount = parseFloat(amount);
   
   if (isNaN(numAmount) || numAmount <= 0) {
     return { valid: false, error: 'Amount must be a positive number' };
   }
+
+  if (!SUPPORTED_CURRENCIES.includes(currency)) {
+    return { valid: false, error: `Currency must be one of: ${SUPPORTED_CURRENCIES.join(', ')}` };
+  }
   
-  const amountInSatang = Math.round(numAmount * 100);
+  const minorAmount = toMinorUnits(numAmount, currency);
   const config = OMISE_CONFIG;
+  const label = config.methodLabels[paymentMethod];
   
-  if (paymentMethod === 'card') {
-    if (amountInSatang < config.minAmount.card) {
-      return { valid: false, error: `Card payment minimum is ${config.minAmount.card / 100} THB` };
-    }
-    if (amountInSatang > config.maxAmount.card) {
-      return { valid: false, error: `Card payment maximum is ${config.maxAmount.card / 100} THB` };
+  if (label) {
+    const minAmount = config.minAmount[currency][paymentMethod];
+    const maxAmount = config.maxAmount[currency][paymentMethod];
+
+    if (minAmount === undefined) {
+      return { valid: false, error: `${label} is not available for ${currency} payments` };
     }
-  } else if (paymentMethod === 'promptpay') {
-    if (amountInSatang < config.minAmount.promptpay) {
-      return { valid: false, error: `PromptPay minimum is ${config.minAmount.promptpay / 100} THB` };
+    if (minorAmount < minAmount) {
+      return { valid: false, error: `${label} minimum is ${fromMinorUnits(minAmount, currency)} ${currency}` };
     }
-    if (amountInSatang > config.maxAmount.promptpay) {
-      return { valid: false, error: `PromptPay maximum is ${config.maxAmount.promptpay / 100} THB` };
+    if (minorAmount > maxAmount) {
+      return { valid: false, error: `${label} maximum is ${fromMinorUnits(maxAmount, currency)} ${currency}` };
     }
   }
+
+  if (paymentMethod === 'installment' && installmentTerm
+    && minorAmount / installmentTerm < config.installment.minMonthlyAmount) {
+    return {
+      valid: false,
+      error: `Installment payments must be at least ${fromMinorUnits(config.installment.minMonthlyAmount)} THB per month`
+    };
+  }
   
-  return { valid: true, amountInSatang };
+  return { valid: true, minorAmount };
 }
 
 // Format error messages for better user experience
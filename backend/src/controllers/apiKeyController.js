@@ -0,0 +1,93 @@
+const ApiKeyService = require('../services/apiKeyService');
+const { API_KEY_SCOPES } = require('../services/apiKeyService');
+const { asyncHandler } = require('../utils/errorHandler');
+
+class ApiKeyController {
+  constructor() {
+    this.apiKeyService = new ApiKeyService();
+  }
+
+  getApiKeys = asyncHandler(async (req, res) => {
+    const apiKeys = await this.apiKeyService.listApiKeys(req.user.userId);
+
+    res.json({
+      apiKeys,
+      availableScopes: API_KEY_SCOPES
+    });
+  });
+
+  createApiKey = asyncHandler(async (req, res) => {
+    const errors = this.apiKeyService.validateApiKeyData(req.body || {});
+
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid API key data', errors });
+    }
+
+    try {
+      const apiKey = await this.apiKeyService.createApiKey(req.user.userId, req.body);
+
+      res.status(201).json({
+        message: 'API key created successfully. Copy it now, it will not be shown again.',
+        apiKey
+      });
+    } catch (error) {
+      this.sendError(res, error);
+    }
+  });
+
+  renameApiKey = asyncHandler(async (req, res) => {
+    const errors = this.apiKeyService.validateApiKeyData(req.body || {}, { requireScopes: false });
+
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid API key data', errors });
+    }
+
+    try {
+      const apiKey = await this.apiKeyService.renameApiKey(req.user.userId, req.params.id, req.body.name);
+
+      res.json({
+        message: 'API key updated successfully',
+        apiKey
+      });
+    } catch (error) {
+      this.sendError(res, error);
+    }
+  });
+
+  rotateApiKey = asyncHandler(async (req, res) => {
+    try {
+      const apiKey = await this.apiKeyService.rotateApiKey(req.user.userId, req.params.id);
+
+      res.json({
+        message: 'API key rotated successfully. Copy the new key now, it will not be shown again.',
+        apiKey
+      });
+    } catch (error) {
+      this.sendError(res, error);
+    }
+  });
+
+  revokeApiKey = asyncHandler(async (req, res) => {
+    try {
+      await this.apiKeyService.revokeApiKey(req.user.userId, req.params.id);
+
+      res.json({ message: 'API key revoked successfully' });
+    } catch (error) {
+      this.sendError(res, error);
+    }
+  });
+
+  sendError(res, error) {
+    if (error.message.includes('API key not found')) {
+      return res.status(404).json({ message: error.message });
+    }
+    if (error.message.includes('Invalid')) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    console.error('API key error:', error);
+    res.status(500).json({ message: 'Failed to process API key request' });
+  }
+}
+
+module.exports = ApiKeyController;
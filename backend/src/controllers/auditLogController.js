@@ -0,0 +1,50 @@
+const AuditLogService = require('../services/auditLogService');
+const { asyncHandler } = require('../utils/errorHandler');
+
+class AuditLogController {
+  constructor() {
+    this.auditLogService = new AuditLogService();
+  }
+
+  // Filter by ?actorType, ?actorId, ?entityType, ?entityId, ?action and a ?from / ?to date range
+  getAuditLogs = asyncHandler(async (req, res) => {
+    const { actorType, actorId, entityType, entityId, action, from, to, limit = 50, offset = 0 } = req.query;
+
+    try {
+      const result = await this.auditLogService.getAuditLogs(req.user.userId, {
+        actorType,
+        actorId,
+        entityType,
+        entityId,
+        action,
+        from,
+        to,
+        limit: Math.min(parseInt(limit) || 50, 100),
+        offset: parseInt(offset) || 0
+      });
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      this.sendError(res, error, 'Failed to get audit log');
+    }
+  });
+
+  sendError(res, error, fallbackMessage) {
+    console.error('Audit log error:', error);
+
+    if (error.message.includes('Invalid')) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: fallbackMessage,
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
+
+module.exports = AuditLogController;
@@ -80,7 +80,7 @@ class AuthController {
       }
       
       console.log('Calling authService.login...');
-      const result = await this.authService.login(email, password);
+      const result = await this.authService.login(email, password, this.authService.sessionService.deviceFromRequest(req));
       
       console.log('Sending response:', {
         success: result.success,
@@ -112,6 +112,46 @@ class AuthController {
     }
   });
   
+  // Second sign-in step with the challengeToken from login and a code from the authenticator app or a recovery code
+  verifyTwoFactor = asyncHandler(async (req, res) => {
+    const { challengeToken, code, recoveryCode } = req.body || {};
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Challenge token and an authentication code or recovery code are required'
+      });
+    }
+
+    const result = await this.authService.completeTwoFactorLogin(
+      challengeToken,
+      { code, recoveryCode },
+      this.authService.sessionService.deviceFromRequest(req)
+    );
+
+    res.json(result);
+  });
+
+  // QR code for staff whose organization requires two-factor authentication and who have not set it up yet
+  setupTwoFactor = asyncHandler(async (req, res) => {
+    const { challengeToken } = req.body || {};
+
+    if (!challengeToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Challenge token is required'
+      });
+    }
+
+    const setup = await this.authService.beginTwoFactorSetup(challengeToken);
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then sign in with a code from it',
+      data: setup
+    });
+  });
+
   // Resend email verification
   resendVerification = asyncHandler(async (req, res) => {
     try {
@@ -200,6 +240,16 @@ class AuthController {
         dbUserId: dbUser?.owner_id
       });
 
+      // Staff following their invite link land here too
+      if (!dbUser) {
+        const staff = await this.authService.staffService.findForLogin(user.id);
+
+        if (staff) {
+          const result = await this.authService.staffLogin(staff, null, this.authService.sessionService.deviceFromRequest(req));
+          return res.status(result.success || result.challengeToken ? 200 : 403).json(result);
+        }
+      }
+
       if (!dbUser) {
         console.log('User not found in database:', user.id);
         return res.status(404).json({
@@ -208,8 +258,16 @@ class AuthController {
         });
       }
 
-      // Generate JWT token
-      const token = this.authService.generateToken(dbUser.owner_id, dbUser.email);
+      // Owners with an authenticator app finish at POST /login/2fa, as after a password sign-in
+      const challenge = await this.authService.twoFactorStep({ userId: dbUser.owner_id, email: dbUser.email, role: 'owner' });
+      if (challenge) {
+        return res.json(challenge);
+      }
+
+      const { token, refreshToken, expiresIn } = await this.authService.sessionService.createSession(
+        { userId: dbUser.owner_id, email: dbUser.email, role: 'owner' },
+        this.authService.sessionService.deviceFromRequest(req)
+      );
 
       console.log('Auth callback successful for user:', dbUser.owner_id);
 
@@ -217,6 +275,8 @@ class AuthController {
         success: true,
         message: 'Authentication successful',
         token,
+        refreshToken,
+        expiresIn,
         user: {
           owner_id: dbUser.owner_id,
           org_name: dbUser.org_name,
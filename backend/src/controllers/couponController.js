@@ -0,0 +1,89 @@
+const CouponService = require('../services/couponService');
+const { asyncHandler } = require('../utils/errorHandler');
+
+class CouponController {
+  constructor() {
+    this.couponService = new CouponService();
+  }
+
+  getCoupons = asyncHandler(async (req, res) => {
+    const coupons = await this.couponService.getCoupons(req.user.userId);
+
+    res.json(coupons);
+  });
+
+  getCouponById = asyncHandler(async (req, res) => {
+    try {
+      const coupon = await this.couponService.getCouponById(req.user.userId, req.params.id);
+
+      res.json(coupon);
+    } catch (error) {
+      this.sendError(res, error);
+    }
+  });
+
+  createCoupon = asyncHandler(async (req, res) => {
+    const errors = this.couponService.validateCouponData(req.body);
+
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid coupon data', errors });
+    }
+
+    try {
+      const coupon = await this.couponService.createCoupon(req.user.userId, req.body);
+
+      res.status(201).json({
+        message: 'Coupon created successfully',
+        coupon
+      });
+    } catch (error) {
+      this.sendError(res, error);
+    }
+  });
+
+  updateCoupon = asyncHandler(async (req, res) => {
+    const errors = this.couponService.validateCouponData(req.body);
+
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid coupon data', errors });
+    }
+
+    try {
+      const coupon = await this.couponService.updateCoupon(req.user.userId, req.params.id, req.body);
+
+      res.json({
+        message: 'Coupon updated successfully',
+        coupon
+      });
+    } catch (error) {
+      this.sendError(res, error);
+    }
+  });
+
+  deleteCoupon = asyncHandler(async (req, res) => {
+    try {
+      await this.couponService.deleteCoupon(req.user.userId, req.params.id);
+
+      res.json({ message: 'Coupon deleted successfully' });
+    } catch (error) {
+      this.sendError(res, error);
+    }
+  });
+
+  sendError(res, error) {
+    if (error.message.includes('Coupon not found')) {
+      return res.status(404).json({ message: error.message });
+    }
+    if (error.message.includes('already exists')) {
+      return res.status(409).json({ message: error.message });
+    }
+    if (error.message.includes('do not belong to you')) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    console.error('Coupon error:', error);
+    res.status(500).json({ message: 'Failed to process coupon request' });
+  }
+}
+
+module.exports = CouponController;
@@ -1,9 +1,17 @@
 const { getPrismaClient } = require('../config/database');
 const { asyncHandler } = require('../utils/errorHandler');
+const { DEFAULT_CURRENCY, SUPPORTED_CURRENCIES, isSupportedCurrency } = require('../utils/currency');
+const SubscriptionCancellationService = require('../services/subscriptionCancellationService');
+const AuditLogService = require('../services/auditLogService');
 
 const prisma = getPrismaClient();
 
 class DashboardController {
+  constructor() {
+    this.cancellationService = new SubscriptionCancellationService();
+    this.auditLogService = new AuditLogService();
+  }
+
   getDashboardStats = asyncHandler(async (req, res) => {
     const ownerId = req.user.userId;
 
@@ -43,7 +51,19 @@ class DashboardController {
         plan: {
           owner_id: ownerId
         },
-        status: 'active'
+        status: 'active',
+        is_trial: false
+      }
+    });
+
+    // Free trials that have not converted to paid yet
+    const trialSubscriptions = await prisma.subscription.count({
+      where: {
+        plan: {
+          owner_id: ownerId
+        },
+        status: 'active',
+        is_trial: true
       }
     });
 
@@ -56,6 +76,50 @@ class DashboardController {
       }
     });
 
+    // Frozen by the member; left out of the active count until resumed
+    const pausedSubscriptions = await prisma.subscription.count({
+      where: {
+        plan: {
+          owner_id: ownerId
+        },
+        status: 'paused'
+      }
+    });
+
+    // Still active, but the member has asked to cancel at the end of the period
+    const scheduledCancellations = await prisma.subscription.count({
+      where: {
+        plan: {
+          owner_id: ownerId
+        },
+        status: 'active',
+        cancel_at_period_end: true
+      }
+    });
+
+    // Given free by the owner; these count as active but bring in no revenue
+    const compedSubscriptions = await prisma.subscription.count({
+      where: {
+        plan: {
+          owner_id: ownerId
+        },
+        status: 'active',
+        payment: {
+          payment_method: 'complimentary'
+        }
+      }
+    });
+
+    // Status is kept current by the subscription expiry job
+    const expiredSubscriptions = await prisma.subscription.count({
+      where: {
+        plan: {
+          owner_id: ownerId
+        },
+        status: 'expired'
+      }
+    });
+
     // Get unique members count
     const uniqueMembers = await prisma.subscription.findMany({
       where: {
@@ -70,7 +134,7 @@ class DashboardController {
     });
     const totalMembers = uniqueMembers.length;
 
-    // Calculate actual revenue from subscriptions
+    // Calculate actual revenue from subscriptions, using what was charged after coupons
     const subscriptions = await prisma.subscription.findMany({
       where: {
         plan: {
@@ -78,17 +142,22 @@ class DashboardController {
         }
       },
       include: {
-        plan: {
+        payment: {
           select: {
-            price: true
+            amount: true,
+            currency: true,
+            discount_amount: true,
+            coupon_id: true,
+            payment_method: true
           }
         }
       }
     });
 
-    const totalRevenue = subscriptions.reduce((sum, subscription) => {
-      return sum + parseFloat(subscription.plan.price.toString());
-    }, 0);
+    // Headline figures are in the owner's main currency; revenueByCurrency has every currency they were paid in
+    const currency = await this.getReportingCurrency(ownerId);
+    const revenueByCurrency = this.sumSubscriptionRevenue(subscriptions);
+    const { revenue: totalRevenue, discounts: totalDiscounts } = this.revenueIn(revenueByCurrency, currency);
 
     // Calculate revenue for this month
     const thisMonthSubscriptions = await prisma.subscription.findMany({
@@ -101,17 +170,23 @@ class DashboardController {
         }
       },
       include: {
-        plan: {
+        payment: {
           select: {
-            price: true
+            amount: true,
+            currency: true,
+            discount_amount: true,
+            coupon_id: true,
+            payment_method: true
           }
         }
       }
     });
 
-    const revenueThisMonth = thisMonthSubscriptions.reduce((sum, subscription) => {
-      return sum + parseFloat(subscription.plan.price.toString());
-    }, 0);
+    const {
+      revenue: revenueThisMonth,
+      discounts: discountsThisMonth,
+      couponRedemptions: couponRedemptionsThisMonth
+    } = this.revenueIn(this.sumSubscriptionRevenue(thisMonthSubscriptions), currency);
 
     // Calculate revenue for last month
     const lastMonthSubscriptions = await prisma.subscription.findMany({
@@ -125,17 +200,19 @@ class DashboardController {
         }
       },
       include: {
-        plan: {
+        payment: {
           select: {
-            price: true
+            amount: true,
+            currency: true,
+            discount_amount: true,
+            coupon_id: true,
+            payment_method: true
           }
         }
       }
     });
 
-    const revenueLastMonth = lastMonthSubscriptions.reduce((sum, subscription) => {
-      return sum + parseFloat(subscription.plan.price.toString());
-    }, 0);
+    const { revenue: revenueLastMonth } = this.revenueIn(this.sumSubscriptionRevenue(lastMonthSubscriptions), currency);
 
     // Get new plans this month
     const newPlansThisMonth = await prisma.plan.count({
@@ -160,11 +237,21 @@ class DashboardController {
       totalFeatures,
       growthPercentage,
       activeSubscriptions,
+      trialSubscriptions,
+      pausedSubscriptions,
       cancelledSubscriptions,
+      scheduledCancellations,
+      compedSubscriptions,
+      expiredSubscriptions,
       totalSubscriptions,
       revenueThisMonth,
       revenueLastMonth,
-      newPlansThisMonth
+      totalDiscounts,
+      discountsThisMonth,
+      couponRedemptionsThisMonth,
+      newPlansThisMonth,
+      currency,
+      revenueByCurrency
     };
 
     res.json(stats);
@@ -174,19 +261,46 @@ class DashboardController {
     const ownerId = req.user.userId;
     const { period = '12months' } = req.query;
 
+    if (req.query.currency !== undefined && !isSupportedCurrency(req.query.currency)) {
+      return res.status(400).json({ message: `Currency must be one of: ${SUPPORTED_CURRENCIES.join(', ')}` });
+    }
+
+    const currency = req.query.currency || await this.getReportingCurrency(ownerId);
+
     let revenueData;
 
     if (period === '12months') {
-      revenueData = await this.getLast12MonthsRevenue(ownerId);
+      revenueData = await this.getLast12MonthsRevenue(ownerId, currency);
     } else if (period === '6months') {
-      revenueData = await this.getLast6MonthsRevenue(ownerId);
+      revenueData = await this.getLast6MonthsRevenue(ownerId, currency);
     } else {
-      revenueData = await this.getLast12MonthsRevenue(ownerId);
+      revenueData = await this.getLast12MonthsRevenue(ownerId, currency);
     }
 
     res.json(revenueData);
   });
 
+  // Why members cancelled, optionally limited to the last ?days days
+  getCancellationSummary = asyncHandler(async (req, res) => {
+    const { days } = req.query;
+    let since = null;
+
+    if (days !== undefined) {
+      const dayCount = parseInt(days);
+
+      if (!Number.isInteger(dayCount) || dayCount < 1 || dayCount > 365) {
+        return res.status(400).json({ message: 'Days must be a whole number from 1 to 365' });
+      }
+
+      since = new Date();
+      since.setDate(since.getDate() - dayCount);
+    }
+
+    const summary = await this.cancellationService.getCancellationSummary(req.user.userId, { since });
+
+    res.json(summary);
+  });
+
   getMembers = asyncHandler(async (req, res) => {
     const ownerId = req.user.userId;
 
@@ -230,6 +344,8 @@ class DashboardController {
         id: sub.subscription_id,
         planName: sub.plan.name,
         status: sub.status,
+        isTrial: sub.is_trial,
+        trialEnd: sub.trial_end,
         startDate: sub.start_date,
         endDate: sub.end_date,
         price: parseFloat(sub.plan.price.toString())
@@ -363,31 +479,50 @@ class DashboardController {
       });
     }
 
-    // Delete member's subscriptions first (cascade delete)
-    await prisma.subscription.deleteMany({
-      where: {
-        member_id: memberId,
-        plan: {
-          owner_id: ownerId
+    await prisma.$transaction(async (tx) => {
+      // Delete member's subscriptions first (cascade delete)
+      await tx.subscription.deleteMany({
+        where: {
+          member_id: memberId,
+          plan: {
+            owner_id: ownerId
+          }
         }
-      }
-    });
+      });
 
-    // Delete member's payments
-    await prisma.payment.deleteMany({
-      where: {
-        member_id: memberId,
-        plan: {
-          owner_id: ownerId
+      // Delete member's payments
+      await tx.payment.deleteMany({
+        where: {
+          member_id: memberId,
+          plan: {
+            owner_id: ownerId
+          }
         }
-      }
-    });
+      });
 
-    // Finally, delete the member
-    await prisma.member.delete({
-      where: {
-        member_id: memberId
-      }
+      // Finally, delete the member
+      await tx.member.delete({
+        where: {
+          member_id: memberId
+        }
+      });
+
+      await this.auditLogService.record({
+        ownerId,
+        action: 'member.deleted',
+        entityType: 'member',
+        entityId: memberId,
+        before: {
+          email: member.email,
+          fullName: member.full_name,
+          subscriptions: member.subscriptions.map(subscription => ({
+            id: subscription.subscription_id,
+            planId: subscription.plan_id,
+            status: subscription.status,
+            endDate: subscription.end_date
+          }))
+        }
+      }, this.auditLogService.contextFromRequest(req), tx);
     });
 
     console.log(`Member ${memberId} deleted successfully`);
@@ -415,20 +550,69 @@ class DashboardController {
         }
       },
       include: {
-        plan: {
+        payment: {
           select: {
-            price: true
+            amount: true,
+            currency: true,
+            discount_amount: true,
+            coupon_id: true,
+            payment_method: true
           }
         }
       }
     });
 
-    return subscriptions.reduce((sum, subscription) => {
-      return sum + parseFloat(subscription.plan.price.toString());
-    }, 0);
+    return this.sumSubscriptionRevenue(subscriptions);
+  }
+
+  // Revenue is the charged amount; discounts are what coupons took off the plan price.
+  // Totals are keyed by the currency the payments were made in, e.g. { THB: { revenue, ... }, USD: { ... } }
+  sumSubscriptionRevenue(subscriptions) {
+    return subscriptions.reduce((totals, subscription) => {
+      const { payment } = subscription;
+
+      // Unconverted trials have no payment, and complimentary grants were never paid for
+      if (!payment || payment.payment_method === 'complimentary') {
+        return totals;
+      }
+
+      if (!totals[payment.currency]) {
+        totals[payment.currency] = { revenue: 0, discounts: 0, couponRedemptions: 0 };
+      }
+      const currencyTotals = totals[payment.currency];
+
+      currencyTotals.revenue += parseFloat(payment.amount.toString());
+      currencyTotals.discounts += parseFloat(payment.discount_amount.toString());
+      if (payment.coupon_id) {
+        currencyTotals.couponRedemptions++;
+      }
+
+      return totals;
+    }, {});
+  }
+
+  revenueIn(revenueByCurrency, currency) {
+    return revenueByCurrency[currency] || { revenue: 0, discounts: 0, couponRedemptions: 0 };
+  }
+
+  // Currency most of the owner's plans are priced in
+  async getReportingCurrency(ownerId) {
+    const planCurrencies = await prisma.plan.groupBy({
+      by: ['currency'],
+      where: {
+        owner_id: ownerId,
+        delete_at: null
+      },
+      _count: {
+        plan_id: true
+      }
+    });
+
+    const [main] = planCurrencies.sort((a, b) => b._count.plan_id - a._count.plan_id);
+    return main ? main.currency : DEFAULT_CURRENCY;
   }
 
-  async getLast12MonthsRevenue(ownerId) {
+  async getLast12MonthsRevenue(ownerId, currency = DEFAULT_CURRENCY) {
     const months = [];
     const now = new Date();
 
@@ -441,16 +625,22 @@ class DashboardController {
       // Get actual revenue for this month
       const monthRevenue = await this.calculateMonthlyRevenue(ownerId, monthStart, monthEnd);
       
+      const { revenue, discounts, couponRedemptions } = this.revenueIn(monthRevenue, currency);
+
       months.push({
         month: monthName,
-        revenue: Math.round(monthRevenue)
+        currency,
+        revenue: Math.round(revenue),
+        discounts: Math.round(discounts),
+        couponRedemptions,
+        revenueByCurrency: monthRevenue
       });
     }
 
     return months;
   }
 
-  async getLast6MonthsRevenue(ownerId) {
+  async getLast6MonthsRevenue(ownerId, currency = DEFAULT_CURRENCY) {
     const months = [];
     const now = new Date();
 
@@ -463,9 +653,15 @@ class DashboardController {
       // Get actual revenue for this month
       const monthRevenue = await this.calculateMonthlyRevenue(ownerId, monthStart, monthEnd);
       
+      const { revenue, discounts, couponRedemptions } = this.revenueIn(monthRevenue, currency);
+
       months.push({
         month: monthName,
-        revenue: Math.round(monthRevenue)
+        currency,
+        revenue: Math.round(revenue),
+        discounts: Math.round(discounts),
+        couponRedemptions,
+        revenueByCurrency: monthRevenue
       });
     }
 
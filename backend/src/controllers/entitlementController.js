@@ -0,0 +1,88 @@
+const EntitlementService = require('../services/entitlementService');
+const { asyncHandler } = require('../utils/errorHandler');
+
+class EntitlementController {
+  constructor() {
+    this.entitlementService = new EntitlementService();
+  }
+
+  // List the features a member is entitled to
+  getMemberEntitlements = asyncHandler(async (req, res) => {
+    try {
+      const ownerId = req.user.userId;
+      const { memberId } = req.params;
+
+      const entitlements = await this.entitlementService.getMemberEntitlements(ownerId, memberId);
+
+      res.json({
+        success: true,
+        data: entitlements
+      });
+    } catch (error) {
+      this.sendError(res, error, 'Failed to get entitlements');
+    }
+  });
+
+  // Check one feature for a member
+  checkEntitlement = asyncHandler(async (req, res) => {
+    try {
+      const ownerId = req.user.userId;
+      const { memberId, featureId } = req.params;
+
+      const result = await this.entitlementService.checkEntitlement(ownerId, memberId, featureId);
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      this.sendError(res, error, 'Failed to check entitlement');
+    }
+  });
+
+  // List entitlements for several members at once
+  getBulkEntitlements = asyncHandler(async (req, res) => {
+    try {
+      const ownerId = req.user.userId;
+      const { memberIds } = req.body || {};
+
+      if (!Array.isArray(memberIds) || memberIds.length === 0 || memberIds.some(id => typeof id !== 'string' || id.trim() === '')) {
+        return res.status(400).json({
+          success: false,
+          message: 'memberIds must be a non-empty list of member IDs'
+        });
+      }
+
+      const entitlements = await this.entitlementService.getBulkEntitlements(
+        ownerId,
+        memberIds.map(id => id.trim())
+      );
+
+      res.json({
+        success: true,
+        data: entitlements
+      });
+    } catch (error) {
+      this.sendError(res, error, 'Failed to get entitlements');
+    }
+  });
+
+  sendError(res, error, fallbackMessage) {
+    console.error('Entitlement error:', error);
+
+    if (error.message.includes('Invalid')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: fallbackMessage,
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
+
+module.exports = EntitlementController;
@@ -1,9 +1,11 @@
 const FeaturesService = require('../services/featuresService');
+const AuditLogService = require('../services/auditLogService');
 const { asyncHandler } = require('../utils/errorHandler');
 
 class FeaturesController {
   constructor() {
     this.featuresService = new FeaturesService();
+    this.auditLogService = new AuditLogService();
   }
 
   getFeatures = asyncHandler(async (req, res) => {
@@ -44,7 +46,8 @@ class FeaturesController {
     const result = await this.featuresService.updateFeature(
       id,
       { name, description },
-      req.user.userId
+      req.user.userId,
+      this.auditLogService.contextFromRequest(req)
     );
     
     res.json(result);
@@ -53,7 +56,7 @@ class FeaturesController {
   deleteFeature = asyncHandler(async (req, res) => {
     const { id } = req.params;
     
-    const result = await this.featuresService.deleteFeature(id, req.user.userId);
+    const result = await this.featuresService.deleteFeature(id, req.user.userId, this.auditLogService.contextFromRequest(req));
     
     res.json(result);
   });
@@ -0,0 +1,143 @@
+const InvoiceService = require('../services/invoiceService');
+const { asyncHandler } = require('../utils/errorHandler');
+
+class InvoiceController {
+  constructor() {
+    this.invoiceService = new InvoiceService();
+  }
+
+  // Receipt, tax invoice or credit note for one of the member's own payments
+  getMemberInvoicePdf = asyncHandler(async (req, res) => {
+    try {
+      const invoice = await this.invoiceService.getMemberInvoice(req.user.userId, req.params.invoiceId);
+
+      await this.sendPdf(res, invoice);
+    } catch (error) {
+      this.sendError(res, error, 'Failed to download document');
+    }
+  });
+
+  requestTaxInvoice = asyncHandler(async (req, res) => {
+    const errors = this.invoiceService.validateTaxInvoiceRequest(req.body || {});
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid tax invoice details',
+        errors
+      });
+    }
+
+    try {
+      const invoice = await this.invoiceService.issueTaxInvoice(req.user.userId, req.params.paymentId, req.body);
+
+      res.status(201).json({
+        success: true,
+        message: 'Tax invoice issued successfully',
+        data: {
+          ...invoice,
+          downloadUrl: `/api/payments/invoices/${invoice.id}/pdf`
+        }
+      });
+    } catch (error) {
+      this.sendError(res, error, 'Failed to issue tax invoice');
+    }
+  });
+
+  getOwnerInvoices = asyncHandler(async (req, res) => {
+    const { type, paymentId, limit = 50, offset = 0 } = req.query;
+
+    try {
+      const result = await this.invoiceService.getOwnerInvoices(req.user.userId, {
+        type,
+        paymentId,
+        limit: Math.min(parseInt(limit) || 50, 100),
+        offset: parseInt(offset) || 0
+      });
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      this.sendError(res, error, 'Failed to get invoices');
+    }
+  });
+
+  getOwnerInvoicePdf = asyncHandler(async (req, res) => {
+    try {
+      const invoice = await this.invoiceService.getOwnerInvoice(req.user.userId, req.params.invoiceId);
+
+      await this.sendPdf(res, invoice);
+    } catch (error) {
+      this.sendError(res, error, 'Failed to download document');
+    }
+  });
+
+  getTaxSettings = asyncHandler(async (req, res) => {
+    try {
+      const settings = await this.invoiceService.getTaxSettings(req.user.userId);
+
+      res.json({
+        success: true,
+        data: settings
+      });
+    } catch (error) {
+      this.sendError(res, error, 'Failed to get tax settings');
+    }
+  });
+
+  updateTaxSettings = asyncHandler(async (req, res) => {
+    const errors = this.invoiceService.validateTaxSettings(req.body || {});
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid tax settings',
+        errors
+      });
+    }
+
+    try {
+      const settings = await this.invoiceService.updateTaxSettings(req.user.userId, req.body);
+
+      res.json({
+        success: true,
+        message: 'Tax settings updated successfully',
+        data: settings
+      });
+    } catch (error) {
+      this.sendError(res, error, 'Failed to update tax settings');
+    }
+  });
+
+  async sendPdf(res, invoice) {
+    const pdf = await this.invoiceService.renderPdf(invoice);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${invoice.number}.pdf"`,
+      'Content-Length': pdf.length
+    });
+    res.send(pdf);
+  }
+
+  sendError(res, error, fallbackMessage) {
+    console.error('Invoice error:', error);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ success: false, message: error.message });
+    }
+    if (error.message.includes('Invalid')) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: fallbackMessage,
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
+
+module.exports = InvoiceController;
@@ -101,7 +101,7 @@ class MemberAuthController {
         });
       }
       
-      const result = await this.memberAuthService.login(email, password);
+      const result = await this.memberAuthService.login(email, password, this.memberAuthService.sessionService.deviceFromRequest(req));
       
       console.log('Sending member login response:', {
         success: result.success,
@@ -234,8 +234,10 @@ class MemberAuthController {
         });
       }
 
-      // Generate JWT token for member
-      const token = this.memberAuthService.generateToken(dbMember.member_id, dbMember.email);
+      const { token, refreshToken, expiresIn } = await this.memberAuthService.sessionService.createSession(
+        { userId: dbMember.member_id, email: dbMember.email, role: 'member' },
+        this.memberAuthService.sessionService.deviceFromRequest(req)
+      );
 
       console.log('Member auth callback successful for user:', dbMember.member_id);
 
@@ -243,6 +245,8 @@ class MemberAuthController {
         success: true,
         message: 'Authentication successful',
         token,
+        refreshToken,
+        expiresIn,
         user: {
           id: dbMember.member_id,
           email: dbMember.email,
@@ -308,6 +312,12 @@ class MemberAuthController {
       });
 
       if (result.success) {
+        // Other devices signed in with the old password are logged out; this one stays signed in
+        await this.memberAuthService.sessionService.revokeAllSessions(memberId, {
+          exceptSessionId: req.user.sid,
+          reason: 'password_changed'
+        });
+
         res.status(200).json(result);
       } else {
         // Return appropriate status codes based on error type
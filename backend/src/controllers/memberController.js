@@ -1,10 +1,16 @@
 // backend/src/controllers/memberController.js
 const { getPrismaClient } = require('../config/database');
 const { asyncHandler } = require('../utils/errorHandler');
+const { can } = require('../middleware/policy');
+const AuditLogService = require('../services/auditLogService');
 
 const prisma = getPrismaClient();
 
 class MemberController {
+  constructor() {
+    this.auditLogService = new AuditLogService();
+  }
+
   getOwners = asyncHandler(async (req, res) => {
     try {
       console.log('MemberController: Getting owners with stats');
@@ -177,7 +183,8 @@ class MemberController {
                 }
               }
             }
-          }
+          },
+          plan_prices: true
         },
         orderBy: {
           price: 'asc'
@@ -203,7 +210,14 @@ class MemberController {
             name: plan.name || 'Unnamed Plan',
             description: plan.description || 'No description available',
             price: parseFloat(plan.price.toString()),
+            currency: plan.currency,
+            prices: plan.plan_prices.map(price => ({
+              currency: price.currency,
+              amount: parseFloat(price.amount.toString())
+            })),
+            version: plan.version,
             duration: plan.duration,
+            trialDays: plan.trial_days,
             features: validFeatures,
             createdAt: plan.create_at,
             updatedAt: plan.update_at
@@ -216,6 +230,7 @@ class MemberController {
             name: plan.name || 'Unnamed Plan',
             description: plan.description || 'No description available',
             price: parseFloat(plan.price.toString()) || 0,
+            currency: plan.currency,
             duration: plan.duration || 0,
             features: [],
             createdAt: plan.create_at,
@@ -456,7 +471,8 @@ class MemberController {
             duration: activeSubscription.plan.duration,
             startDate: activeSubscription.start_date,
             endDate: activeSubscription.end_date,
-            status: activeSubscription.status
+            status: activeSubscription.status,
+            isTrial: activeSubscription.is_trial
           } : null,
           paymentHistory: allPayments,
           totalSpent: allPayments
@@ -516,6 +532,7 @@ class MemberController {
               contact_info: true
             }
           },
+          plan_prices: true,
           plan_features: {
             include: {
               feature: {
@@ -554,7 +571,14 @@ class MemberController {
         name: plan.name || 'Unnamed Plan',
         description: plan.description || 'No description available',
         price: parseFloat(plan.price.toString()),
+        currency: plan.currency,
+        prices: plan.plan_prices.map(price => ({
+          currency: price.currency,
+          amount: parseFloat(price.amount.toString())
+        })),
+        version: plan.version,
         duration: plan.duration,
+        trialDays: plan.trial_days,
         features: validFeatures,
         organization: plan.owner.org_name,
         organizationEmail: plan.owner.email,
@@ -580,6 +604,8 @@ class MemberController {
   getPlanStats = asyncHandler(async (req, res) => {
     try {
       const ownerId = req.user.userId;
+      // Revenue is dashboard data; front desk staff see the member counts only
+      const showRevenue = can(req, 'dashboard:read');
       
       console.log('MemberController: Getting plan stats for owner:', ownerId);
 
@@ -594,6 +620,7 @@ class MemberController {
             select: {
               subscription_id: true,
               status: true,
+              is_trial: true,
               member: {
                 select: {
                   member_id: true,
@@ -617,8 +644,9 @@ class MemberController {
       // Transform the data
       const transformedPlans = plans.map(plan => {
         const activeSubscriptions = plan.subscriptions.filter(sub => sub.status === 'active');
+        const trialSubscriptions = activeSubscriptions.filter(sub => sub.is_trial);
         const totalRevenue = plan.subscriptions
-          .filter(sub => sub.status === 'active')
+          .filter(sub => sub.status === 'active' && !sub.is_trial)
           .reduce((sum, sub) => sum + parseFloat(plan.price.toString()), 0);
 
         return {
@@ -626,10 +654,12 @@ class MemberController {
           name: plan.name,
           description: plan.description,
           price: parseFloat(plan.price.toString()),
+          currency: plan.currency,
           duration: plan.duration,
           totalSubscriptions: plan._count.subscriptions,
-          activeSubscriptions: activeSubscriptions.length,
-          totalRevenue: totalRevenue,
+          activeSubscriptions: activeSubscriptions.length - trialSubscriptions.length,
+          trialSubscriptions: trialSubscriptions.length,
+          ...(showRevenue && { totalRevenue }),
           members: activeSubscriptions.map(sub => ({
             id: sub.member.member_id,
             fullName: sub.member.full_name,
@@ -691,20 +721,49 @@ class MemberController {
         });
       }
 
+      const now = new Date();
+
       // Cancel all active subscriptions
-      await prisma.subscription.updateMany({
-        where: {
-          member_id: memberId,
-          plan: {
-            owner_id: ownerId
+      await prisma.$transaction(async (tx) => {
+        await tx.subscription.updateMany({
+          where: {
+            subscription_id: {
+              in: memberSubscriptions.map(subscription => subscription.subscription_id)
+            },
+            status: 'active'
           },
-          status: 'active'
-        },
-        data: {
-          status: 'cancelled',
-          end_date: new Date(),
-          update_at: new Date()
-        }
+          data: {
+            status: 'cancelled',
+            cancelled_at: now,
+            end_date: now,
+            update_at: now
+          }
+        });
+
+        await this.auditLogService.record({
+          ownerId,
+          action: 'member.removed',
+          entityType: 'member',
+          entityId: memberId,
+          before: {
+            email: memberSubscriptions[0].member.email,
+            fullName: memberSubscriptions[0].member.full_name,
+            subscriptions: memberSubscriptions.map(subscription => ({
+              id: subscription.subscription_id,
+              plan: subscription.plan.name,
+              status: subscription.status,
+              endDate: subscription.end_date
+            }))
+          },
+          after: {
+            subscriptions: memberSubscriptions.map(subscription => ({
+              id: subscription.subscription_id,
+              plan: subscription.plan.name,
+              status: 'cancelled',
+              endDate: now
+            }))
+          }
+        }, this.auditLogService.contextFromRequest(req), tx);
       });
 
       console.log(`Cancelled ${memberSubscriptions.length} subscriptions for member`);
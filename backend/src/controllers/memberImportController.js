@@ -0,0 +1,127 @@
+const MemberImportService = require('../services/memberImportService');
+const MemberInvitationService = require('../services/memberInvitationService');
+const { asyncHandler } = require('../utils/errorHandler');
+
+class MemberImportController {
+  constructor() {
+    this.memberImportService = new MemberImportService();
+    this.memberInvitationService = new MemberInvitationService();
+  }
+
+  // Import members from an uploaded CSV file, or CSV text sent as { csv } by API clients
+  importMembers = asyncHandler(async (req, res) => {
+    const csv = req.file ? req.file.buffer.toString('utf8') : req.body?.csv;
+
+    if (!csv || typeof csv !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'A CSV file is required'
+      });
+    }
+
+    // Multipart fields arrive as text
+    const sendInvites = ![false, 'false'].includes(req.body?.sendInvites);
+
+    try {
+      const memberImport = await this.memberImportService.importMembers(req.user.userId, {
+        csv,
+        fileName: req.file ? req.file.originalname : null,
+        sendInvites
+      });
+
+      res.status(201).json({
+        success: true,
+        message: `Imported ${memberImport.succeededRows} of ${memberImport.totalRows} members`,
+        data: memberImport
+      });
+    } catch (error) {
+      this.sendError(res, error, 'Failed to import members');
+    }
+  });
+
+  getImports = asyncHandler(async (req, res) => {
+    try {
+      const imports = await this.memberImportService.getImports(req.user.userId);
+
+      res.json({
+        success: true,
+        data: imports
+      });
+    } catch (error) {
+      this.sendError(res, error, 'Failed to get member imports');
+    }
+  });
+
+  getImport = asyncHandler(async (req, res) => {
+    try {
+      const memberImport = await this.memberImportService.getImport(req.user.userId, req.params.importId);
+
+      res.json({
+        success: true,
+        data: memberImport
+      });
+    } catch (error) {
+      this.sendError(res, error, 'Failed to get member import');
+    }
+  });
+
+  downloadImportResults = asyncHandler(async (req, res) => {
+    try {
+      const { fileName, csv } = await this.memberImportService.getImportResultsCsv(req.user.userId, req.params.importId);
+
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+      res.send(csv);
+    } catch (error) {
+      this.sendError(res, error, 'Failed to download import results');
+    }
+  });
+
+  getInvitations = asyncHandler(async (req, res) => {
+    try {
+      const invitations = await this.memberInvitationService.getInvitations(req.user.userId, {
+        status: req.query.status
+      });
+
+      res.json({
+        success: true,
+        data: invitations
+      });
+    } catch (error) {
+      this.sendError(res, error, 'Failed to get invitations');
+    }
+  });
+
+  resendInvitation = asyncHandler(async (req, res) => {
+    try {
+      const invitation = await this.memberInvitationService.resendInvitation(req.user.userId, req.params.invitationId);
+
+      res.json({
+        success: true,
+        message: 'Invitation sent',
+        data: invitation
+      });
+    } catch (error) {
+      this.sendError(res, error, 'Failed to resend invitation');
+    }
+  });
+
+  sendError(res, error, fallbackMessage) {
+    console.error('Member import error:', error);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ success: false, message: error.message });
+    }
+    if (error.message.includes('Invalid')) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: fallbackMessage,
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
+
+module.exports = MemberImportController;
@@ -1,9 +1,16 @@
 const PaymentService = require('../services/paymentService');
+const PlanChangeService = require('../services/planChangeService');
+const OmiseWebhookService = require('../services/omiseWebhookService');
+const { PAYMENT_METHODS } = require('../services/gateways');
+const { OMISE_CONFIG, validateAmount } = require('../config/omise');
 const { asyncHandler } = require('../utils/errorHandler');
+const { SUPPORTED_CURRENCIES, isSupportedCurrency, fromMinorUnits } = require('../utils/currency');
 
 class PaymentController {
   constructor() {
     this.paymentService = new PaymentService();
+    this.planChangeService = new PlanChangeService();
+    this.omiseWebhookService = new OmiseWebhookService();
   }
 
   // Get Omise public key for frontend
@@ -62,7 +69,19 @@ class PaymentController {
       });
       
       const memberId = req.user.userId;
-      const { planId, paymentMethod, paymentSource, customerData } = req.body;
+      const {
+        planId,
+        paymentMethod,
+        paymentSource,
+        customerData,
+        autoRenew,
+        couponCode,
+        currency,
+        bank,
+        installmentTerm,
+        phoneNumber,
+        returnUri
+      } = req.body;
 
       // Validation
       if (!planId || typeof planId !== 'string' || planId.trim() === '') {
@@ -73,11 +92,11 @@ class PaymentController {
         });
       }
 
-      if (!paymentMethod || !['card', 'promptpay'].includes(paymentMethod)) {
+      if (!paymentMethod || !PAYMENT_METHODS.includes(paymentMethod)) {
         console.error('Validation failed: Invalid paymentMethod:', paymentMethod);
         return res.status(400).json({
           success: false,
-          message: 'Valid payment method is required (card or promptpay)'
+          message: `Valid payment method is required (${PAYMENT_METHODS.join(', ')})`
         });
       }
 
@@ -110,10 +129,57 @@ class PaymentController {
         }
       }
 
+      if (autoRenew !== undefined && typeof autoRenew !== 'boolean') {
+        return res.status(400).json({
+          success: false,
+          message: 'autoRenew must be true or false'
+        });
+      }
+
+      if (autoRenew && paymentMethod !== 'card') {
+        return res.status(400).json({
+          success: false,
+          message: 'Auto-renewal is only available for card payments'
+        });
+      }
+
+      if (couponCode !== undefined && couponCode !== null && (typeof couponCode !== 'string' || couponCode.trim() === '')) {
+        return res.status(400).json({
+          success: false,
+          message: 'Coupon code must be a non-empty string'
+        });
+      }
+
+      // Omitted means the plan's own currency
+      if (currency !== undefined && currency !== null && !isSupportedCurrency(currency)) {
+        return res.status(400).json({
+          success: false,
+          message: `Currency must be one of: ${SUPPORTED_CURRENCIES.join(', ')}`
+        });
+      }
+
+      // Mobile banking, TrueMoney and installments need the bank, wallet number or term the member chose
+      const paymentOptions = {
+        bank,
+        installmentTerm: installmentTerm !== undefined ? parseInt(installmentTerm, 10) : undefined,
+        phoneNumber,
+        returnUri
+      };
+
+      try {
+        this.paymentService.validatePaymentOptions(paymentMethod, paymentOptions);
+      } catch (validationError) {
+        return res.status(400).json({
+          success: false,
+          message: validationError.message
+        });
+      }
+
       console.log('Validation passed. Processing subscription payment:', { 
         memberId, 
         planId: planId.trim(), 
-        paymentMethod 
+        paymentMethod,
+        autoRenew: !!autoRenew
       });
 
       // Process payment through service
@@ -122,7 +188,11 @@ class PaymentController {
         planId: planId.trim(),
         paymentMethod,
         paymentSource: paymentSource?.trim(),
-        customerData: customerData || {}
+        customerData: customerData || {},
+        autoRenew: !!autoRenew,
+        couponCode: couponCode?.trim() || null,
+        currency: currency || null,
+        paymentOptions
       });
 
       console.log('Payment processed successfully:', {
@@ -155,6 +225,12 @@ class PaymentController {
       } else if (error.message.includes('already have an active subscription')) {
         statusCode = 409;
         message = 'You already have an active subscription to this plan';
+      } else if (error.message.includes('Invalid coupon')) {
+        statusCode = 400;
+        message = error.message;
+      } else if (error.message.includes('Invalid payment')) {
+        statusCode = 400;
+        message = error.message;
       } else if (error.message.includes('Invalid card') || error.message.includes('card details')) {
         statusCode = 400;
         message = error.message;
@@ -211,8 +287,8 @@ class PaymentController {
         });
       }
 
-      // Check Omise for latest status if payment is pending
-      if (payment.status === 'pending' && payment.omise_charge_id) {
+      // Check the gateway for latest status if payment is pending
+      if (payment.status === 'pending' && payment.provider_reference) {
         try {
           const latestOmiseStatus = await this.paymentService.refreshPaymentFromOmise(paymentId.trim());
           console.log('Updated payment status from Omise:', latestOmiseStatus.status);
@@ -247,7 +323,8 @@ class PaymentController {
         } : null,
         createdAt: payment.create_at,
         updatedAt: payment.update_at,
-        omiseChargeId: payment.omise_charge_id,
+        provider: payment.provider,
+        providerReference: payment.provider_reference,
         lastChecked: new Date().toISOString()
       };
 
@@ -363,6 +440,7 @@ class PaymentController {
   // Webhook handler with error handling and logging
   handleWebhook = asyncHandler(async (req, res) => {
     const startTime = Date.now();
+    let webhookRecord = null;
     
     try {
       console.log('=== OMISE WEBHOOK RECEIVED ===');
@@ -396,17 +474,48 @@ class PaymentController {
         });
       }
 
-      // Validate charge data
+      // Validate charge data (refund events carry a refund object instead)
       const charge = event.data;
-      if (!charge.id || !charge.object || charge.object !== 'charge') {
-        console.error('Invalid charge data in webhook');
+      const expectedObject = event.key.startsWith('refund.') ? 'refund' : 'charge';
+      if (!charge.id || !charge.object || charge.object !== expectedObject) {
+        console.error(`Invalid ${expectedObject} data in webhook`);
         return res.status(400).json({ 
           received: false, 
-          error: 'Invalid charge data',
+          error: `Invalid ${expectedObject} data`,
           timestamp: new Date().toISOString()
         });
       }
 
+      // Anyone can post to this endpoint, so only act on what Omise itself confirms
+      const verification = await this.omiseWebhookService.verifyEvent({
+        event,
+        rawBody: req.rawBody,
+        headers: req.headers
+      });
+      webhookRecord = await this.omiseWebhookService.recordEvent({
+        event,
+        verification,
+        sourceIp: req.ip
+      });
+
+      if (!verification.verified) {
+        console.warn('Rejected unverified webhook:', {
+          eventType: event.key,
+          objectId: charge.id,
+          method: verification.method,
+          reason: verification.reason
+        });
+
+        // Omise retries non-2xx responses, which is what we want when Omise itself could not be reached
+        return res.status(verification.retryable ? 503 : 401).json({
+          received: false,
+          error: 'Webhook verification failed',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const verifiedEvent = verification.event;
+
       // Process webhook based on event type
       let processingResult = null;
       
@@ -414,22 +523,27 @@ class PaymentController {
         case 'charge.complete':
         case 'charge.successful':
           console.log('Processing successful charge webhook for:', charge.id);
-          processingResult = await this.paymentService.handleWebhook(event);
+          processingResult = await this.paymentService.handleWebhook(verifiedEvent);
           break;
           
         case 'charge.failed':
           console.log('Processing failed charge webhook for:', charge.id);
-          processingResult = await this.paymentService.handleWebhook(event);
+          processingResult = await this.paymentService.handleWebhook(verifiedEvent);
           break;
           
         case 'charge.expired':
           console.log('Processing expired charge webhook for:', charge.id);
-          processingResult = await this.paymentService.handleWebhook(event);
+          processingResult = await this.paymentService.handleWebhook(verifiedEvent);
           break;
           
         case 'charge.pending':
           console.log('Processing pending charge webhook for:', charge.id);
-          processingResult = await this.paymentService.handleWebhook(event);
+          processingResult = await this.paymentService.handleWebhook(verifiedEvent);
+          break;
+
+        case 'refund.create':
+          console.log('Processing refund webhook for:', charge.id);
+          processingResult = await this.paymentService.handleWebhook(verifiedEvent);
           break;
           
         default:
@@ -447,6 +561,12 @@ class PaymentController {
       console.log('Processing result:', processingResult);
       console.log('=== WEBHOOK PROCESSING COMPLETE ===\n');
 
+      await this.omiseWebhookService.recordProcessingResult(
+        webhookRecord?.omise_webhook_event_id,
+        'processed',
+        processingResult
+      );
+
       res.status(200).json({ 
         received: true,
         processed: processingResult?.processed !== false,
@@ -465,6 +585,12 @@ class PaymentController {
       console.error('Stack:', error.stack);
       console.error('Event data:', req.body);
       console.error('=== END WEBHOOK ERROR ===\n');
+
+      await this.omiseWebhookService.recordProcessingResult(
+        webhookRecord?.omise_webhook_event_id,
+        'failed',
+        { error: error.message }
+      );
       
       // Always return success to prevent webhook retries for our errors
       // But log the error for debugging
@@ -553,10 +679,15 @@ class PaymentController {
           description: 'Visa, Mastercard, JCB, American Express',
           icon: 'credit-card',
           enabled: true,
-          currencies: ['THB'],
+          currencies: OMISE_CONFIG.supportedCurrencies,
           processing_time: 'Instant',
-          min_amount: 1,
-          max_amount: 200000,
+          min_amount: fromMinorUnits(OMISE_CONFIG.minAmount.THB.card),
+          max_amount: fromMinorUnits(OMISE_CONFIG.maxAmount.THB.card),
+          // Limits for plans priced in other currencies
+          amount_limits: Object.fromEntries(OMISE_CONFIG.supportedCurrencies.map(currency => [currency, {
+            min_amount: fromMinorUnits(OMISE_CONFIG.minAmount[currency].card, currency),
+            max_amount: fromMinorUnits(OMISE_CONFIG.maxAmount[currency].card, currency)
+          }])),
           features: ['instant_confirmation', '3d_secure_support']
         },
         {
@@ -567,9 +698,56 @@ class PaymentController {
           enabled: true,
           currencies: ['THB'],
           processing_time: 'Up to 5 minutes',
-          min_amount: 20,
-          max_amount: 50000,
+          min_amount: fromMinorUnits(OMISE_CONFIG.minAmount.THB.promptpay),
+          max_amount: fromMinorUnits(OMISE_CONFIG.maxAmount.THB.promptpay),
           features: ['qr_code', 'mobile_banking']
+        },
+        {
+          type: 'mobile_banking',
+          name: 'Mobile Banking',
+          description: 'Pay in your bank app',
+          icon: 'mobile',
+          enabled: true,
+          currencies: ['THB'],
+          processing_time: 'Instant',
+          min_amount: fromMinorUnits(OMISE_CONFIG.minAmount.THB.mobile_banking),
+          max_amount: fromMinorUnits(OMISE_CONFIG.maxAmount.THB.mobile_banking),
+          features: ['redirect', 'mobile_banking'],
+          banks: Object.entries(OMISE_CONFIG.mobileBanking.banks).map(([code, bank]) => ({
+            code,
+            name: bank.name
+          }))
+        },
+        {
+          type: 'truemoney',
+          name: 'TrueMoney Wallet',
+          description: 'Pay with your TrueMoney wallet',
+          icon: 'wallet',
+          enabled: true,
+          currencies: ['THB'],
+          processing_time: 'Instant',
+          min_amount: fromMinorUnits(OMISE_CONFIG.minAmount.THB.truemoney),
+          max_amount: fromMinorUnits(OMISE_CONFIG.maxAmount.THB.truemoney),
+          features: ['redirect', 'wallet'],
+          required_fields: ['phoneNumber']
+        },
+        {
+          type: 'installment',
+          name: 'Card Installments',
+          description: 'Split the price into monthly payments on your credit card',
+          icon: 'calendar',
+          enabled: true,
+          currencies: ['THB'],
+          processing_time: 'Instant',
+          min_amount: fromMinorUnits(OMISE_CONFIG.minAmount.THB.installment),
+          max_amount: fromMinorUnits(OMISE_CONFIG.maxAmount.THB.installment),
+          min_monthly_amount: fromMinorUnits(OMISE_CONFIG.installment.minMonthlyAmount),
+          features: ['redirect', 'installments'],
+          banks: Object.entries(OMISE_CONFIG.installment.banks).map(([code, bank]) => ({
+            code,
+            name: bank.name,
+            terms: bank.terms
+          }))
         }
       ];
 
@@ -589,9 +767,16 @@ class PaymentController {
   // Validate payment before processing
   validatePayment = asyncHandler(async (req, res) => {
     try {
-      const { planId, paymentMethod, amount, paymentSource } = req.body;
+      const { planId, paymentMethod, amount, currency, paymentSource, couponCode, bank, installmentTerm, phoneNumber, returnUri } = req.body;
 
       const errors = [];
+      const paymentOptions = {
+        bank,
+        installmentTerm: installmentTerm !== undefined ? parseInt(installmentTerm, 10) : undefined,
+        phoneNumber,
+        returnUri
+      };
+      let pricing = null;
 
       // Validate plan ID
       if (!planId || typeof planId !== 'string' || planId.trim() === '') {
@@ -599,8 +784,18 @@ class PaymentController {
       }
 
       // Validate payment method
-      if (!paymentMethod || !['card', 'promptpay'].includes(paymentMethod)) {
-        errors.push('Valid payment method is required (card or promptpay)');
+      if (!paymentMethod || !PAYMENT_METHODS.includes(paymentMethod)) {
+        errors.push(`Valid payment method is required (${PAYMENT_METHODS.join(', ')})`);
+      } else {
+        try {
+          this.paymentService.validatePaymentOptions(paymentMethod, paymentOptions);
+        } catch (optionsError) {
+          errors.push(optionsError.message);
+        }
+      }
+
+      if (currency !== undefined && currency !== null && !isSupportedCurrency(currency)) {
+        errors.push(`Currency must be one of: ${SUPPORTED_CURRENCIES.join(', ')}`);
       }
 
       // Validate payment source for card payments
@@ -618,12 +813,35 @@ class PaymentController {
         if (isNaN(numAmount) || numAmount <= 0) {
           errors.push('Amount must be a positive number');
         } else {
-          const amountInSatang = Math.round(numAmount * 100);
+          const amountCheck = validateAmount(numAmount, paymentMethod, {
+            ...paymentOptions,
+            currency: currency || undefined
+          });
           
-          if (paymentMethod === 'card' && amountInSatang < 100) {
-            errors.push('Card payment minimum is 1 THB');
-          } else if (paymentMethod === 'promptpay' && amountInSatang < 2000) {
-            errors.push('PromptPay minimum is 20 THB');
+          if (!amountCheck.valid) {
+            errors.push(amountCheck.error);
+          }
+        }
+      }
+
+      // Price the plan with the coupon so the member sees the discounted total before paying
+      if (couponCode !== undefined && couponCode !== null && errors.length === 0) {
+        if (typeof couponCode !== 'string' || couponCode.trim() === '') {
+          errors.push('Coupon code must be a non-empty string');
+        } else {
+          try {
+            pricing = await this.paymentService.couponService.applyCoupon({
+              code: couponCode,
+              planId: planId.trim(),
+              memberId: req.user.userId,
+              paymentMethod,
+              currency: currency || null
+            });
+          } catch (couponError) {
+            if (!couponError.message.includes('Invalid') && !couponError.message.includes('Plan not found')) {
+              throw couponError;
+            }
+            errors.push(couponError.message);
           }
         }
       }
@@ -636,11 +854,25 @@ class PaymentController {
         });
       }
 
-      res.json({
+      const response = {
         success: true,
         valid: true,
         message: 'Payment data is valid'
-      });
+      };
+
+      if (pricing) {
+        response.data = {
+          couponCode: pricing.coupon.code,
+          discountType: pricing.coupon.discount_type,
+          discountValue: parseFloat(pricing.coupon.discount_value.toString()),
+          originalAmount: pricing.originalAmount,
+          discountAmount: pricing.discountAmount,
+          amount: pricing.amount,
+          currency: pricing.currency
+        };
+      }
+
+      res.json(response);
 
     } catch (error) {
       console.error('PaymentController validate payment error:', error);
@@ -651,6 +883,166 @@ class PaymentController {
     }
   });
 
+  // Preview the prorated cost of switching plans
+  previewPlanChange = asyncHandler(async (req, res) => {
+    try {
+      const memberId = req.user.userId;
+      const { subscriptionId, newPlanId } = req.body;
+
+      if (!subscriptionId || !newPlanId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Subscription ID and new plan ID are required'
+        });
+      }
+
+      const quote = await this.planChangeService.quotePlanChange(memberId, subscriptionId, newPlanId);
+
+      res.json({
+        success: true,
+        data: {
+          subscriptionId,
+          currentPlanId: quote.subscription.plan_id,
+          currentPlanName: quote.subscription.plan.name,
+          newPlanId,
+          newPlanName: quote.newPlan.name,
+          changeType: quote.changeType,
+          remainingDays: quote.remainingDays,
+          unusedValue: quote.unusedValue,
+          newPlanPrice: quote.newPlanPrice,
+          creditBalance: quote.creditBalance,
+          creditApplied: quote.creditApplied,
+          amountDue: quote.amountDue,
+          creditIssued: quote.creditIssued,
+          currency: quote.currency
+        }
+      });
+
+    } catch (error) {
+      console.error('PaymentController preview plan change error:', error);
+
+      const { statusCode, message } = this.mapPlanChangeError(error);
+
+      res.status(statusCode).json({
+        success: false,
+        message,
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  });
+
+  // Upgrade or downgrade a subscription to another plan from the same organization
+  changePlan = asyncHandler(async (req, res) => {
+    try {
+      const memberId = req.user.userId;
+      const { subscriptionId, newPlanId, paymentSource } = req.body;
+
+      if (!subscriptionId || !newPlanId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Subscription ID and new plan ID are required'
+        });
+      }
+
+      if (paymentSource !== undefined && (typeof paymentSource !== 'string' || !paymentSource.startsWith('tokn_'))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid payment token format'
+        });
+      }
+
+      const result = await this.planChangeService.changePlan({
+        memberId,
+        subscriptionId,
+        newPlanId,
+        paymentSource: paymentSource?.trim()
+      });
+
+      res.status(201).json({
+        success: true,
+        message: result.changeType === 'upgrade' ? 'Plan upgraded successfully' : 'Plan changed successfully',
+        data: result
+      });
+
+    } catch (error) {
+      console.error('PaymentController change plan error:', error);
+
+      const { statusCode, message } = this.mapPlanChangeError(error);
+
+      res.status(statusCode).json({
+        success: false,
+        message,
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  });
+
+  mapPlanChangeError(error) {
+    if (error.message.includes('Subscription not found') || error.message.includes('Plan not found')) {
+      return { statusCode: 404, message: error.message };
+    }
+    if (error.message.includes('already have an active subscription')) {
+      return { statusCode: 409, message: error.message };
+    }
+    if (error.message.includes('Insufficient funds')) {
+      return { statusCode: 402, message: error.message };
+    }
+    if (
+      error.message.includes('Invalid') ||
+      error.message.includes('Only active subscriptions') ||
+      error.message.includes('required') ||
+      error.message.includes('Card payment failed')
+    ) {
+      return { statusCode: 400, message: error.message };
+    }
+    return { statusCode: 500, message: 'Plan change failed' };
+  }
+
+  // Replace the card used for auto-renewal
+  updateSavedCard = asyncHandler(async (req, res) => {
+    try {
+      const memberId = req.user.userId;
+      const { paymentSource } = req.body;
+
+      if (!paymentSource || typeof paymentSource !== 'string' || !paymentSource.startsWith('tokn_')) {
+        return res.status(400).json({
+          success: false,
+          message: 'Valid payment source token is required'
+        });
+      }
+
+      console.log('Updating saved card for member:', memberId);
+
+      const result = await this.paymentService.updateSavedCard(memberId, paymentSource.trim());
+
+      res.json({
+        success: true,
+        message: 'Saved card updated successfully',
+        data: result
+      });
+
+    } catch (error) {
+      console.error('PaymentController update saved card error:', error);
+
+      let statusCode = 500;
+      let message = 'Failed to update saved card';
+
+      if (error.message.includes('Member not found')) {
+        statusCode = 401;
+        message = 'Authentication required';
+      } else if (error.message.includes('Invalid card') || error.message.includes('card details')) {
+        statusCode = 400;
+        message = error.message;
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        message,
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  });
+
   // Refresh payment status from Omise
   refreshPaymentFromOmise = asyncHandler(async (req, res) => {
     try {
@@ -0,0 +1,103 @@
+const PaymentGatewayService = require('../services/paymentGatewayService');
+const { asyncHandler } = require('../utils/errorHandler');
+
+class PaymentGatewayController {
+  constructor() {
+    this.paymentGatewayService = new PaymentGatewayService();
+  }
+
+  getSettings = asyncHandler(async (req, res) => {
+    try {
+      const settings = await this.paymentGatewayService.getOwnerGateway(req.user.userId);
+
+      res.json({
+        success: true,
+        data: settings
+      });
+    } catch (error) {
+      this.sendError(res, error, 'Failed to get payment gateway settings');
+    }
+  });
+
+  updateSettings = asyncHandler(async (req, res) => {
+    const errors = this.paymentGatewayService.validateSettings(req.body || {});
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid payment gateway settings',
+        errors
+      });
+    }
+
+    try {
+      const settings = await this.paymentGatewayService.updateOwnerGateway(req.user.userId, req.body);
+
+      res.json({
+        success: true,
+        message: 'Payment gateway updated successfully',
+        data: settings
+      });
+    } catch (error) {
+      this.sendError(res, error, 'Failed to update payment gateway settings');
+    }
+  });
+
+  // Confirm a bank transfer arrived
+  confirmManualPayment = asyncHandler(async (req, res) => {
+    try {
+      const payment = await this.paymentGatewayService.confirmManualPayment(req.user.userId, req.params.paymentId);
+
+      res.json({
+        success: true,
+        message: 'Payment confirmed successfully',
+        data: payment
+      });
+    } catch (error) {
+      this.sendError(res, error, 'Failed to confirm payment');
+    }
+  });
+
+  // Reject a bank transfer that never arrived
+  rejectManualPayment = asyncHandler(async (req, res) => {
+    const { reason } = req.body || {};
+
+    if (reason !== undefined && (typeof reason !== 'string' || reason.length > 255)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reason must be a string of at most 255 characters'
+      });
+    }
+
+    try {
+      const payment = await this.paymentGatewayService.rejectManualPayment(req.user.userId, req.params.paymentId, reason?.trim());
+
+      res.json({
+        success: true,
+        message: 'Payment rejected successfully',
+        data: payment
+      });
+    } catch (error) {
+      this.sendError(res, error, 'Failed to reject payment');
+    }
+  });
+
+  sendError(res, error, fallbackMessage) {
+    console.error('Payment gateway error:', error);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ success: false, message: error.message });
+    }
+    if (error.message.includes('Invalid')) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: fallbackMessage,
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
+
+module.exports = PaymentGatewayController;
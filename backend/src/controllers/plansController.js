@@ -1,7 +1,63 @@
 const { getPrismaClient } = require('../config/database');
 const { asyncHandler } = require('../utils/errorHandler');
+const { DEFAULT_CURRENCY, SUPPORTED_CURRENCIES, isSupportedCurrency } = require('../utils/currency');
+const PlanVersionService = require('../services/planVersionService');
+const { SUBSCRIBER_POLICIES } = require('../services/planVersionService');
+const AuditLogService = require('../services/auditLogService');
 
 const prisma = getPrismaClient();
+const planVersionService = new PlanVersionService();
+const auditLogService = new AuditLogService();
+
+// Check the plan's currency and its extra prices; returns an error message or null
+function validatePricing(currency, prices) {
+  if (!isSupportedCurrency(currency)) {
+    return `Currency must be one of: ${SUPPORTED_CURRENCIES.join(', ')}`;
+  }
+
+  if (!Array.isArray(prices)) {
+    return 'Prices must be a list of { currency, amount }';
+  }
+
+  const seen = new Set([currency]);
+
+  for (const price of prices) {
+    if (!price || !isSupportedCurrency(price.currency)) {
+      return `Price currency must be one of: ${SUPPORTED_CURRENCIES.join(', ')}`;
+    }
+    if (seen.has(price.currency)) {
+      return `Plan has more than one ${price.currency} price`;
+    }
+    if (!(parseFloat(price.amount) > 0)) {
+      return `${price.currency} price must be a positive number`;
+    }
+    seen.add(price.currency);
+  }
+
+  return null;
+}
+
+function transformPrices(plan) {
+  return (plan.plan_prices || []).map(price => ({
+    currency: price.currency,
+    amount: parseFloat(price.amount.toString())
+  }));
+}
+
+// The plan's terms as written to the audit log; prices and features default to the ones loaded with the plan
+function auditValues(plan, prices = transformPrices(plan), features = (plan.plan_features || []).map(planFeature => planFeature.feature_id)) {
+  return {
+    name: plan.name,
+    description: plan.description,
+    price: parseFloat(plan.price.toString()),
+    currency: plan.currency,
+    prices: prices.map(planPrice => ({ currency: planPrice.currency, amount: parseFloat(planPrice.amount) })),
+    duration: plan.duration,
+    trialDays: plan.trial_days,
+    version: plan.version,
+    features
+  };
+}
 
 class PlansController {
   getPlans = asyncHandler(async (req, res) => {
@@ -15,7 +71,8 @@ class PlansController {
           include: {
             feature: true
           }
-        }
+        },
+        plan_prices: true
       },
       orderBy: {
         create_at: 'desc'
@@ -28,7 +85,11 @@ class PlansController {
       name: plan.name,
       description: plan.description,
       price: parseFloat(plan.price.toString()),
+      currency: plan.currency,
+      prices: transformPrices(plan),
+      version: plan.version,
       duration: plan.duration,
+      trialDays: plan.trial_days,
       features: plan.plan_features.map(pf => pf.feature_id),
       createdAt: plan.create_at,
       updatedAt: plan.update_at
@@ -51,7 +112,8 @@ class PlansController {
           include: {
             feature: true
           }
-        }
+        },
+        plan_prices: true
       }
     });
 
@@ -65,8 +127,13 @@ class PlansController {
       name: plan.name,
       description: plan.description,
       price: parseFloat(plan.price.toString()),
+      currency: plan.currency,
+      prices: transformPrices(plan),
+      version: plan.version,
       duration: plan.duration,
+      trialDays: plan.trial_days,
       features: plan.plan_features.map(pf => pf.feature_id),
+      versions: await planVersionService.getVersionHistory(plan.plan_id),
       createdAt: plan.create_at,
       updatedAt: plan.update_at
     };
@@ -75,12 +142,21 @@ class PlansController {
   });
 
   createPlan = asyncHandler(async (req, res) => {
-    const { name, description, price, duration, features = [] } = req.body;
+    const { name, description, price, currency = DEFAULT_CURRENCY, prices = [], duration, trialDays = 0, features = [] } = req.body;
 
     if (!name || !description || !price || !duration) {
       return res.status(400).json({ message: 'Name, description, price, and duration are required' });
     }
 
+    if (!Number.isInteger(Number(trialDays)) || Number(trialDays) < 0) {
+      return res.status(400).json({ message: 'Trial days must be a whole number of 0 or more' });
+    }
+
+    const pricingError = validatePricing(currency, prices);
+    if (pricingError) {
+      return res.status(400).json({ message: pricingError });
+    }
+
     // Start a transaction to create plan and its features
     const result = await prisma.$transaction(async (tx) => {
       // Create the plan
@@ -89,11 +165,23 @@ class PlansController {
           name: name.trim(),
           description: description.trim(),
           price: parseFloat(price),
+          currency,
           duration: parseInt(duration),
+          trial_days: parseInt(trialDays),
           owner_id: req.user.userId
         }
       });
 
+      if (prices.length > 0) {
+        await tx.planPrice.createMany({
+          data: prices.map(planPrice => ({
+            plan_id: plan.plan_id,
+            currency: planPrice.currency,
+            amount: parseFloat(planPrice.amount)
+          }))
+        });
+      }
+
       // Create plan-feature relationships if features are provided
       if (features.length > 0) {
         // Verify that all features belong to the user
@@ -118,6 +206,17 @@ class PlansController {
         });
       }
 
+      // First version of the plan, which its first subscribers are tied to
+      await planVersionService.publishVersion(plan.plan_id, {}, tx);
+
+      await auditLogService.record({
+        ownerId: req.user.userId,
+        action: 'plan.created',
+        entityType: 'plan',
+        entityId: plan.plan_id,
+        after: auditValues(plan, prices, features)
+      }, auditLogService.contextFromRequest(req), tx);
+
       return plan;
     });
 
@@ -127,7 +226,11 @@ class PlansController {
       name: result.name,
       description: result.description,
       price: parseFloat(result.price.toString()),
+      currency: result.currency,
+      prices: prices.map(planPrice => ({ currency: planPrice.currency, amount: parseFloat(planPrice.amount) })),
+      version: result.version,
       duration: result.duration,
+      trialDays: result.trial_days,
       features: features,
       createdAt: result.create_at,
       updatedAt: result.update_at
@@ -141,18 +244,34 @@ class PlansController {
 
   updatePlan = asyncHandler(async (req, res) => {
     const { id } = req.params;
-    const { name, description, price, duration, features = [] } = req.body;
+    const { name, description, price, currency, prices, duration, trialDays = 0, features = [], existingSubscribers = 'keep' } = req.body;
 
     if (!name || !description || !price || !duration) {
       return res.status(400).json({ message: 'Name, description, price, and duration are required' });
     }
 
+    if (!Number.isInteger(Number(trialDays)) || Number(trialDays) < 0) {
+      return res.status(400).json({ message: 'Trial days must be a whole number of 0 or more' });
+    }
+
+    if (!SUBSCRIBER_POLICIES.includes(existingSubscribers)) {
+      return res.status(400).json({ message: `Existing subscribers must be one of: ${SUBSCRIBER_POLICIES.join(', ')}` });
+    }
+
     // Check if plan exists and belongs to user
     const existingPlan = await prisma.plan.findFirst({
       where: {
         plan_id: id,
         owner_id: req.user.userId,
         delete_at: null
+      },
+      include: {
+        plan_prices: true,
+        plan_features: {
+          select: {
+            feature_id: true
+          }
+        }
       }
     });
 
@@ -160,8 +279,19 @@ class PlansController {
       return res.status(404).json({ message: 'Plan not found' });
     }
 
-    // Start a transaction to update plan and its features
+    // Currency and extra prices are kept unless the request sends them
+    const planCurrency = currency || existingPlan.currency;
+    const planPrices = prices !== undefined ? prices : transformPrices(existingPlan);
+
+    const pricingError = validatePricing(planCurrency, planPrices);
+    if (pricingError) {
+      return res.status(400).json({ message: pricingError });
+    }
+
+    // Every edit is a new version; the terms being replaced are kept for the members who bought them
     const result = await prisma.$transaction(async (tx) => {
+      await planVersionService.captureCurrentTerms(id, tx);
+
       // Update the plan
       const plan = await tx.plan.update({
         where: {
@@ -171,11 +301,32 @@ class PlansController {
           name: name.trim(),
           description: description.trim(),
           price: parseFloat(price),
+          currency: planCurrency,
           duration: parseInt(duration),
+          trial_days: parseInt(trialDays),
+          version: { increment: 1 },
           update_at: new Date()
         }
       });
 
+      if (prices !== undefined) {
+        await tx.planPrice.deleteMany({
+          where: {
+            plan_id: id
+          }
+        });
+
+        if (prices.length > 0) {
+          await tx.planPrice.createMany({
+            data: prices.map(planPrice => ({
+              plan_id: id,
+              currency: planPrice.currency,
+              amount: parseFloat(planPrice.amount)
+            }))
+          });
+        }
+      }
+
       // Remove existing plan-feature relationships
       await tx.planFeature.deleteMany({
         where: {
@@ -207,6 +358,17 @@ class PlansController {
         });
       }
 
+      await planVersionService.publishVersion(id, { subscriberPolicy: existingSubscribers }, tx);
+
+      await auditLogService.record({
+        ownerId: req.user.userId,
+        action: 'plan.updated',
+        entityType: 'plan',
+        entityId: id,
+        before: auditValues(existingPlan),
+        after: auditValues(plan, planPrices, features)
+      }, auditLogService.contextFromRequest(req), tx);
+
       return plan;
     });
 
@@ -216,7 +378,11 @@ class PlansController {
       name: result.name,
       description: result.description,
       price: parseFloat(result.price.toString()),
+      currency: result.currency,
+      prices: planPrices.map(planPrice => ({ currency: planPrice.currency, amount: parseFloat(planPrice.amount) })),
+      version: result.version,
       duration: result.duration,
+      trialDays: result.trial_days,
       features: features,
       createdAt: result.create_at,
       updatedAt: result.update_at
@@ -224,7 +390,8 @@ class PlansController {
 
     res.json({
       message: 'Plan updated successfully',
-      plan: transformedPlan
+      plan: transformedPlan,
+      existingSubscribers
     });
   });
 
@@ -237,6 +404,14 @@ class PlansController {
         plan_id: id,
         owner_id: req.user.userId,
         delete_at: null
+      },
+      include: {
+        plan_prices: true,
+        plan_features: {
+          select: {
+            feature_id: true
+          }
+        }
       }
     });
 
@@ -245,13 +420,23 @@ class PlansController {
     }
 
     // Soft delete the plan
-    await prisma.plan.update({
-      where: {
-        plan_id: id
-      },
-      data: {
-        delete_at: new Date()
-      }
+    await prisma.$transaction(async (tx) => {
+      await tx.plan.update({
+        where: {
+          plan_id: id
+        },
+        data: {
+          delete_at: new Date()
+        }
+      });
+
+      await auditLogService.record({
+        ownerId: req.user.userId,
+        action: 'plan.deleted',
+        entityType: 'plan',
+        entityId: id,
+        before: auditValues(existingPlan)
+      }, auditLogService.contextFromRequest(req), tx);
     });
 
     res.json({ message: 'Plan deleted successfully' });
@@ -1,8 +1,10 @@
 const { getPrismaClient } = require('../config/database');
 const { supabase } = require('../config/supabase');
 const { asyncHandler } = require('../utils/errorHandler');
+const SessionService = require('../services/sessionService');
 
 const prisma = getPrismaClient();
+const sessionService = new SessionService();
 
 const storageService = {
   async uploadProfileImage(fileBuffer, userId, originalName, mimetype) {
@@ -232,6 +234,12 @@ class ProfileController {
         data: { update_at: new Date() }
       });
 
+      // Other devices signed in with the old password are logged out; this one stays signed in
+      await sessionService.revokeAllSessions(userId, {
+        exceptSessionId: req.user.sid,
+        reason: 'password_changed'
+      });
+
       res.json({ message: 'Password changed successfully' });
     } catch (supabaseError) {
       console.error('Supabase password change error:', supabaseError);
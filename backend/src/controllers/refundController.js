@@ -0,0 +1,95 @@
+const RefundService = require('../services/refundService');
+const { asyncHandler } = require('../utils/errorHandler');
+
+class RefundController {
+  constructor() {
+    this.refundService = new RefundService();
+  }
+
+  // Refund a member's payment in full or in part
+  createRefund = asyncHandler(async (req, res) => {
+    try {
+      const ownerId = req.user.userId;
+      const { paymentId } = req.params;
+      const { amount, reason, subscriptionAction } = req.body || {};
+
+      if (amount !== undefined && amount !== null && (isNaN(parseFloat(amount)) || parseFloat(amount) <= 0)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Refund amount must be a positive number'
+        });
+      }
+
+      if (reason !== undefined && (typeof reason !== 'string' || reason.length > 255)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Refund reason must be a string of at most 255 characters'
+        });
+      }
+
+      const result = await this.refundService.createOwnerRefund({
+        ownerId,
+        paymentId,
+        amount,
+        reason: reason?.trim(),
+        subscriptionAction
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Refund created successfully',
+        data: result
+      });
+    } catch (error) {
+      console.error('Create refund error:', error);
+
+      const { statusCode, message } = this.mapRefundError(error);
+
+      res.status(statusCode).json({
+        success: false,
+        message,
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  });
+
+  // List the refunds made against a payment
+  getPaymentRefunds = asyncHandler(async (req, res) => {
+    try {
+      const ownerId = req.user.userId;
+      const { paymentId } = req.params;
+
+      const result = await this.refundService.getPaymentRefunds(ownerId, paymentId);
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      console.error('Get payment refunds error:', error);
+
+      const { statusCode, message } = this.mapRefundError(error);
+
+      res.status(statusCode).json({
+        success: false,
+        message,
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  });
+
+  mapRefundError(error) {
+    if (error.message.includes('Payment not found')) {
+      return { statusCode: 404, message: error.message };
+    }
+    if (error.message.includes('Invalid')) {
+      return { statusCode: 400, message: error.message };
+    }
+    if (error.message.includes('Gateway refund failed')) {
+      return { statusCode: 502, message: 'The payment gateway rejected the refund' };
+    }
+    return { statusCode: 500, message: 'Failed to process refund' };
+  }
+}
+
+module.exports = RefundController;
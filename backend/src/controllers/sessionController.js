@@ -0,0 +1,104 @@
+const SessionService = require('../services/sessionService');
+const LoginActivityService = require('../services/loginActivityService');
+const { asyncHandler } = require('../utils/errorHandler');
+
+// Refresh, logout, device list and sign-in activity for whoever is signed in: owners and staff under /api/auth,
+// members under /api/member/auth
+class SessionController {
+  constructor() {
+    this.sessionService = new SessionService();
+    this.loginActivityService = new LoginActivityService();
+  }
+
+  // Swap a refresh token for new tokens; the old refresh token stops working
+  refresh = asyncHandler(async (req, res) => {
+    const { refreshToken } = req.body || {};
+
+    const tokens = await this.sessionService.refreshSession(refreshToken, this.sessionService.deviceFromRequest(req));
+
+    res.json({
+      success: true,
+      message: 'Session refreshed',
+      token: tokens.token,
+      refreshToken: tokens.refreshToken,
+      expiresIn: tokens.expiresIn
+    });
+  });
+
+  // End the session the request was made with
+  logout = asyncHandler(async (req, res) => {
+    const { subjectId } = this.sessionService.subjectFor(req.user);
+
+    // Tokens from before sessions existed have nothing to end server-side
+    if (req.user.sid) {
+      await this.sessionService.revokeSession(subjectId, req.user.sid, 'logout');
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged out'
+    });
+  });
+
+  // End every session, this one included
+  logoutAll = asyncHandler(async (req, res) => {
+    const { subjectId } = this.sessionService.subjectFor(req.user);
+
+    const revokedSessions = await this.sessionService.revokeAllSessions(subjectId);
+
+    res.json({
+      success: true,
+      message: 'Logged out of all devices',
+      data: {
+        revokedSessions
+      }
+    });
+  });
+
+  getSessions = asyncHandler(async (req, res) => {
+    const { subjectId } = this.sessionService.subjectFor(req.user);
+
+    const sessions = await this.sessionService.listSessions(subjectId, req.user.sid);
+
+    res.json({
+      success: true,
+      data: sessions
+    });
+  });
+
+  // Recent sign-ins and failed attempts, newest first
+  getActivity = asyncHandler(async (req, res) => {
+    const activity = await this.loginActivityService.getRecentActivity(req.user, { limit: req.query.limit });
+
+    res.json({
+      success: true,
+      data: activity
+    });
+  });
+
+  // From the link in the email sent when the account was locked
+  unlock = asyncHandler(async (req, res) => {
+    const { token } = req.body || {};
+
+    await this.loginActivityService.unlock(token);
+
+    res.json({
+      success: true,
+      message: 'Your account has been unlocked. You can sign in again.'
+    });
+  });
+
+  // Log out one other device from the session list
+  revokeSession = asyncHandler(async (req, res) => {
+    const { subjectId } = this.sessionService.subjectFor(req.user);
+
+    await this.sessionService.revokeSession(subjectId, req.params.sessionId, 'logout');
+
+    res.json({
+      success: true,
+      message: 'Session revoked'
+    });
+  });
+}
+
+module.exports = SessionController;
@@ -0,0 +1,140 @@
+const StaffService = require('../services/staffService');
+const { asyncHandler } = require('../utils/errorHandler');
+
+const { STAFF_ROLES } = StaffService;
+
+class StaffController {
+  constructor() {
+    this.staffService = new StaffService();
+  }
+
+  getStaff = asyncHandler(async (req, res) => {
+    try {
+      const staff = await this.staffService.listStaff(req.user.userId);
+
+      res.json({
+        success: true,
+        data: staff
+      });
+    } catch (error) {
+      this.sendError(res, error, 'Failed to get staff');
+    }
+  });
+
+  // Roles and what each may do, for the invite form
+  getRoles = asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: Object.entries(STAFF_ROLES).map(([role, permissions]) => ({ role, permissions }))
+    });
+  });
+
+  inviteStaff = asyncHandler(async (req, res) => {
+    const errors = this.staffService.validateStaffData(req.body || {});
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid staff data',
+        errors
+      });
+    }
+
+    try {
+      const staff = await this.staffService.inviteStaff(req.user.userId, req.body);
+
+      res.status(201).json({
+        success: true,
+        message: 'Staff invited',
+        data: staff
+      });
+    } catch (error) {
+      this.sendError(res, error, 'Failed to invite staff');
+    }
+  });
+
+  updateStaff = asyncHandler(async (req, res) => {
+    const errors = this.staffService.validateStaffData(req.body || {}, { isUpdate: true });
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid staff data',
+        errors
+      });
+    }
+
+    // Admins could otherwise lock themselves out
+    if (req.staff && req.staff.staff_id === req.params.staffId) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role or status'
+      });
+    }
+
+    try {
+      const staff = await this.staffService.updateStaff(req.user.userId, req.params.staffId, req.body);
+
+      res.json({
+        success: true,
+        message: 'Staff updated successfully',
+        data: staff
+      });
+    } catch (error) {
+      this.sendError(res, error, 'Failed to update staff');
+    }
+  });
+
+  resendInvite = asyncHandler(async (req, res) => {
+    try {
+      const staff = await this.staffService.resendInvite(req.user.userId, req.params.staffId);
+
+      res.json({
+        success: true,
+        message: 'Invite sent',
+        data: staff
+      });
+    } catch (error) {
+      this.sendError(res, error, 'Failed to resend invite');
+    }
+  });
+
+  removeStaff = asyncHandler(async (req, res) => {
+    if (req.staff && req.staff.staff_id === req.params.staffId) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot remove yourself'
+      });
+    }
+
+    try {
+      await this.staffService.removeStaff(req.user.userId, req.params.staffId);
+
+      res.json({
+        success: true,
+        message: 'Staff removed successfully'
+      });
+    } catch (error) {
+      this.sendError(res, error, 'Failed to remove staff');
+    }
+  });
+
+  sendError(res, error, fallbackMessage) {
+    console.error('Staff error:', error);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ success: false, message: error.message });
+    }
+    if (error.message.includes('Invalid')) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: fallbackMessage,
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
+
+module.exports = StaffController;
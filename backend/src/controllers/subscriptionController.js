@@ -1,9 +1,22 @@
 const { getPrismaClient } = require('../config/database');
+const TrialService = require('../services/trialService');
+const OutboundWebhookService = require('../services/outboundWebhookService');
+const SubscriptionCancellationService = require('../services/subscriptionCancellationService');
+const { CANCELLATION_REASONS } = require('../services/subscriptionCancellationService');
+const AuditLogService = require('../services/auditLogService');
 const { asyncHandler } = require('../utils/errorHandler');
+const { DEFAULT_CURRENCY } = require('../utils/currency');
 
 const prisma = getPrismaClient();
 
 class SubscriptionController {
+  constructor() {
+    this.trialService = new TrialService();
+    this.outboundWebhookService = new OutboundWebhookService();
+    this.cancellationService = new SubscriptionCancellationService();
+    this.auditLogService = new AuditLogService();
+  }
+
   // Get member's active subscriptions
   getMemberSubscriptions = asyncHandler(async (req, res) => {
     try {
@@ -37,6 +50,7 @@ class SubscriptionController {
               }
             }
           },
+          plan_version: true,
           payment: {
             select: {
               amount: true,
@@ -56,6 +70,7 @@ class SubscriptionController {
         const now = new Date();
         const endDate = new Date(subscription.end_date);
         const daysRemaining = Math.max(0, Math.ceil((endDate - now) / (1000 * 60 * 60 * 24)));
+        const terms = subscription.plan_version || subscription.plan;
 
         return {
           id: subscription.subscription_id,
@@ -63,14 +78,27 @@ class SubscriptionController {
           planName: subscription.plan.name,
           planDescription: subscription.plan.description,
           organization: subscription.plan.owner.org_name,
-          price: parseFloat(subscription.plan.price.toString()),
-          duration: subscription.plan.duration,
+          // Version the member bought; the plan itself may have been edited since
+          price: parseFloat(terms.price.toString()),
+          duration: terms.duration,
+          planVersion: subscription.plan_version ? subscription.plan_version.version : null,
+          movesToCurrentTermsAtRenewal: !!subscription.plan_version?.migrate_at_renewal,
           status: subscription.status,
           startDate: subscription.start_date,
           endDate: subscription.end_date,
           daysRemaining,
           isActive: subscription.status === 'active' && daysRemaining > 0,
           isExpired: subscription.status === 'expired' || daysRemaining <= 0,
+          expiredAt: subscription.expired_at,
+          isTrial: subscription.is_trial,
+          trialEnd: subscription.trial_end,
+          autoRenew: subscription.auto_renew,
+          cancelAtPeriodEnd: subscription.cancel_at_period_end,
+          cancelledAt: subscription.cancelled_at,
+          pausedAt: subscription.paused_at,
+          pauseResumeAt: subscription.pause_resume_at,
+          gracePeriodEnd: subscription.grace_period_end,
+          lastRenewalError: subscription.last_renewal_error,
           features: subscription.plan.plan_features
             .filter(pf => pf.feature && !pf.feature.delete_at)
             .map(pf => ({
@@ -78,12 +106,13 @@ class SubscriptionController {
               name: pf.feature.name,
               description: pf.feature.description
             })),
-          payment: {
+          // Trials have no payment until they convert
+          payment: subscription.payment ? {
             amount: parseFloat(subscription.payment.amount.toString()),
             currency: subscription.payment.currency,
             method: subscription.payment.payment_method,
             paidAt: subscription.payment.create_at
-          },
+          } : null,
           createdAt: subscription.create_at,
           updatedAt: subscription.update_at
         };
@@ -140,6 +169,7 @@ class SubscriptionController {
               }
             }
           },
+          plan_version: true,
           payment: {
             select: {
               payment_id: true,
@@ -171,6 +201,7 @@ class SubscriptionController {
       const now = new Date();
       const endDate = new Date(subscription.end_date);
       const daysRemaining = Math.max(0, Math.ceil((endDate - now) / (1000 * 60 * 60 * 24)));
+      const terms = subscription.plan_version || subscription.plan;
 
               const transformedSubscription = {
         id: subscription.subscription_id,
@@ -179,14 +210,28 @@ class SubscriptionController {
         planDescription: subscription.plan.description,
         organization: subscription.plan.owner.org_name,
         organizationContact: subscription.plan.owner.contact_info,
-        price: parseFloat(subscription.plan.price.toString()),
-        duration: subscription.plan.duration,
+        price: parseFloat(terms.price.toString()),
+        duration: terms.duration,
+        planVersion: subscription.plan_version ? subscription.plan_version.version : null,
+        movesToCurrentTermsAtRenewal: !!subscription.plan_version?.migrate_at_renewal,
         status: subscription.status,
         startDate: subscription.start_date,
         endDate: subscription.end_date,
         daysRemaining,
         isActive: subscription.status === 'active' && daysRemaining > 0,
         isExpired: subscription.status === 'expired' || daysRemaining <= 0,
+        expiredAt: subscription.expired_at,
+        isTrial: subscription.is_trial,
+        trialEnd: subscription.trial_end,
+        autoRenew: subscription.auto_renew,
+        cancelAtPeriodEnd: subscription.cancel_at_period_end,
+        cancelledAt: subscription.cancelled_at,
+        pausedAt: subscription.paused_at,
+        pauseResumeAt: subscription.pause_resume_at,
+        renewalAttempts: subscription.renewal_attempts,
+        nextRenewalAttemptAt: subscription.next_renewal_attempt_at,
+        gracePeriodEnd: subscription.grace_period_end,
+        lastRenewalError: subscription.last_renewal_error,
         features: subscription.plan.plan_features
           .filter(pf => pf.feature && !pf.feature.delete_at)
           .map(pf => ({
@@ -194,7 +239,7 @@ class SubscriptionController {
             name: pf.feature.name,
             description: pf.feature.description
           })),
-        payment: {
+        payment: subscription.payment ? {
           id: subscription.payment.payment_id,
           amount: parseFloat(subscription.payment.amount.toString()),
           currency: subscription.payment.currency,
@@ -202,7 +247,7 @@ class SubscriptionController {
           status: subscription.payment.status,
           description: subscription.payment.description,
           paidAt: subscription.payment.create_at
-        },
+        } : null,
         member: {
           name: subscription.member.full_name,
           email: subscription.member.email
@@ -243,48 +288,59 @@ class SubscriptionController {
         }
       });
 
-      const totalSpent = await prisma.payment.aggregate({
+      // Amounts in different currencies cannot be added up, so spending is totalled per currency
+      const spending = await prisma.payment.groupBy({
+        by: ['currency'],
         where: {
           member_id: memberId,
           status: 'successful'
         },
         _sum: {
           amount: true
+        },
+        _count: {
+          payment_id: true
         }
       });
 
-      const activeSubscriptions = await prisma.subscription.count({
-        where: {
-          member_id: memberId,
-          status: 'active',
-          end_date: {
-            gt: new Date()
-          }
-        }
+      const totalSpentByCurrency = Object.fromEntries(spending.map(group => [
+        group.currency,
+        parseFloat(group._sum.amount?.toString() || '0')
+      ]));
+
+      // Headline total in the currency the member pays in most often
+      const mainCurrency = [...spending].sort((a, b) => b._count.payment_id - a._count.payment_id)[0]?.currency
+        || DEFAULT_CURRENCY;
+
+      const member = await prisma.member.findUnique({
+        where: { member_id: memberId },
+        select: { credit_balance: true }
       });
 
-      const expiredSubscriptions = await prisma.subscription.count({
+      // Trials are active subscriptions that have not been paid for yet
+      const trialSubscriptions = await prisma.subscription.count({
         where: {
           member_id: memberId,
-          OR: [
-            { status: 'expired' },
-            {
-              status: 'active',
-              end_date: {
-                lte: new Date()
-              }
-            }
-          ]
+          status: 'active',
+          is_trial: true
         }
       });
 
+      // Status is kept current by the subscription expiry job
+      const countByStatus = (status) => stats.find(s => s.status === status)?._count.status || 0;
+
       const transformedStats = {
         totalSubscriptions: stats.reduce((sum, stat) => sum + stat._count.status, 0),
-        activeSubscriptions,
-        expiredSubscriptions,
-        cancelledSubscriptions: stats.find(s => s.status === 'cancelled')?._count.status || 0,
-        totalSpent: parseFloat(totalSpent._sum.amount?.toString() || '0'),
-        currency: 'THB'
+        activeSubscriptions: countByStatus('active') - trialSubscriptions,
+        trialSubscriptions,
+        expiredSubscriptions: countByStatus('expired'),
+        cancelledSubscriptions: countByStatus('cancelled'),
+        totalSpent: totalSpentByCurrency[mainCurrency] || 0,
+        currency: mainCurrency,
+        totalSpentByCurrency,
+        // Account credit is always held in the default currency
+        creditBalance: parseFloat(member?.credit_balance?.toString() || '0'),
+        creditCurrency: DEFAULT_CURRENCY
       };
 
       res.json({
@@ -302,27 +358,197 @@ class SubscriptionController {
     }
   });
 
-  // Update subscription status
+  // Start a free trial of a plan
+  startTrial = asyncHandler(async (req, res) => {
+    try {
+      const memberId = req.user.userId;
+      const { planId, paymentSource } = req.body;
+
+      if (!planId || typeof planId !== 'string' || planId.trim() === '') {
+        return res.status(400).json({
+          success: false,
+          message: 'Plan ID is required'
+        });
+      }
+
+      if (paymentSource !== undefined && (typeof paymentSource !== 'string' || !paymentSource.startsWith('tokn_'))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid payment token format'
+        });
+      }
+
+      const trial = await this.trialService.startTrial({
+        memberId,
+        planId: planId.trim(),
+        paymentSource
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Free trial started successfully',
+        data: trial
+      });
+
+    } catch (error) {
+      console.error('SubscriptionController start trial error:', error);
+
+      let statusCode = 500;
+      let message = 'Failed to start free trial';
+
+      if (error.message.includes('Plan not found')) {
+        statusCode = 404;
+        message = 'The selected plan is no longer available';
+      } else if (error.message.includes('Member not found')) {
+        statusCode = 401;
+        message = 'Authentication required';
+      } else if (error.message.includes('already have an active subscription')) {
+        statusCode = 409;
+        message = error.message;
+      } else if (error.message.includes('Invalid')) {
+        statusCode = 400;
+        message = error.message;
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        message,
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  });
+
+  // Cancel at the end of the paid period, or at once with atPeriodEnd false, with an optional exit survey
+  cancelSubscription = asyncHandler(async (req, res) => {
+    const errors = this.cancellationService.validateCancellation(req.body || {});
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cancellation details',
+        errors
+      });
+    }
+
+    try {
+      const { atPeriodEnd = true, reason, comment, rating } = req.body || {};
+
+      console.log('Cancelling subscription:', req.params.subscriptionId, { atPeriodEnd, reason });
+
+      const cancellation = await this.cancellationService.cancelSubscription(req.user.userId, req.params.subscriptionId, {
+        atPeriodEnd,
+        reason,
+        comment,
+        rating,
+        auditContext: this.auditLogService.contextFromRequest(req)
+      });
+
+      res.json({
+        success: true,
+        message: cancellation.cancelAtPeriodEnd
+          ? 'Subscription will be cancelled at the end of the current period'
+          : 'Subscription cancelled',
+        data: cancellation
+      });
+
+    } catch (error) {
+      this.sendCancellationError(res, error, 'Failed to cancel subscription');
+    }
+  });
+
+  // Withdraw a cancellation before the subscription ends; auto-renewal stays off until turned back on
+  undoCancellation = asyncHandler(async (req, res) => {
+    try {
+      const subscription = await this.cancellationService.undoCancellation(req.user.userId, req.params.subscriptionId, {
+        auditContext: this.auditLogService.contextFromRequest(req)
+      });
+
+      res.json({
+        success: true,
+        message: 'Cancellation undone',
+        data: subscription
+      });
+
+    } catch (error) {
+      this.sendCancellationError(res, error, 'Failed to undo cancellation');
+    }
+  });
+
+  // Answers for the exit survey
+  getCancellationReasons = asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: Object.entries(CANCELLATION_REASONS).map(([reason, label]) => ({ reason, label }))
+    });
+  });
+
+  // Older status endpoint: 'cancelled' cancels at once and 'active' undoes a cancellation.
+  // Expiry is left to the expiry job.
   updateSubscriptionStatus = asyncHandler(async (req, res) => {
+    const { status } = req.body;
+
+    if (!['active', 'cancelled'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid status. Must be active or cancelled'
+      });
+    }
+
+    try {
+      console.log('Updating subscription status:', req.params.subscriptionId, status);
+
+      const auditContext = this.auditLogService.contextFromRequest(req);
+      const subscription = status === 'cancelled'
+        ? await this.cancellationService.cancelSubscription(req.user.userId, req.params.subscriptionId, { atPeriodEnd: false, auditContext })
+        : await this.cancellationService.undoCancellation(req.user.userId, req.params.subscriptionId, { auditContext });
+
+      res.json({
+        success: true,
+        message: 'Subscription status updated successfully',
+        data: {
+          id: subscription.id,
+          status: subscription.status,
+          updatedAt: subscription.updatedAt
+        }
+      });
+
+    } catch (error) {
+      this.sendCancellationError(res, error, 'Failed to update subscription status');
+    }
+  });
+
+  // Turn auto-renewal on or off
+  updateAutoRenew = asyncHandler(async (req, res) => {
     try {
       const { subscriptionId } = req.params;
-      const { status } = req.body;
+      const { autoRenew } = req.body;
       const memberId = req.user.userId;
 
-      if (!['active', 'cancelled', 'expired'].includes(status)) {
+      if (typeof autoRenew !== 'boolean') {
         return res.status(400).json({
           success: false,
-          message: 'Invalid status. Must be active, cancelled, or expired'
+          message: 'autoRenew must be true or false'
         });
       }
 
-      console.log('Updating subscription status:', subscriptionId, status);
+      console.log('Updating auto-renewal:', subscriptionId, autoRenew);
 
-      // Verify subscription belongs to member
       const subscription = await prisma.subscription.findFirst({
         where: {
           subscription_id: subscriptionId,
           member_id: memberId
+        },
+        include: {
+          member: {
+            select: {
+              omise_customer_id: true
+            }
+          },
+          plan: {
+            select: {
+              delete_at: true
+            }
+          }
         }
       });
 
@@ -333,34 +559,85 @@ class SubscriptionController {
         });
       }
 
-      // Update subscription
+      if (autoRenew) {
+        if (subscription.status !== 'active') {
+          return res.status(400).json({
+            success: false,
+            message: 'Only active subscriptions can be renewed automatically'
+          });
+        }
+
+        if (subscription.plan.delete_at) {
+          return res.status(400).json({
+            success: false,
+            message: 'This plan is no longer available for renewal'
+          });
+        }
+
+        if (subscription.cancel_at_period_end) {
+          return res.status(400).json({
+            success: false,
+            message: 'Undo the cancellation before turning on auto-renewal'
+          });
+        }
+
+        if (!subscription.member.omise_customer_id) {
+          return res.status(400).json({
+            success: false,
+            message: 'Please save a card before turning on auto-renewal'
+          });
+        }
+      }
+
       const updatedSubscription = await prisma.subscription.update({
         where: { subscription_id: subscriptionId },
         data: {
-          status,
+          auto_renew: autoRenew,
+          // Starting over clears any earlier retry schedule
+          renewal_attempts: 0,
+          next_renewal_attempt_at: null,
+          last_renewal_error: null,
           update_at: new Date()
         }
       });
 
       res.json({
         success: true,
-        message: 'Subscription status updated successfully',
+        message: autoRenew ? 'Auto-renewal turned on' : 'Auto-renewal turned off',
         data: {
           id: updatedSubscription.subscription_id,
-          status: updatedSubscription.status,
+          autoRenew: updatedSubscription.auto_renew,
+          endDate: updatedSubscription.end_date,
           updatedAt: updatedSubscription.update_at
         }
       });
 
     } catch (error) {
-      console.error('SubscriptionController update subscription status error:', error);
-      
+      console.error('SubscriptionController update auto-renew error:', error);
+
       res.status(500).json({
         success: false,
-        message: error.message || 'Failed to update subscription status'
+        message: error.message || 'Failed to update auto-renewal'
       });
     }
   });
+
+  sendCancellationError(res, error, fallbackMessage) {
+    console.error('SubscriptionController cancellation error:', error);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ success: false, message: error.message });
+    }
+    if (error.message.includes('Invalid')) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: fallbackMessage,
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
 }
 
 module.exports = SubscriptionController;
\ No newline at end of file
@@ -0,0 +1,54 @@
+const SubscriptionGrantService = require('../services/subscriptionGrantService');
+const { asyncHandler } = require('../utils/errorHandler');
+
+class SubscriptionGrantController {
+  constructor() {
+    this.subscriptionGrantService = new SubscriptionGrantService();
+  }
+
+  // Give a member a subscription paid outside the platform, or for free
+  grantSubscription = asyncHandler(async (req, res) => {
+    const errors = this.subscriptionGrantService.validateGrant(req.body || {});
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid subscription grant',
+        errors
+      });
+    }
+
+    try {
+      const subscription = await this.subscriptionGrantService.grantSubscription(req.user.userId, req.body, {
+        sendInvite: req.body.sendInvite !== false
+      });
+
+      res.status(201).json({
+        success: true,
+        message: subscription.payment.complimentary ? 'Complimentary subscription granted' : 'Subscription granted',
+        data: subscription
+      });
+    } catch (error) {
+      this.sendError(res, error, 'Failed to grant subscription');
+    }
+  });
+
+  sendError(res, error, fallbackMessage) {
+    console.error('Subscription grant error:', error);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ success: false, message: error.message });
+    }
+    if (error.message.includes('Invalid')) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: fallbackMessage,
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
+
+module.exports = SubscriptionGrantController;
@@ -0,0 +1,110 @@
+const SubscriptionPauseService = require('../services/subscriptionPauseService');
+const AuditLogService = require('../services/auditLogService');
+const { asyncHandler } = require('../utils/errorHandler');
+
+class SubscriptionPauseController {
+  constructor() {
+    this.subscriptionPauseService = new SubscriptionPauseService();
+    this.auditLogService = new AuditLogService();
+  }
+
+  // Freeze one of the member's subscriptions for the given number of days
+  pauseSubscription = asyncHandler(async (req, res) => {
+    const { days } = req.body || {};
+
+    if (!Number.isInteger(days)) {
+      return res.status(400).json({
+        success: false,
+        message: 'days must be a whole number'
+      });
+    }
+
+    try {
+      const subscription = await this.subscriptionPauseService.pauseSubscription(req.user.userId, req.params.subscriptionId, {
+        days,
+        auditContext: this.auditLogService.contextFromRequest(req)
+      });
+
+      res.json({
+        success: true,
+        message: 'Subscription paused',
+        data: subscription
+      });
+    } catch (error) {
+      this.sendError(res, error, 'Failed to pause subscription');
+    }
+  });
+
+  // Resume before the scheduled date
+  resumeSubscription = asyncHandler(async (req, res) => {
+    try {
+      const subscription = await this.subscriptionPauseService.resumeSubscription(req.user.userId, req.params.subscriptionId, {
+        auditContext: this.auditLogService.contextFromRequest(req)
+      });
+
+      res.json({
+        success: true,
+        message: 'Subscription resumed',
+        data: subscription
+      });
+    } catch (error) {
+      this.sendError(res, error, 'Failed to resume subscription');
+    }
+  });
+
+  getPauseSettings = asyncHandler(async (req, res) => {
+    try {
+      const settings = await this.subscriptionPauseService.getPauseSettings(req.user.userId);
+
+      res.json({
+        success: true,
+        data: settings
+      });
+    } catch (error) {
+      this.sendError(res, error, 'Failed to get pause settings');
+    }
+  });
+
+  updatePauseSettings = asyncHandler(async (req, res) => {
+    const errors = this.subscriptionPauseService.validatePauseSettings(req.body || {});
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid pause settings',
+        errors
+      });
+    }
+
+    try {
+      const settings = await this.subscriptionPauseService.updatePauseSettings(req.user.userId, req.body);
+
+      res.json({
+        success: true,
+        message: 'Pause settings updated successfully',
+        data: settings
+      });
+    } catch (error) {
+      this.sendError(res, error, 'Failed to update pause settings');
+    }
+  });
+
+  sendError(res, error, fallbackMessage) {
+    console.error('Subscription pause error:', error);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ success: false, message: error.message });
+    }
+    if (error.message.includes('Invalid')) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: fallbackMessage,
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
+
+module.exports = SubscriptionPauseController;
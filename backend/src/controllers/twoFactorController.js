@@ -0,0 +1,102 @@
+const TwoFactorService = require('../services/twoFactorService');
+const { asyncHandler } = require('../utils/errorHandler');
+
+// Authenticator app settings of the owner or staff member signed in, and the organization's staff requirement
+class TwoFactorController {
+  constructor() {
+    this.twoFactorService = new TwoFactorService();
+  }
+
+  getStatus = asyncHandler(async (req, res) => {
+    const status = await this.twoFactorService.getStatus(req.user);
+
+    res.json({
+      success: true,
+      data: status
+    });
+  });
+
+  // Secret and QR code to scan; sign-in is unchanged until enable confirms a code
+  setup = asyncHandler(async (req, res) => {
+    const setup = await this.twoFactorService.beginSetup(req.user);
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code from it',
+      data: setup
+    });
+  });
+
+  enable = asyncHandler(async (req, res) => {
+    const { code } = req.body || {};
+    const { subjectId } = this.twoFactorService.sessionService.subjectFor(req.user);
+
+    const { recoveryCodes } = await this.twoFactorService.enable(subjectId, code);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe; they will not be shown again.',
+      data: {
+        recoveryCodes
+      }
+    });
+  });
+
+  // Needs a current code or a recovery code, so a stolen session alone cannot turn it off
+  disable = asyncHandler(async (req, res) => {
+    const { code, recoveryCode } = req.body || {};
+
+    await this.twoFactorService.disable(req.user, { code, recoveryCode });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  });
+
+  regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+    const { code } = req.body || {};
+    const { subjectId } = this.twoFactorService.sessionService.subjectFor(req.user);
+
+    const { recoveryCodes } = await this.twoFactorService.regenerateRecoveryCodes(subjectId, code);
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated. The old ones no longer work.',
+      data: {
+        recoveryCodes
+      }
+    });
+  });
+
+  getSecuritySettings = asyncHandler(async (req, res) => {
+    const settings = await this.twoFactorService.getSecuritySettings(req.user.userId);
+
+    res.json({
+      success: true,
+      data: settings
+    });
+  });
+
+  updateSecuritySettings = asyncHandler(async (req, res) => {
+    const errors = this.twoFactorService.validateSecuritySettings(req.body || {});
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid security settings',
+        errors
+      });
+    }
+
+    const settings = await this.twoFactorService.updateSecuritySettings(req.user.userId, req.body);
+
+    res.json({
+      success: true,
+      message: 'Security settings updated successfully',
+      data: settings
+    });
+  });
+}
+
+module.exports = TwoFactorController;
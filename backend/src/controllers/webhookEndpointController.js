@@ -0,0 +1,109 @@
+const OutboundWebhookService = require('../services/outboundWebhookService');
+const { WEBHOOK_EVENT_TYPES } = require('../services/outboundWebhookService');
+const { asyncHandler } = require('../utils/errorHandler');
+
+class WebhookEndpointController {
+  constructor() {
+    this.outboundWebhookService = new OutboundWebhookService();
+  }
+
+  getEndpoints = asyncHandler(async (req, res) => {
+    const endpoints = await this.outboundWebhookService.listEndpoints(req.user.userId);
+
+    res.json({
+      endpoints,
+      availableEvents: WEBHOOK_EVENT_TYPES
+    });
+  });
+
+  createEndpoint = asyncHandler(async (req, res) => {
+    const errors = this.outboundWebhookService.validateEndpointData(req.body || {});
+
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid webhook endpoint data', errors });
+    }
+
+    try {
+      const endpoint = await this.outboundWebhookService.createEndpoint(req.user.userId, req.body);
+
+      res.status(201).json({
+        message: 'Webhook endpoint created successfully. Copy the signing secret now, it will not be shown again.',
+        endpoint
+      });
+    } catch (error) {
+      this.sendError(res, error);
+    }
+  });
+
+  updateEndpoint = asyncHandler(async (req, res) => {
+    const errors = this.outboundWebhookService.validateEndpointData(req.body || {});
+
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid webhook endpoint data', errors });
+    }
+
+    try {
+      const endpoint = await this.outboundWebhookService.updateEndpoint(req.user.userId, req.params.id, req.body);
+
+      res.json({
+        message: 'Webhook endpoint updated successfully',
+        endpoint
+      });
+    } catch (error) {
+      this.sendError(res, error);
+    }
+  });
+
+  deleteEndpoint = asyncHandler(async (req, res) => {
+    try {
+      await this.outboundWebhookService.deleteEndpoint(req.user.userId, req.params.id);
+
+      res.json({ message: 'Webhook endpoint deleted successfully' });
+    } catch (error) {
+      this.sendError(res, error);
+    }
+  });
+
+  getDeliveries = asyncHandler(async (req, res) => {
+    const { status, limit } = req.query;
+
+    if (status && !['pending', 'succeeded', 'failed'].includes(status)) {
+      return res.status(400).json({ message: 'Status must be one of pending, succeeded, failed' });
+    }
+
+    try {
+      const deliveries = await this.outboundWebhookService.getDeliveries(req.user.userId, req.params.id, { status, limit });
+
+      res.json({ deliveries });
+    } catch (error) {
+      this.sendError(res, error);
+    }
+  });
+
+  redeliver = asyncHandler(async (req, res) => {
+    try {
+      const delivery = await this.outboundWebhookService.redeliver(req.user.userId, req.params.id, req.params.deliveryId);
+
+      res.status(202).json({
+        message: 'Webhook redelivery queued',
+        delivery
+      });
+    } catch (error) {
+      this.sendError(res, error);
+    }
+  });
+
+  sendError(res, error) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ message: error.message });
+    }
+    if (error.message.includes('Invalid')) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    console.error('Webhook endpoint error:', error);
+    res.status(500).json({ message: 'Failed to process webhook endpoint request' });
+  }
+}
+
+module.exports = WebhookEndpointController;
@@ -2,17 +2,20 @@ require('dotenv').config();
 const App = require('./app');
 const { disconnectDatabase } = require('./config/database');
 const { logger } = require('./utils/errorHandler');
+const { startScheduler, stopScheduler } = require('./jobs/scheduler');
 
 const app = new App();
 const PORT = process.env.PORT;
 
 app.start(PORT);
+startScheduler();
 
 // Graceful shutdown
 const gracefulShutdown = async (signal) => {
   logger.info(`Received ${signal}. Starting graceful shutdown...`);
   
   try {
+    stopScheduler();
     await disconnectDatabase();
     logger.info('Database connection closed');
     process.exit(0);
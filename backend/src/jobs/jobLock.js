@@ -0,0 +1,69 @@
+const os = require('os');
+const { getPrismaClient } = require('../config/database');
+
+const prisma = getPrismaClient();
+
+// Identifies this process as the holder of a lock
+const INSTANCE_ID = `${os.hostname()}-${process.pid}`;
+
+// Take the named lock for ttlMs, unless another instance holds an unexpired lease
+async function acquireJobLock(name, ttlMs) {
+  const now = new Date();
+  const lockedUntil = new Date(now.getTime() + ttlMs);
+
+  const taken = await prisma.jobLock.updateMany({
+    where: {
+      name,
+      OR: [
+        { locked_until: { lt: now } },
+        { locked_by: INSTANCE_ID }
+      ]
+    },
+    data: {
+      locked_by: INSTANCE_ID,
+      locked_until: lockedUntil,
+      update_at: now
+    }
+  });
+
+  if (taken.count > 0) {
+    return true;
+  }
+
+  try {
+    await prisma.jobLock.create({
+      data: {
+        name,
+        locked_by: INSTANCE_ID,
+        locked_until: lockedUntil
+      }
+    });
+    return true;
+  } catch (error) {
+    // Unique constraint: the lock row exists and is held by another instance
+    if (error.code === 'P2002') {
+      return false;
+    }
+    throw error;
+  }
+}
+
+// Give the lock back early so the next tick on any instance can take it
+async function releaseJobLock(name) {
+  await prisma.jobLock.updateMany({
+    where: {
+      name,
+      locked_by: INSTANCE_ID
+    },
+    data: {
+      locked_until: new Date(),
+      update_at: new Date()
+    }
+  });
+}
+
+module.exports = {
+  INSTANCE_ID,
+  acquireJobLock,
+  releaseJobLock
+};
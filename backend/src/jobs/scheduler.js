@@ -0,0 +1,95 @@
+const { logger } = require('../utils/errorHandler');
+const { acquireJobLock, releaseJobLock } = require('./jobLock');
+const subscriptionRenewalJob = require('./subscriptionRenewalJob');
+const subscriptionExpiryJob = require('./subscriptionExpiryJob');
+const subscriptionPauseJob = require('./subscriptionPauseJob');
+const webhookDeliveryJob = require('./webhookDeliveryJob');
+
+// Background jobs run inside the API process on a fixed interval.
+// Every instance schedules them, but a database lock lets only one run each tick.
+const jobs = [
+  subscriptionRenewalJob,
+  subscriptionExpiryJob,
+  subscriptionPauseJob,
+  webhookDeliveryJob
+];
+
+const timers = new Map();
+const runningJobs = new Set();
+
+// Run a job once, skipping if the previous run has not finished yet
+async function runJob(job) {
+  if (runningJobs.has(job.name)) {
+    logger.warn({ message: 'Job still running, skipping this tick', job: job.name });
+    return;
+  }
+
+  runningJobs.add(job.name);
+  const start = Date.now();
+  let locked = false;
+
+  try {
+    locked = await acquireJobLock(job.name, job.lockTtlMs || job.intervalMs);
+
+    if (!locked) {
+      logger.info({ message: 'Job locked by another instance, skipping', job: job.name });
+      return;
+    }
+
+    const result = await job.run();
+    logger.info({
+      message: 'Job completed',
+      job: job.name,
+      duration: `${Date.now() - start}ms`,
+      result
+    });
+  } catch (error) {
+    logger.error({
+      message: 'Job failed',
+      job: job.name,
+      error: error.message,
+      stack: error.stack
+    });
+  } finally {
+    if (locked) {
+      await releaseJobLock(job.name).catch(error => {
+        logger.warn({ message: 'Failed to release job lock', job: job.name, error: error.message });
+      });
+    }
+    runningJobs.delete(job.name);
+  }
+}
+
+// Start all jobs
+function startScheduler() {
+  if (process.env.DISABLE_SCHEDULER === 'true') {
+    logger.info('Background scheduler disabled');
+    return;
+  }
+
+  jobs.forEach(job => {
+    if (timers.has(job.name)) return;
+
+    const timer = setInterval(() => runJob(job), job.intervalMs);
+    timer.unref();
+    timers.set(job.name, timer);
+
+    logger.info(`Scheduled job ${job.name} every ${job.intervalMs / 1000}s`);
+
+    if (job.runOnStart) {
+      runJob(job);
+    }
+  });
+}
+
+// Stop all jobs
+function stopScheduler() {
+  timers.forEach(timer => clearInterval(timer));
+  timers.clear();
+}
+
+module.exports = {
+  startScheduler,
+  stopScheduler,
+  runJob
+};
@@ -0,0 +1,10 @@
+const SubscriptionExpiryService = require('../services/subscriptionExpiryService');
+
+const subscriptionExpiryService = new SubscriptionExpiryService();
+
+module.exports = {
+  name: 'subscription-expiry',
+  intervalMs: (parseInt(process.env.EXPIRY_JOB_INTERVAL_MINUTES) || 5) * 60 * 1000,
+  runOnStart: true,
+  run: () => subscriptionExpiryService.expireOverdueSubscriptions()
+};
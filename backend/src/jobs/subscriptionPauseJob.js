@@ -0,0 +1,10 @@
+const SubscriptionPauseService = require('../services/subscriptionPauseService');
+
+const subscriptionPauseService = new SubscriptionPauseService();
+
+module.exports = {
+  name: 'subscription-resume',
+  intervalMs: (parseInt(process.env.PAUSE_JOB_INTERVAL_MINUTES) || 15) * 60 * 1000,
+  runOnStart: true,
+  run: () => subscriptionPauseService.resumeDuePauses()
+};
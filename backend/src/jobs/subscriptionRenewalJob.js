@@ -0,0 +1,10 @@
+const SubscriptionRenewalService = require('../services/subscriptionRenewalService');
+
+const subscriptionRenewalService = new SubscriptionRenewalService();
+
+module.exports = {
+  name: 'subscription-renewal',
+  intervalMs: (parseInt(process.env.RENEWAL_JOB_INTERVAL_MINUTES) || 60) * 60 * 1000,
+  runOnStart: true,
+  run: () => subscriptionRenewalService.processDueRenewals()
+};
@@ -0,0 +1,10 @@
+const OutboundWebhookService = require('../services/outboundWebhookService');
+
+const outboundWebhookService = new OutboundWebhookService();
+
+module.exports = {
+  name: 'webhook-delivery',
+  intervalMs: (parseInt(process.env.WEBHOOK_DELIVERY_INTERVAL_SECONDS) || 30) * 1000,
+  runOnStart: true,
+  run: () => outboundWebhookService.processDueDeliveries()
+};
@@ -1,9 +1,14 @@
 const jwt = require('jsonwebtoken');
 const { AuthenticationError } = require('../utils/errorHandler');
+const ApiKeyService = require('../services/apiKeyService');
+const SessionService = require('../services/sessionService');
 
 const JWT_SECRET = process.env.JWT_SECRET || '65YHSNjVcJ9q4V2GGGlxvQ1hmGt2x344Po8CYi+U9aD5mdiMJlGMXLHF7YyC5Q5ZTCKWOeWfMYXkqDBG4SxSFw==';
 
-function authenticateToken(req, res, next) {
+const apiKeyService = new ApiKeyService();
+const sessionService = new SessionService();
+
+async function authenticateToken(req, res, next) {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
   
@@ -11,13 +16,64 @@ function authenticateToken(req, res, next) {
     return res.status(401).json({ message: 'Access token required.' });
   }
   
+  // Owner API keys are accepted in place of a JWT
+  if (apiKeyService.isApiKey(token)) {
+    try {
+      const apiKey = await apiKeyService.authenticateApiKey(token, req.ip);
+
+      if (!apiKey) {
+        return res.status(401).json({ message: 'Invalid or revoked API key.' });
+      }
+
+      req.user = {
+        userId: apiKey.owner_id,
+        email: apiKey.owner.email,
+        apiKeyId: apiKey.api_key_id,
+        scopes: apiKey.scopes
+      };
+      return next();
+    } catch (error) {
+      console.error('API key authentication error:', error);
+      return res.status(500).json({ message: 'Authentication failed.' });
+    }
+  }
+  
+  let user;
   try {
-    const user = jwt.verify(token, JWT_SECRET);
+    user = jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    return res.status(403).json({ message: 'Invalid or expired token.' });
+  }
+
+  return checkSession(user, req, res, next);
+}
+
+// Access tokens stop working as soon as their session is logged out or revoked.
+// Every token we issue carries a session id; one without it cannot be logged out, so it is refused.
+async function checkSession(user, req, res, next) {
+  if (!user.sid) {
+    return res.status(401).json({ message: 'Your session has ended. Please sign in again.' });
+  }
+
+  try {
+    if (!(await sessionService.isSessionActive(user.sid))) {
+      return res.status(401).json({ message: 'Your session has ended. Please sign in again.' });
+    }
+
     req.user = user;
     next();
   } catch (error) {
-    return res.status(403).json({ message: 'Invalid or expired token.' });
+    console.error('Session check error:', error);
+    return res.status(500).json({ message: 'Authentication failed.' });
+  }
+}
+
+// For account settings, which must not be reachable with an API key
+function rejectApiKey(req, res, next) {
+  if (req.user?.apiKeyId) {
+    return res.status(403).json({ message: 'This action requires signing in.' });
   }
+  next();
 }
 
-module.exports = { authenticateToken };
\ No newline at end of file
+module.exports = { authenticateToken, rejectApiKey, checkSession };
\ No newline at end of file
@@ -0,0 +1,78 @@
+const StaffService = require('../services/staffService');
+
+const { IMPLIED_PERMISSIONS, STAFF_ROLES } = StaffService;
+const staffService = new StaffService();
+
+// Who may do what on owner endpoints: owners can do everything, API keys what their scopes allow,
+// and staff what their role allows. See PERMISSIONS and STAFF_ROLES in the staff service.
+
+function grants(permissions, permission) {
+  return permissions.includes(permission) || permissions.includes(IMPLIED_PERMISSIONS[permission]);
+}
+
+// Runs after authenticateToken. req.user.userId stays the owner's id for staff, so controllers scope data the same way.
+function authorize(permission) {
+  return async (req, res, next) => {
+    const user = req.user;
+
+    if (!user) {
+      return res.status(401).json({ message: 'Access token required.' });
+    }
+
+    if (user.apiKeyId) {
+      if (!grants(user.scopes, permission)) {
+        return res.status(403).json({ message: `API key is missing the ${permission} scope.` });
+      }
+      return next();
+    }
+
+    if (user.role === 'member') {
+      return res.status(403).json({ message: 'Owner or staff access required.' });
+    }
+
+    if (user.role !== 'staff') {
+      return next();
+    }
+
+    try {
+      // Looked up on every request so role changes and removals apply without waiting for the token to expire
+      const staff = await staffService.getActiveStaff(user.staffId, user.userId);
+
+      if (!staff) {
+        return res.status(403).json({ message: 'Your staff access has been removed or disabled.' });
+      }
+
+      if (!grants(STAFF_ROLES[staff.role] || [], permission)) {
+        return res.status(403).json({ message: `Your role (${staff.role}) does not allow this action.` });
+      }
+
+      req.staff = staff;
+      next();
+    } catch (error) {
+      console.error('Authorization error:', error);
+      return res.status(500).json({ message: 'Authorization failed.' });
+    }
+  };
+}
+
+// Whether the user has a further permission, for responses that show more to some users.
+// Runs after authorize, which loads req.staff for staff.
+function can(req, permission) {
+  const { user } = req;
+
+  if (user.apiKeyId) {
+    return grants(user.scopes, permission);
+  }
+
+  if (user.role === 'staff') {
+    return !!req.staff && grants(STAFF_ROLES[req.staff.role] || [], permission);
+  }
+
+  return user.role !== 'member';
+}
+
+module.exports = {
+  authorize,
+  grants,
+  can
+};
@@ -36,8 +36,22 @@ const uploadRateLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+// Owner applications check entitlements on their own users' requests, so allow more traffic
+const entitlementRateLimiter = rateLimit({
+  windowMs: 1 * 60 * 1000, // 1 minute
+  max: 600, // 600 checks
+  message: {
+    success: false,
+    message: 'Too many entitlement checks',
+    statusCode: 429
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 module.exports = {
   authRateLimiter,
   apiRateLimiter,
-  uploadRateLimiter
+  uploadRateLimiter,
+  entitlementRateLimiter
 };
\ No newline at end of file
@@ -1,8 +1,10 @@
 const jwt = require('jsonwebtoken');
 const { supabase } = require('../config/supabase');
 const { AuthenticationError } = require('../utils/errorHandler');
+const SessionService = require('../services/sessionService');
 
 const JWT_SECRET = process.env.JWT_SECRET
+const sessionService = new SessionService();
 
 async function authenticateTokenOrSupabase(req, res, next) {
   const authHeader = req.headers['authorization'];
@@ -16,6 +18,11 @@ async function authenticateTokenOrSupabase(req, res, next) {
     // First try JWT token (normal authentication)
     try {
       const user = jwt.verify(token, JWT_SECRET);
+
+      if (!user.sid || !(await sessionService.isSessionActive(user.sid))) {
+        return res.status(401).json({ message: 'Your session has ended. Please sign in again.' });
+      }
+
       req.user = user;
       console.log('JWT authentication successful for user:', user.userId);
       return next();
@@ -29,6 +36,11 @@ async function authenticateTokenOrSupabase(req, res, next) {
         console.log('Supabase token verification failed:', error?.message);
         return res.status(403).json({ message: 'Invalid or expired token.' });
       }
+
+      // Supabase sessions are not ours to end, so refuse their tokens once the user logged out everywhere
+      if (await sessionService.isTokenRevoked(user.id, jwt.decode(token)?.iat)) {
+        return res.status(401).json({ message: 'Your session has ended. Please sign in again.' });
+      }
       
       // Set user data for Supabase token
       req.user = {
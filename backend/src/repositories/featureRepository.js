@@ -37,8 +37,8 @@ class FeatureRepository {
     return Feature.fromPrisma(feature);
   }
 
-  async update(id, updateData) {
-    const feature = await this.prisma.feature.update({
+  async update(id, updateData, tx = this.prisma) {
+    const feature = await tx.feature.update({
       where: { feature_id: id },
       data: {
         ...updateData,
@@ -48,8 +48,8 @@ class FeatureRepository {
     return Feature.fromPrisma(feature);
   }
 
-  async softDelete(id) {
-    await this.prisma.feature.update({
+  async softDelete(id, tx = this.prisma) {
+    await tx.feature.update({
       where: { feature_id: id },
       data: {
         delete_at: new Date()
@@ -1,6 +1,9 @@
 const express = require('express');
 const AuthController = require('../controllers/authController');
-const { authRateLimiter } = require('../middleware/rateLimiter');
+const SessionController = require('../controllers/sessionController');
+const TwoFactorController = require('../controllers/twoFactorController');
+const { authenticateToken, rejectApiKey } = require('../middleware/auth');
+const { authRateLimiter, apiRateLimiter } = require('../middleware/rateLimiter');
 const { 
     validateRegistration,
     validateLogin,
@@ -11,13 +14,35 @@ const {
 
 const router = express.Router();
 const authController = new AuthController();
+const sessionController = new SessionController();
+const twoFactorController = new TwoFactorController();
 
 router.post('/register', authRateLimiter, validateRegistration, authController.register);
 router.post('/login', authRateLimiter, validateLogin, authController.login);
+router.post('/login/2fa', authRateLimiter, authController.verifyTwoFactor);
+router.post('/login/2fa/setup', authRateLimiter, authController.setupTwoFactor);
 router.post('/resend-verification', authRateLimiter, authController.resendVerification);
 router.post('/callback', authController.handleAuthCallback);
 router.post('/forgot-password', authRateLimiter, validateForgotPassword, authController.forgotPassword);
 router.post('/reset-password', authRateLimiter, validateResetPassword, authController.resetPassword);
 router.post('/verify-reset-token', authRateLimiter, validateResetToken, authController.verifyResetToken);
 
+// Sessions of the owner or staff member signed in
+router.post('/refresh', apiRateLimiter, sessionController.refresh);
+router.post('/logout', apiRateLimiter, authenticateToken, rejectApiKey, sessionController.logout);
+router.post('/logout-all', apiRateLimiter, authenticateToken, rejectApiKey, sessionController.logoutAll);
+router.get('/sessions', apiRateLimiter, authenticateToken, rejectApiKey, sessionController.getSessions);
+router.delete('/sessions/:sessionId', apiRateLimiter, authenticateToken, rejectApiKey, sessionController.revokeSession);
+
+// Sign-in history and unlocking after too many failed attempts
+router.get('/activity', apiRateLimiter, authenticateToken, rejectApiKey, sessionController.getActivity);
+router.post('/unlock', authRateLimiter, sessionController.unlock);
+
+// Authenticator app of the owner or staff member signed in
+router.get('/2fa', apiRateLimiter, authenticateToken, rejectApiKey, twoFactorController.getStatus);
+router.post('/2fa/setup', apiRateLimiter, authenticateToken, rejectApiKey, twoFactorController.setup);
+router.post('/2fa/enable', apiRateLimiter, authenticateToken, rejectApiKey, twoFactorController.enable);
+router.post('/2fa/disable', apiRateLimiter, authenticateToken, rejectApiKey, twoFactorController.disable);
+router.post('/2fa/recovery-codes', apiRateLimiter, authenticateToken, rejectApiKey, twoFactorController.regenerateRecoveryCodes);
+
 module.exports = router;
\ No newline at end of file
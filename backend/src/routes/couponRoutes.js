@@ -0,0 +1,19 @@
+const express = require('express');
+const CouponController = require('../controllers/couponController');
+const { authenticateToken } = require('../middleware/auth');
+const { authorize } = require('../middleware/policy');
+const { apiRateLimiter } = require('../middleware/rateLimiter');
+
+const router = express.Router();
+const couponController = new CouponController();
+
+// All coupon routes require authentication
+router.use(authenticateToken, authorize('coupons:manage'));
+
+router.get('/', apiRateLimiter, couponController.getCoupons);
+router.get('/:id', apiRateLimiter, couponController.getCouponById);
+router.post('/', apiRateLimiter, couponController.createCoupon);
+router.put('/:id', apiRateLimiter, couponController.updateCoupon);
+router.delete('/:id', apiRateLimiter, couponController.deleteCoupon);
+
+module.exports = router;
\ No newline at end of file
@@ -1,19 +1,63 @@
 const express = require('express');
+const multer = require('multer');
 const DashboardController = require('../controllers/dashboardController');
+const RefundController = require('../controllers/refundController');
+const PaymentGatewayController = require('../controllers/paymentGatewayController');
+const InvoiceController = require('../controllers/invoiceController');
+const SubscriptionGrantController = require('../controllers/subscriptionGrantController');
+const MemberImportController = require('../controllers/memberImportController');
+const AuditLogController = require('../controllers/auditLogController');
 const { authenticateToken } = require('../middleware/auth');
-const { apiRateLimiter } = require('../middleware/rateLimiter');
+const { authorize } = require('../middleware/policy');
+const { apiRateLimiter, uploadRateLimiter } = require('../middleware/rateLimiter');
 
 const router = express.Router();
 const dashboardController = new DashboardController();
+const refundController = new RefundController();
+const paymentGatewayController = new PaymentGatewayController();
+const invoiceController = new InvoiceController();
+const subscriptionGrantController = new SubscriptionGrantController();
+const memberImportController = new MemberImportController();
+const auditLogController = new AuditLogController();
+
+// Member import files are read in memory
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 2 * 1024 * 1024, // 2MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (['text/csv', 'application/vnd.ms-excel'].includes(file.mimetype) || file.originalname.toLowerCase().endsWith('.csv')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV files are allowed'), false);
+    }
+  }
+});
 
 // All dashboard routes require authentication
 router.use(authenticateToken);
 
-router.get('/stats', apiRateLimiter, dashboardController.getDashboardStats);
-router.get('/revenue', apiRateLimiter, dashboardController.getRevenueData);
-router.get('/members', apiRateLimiter, dashboardController.getMembers);
-router.get('/members-by-plan', apiRateLimiter, dashboardController.getMembersByPlan);
-router.get('/plans/:planId/members', apiRateLimiter, dashboardController.getPlanMembers);
-router.delete('/members/:memberId', apiRateLimiter, dashboardController.deleteMember);
+router.get('/stats', apiRateLimiter, authorize('dashboard:read'), dashboardController.getDashboardStats);
+router.get('/revenue', apiRateLimiter, authorize('dashboard:read'), dashboardController.getRevenueData);
+router.get('/cancellations', apiRateLimiter, authorize('dashboard:read'), dashboardController.getCancellationSummary);
+router.get('/members', apiRateLimiter, authorize('members:read'), dashboardController.getMembers);
+router.get('/members-by-plan', apiRateLimiter, authorize('members:read'), dashboardController.getMembersByPlan);
+router.get('/plans/:planId/members', apiRateLimiter, authorize('members:read'), dashboardController.getPlanMembers);
+router.post('/subscriptions', apiRateLimiter, authorize('members:manage'), subscriptionGrantController.grantSubscription);
+router.post('/members/import', uploadRateLimiter, authorize('members:manage'), csvUpload.single('file'), memberImportController.importMembers);
+router.get('/members/imports', apiRateLimiter, authorize('members:read'), memberImportController.getImports);
+router.get('/members/imports/:importId', apiRateLimiter, authorize('members:read'), memberImportController.getImport);
+router.get('/members/imports/:importId/results', apiRateLimiter, authorize('members:read'), memberImportController.downloadImportResults);
+router.get('/invitations', apiRateLimiter, authorize('members:read'), memberImportController.getInvitations);
+router.post('/invitations/:invitationId/resend', apiRateLimiter, authorize('members:manage'), memberImportController.resendInvitation);
+router.delete('/members/:memberId', apiRateLimiter, authorize('members:manage'), dashboardController.deleteMember);
+router.get('/payments/:paymentId/refunds', apiRateLimiter, authorize('refunds:manage'), refundController.getPaymentRefunds);
+router.post('/payments/:paymentId/refunds', apiRateLimiter, authorize('refunds:manage'), refundController.createRefund);
+router.post('/payments/:paymentId/confirm', apiRateLimiter, authorize('payments:manage'), paymentGatewayController.confirmManualPayment);
+router.post('/payments/:paymentId/reject', apiRateLimiter, authorize('payments:manage'), paymentGatewayController.rejectManualPayment);
+router.get('/invoices', apiRateLimiter, authorize('dashboard:read'), invoiceController.getOwnerInvoices);
+router.get('/invoices/:invoiceId/pdf', apiRateLimiter, authorize('dashboard:read'), invoiceController.getOwnerInvoicePdf);
+router.get('/audit-log', apiRateLimiter, authorize('audit:read'), auditLogController.getAuditLogs);
 
 module.exports = router;
\ No newline at end of file
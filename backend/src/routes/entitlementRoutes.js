@@ -0,0 +1,17 @@
+const express = require('express');
+const EntitlementController = require('../controllers/entitlementController');
+const { authenticateToken } = require('../middleware/auth');
+const { authorize } = require('../middleware/policy');
+const { entitlementRateLimiter } = require('../middleware/rateLimiter');
+
+const router = express.Router();
+const entitlementController = new EntitlementController();
+
+// Called by owner applications, usually with an API key
+router.use(authenticateToken, authorize('entitlements:read'));
+
+router.get('/members/:memberId', entitlementRateLimiter, entitlementController.getMemberEntitlements);
+router.get('/members/:memberId/features/:featureId', entitlementRateLimiter, entitlementController.checkEntitlement);
+router.post('/bulk', entitlementRateLimiter, entitlementController.getBulkEntitlements);
+
+module.exports = router;
\ No newline at end of file
@@ -1,6 +1,7 @@
 const express = require('express');
 const FeaturesController = require('../controllers/featuresController');
 const { authenticateToken } = require('../middleware/auth');
+const { authorize } = require('../middleware/policy');
 const { apiRateLimiter } = require('../middleware/rateLimiter');
 const { validateFeature } = require('../middleware/validation');
 
@@ -9,10 +10,10 @@ const featuresController = new FeaturesController();
 
 router.use(authenticateToken); // All feature routes require authentication
 
-router.get('/', apiRateLimiter, featuresController.getFeatures);
-router.get('/:id', apiRateLimiter, featuresController.getFeatureById);
-router.post('/', apiRateLimiter, validateFeature, featuresController.createFeature);
-router.put('/:id', apiRateLimiter, validateFeature, featuresController.updateFeature);
-router.delete('/:id', apiRateLimiter, featuresController.deleteFeature);
+router.get('/', apiRateLimiter, authorize('features:read'), featuresController.getFeatures);
+router.get('/:id', apiRateLimiter, authorize('features:read'), featuresController.getFeatureById);
+router.post('/', apiRateLimiter, authorize('features:manage'), validateFeature, featuresController.createFeature);
+router.put('/:id', apiRateLimiter, authorize('features:manage'), validateFeature, featuresController.updateFeature);
+router.delete('/:id', apiRateLimiter, authorize('features:manage'), featuresController.deleteFeature);
 
 module.exports = router;
\ No newline at end of file
@@ -1,10 +1,12 @@
 const express = require('express');
 const MemberAuthController = require('../controllers/memberAuthController');
-const { authRateLimiter } = require('../middleware/rateLimiter');
+const SessionController = require('../controllers/sessionController');
+const { authRateLimiter, apiRateLimiter } = require('../middleware/rateLimiter');
 const { requireMember } = require('../middleware/roleAuth');
 
 const router = express.Router();
 const memberAuthController = new MemberAuthController();
+const sessionController = new SessionController();
 
 // Create member-specific validation middleware
 const { body, validationResult } = require('express-validator');
@@ -85,4 +87,15 @@ router.post('/forgot-password', authRateLimiter, validateForgotPassword, memberA
 router.post('/reset-password', authRateLimiter, validateResetPassword, memberAuthController.resetPassword);
 router.post('/verify-reset-token', authRateLimiter, validateVerifyResetToken, memberAuthController.verifyResetToken);
 
+// Member sessions
+router.post('/refresh', apiRateLimiter, sessionController.refresh);
+router.post('/logout', apiRateLimiter, requireMember, sessionController.logout);
+router.post('/logout-all', apiRateLimiter, requireMember, sessionController.logoutAll);
+router.get('/sessions', apiRateLimiter, requireMember, sessionController.getSessions);
+router.delete('/sessions/:sessionId', apiRateLimiter, requireMember, sessionController.revokeSession);
+
+// Sign-in history and unlocking after too many failed attempts
+router.get('/activity', apiRateLimiter, requireMember, sessionController.getActivity);
+router.post('/unlock', authRateLimiter, sessionController.unlock);
+
 module.exports = router;
\ No newline at end of file
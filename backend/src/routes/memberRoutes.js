@@ -2,6 +2,7 @@ const express = require('express');
 const MemberController = require('../controllers/memberController');
 const { apiRateLimiter } = require('../middleware/rateLimiter');
 const { authenticateToken } = require('../middleware/auth');
+const { authorize } = require('../middleware/policy');
 
 const router = express.Router();
 const memberController = new MemberController();
@@ -15,8 +16,8 @@ router.get('/owners/:ownerId/plans', apiRateLimiter, memberController.getOwnerPl
 router.get('/plans/:planId', apiRateLimiter, memberController.getPlanDetails);
 
 // Protected routes (authentication required)
-router.get('/members', authenticateToken, apiRateLimiter, memberController.getMembers);
-router.get('/plan-stats', authenticateToken, apiRateLimiter, memberController.getPlanStats);
-router.delete('/members/:memberId', authenticateToken, apiRateLimiter, memberController.deleteMember);
+router.get('/members', authenticateToken, authorize('members:read'), apiRateLimiter, memberController.getMembers);
+router.get('/plan-stats', authenticateToken, authorize('members:read'), apiRateLimiter, memberController.getPlanStats);
+router.delete('/members/:memberId', authenticateToken, authorize('members:manage'), apiRateLimiter, memberController.deleteMember);
 
 module.exports = router;
\ No newline at end of file
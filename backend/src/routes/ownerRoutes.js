@@ -1,37 +1,47 @@
 const express = require('express');
-const { requireOwner } = require('../middleware/roleAuth');
+const { authenticateToken } = require('../middleware/auth');
+const { authorize } = require('../middleware/policy');
 
 // Import existing controllers
 const DashboardController = require('../controllers/dashboardController');
 const FeaturesController = require('../controllers/featuresController');
 const PlansController = require('../controllers/plansController');
+const CouponController = require('../controllers/couponController');
 
 const router = express.Router();
 
-// All owner routes require owner authentication
-router.use(requireOwner);
+// All owner routes require signing in; each route checks its permission
+router.use(authenticateToken);
 
 // Dashboard routes
 const dashboardController = new DashboardController();
-router.get('/dashboard/stats', dashboardController.getDashboardStats);
-router.get('/dashboard/revenue', dashboardController.getRevenueData);
-router.get('/dashboard/members', dashboardController.getMembers);
-router.get('/dashboard/members-by-plan', dashboardController.getMembersByPlan);
+router.get('/dashboard/stats', authorize('dashboard:read'), dashboardController.getDashboardStats);
+router.get('/dashboard/revenue', authorize('dashboard:read'), dashboardController.getRevenueData);
+router.get('/dashboard/members', authorize('members:read'), dashboardController.getMembers);
+router.get('/dashboard/members-by-plan', authorize('members:read'), dashboardController.getMembersByPlan);
 
 // Features routes
 const featuresController = new FeaturesController();
-router.get('/features', featuresController.getFeatures);
-router.get('/features/:id', featuresController.getFeatureById);
-router.post('/features', featuresController.createFeature);
-router.put('/features/:id', featuresController.updateFeature);
-router.delete('/features/:id', featuresController.deleteFeature);
+router.get('/features', authorize('features:read'), featuresController.getFeatures);
+router.get('/features/:id', authorize('features:read'), featuresController.getFeatureById);
+router.post('/features', authorize('features:manage'), featuresController.createFeature);
+router.put('/features/:id', authorize('features:manage'), featuresController.updateFeature);
+router.delete('/features/:id', authorize('features:manage'), featuresController.deleteFeature);
 
 // Plans routes
 const plansController = new PlansController();
-router.get('/plans', plansController.getPlans);
-router.get('/plans/:id', plansController.getPlanById);
-router.post('/plans', plansController.createPlan);
-router.put('/plans/:id', plansController.updatePlan);
-router.delete('/plans/:id', plansController.deletePlan);
+router.get('/plans', authorize('plans:read'), plansController.getPlans);
+router.get('/plans/:id', authorize('plans:read'), plansController.getPlanById);
+router.post('/plans', authorize('plans:manage'), plansController.createPlan);
+router.put('/plans/:id', authorize('plans:manage'), plansController.updatePlan);
+router.delete('/plans/:id', authorize('plans:manage'), plansController.deletePlan);
+
+// Coupons routes
+const couponController = new CouponController();
+router.get('/coupons', authorize('coupons:manage'), couponController.getCoupons);
+router.get('/coupons/:id', authorize('coupons:manage'), couponController.getCouponById);
+router.post('/coupons', authorize('coupons:manage'), couponController.createCoupon);
+router.put('/coupons/:id', authorize('coupons:manage'), couponController.updateCoupon);
+router.delete('/coupons/:id', authorize('coupons:manage'), couponController.deleteCoupon);
 
 module.exports = router;
\ No newline at end of file
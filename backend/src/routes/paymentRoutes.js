@@ -1,10 +1,12 @@
 const express = require('express');
 const PaymentController = require('../controllers/paymentController');
+const InvoiceController = require('../controllers/invoiceController');
 const { requireMember } = require('../middleware/roleAuth');
 const { apiRateLimiter } = require('../middleware/rateLimiter');
 
 const router = express.Router();
 const paymentController = new PaymentController();
+const invoiceController = new InvoiceController();
 
 // Rate limiters for different types of operations
 const paymentRateLimiter = require('express-rate-limit')({
@@ -110,10 +112,21 @@ router.use(requireMember);
 // Payment creation and processing
 router.post('/subscription', paymentRateLimiter, paymentController.createSubscriptionPayment);
 
+// Plan upgrades and downgrades
+router.post('/change-plan/preview', apiRateLimiter, paymentController.previewPlanChange);
+router.post('/change-plan', paymentRateLimiter, paymentController.changePlan);
+
+// Saved card for auto-renewal
+router.put('/saved-card', paymentRateLimiter, paymentController.updateSavedCard);
+
 // Payment status and history
 router.get('/status/:paymentId', statusCheckRateLimiter, paymentController.getPaymentStatus);
 router.get('/history', apiRateLimiter, paymentController.getPaymentHistory);
 
+// Receipts, tax invoices and credit notes
+router.get('/invoices/:invoiceId/pdf', apiRateLimiter, invoiceController.getMemberInvoicePdf);
+router.post('/:paymentId/tax-invoice', apiRateLimiter, invoiceController.requestTaxInvoice);
+
 // Status checking
 router.post('/refresh/:paymentId', statusCheckRateLimiter, paymentController.refreshPaymentFromOmise);
 
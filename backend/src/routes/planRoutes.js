@@ -1,18 +1,19 @@
 const express = require('express');
 const PlansController = require('../controllers/plansController');
 const { authenticateToken } = require('../middleware/auth');
+const { authorize } = require('../middleware/policy');
 const { apiRateLimiter } = require('../middleware/rateLimiter');
 
 const router = express.Router();
 const plansController = new PlansController();
 
-// All plan routes require authentication
+// All plan routes require authentication; staff can look at plans but only admins change them
 router.use(authenticateToken);
 
-router.get('/', apiRateLimiter, plansController.getPlans);
-router.get('/:id', apiRateLimiter, plansController.getPlanById);
-router.post('/', apiRateLimiter, plansController.createPlan);
-router.put('/:id', apiRateLimiter, plansController.updatePlan);
-router.delete('/:id', apiRateLimiter, plansController.deletePlan);
+router.get('/', apiRateLimiter, authorize('plans:read'), plansController.getPlans);
+router.get('/:id', apiRateLimiter, authorize('plans:read'), plansController.getPlanById);
+router.post('/', apiRateLimiter, authorize('plans:manage'), plansController.createPlan);
+router.put('/:id', apiRateLimiter, authorize('plans:manage'), plansController.updatePlan);
+router.delete('/:id', apiRateLimiter, authorize('plans:manage'), plansController.deletePlan);
 
 module.exports = router;
\ No newline at end of file
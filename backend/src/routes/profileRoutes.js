@@ -1,12 +1,23 @@
 const express = require('express');
 const multer = require('multer');
 const ProfileController = require('../controllers/profileController');
-const { authenticateToken } = require('../middleware/auth');
+const ApiKeyController = require('../controllers/apiKeyController');
+const PaymentGatewayController = require('../controllers/paymentGatewayController');
+const InvoiceController = require('../controllers/invoiceController');
+const SubscriptionPauseController = require('../controllers/subscriptionPauseController');
+const TwoFactorController = require('../controllers/twoFactorController');
+const { authenticateToken, rejectApiKey } = require('../middleware/auth');
+const { authorize } = require('../middleware/policy');
 const { authenticateTokenOrSupabase } = require('../middleware/supabaseAuth');
 const { apiRateLimiter, uploadRateLimiter } = require('../middleware/rateLimiter');
 
 const router = express.Router();
 const profileController = new ProfileController();
+const apiKeyController = new ApiKeyController();
+const paymentGatewayController = new PaymentGatewayController();
+const invoiceController = new InvoiceController();
+const subscriptionPauseController = new SubscriptionPauseController();
+const twoFactorController = new TwoFactorController();
 
 console.log('Profile Routes Module Loaded');
 
@@ -36,40 +47,77 @@ router.use((req, res, next) => {
   next();
 });
 
-// All profile routes require authentication
-router.use(authenticateToken);
+// All profile routes require signing in, not an API key.
+// The login and profile are the owner's alone; admin staff can change organization settings.
+router.use(authenticateToken, rejectApiKey);
 
-router.get('/profile', apiRateLimiter, authenticateTokenOrSupabase, (req, res, next) => {
+router.get('/profile', apiRateLimiter, authorize('account:manage'), authenticateTokenOrSupabase, (req, res, next) => {
   console.log('GET /api/auth/profile route handler called');
   profileController.getProfile(req, res, next);
 });
 
-router.put('/profile', apiRateLimiter, (req, res, next) => {
+router.put('/profile', apiRateLimiter, authorize('account:manage'), (req, res, next) => {
   console.log('PUT /api/auth/profile route handler called');
   profileController.updateProfile(req, res, next);
 });
 
-router.put('/change-password', apiRateLimiter, (req, res, next) => {
+router.put('/change-password', apiRateLimiter, authorize('account:manage'), (req, res, next) => {
   console.log('PUT /api/auth/change-password route handler called');
   profileController.changePassword(req, res, next);
 });
 
-router.post('/upload-avatar', uploadRateLimiter, upload.single('logo'), (req, res, next) => {
+router.post('/upload-avatar', uploadRateLimiter, authorize('account:manage'), upload.single('logo'), (req, res, next) => {
   console.log('POST /api/auth/upload-avatar route handler called');
   profileController.uploadAvatar(req, res, next);
 });
 
-router.delete('/avatar', apiRateLimiter, (req, res, next) => {
+router.delete('/avatar', apiRateLimiter, authorize('account:manage'), (req, res, next) => {
   console.log('DELETE /api/auth/avatar route handler called');
   profileController.removeAvatar(req, res, next);
 });
 
+// API keys for server-to-server access
+router.get('/api-keys', apiRateLimiter, authorize('settings:manage'), apiKeyController.getApiKeys);
+router.post('/api-keys', apiRateLimiter, authorize('settings:manage'), apiKeyController.createApiKey);
+router.patch('/api-keys/:id', apiRateLimiter, authorize('settings:manage'), apiKeyController.renameApiKey);
+router.post('/api-keys/:id/rotate', apiRateLimiter, authorize('settings:manage'), apiKeyController.rotateApiKey);
+router.delete('/api-keys/:id', apiRateLimiter, authorize('settings:manage'), apiKeyController.revokeApiKey);
+
+// Gateway used for new payments to this owner's plans
+router.get('/payment-gateway', apiRateLimiter, authorize('settings:manage'), paymentGatewayController.getSettings);
+router.put('/payment-gateway', apiRateLimiter, authorize('settings:manage'), paymentGatewayController.updateSettings);
+
+// VAT registration and numbering for receipts and tax invoices
+router.get('/tax-settings', apiRateLimiter, authorize('settings:manage'), invoiceController.getTaxSettings);
+router.put('/tax-settings', apiRateLimiter, authorize('settings:manage'), invoiceController.updateTaxSettings);
+
+// How long and how often members can pause their subscriptions
+router.get('/pause-settings', apiRateLimiter, authorize('settings:manage'), subscriptionPauseController.getPauseSettings);
+router.put('/pause-settings', apiRateLimiter, authorize('settings:manage'), subscriptionPauseController.updatePauseSettings);
+
+// Whether staff must use an authenticator app to sign in
+router.get('/security-settings', apiRateLimiter, authorize('settings:manage'), twoFactorController.getSecuritySettings);
+router.put('/security-settings', apiRateLimiter, authorize('settings:manage'), twoFactorController.updateSecuritySettings);
+
 console.log('Profile Routes Registered:', {
   'GET /profile': 'getProfile → /api/auth/profile',
   'PUT /profile': 'updateProfile → /api/auth/profile',
   'PUT /change-password': 'changePassword → /api/auth/change-password',
   'POST /upload-avatar': 'uploadAvatar → /api/auth/upload-avatar',
-  'DELETE /avatar': 'removeAvatar → /api/auth/avatar'
+  'DELETE /avatar': 'removeAvatar → /api/auth/avatar',
+  'GET /api-keys': 'getApiKeys → /api/auth/api-keys',
+  'POST /api-keys': 'createApiKey → /api/auth/api-keys',
+  'PATCH /api-keys/:id': 'renameApiKey → /api/auth/api-keys/:id',
+  'POST /api-keys/:id/rotate': 'rotateApiKey → /api/auth/api-keys/:id/rotate',
+  'DELETE /api-keys/:id': 'revokeApiKey → /api/auth/api-keys/:id',
+  'GET /payment-gateway': 'getSettings → /api/auth/payment-gateway',
+  'PUT /payment-gateway': 'updateSettings → /api/auth/payment-gateway',
+  'GET /tax-settings': 'getTaxSettings → /api/auth/tax-settings',
+  'PUT /tax-settings': 'updateTaxSettings → /api/auth/tax-settings',
+  'GET /pause-settings': 'getPauseSettings → /api/auth/pause-settings',
+  'PUT /pause-settings': 'updatePauseSettings → /api/auth/pause-settings',
+  'GET /security-settings': 'getSecuritySettings → /api/auth/security-settings',
+  'PUT /security-settings': 'updateSecuritySettings → /api/auth/security-settings'
 });
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,20 @@
+const express = require('express');
+const StaffController = require('../controllers/staffController');
+const { authenticateToken, rejectApiKey } = require('../middleware/auth');
+const { authorize } = require('../middleware/policy');
+const { apiRateLimiter } = require('../middleware/rateLimiter');
+
+const router = express.Router();
+const staffController = new StaffController();
+
+// Managing staff takes a signed-in owner or admin, never an API key
+router.use(authenticateToken, rejectApiKey, authorize('staff:manage'));
+
+router.get('/', apiRateLimiter, staffController.getStaff);
+router.get('/roles', apiRateLimiter, staffController.getRoles);
+router.post('/', apiRateLimiter, staffController.inviteStaff);
+router.patch('/:staffId', apiRateLimiter, staffController.updateStaff);
+router.post('/:staffId/resend-invite', apiRateLimiter, staffController.resendInvite);
+router.delete('/:staffId', apiRateLimiter, staffController.removeStaff);
+
+module.exports = router;
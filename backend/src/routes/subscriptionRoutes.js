@@ -1,17 +1,26 @@
 const express = require('express');
 const SubscriptionController = require('../controllers/subscriptionController');
+const SubscriptionPauseController = require('../controllers/subscriptionPauseController');
 const { requireMember } = require('../middleware/roleAuth');
 const { apiRateLimiter } = require('../middleware/rateLimiter');
 
 const router = express.Router();
 const subscriptionController = new SubscriptionController();
+const subscriptionPauseController = new SubscriptionPauseController();
 
 // All routes require member authentication
 router.use(requireMember);
 
 router.get('/', apiRateLimiter, subscriptionController.getMemberSubscriptions);
 router.get('/stats', apiRateLimiter, subscriptionController.getSubscriptionStats);
+router.post('/trial', apiRateLimiter, subscriptionController.startTrial);
+router.get('/cancellation-reasons', apiRateLimiter, subscriptionController.getCancellationReasons);
 router.get('/:subscriptionId', apiRateLimiter, subscriptionController.getSubscriptionById);
+router.post('/:subscriptionId/cancel', apiRateLimiter, subscriptionController.cancelSubscription);
+router.post('/:subscriptionId/undo-cancellation', apiRateLimiter, subscriptionController.undoCancellation);
+router.post('/:subscriptionId/pause', apiRateLimiter, subscriptionPauseController.pauseSubscription);
+router.post('/:subscriptionId/resume', apiRateLimiter, subscriptionPauseController.resumeSubscription);
 router.patch('/:subscriptionId/status', apiRateLimiter, subscriptionController.updateSubscriptionStatus);
+router.patch('/:subscriptionId/auto-renew', apiRateLimiter, subscriptionController.updateAutoRenew);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,18 @@
+const express = require('express');
+const WebhookEndpointController = require('../controllers/webhookEndpointController');
+const { authenticateToken } = require('../middleware/auth');
+const { authorize } = require('../middleware/policy');
+
+const router = express.Router();
+const webhookEndpointController = new WebhookEndpointController();
+
+router.use(authenticateToken, authorize('webhooks:manage'));
+
+router.get('/', webhookEndpointController.getEndpoints);
+router.post('/', webhookEndpointController.createEndpoint);
+router.put('/:id', webhookEndpointController.updateEndpoint);
+router.delete('/:id', webhookEndpointController.deleteEndpoint);
+router.get('/:id/deliveries', webhookEndpointController.getDeliveries);
+router.post('/:id/deliveries/:deliveryId/redeliver', webhookEndpointController.redeliver);
+
+module.exports = router;
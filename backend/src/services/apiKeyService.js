@@ -0,0 +1,242 @@
+const crypto = require('crypto');
+const { getPrismaClient } = require('../config/database');
+
+const prisma = getPrismaClient();
+
+const API_KEY_PREFIX = 'sk_';
+
+const API_KEY_SCOPES = [
+  'members:read',
+  'members:manage',
+  'plans:manage',
+  'features:manage',
+  'coupons:manage',
+  'dashboard:read',
+  'refunds:manage',
+  'payments:manage',
+  'entitlements:read',
+  'webhooks:manage'
+];
+
+const MAX_KEYS_PER_OWNER = 20;
+const LAST_USED_UPDATE_INTERVAL_MS = 60 * 1000; // Avoid a write on every request
+
+class ApiKeyService {
+  async listApiKeys(ownerId) {
+    const keys = await prisma.apiKey.findMany({
+      where: {
+        owner_id: ownerId,
+        revoked_at: null
+      },
+      orderBy: {
+        create_at: 'desc'
+      }
+    });
+
+    return keys.map(key => this.transformApiKey(key));
+  }
+
+  // Create a key; the plain key is returned here and never again
+  async createApiKey(ownerId, { name, scopes }) {
+    const activeKeys = await prisma.apiKey.count({
+      where: {
+        owner_id: ownerId,
+        revoked_at: null
+      }
+    });
+
+    if (activeKeys >= MAX_KEYS_PER_OWNER) {
+      throw new Error(`Invalid request: an organization can have at most ${MAX_KEYS_PER_OWNER} active API keys`);
+    }
+
+    const { key, keyPrefix, keyHash } = this.generateKey();
+
+    const apiKey = await prisma.apiKey.create({
+      data: {
+        owner_id: ownerId,
+        name: name.trim(),
+        key_prefix: keyPrefix,
+        key_hash: keyHash,
+        scopes: [...new Set(scopes)]
+      }
+    });
+
+    console.log('API key created:', { apiKeyId: apiKey.api_key_id, ownerId, scopes: apiKey.scopes });
+
+    return {
+      ...this.transformApiKey(apiKey),
+      key
+    };
+  }
+
+  async renameApiKey(ownerId, apiKeyId, name) {
+    await this.findOwnerApiKey(ownerId, apiKeyId);
+
+    const apiKey = await prisma.apiKey.update({
+      where: { api_key_id: apiKeyId },
+      data: {
+        name: name.trim(),
+        update_at: new Date()
+      }
+    });
+
+    return this.transformApiKey(apiKey);
+  }
+
+  // Replace a key with a new secret that keeps its name and scopes; the old key stops working at once
+  async rotateApiKey(ownerId, apiKeyId) {
+    const existing = await this.findOwnerApiKey(ownerId, apiKeyId);
+    const { key, keyPrefix, keyHash } = this.generateKey();
+
+    const apiKey = await prisma.$transaction(async (tx) => {
+      await tx.apiKey.update({
+        where: { api_key_id: apiKeyId },
+        data: {
+          revoked_at: new Date(),
+          update_at: new Date()
+        }
+      });
+
+      return await tx.apiKey.create({
+        data: {
+          owner_id: ownerId,
+          name: existing.name,
+          key_prefix: keyPrefix,
+          key_hash: keyHash,
+          scopes: existing.scopes,
+          rotated_from_id: existing.api_key_id
+        }
+      });
+    });
+
+    console.log('API key rotated:', { previousApiKeyId: apiKeyId, apiKeyId: apiKey.api_key_id, ownerId });
+
+    return {
+      ...this.transformApiKey(apiKey),
+      key
+    };
+  }
+
+  async revokeApiKey(ownerId, apiKeyId) {
+    await this.findOwnerApiKey(ownerId, apiKeyId);
+
+    await prisma.apiKey.update({
+      where: { api_key_id: apiKeyId },
+      data: {
+        revoked_at: new Date(),
+        update_at: new Date()
+      }
+    });
+
+    console.log('API key revoked:', { apiKeyId, ownerId });
+  }
+
+  // Resolve a presented key to its active record, recording the use
+  async authenticateApiKey(key, ip = null) {
+    if (!this.isApiKey(key)) {
+      return null;
+    }
+
+    const apiKey = await prisma.apiKey.findUnique({
+      where: { key_hash: this.hashKey(key) },
+      include: {
+        owner: {
+          select: {
+            owner_id: true,
+            email: true
+          }
+        }
+      }
+    });
+
+    if (!apiKey || apiKey.revoked_at) {
+      return null;
+    }
+
+    const now = new Date();
+    if (!apiKey.last_used_at || now - new Date(apiKey.last_used_at) >= LAST_USED_UPDATE_INTERVAL_MS) {
+      // Usage tracking must not fail the request
+      prisma.apiKey.update({
+        where: { api_key_id: apiKey.api_key_id },
+        data: {
+          last_used_at: now,
+          last_used_ip: ip
+        }
+      }).catch(error => console.error('Failed to record API key usage:', error));
+    }
+
+    return apiKey;
+  }
+
+  async findOwnerApiKey(ownerId, apiKeyId) {
+    const apiKey = await prisma.apiKey.findFirst({
+      where: {
+        api_key_id: apiKeyId,
+        owner_id: ownerId,
+        revoked_at: null
+      }
+    });
+
+    if (!apiKey) {
+      throw new Error('API key not found');
+    }
+
+    return apiKey;
+  }
+
+  // Check owner input; returns a list of error messages
+  validateApiKeyData({ name, scopes }, { requireScopes = true } = {}) {
+    const errors = [];
+
+    if (!name || typeof name !== 'string' || name.trim().length < 2 || name.trim().length > 100) {
+      errors.push('Name must be between 2 and 100 characters');
+    }
+
+    if (requireScopes) {
+      if (!Array.isArray(scopes) || scopes.length === 0) {
+        errors.push('At least one scope is required');
+      } else {
+        const unknown = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+        if (unknown.length > 0) {
+          errors.push(`Unknown scopes: ${unknown.join(', ')}`);
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  generateKey() {
+    const key = API_KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+
+    return {
+      key,
+      keyPrefix: key.substring(0, API_KEY_PREFIX.length + 8),
+      keyHash: this.hashKey(key)
+    };
+  }
+
+  hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  isApiKey(token) {
+    return typeof token === 'string' && token.startsWith(API_KEY_PREFIX);
+  }
+
+  transformApiKey(apiKey) {
+    return {
+      id: apiKey.api_key_id,
+      name: apiKey.name,
+      keyPrefix: apiKey.key_prefix,
+      scopes: apiKey.scopes,
+      lastUsedAt: apiKey.last_used_at,
+      lastUsedIp: apiKey.last_used_ip,
+      rotatedFromId: apiKey.rotated_from_id,
+      createdAt: apiKey.create_at
+    };
+  }
+}
+
+module.exports = ApiKeyService;
+module.exports.API_KEY_SCOPES = API_KEY_SCOPES;
@@ -0,0 +1,153 @@
+const { getPrismaClient } = require('../config/database');
+
+const prisma = getPrismaClient();
+
+const ACTOR_TYPES = ['owner', 'staff', 'api_key', 'member', 'system'];
+const ENTITY_TYPES = ['plan', 'feature', 'member', 'subscription'];
+
+// Who made a change when no request is behind it, e.g. the expiry and auto-resume jobs
+const SYSTEM_ACTOR = { actorType: 'system' };
+
+// Append-only history of who changed what in an owner's organization.
+// Entries are written in the same transaction as the change, so a change is never left unrecorded.
+class AuditLogService {
+  // Actor and request details for entries written while handling req
+  contextFromRequest(req) {
+    const user = req.user || {};
+
+    return {
+      ...this.actorFromUser(user),
+      actorEmail: user.email || null,
+      requestId: req.id || null,
+      ipAddress: req.ip || null
+    };
+  }
+
+  actorFromUser(user) {
+    if (user.apiKeyId) {
+      return { actorType: 'api_key', actorId: user.apiKeyId };
+    }
+    if (user.role === 'staff') {
+      return { actorType: 'staff', actorId: user.staffId };
+    }
+    if (user.role === 'member') {
+      return { actorType: 'member', actorId: user.userId };
+    }
+    // Owner tokens issued before roles were added carry no role
+    return { actorType: 'owner', actorId: user.userId };
+  }
+
+  async record({ ownerId, action, entityType, entityId, before = null, after = null }, context = SYSTEM_ACTOR, tx = prisma) {
+    return await tx.auditLog.create({
+      data: {
+        owner_id: ownerId,
+        actor_type: context.actorType,
+        actor_id: context.actorId || null,
+        actor_email: context.actorEmail || null,
+        action,
+        entity_type: entityType,
+        entity_id: entityId,
+        before: this.toJson(before),
+        after: this.toJson(after),
+        request_id: context.requestId || null,
+        ip_address: context.ipAddress || null
+      }
+    });
+  }
+
+  // The parts of a subscription a status change touches
+  subscriptionValues(subscription) {
+    return {
+      status: subscription.status,
+      endDate: subscription.end_date,
+      cancelAtPeriodEnd: subscription.cancel_at_period_end,
+      autoRenew: subscription.auto_renew,
+      pauseResumeAt: subscription.pause_resume_at
+    };
+  }
+
+  // Decimals and dates become plain JSON values
+  toJson(values) {
+    return values === null ? undefined : JSON.parse(JSON.stringify(values));
+  }
+
+  // Changes in the owner's organization, newest first
+  async getAuditLogs(ownerId, { actorType, actorId, entityType, entityId, action, from, to, limit = 50, offset = 0 } = {}) {
+    if (actorType && !ACTOR_TYPES.includes(actorType)) {
+      throw new Error(`Invalid actor type. Must be one of: ${ACTOR_TYPES.join(', ')}`);
+    }
+
+    if (entityType && !ENTITY_TYPES.includes(entityType)) {
+      throw new Error(`Invalid entity type. Must be one of: ${ENTITY_TYPES.join(', ')}`);
+    }
+
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+
+    if ((fromDate && isNaN(fromDate.getTime())) || (toDate && isNaN(toDate.getTime()))) {
+      throw new Error('Invalid date range: from and to must be dates');
+    }
+
+    if (fromDate && toDate && fromDate > toDate) {
+      throw new Error('Invalid date range: from must be before to');
+    }
+
+    const where = {
+      owner_id: ownerId,
+      ...(actorType ? { actor_type: actorType } : {}),
+      ...(actorId ? { actor_id: actorId } : {}),
+      ...(entityType ? { entity_type: entityType } : {}),
+      ...(entityId ? { entity_id: entityId } : {}),
+      ...(action ? { action } : {}),
+      ...(fromDate || toDate ? {
+        create_at: {
+          ...(fromDate ? { gte: fromDate } : {}),
+          ...(toDate ? { lte: toDate } : {})
+        }
+      } : {})
+    };
+
+    const [entries, total] = await Promise.all([
+      prisma.auditLog.findMany({
+        where,
+        orderBy: { create_at: 'desc' },
+        take: limit,
+        skip: offset
+      }),
+      prisma.auditLog.count({ where })
+    ]);
+
+    return {
+      entries: entries.map(entry => this.transformAuditLog(entry)),
+      pagination: {
+        total,
+        limit,
+        offset
+      }
+    };
+  }
+
+  transformAuditLog(entry) {
+    return {
+      id: entry.audit_log_id,
+      actor: {
+        type: entry.actor_type,
+        id: entry.actor_id,
+        email: entry.actor_email
+      },
+      action: entry.action,
+      entityType: entry.entity_type,
+      entityId: entry.entity_id,
+      before: entry.before,
+      after: entry.after,
+      requestId: entry.request_id,
+      ipAddress: entry.ip_address,
+      createdAt: entry.create_at
+    };
+  }
+}
+
+module.exports = AuditLogService;
+module.exports.ACTOR_TYPES = ACTOR_TYPES;
+module.exports.ENTITY_TYPES = ENTITY_TYPES;
+module.exports.SYSTEM_ACTOR = SYSTEM_ACTOR;
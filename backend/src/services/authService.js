@@ -3,10 +3,18 @@ const { supabase } = require('../config/supabase');
 const jwt = require('jsonwebtoken');
 const { ValidationError, AuthenticationError, ConflictError, AppError, NotFoundError } = require('../utils/errorHandler');
 const User = require('../models/User');
+const StaffService = require('./staffService');
+const SessionService = require('./sessionService');
+const TwoFactorService = require('./twoFactorService');
+const LoginActivityService = require('./loginActivityService');
 
 class AuthService {
   constructor() {
     this.userRepository = new UserRepository();
+    this.staffService = new StaffService();
+    this.sessionService = new SessionService();
+    this.twoFactorService = new TwoFactorService();
+    this.loginActivityService = new LoginActivityService();
     this.supabase = supabase;
     this.jwtSecret = process.env.JWT_SECRET || '65YHSNjVcJ9q4V2GGGlxvQ1hmGt2x344Po8CYi+U9aD5mdiMJlGMXLHF7YyC5Q5ZTCKWOeWfMYXkqDBG4SxSFw==';
   }
@@ -116,9 +124,17 @@ class AuthService {
   }
 }
 
-async login(email, password) {
+// device is the user agent and IP the session list shows; see SessionService.deviceFromRequest
+async login(email, password, device = {}) {
   try {
     console.log('AuthService: Starting login process for:', email);
+
+    // A locked account is refused before the password is even checked
+    const lockedUntil = await this.loginActivityService.lockedUntil(email);
+    if (lockedUntil) {
+      await this.loginActivityService.recordFailure(email, { reason: 'locked', device });
+      return this.loginActivityService.lockedResponse(lockedUntil);
+    }
     
     // Authenticate with Supabase
     const { data: authData, error: authError } = await this.supabase.auth.signInWithPassword({
@@ -146,6 +162,15 @@ async login(email, password) {
       }
       
       if (authError.message.includes('Invalid login credentials')) {
+        const nowLockedUntil = await this.loginActivityService.recordFailure(email, {
+          reason: 'invalid_credentials',
+          device,
+          unlockUrl: `${process.env.OWNER_FRONTEND_URL}/unlock-account`
+        });
+        if (nowLockedUntil) {
+          return this.loginActivityService.lockedResponse(nowLockedUntil);
+        }
+
         // return response
         return {
           success: false,
@@ -191,6 +216,16 @@ async login(email, password) {
 
     // Get user from local database
     const user = await this.userRepository.findById(authData.user.id);
+
+    // Staff sign in here too, and act for the owner they work for
+    if (!user) {
+      const staff = await this.staffService.findForLogin(authData.user.id);
+
+      if (staff) {
+        return await this.staffLogin(staff, authData.session, device);
+      }
+    }
+
     if (!user) {
       console.log('User not found in local database:', authData.user.id);
       
@@ -203,37 +238,192 @@ async login(email, password) {
       };
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.owner_id, email: user.email },
-      this.jwtSecret,
-      { expiresIn: '1day' }
+    const challenge = await this.twoFactorStep({ userId: user.owner_id, email: user.email, role: 'owner' });
+    if (challenge) {
+      return challenge;
+    }
+
+    return await this.ownerSignIn(user, authData.session, device);
+
+  } catch (error) {
+    console.error('AuthService login error:', error);
+    
+    // return response
+    return {
+      success: false,
+      message: 'An unexpected error occurred. Please try again later.',
+      requiresVerification: false,
+      rateLimited: false
+    };
+  }
+}
+  // Short-lived access token plus a refresh token for this device
+  async ownerSignIn(user, supabaseSession, device = {}) {
+    const { token, refreshToken, expiresIn } = await this.sessionService.createSession(
+      { userId: user.owner_id, email: user.email, role: 'owner' },
+      device
     );
 
+    await this.loginActivityService.recordSuccess({ subjectType: 'owner', subjectId: user.owner_id, email: user.email }, device);
+
     console.log('Login successful for user:', user.owner_id);
 
     return {
       success: true,
       message: 'Login successful.',
       token,
+      refreshToken,
+      expiresIn,
       user: user.toJSON(),
-      supabaseSession: authData.session,
+      supabaseSession,
       requiresVerification: false,
       rateLimited: false
     };
+  }
 
-  } catch (error) {
-    console.error('AuthService login error:', error);
-    
-    // return response
+  async staffLogin(staff, supabaseSession, device = {}) {
+    if (staff.status === 'disabled') {
+      return this.staffDisabledResult();
+    }
+
+    const challenge = await this.twoFactorStep(this.staffClaims(staff), staff.owner.staff_two_factor_required);
+    if (challenge) {
+      return challenge;
+    }
+
+    return await this.staffSignIn(staff, supabaseSession, device);
+  }
+
+  async staffSignIn(staff, supabaseSession, device = {}) {
+    const { token, refreshToken, expiresIn } = await this.sessionService.createSession(this.staffClaims(staff), device);
+
+    await this.loginActivityService.recordSuccess({ subjectType: 'staff', subjectId: staff.staff_id, email: staff.email }, device);
+
+    console.log('Login successful for staff:', staff.staff_id);
+
+    return {
+      success: true,
+      message: 'Login successful.',
+      token,
+      refreshToken,
+      expiresIn,
+      user: {
+        ...this.staffService.transformStaff(staff),
+        ownerId: staff.owner_id,
+        orgName: staff.owner.org_name
+      },
+      supabaseSession,
+      requiresVerification: false,
+      rateLimited: false
+    };
+  }
+
+  // userId is the owner's so every owner endpoint scopes to their organization; the policy layer checks the role
+  staffClaims(staff) {
+    return { userId: staff.owner_id, email: staff.email, role: 'staff', staffId: staff.staff_id };
+  }
+
+  staffDisabledResult() {
     return {
       success: false,
-      message: 'An unexpected error occurred. Please try again later.',
+      message: 'Your staff access has been disabled. Please contact the organization owner.',
       requiresVerification: false,
       rateLimited: false
     };
   }
-}
+
+  // After the password, owners and staff with an authenticator app enter a code from it, and staff whose
+  // organization requires one set it up. Either way they get a challenge token instead of a session;
+  // null means no second step. The Supabase session is held back too, since it would skip the second step.
+  async twoFactorStep(claims, required = false) {
+    const { subjectId } = this.sessionService.subjectFor(claims);
+
+    if (await this.twoFactorService.isEnabled(subjectId)) {
+      return {
+        success: false,
+        message: 'Enter the 6-digit code from your authenticator app.',
+        requiresTwoFactor: true,
+        challengeToken: this.twoFactorService.createChallenge(claims, 'verify'),
+        requiresVerification: false,
+        rateLimited: false
+      };
+    }
+
+    if (required) {
+      return {
+        success: false,
+        message: 'Your organization requires two-factor authentication. Set up an authenticator app to continue.',
+        requiresTwoFactorSetup: true,
+        challengeToken: this.twoFactorService.createChallenge(claims, 'setup'),
+        requiresVerification: false,
+        rateLimited: false
+      };
+    }
+
+    return null;
+  }
+
+  // Secret and QR code for staff who must set up an authenticator app before their first sign-in completes
+  async beginTwoFactorSetup(challengeToken) {
+    const { purpose, claims } = this.twoFactorService.readChallenge(challengeToken);
+
+    if (purpose !== 'setup') {
+      throw new ValidationError('Two-factor authentication is already enabled');
+    }
+
+    return await this.twoFactorService.beginSetup(claims);
+  }
+
+  // Second sign-in step. Staff finishing a required setup also get their recovery codes, shown only this once.
+  async completeTwoFactorLogin(challengeToken, { code, recoveryCode } = {}, device = {}) {
+    const { purpose, claims } = this.twoFactorService.readChallenge(challengeToken);
+    const { subjectId } = this.sessionService.subjectFor(claims);
+
+    // Wrong codes count toward the same lockout as wrong passwords
+    const lockedUntil = await this.loginActivityService.lockedUntil(claims.email);
+    if (lockedUntil) {
+      await this.loginActivityService.recordFailure(claims.email, { reason: 'locked', device });
+      throw new AuthenticationError(this.loginActivityService.lockedResponse(lockedUntil).message);
+    }
+
+    let recoveryCodes;
+
+    if (purpose === 'setup') {
+      ({ recoveryCodes } = await this.twoFactorService.enable(subjectId, code));
+    } else if (!(await this.twoFactorService.verify(subjectId, { code, recoveryCode }))) {
+      const nowLockedUntil = await this.loginActivityService.recordFailure(claims.email, {
+        reason: 'invalid_code',
+        device,
+        unlockUrl: `${process.env.OWNER_FRONTEND_URL}/unlock-account`
+      });
+      throw new AuthenticationError(nowLockedUntil
+        ? this.loginActivityService.lockedResponse(nowLockedUntil).message
+        : 'Invalid authentication code');
+    }
+
+    let result;
+
+    if (claims.role === 'staff') {
+      const staff = await this.staffService.findForLogin(subjectId);
+
+      if (!staff || staff.status === 'disabled') {
+        return this.staffDisabledResult();
+      }
+
+      result = await this.staffSignIn(staff, null, device);
+    } else {
+      const user = await this.userRepository.findById(claims.userId);
+
+      if (!user) {
+        throw new NotFoundError('User account not found. Please contact support.');
+      }
+
+      result = await this.ownerSignIn(user, null, device);
+    }
+
+    return recoveryCodes ? { ...result, recoveryCodes } : result;
+  }
+
   async resendVerification(email) {
     const { data, error } = await this.supabase.auth.resend({
       type: 'signup',
@@ -259,14 +449,6 @@ async login(email, password) {
     };
   }
 
-  generateToken(userId, email) {
-    return jwt.sign(
-      { userId, email },
-      this.jwtSecret,
-      { expiresIn: '30min' }
-    );
-  }
-
   verifyToken(token) {
     try {
       return jwt.verify(token, this.jwtSecret);
@@ -356,6 +538,10 @@ async login(email, password) {
         update_at: new Date()
       });
 
+      // Whoever knew the old password is signed out everywhere, and the account is no longer locked
+      await this.sessionService.revokeAllSessions(user.id, { reason: 'password_reset' });
+      await this.loginActivityService.clearLockout(user.email);
+
       console.log('Password reset successful for user:', user.id);
 
       return {
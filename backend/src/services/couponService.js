@@ -0,0 +1,420 @@
+const { getPrismaClient } = require('../config/database');
+const { validateAmount } = require('../config/omise');
+const { DEFAULT_CURRENCY, SUPPORTED_CURRENCIES, isSupportedCurrency, roundAmount, resolvePlanPrice } = require('../utils/currency');
+
+const prisma = getPrismaClient();
+
+const DISCOUNT_TYPES = ['percentage', 'fixed'];
+
+// Payments that hold on to a redemption; failed and expired ones give it back
+const REDEEMED_PAYMENT_STATUSES = ['pending', 'successful', 'refunded'];
+
+class CouponService {
+  async getCoupons(ownerId) {
+    const coupons = await prisma.coupon.findMany({
+      where: {
+        owner_id: ownerId,
+        delete_at: null
+      },
+      include: {
+        coupon_plans: true
+      },
+      orderBy: {
+        create_at: 'desc'
+      }
+    });
+
+    const redemptions = await this.countRedemptionsByCoupon(coupons.map(coupon => coupon.coupon_id));
+
+    return coupons.map(coupon => this.transformCoupon(coupon, redemptions[coupon.coupon_id] || 0));
+  }
+
+  async getCouponById(ownerId, couponId) {
+    const coupon = await this.findOwnerCoupon(ownerId, couponId);
+    const redemptions = await this.countRedemptionsByCoupon([coupon.coupon_id]);
+
+    return this.transformCoupon(coupon, redemptions[coupon.coupon_id] || 0);
+  }
+
+  async createCoupon(ownerId, data) {
+    const code = this.normalizeCode(data.code);
+    const planIds = data.planIds || [];
+
+    await this.ensureCodeAvailable(ownerId, code);
+
+    const coupon = await prisma.$transaction(async (tx) => {
+      await this.verifyOwnerPlans(tx, ownerId, planIds);
+
+      const created = await tx.coupon.create({
+        data: {
+          owner_id: ownerId,
+          code,
+          description: data.description?.trim() || null,
+          discount_type: data.discountType,
+          discount_value: parseFloat(data.discountValue),
+          currency: data.currency || DEFAULT_CURRENCY,
+          expires_at: data.expiresAt ? new Date(data.expiresAt) : null,
+          max_redemptions: this.parseLimit(data.maxRedemptions),
+          max_redemptions_per_member: data.maxRedemptionsPerMember === undefined
+            ? 1
+            : this.parseLimit(data.maxRedemptionsPerMember),
+          is_active: data.isActive !== undefined ? !!data.isActive : true
+        }
+      });
+
+      if (planIds.length > 0) {
+        await tx.couponPlan.createMany({
+          data: planIds.map(planId => ({
+            coupon_id: created.coupon_id,
+            plan_id: planId
+          }))
+        });
+      }
+
+      return await tx.coupon.findUnique({
+        where: { coupon_id: created.coupon_id },
+        include: { coupon_plans: true }
+      });
+    });
+
+    console.log('Coupon created:', { couponId: coupon.coupon_id, code: coupon.code, ownerId });
+
+    return this.transformCoupon(coupon, 0);
+  }
+
+  async updateCoupon(ownerId, couponId, data) {
+    const existing = await this.findOwnerCoupon(ownerId, couponId);
+    const code = this.normalizeCode(data.code);
+
+    if (code !== existing.code) {
+      await this.ensureCodeAvailable(ownerId, code);
+    }
+
+    const coupon = await prisma.$transaction(async (tx) => {
+      await tx.coupon.update({
+        where: { coupon_id: couponId },
+        data: {
+          code,
+          description: data.description?.trim() || null,
+          discount_type: data.discountType,
+          discount_value: parseFloat(data.discountValue),
+          currency: data.currency || existing.currency,
+          expires_at: data.expiresAt ? new Date(data.expiresAt) : null,
+          max_redemptions: this.parseLimit(data.maxRedemptions),
+          max_redemptions_per_member: data.maxRedemptionsPerMember === undefined
+            ? existing.max_redemptions_per_member
+            : this.parseLimit(data.maxRedemptionsPerMember),
+          is_active: data.isActive !== undefined ? !!data.isActive : existing.is_active,
+          update_at: new Date()
+        }
+      });
+
+      if (data.planIds !== undefined) {
+        await this.verifyOwnerPlans(tx, ownerId, data.planIds);
+
+        await tx.couponPlan.deleteMany({
+          where: { coupon_id: couponId }
+        });
+
+        if (data.planIds.length > 0) {
+          await tx.couponPlan.createMany({
+            data: data.planIds.map(planId => ({
+              coupon_id: couponId,
+              plan_id: planId
+            }))
+          });
+        }
+      }
+
+      return await tx.coupon.findUnique({
+        where: { coupon_id: couponId },
+        include: { coupon_plans: true }
+      });
+    });
+
+    const redemptions = await this.countRedemptionsByCoupon([couponId]);
+
+    return this.transformCoupon(coupon, redemptions[couponId] || 0);
+  }
+
+  async deleteCoupon(ownerId, couponId) {
+    await this.findOwnerCoupon(ownerId, couponId);
+
+    // Soft delete so payments keep pointing at the coupon they used
+    await prisma.coupon.update({
+      where: { coupon_id: couponId },
+      data: {
+        is_active: false,
+        delete_at: new Date()
+      }
+    });
+  }
+
+  // Price a plan with a coupon code for a member, throwing when the code cannot be used.
+  // currency picks one of the plan's prices; omitted means the plan's own.
+  async applyCoupon({ code, planId, memberId, paymentMethod, currency = null, now = new Date() }) {
+    const plan = await prisma.plan.findFirst({
+      where: {
+        plan_id: planId,
+        delete_at: null
+      },
+      include: {
+        plan_prices: true
+      }
+    });
+
+    if (!plan) {
+      throw new Error('Plan not found');
+    }
+
+    const price = resolvePlanPrice(plan, currency || plan.currency);
+
+    const coupon = await prisma.coupon.findFirst({
+      where: {
+        owner_id: plan.owner_id,
+        code: this.normalizeCode(code),
+        delete_at: null
+      },
+      include: {
+        coupon_plans: true
+      }
+    });
+
+    if (!coupon || !coupon.is_active) {
+      throw new Error('Invalid coupon: code not found');
+    }
+
+    if (coupon.expires_at && new Date(coupon.expires_at) <= now) {
+      throw new Error('Invalid coupon: code has expired');
+    }
+
+    if (coupon.coupon_plans.length > 0 && !coupon.coupon_plans.some(cp => cp.plan_id === planId)) {
+      throw new Error('Invalid coupon: code does not apply to this plan');
+    }
+
+    if (coupon.max_redemptions !== null) {
+      const totalRedemptions = await this.countRedemptions({ coupon_id: coupon.coupon_id });
+      if (totalRedemptions >= coupon.max_redemptions) {
+        throw new Error('Invalid coupon: code has reached its usage limit');
+      }
+    }
+
+    if (coupon.max_redemptions_per_member !== null) {
+      const memberRedemptions = await this.countRedemptions({ coupon_id: coupon.coupon_id, member_id: memberId });
+      if (memberRedemptions >= coupon.max_redemptions_per_member) {
+        throw new Error('Invalid coupon: you have already used this code');
+      }
+    }
+
+    // A fixed discount is an amount of money, so it only makes sense against a price in the same currency
+    if (coupon.discount_type === 'fixed' && coupon.currency !== price.currency) {
+      throw new Error(`Invalid coupon: code only applies to ${coupon.currency} prices`);
+    }
+
+    const originalAmount = price.amount;
+    const discountAmount = this.calculateDiscount(coupon, originalAmount, price.currency);
+    const amount = roundAmount(originalAmount - discountAmount, price.currency);
+
+    // The discounted price still has to be chargeable through Omise
+    if (paymentMethod) {
+      const amountCheck = validateAmount(amount, paymentMethod, { currency: price.currency });
+      if (!amountCheck.valid) {
+        throw new Error(`Invalid coupon: discounted amount is too low. ${amountCheck.error}`);
+      }
+    }
+
+    return {
+      coupon,
+      originalAmount,
+      discountAmount,
+      amount,
+      currency: price.currency
+    };
+  }
+
+  // applyCoupon checks the limits before the payment starts; this checks them again inside the payment's
+  // transaction so two checkouts cannot both take the last use. Locking the coupon row makes checkouts
+  // with the same code take turns, and each one counts the payments of those before it.
+  async claimRedemption(tx, coupon, memberId) {
+    await tx.$queryRaw`SELECT coupon_id FROM coupons WHERE coupon_id = ${coupon.coupon_id} FOR UPDATE`;
+
+    if (coupon.max_redemptions !== null) {
+      const totalRedemptions = await this.countRedemptions({ coupon_id: coupon.coupon_id }, tx);
+      if (totalRedemptions >= coupon.max_redemptions) {
+        throw new Error('Invalid coupon: code has reached its usage limit');
+      }
+    }
+
+    if (coupon.max_redemptions_per_member !== null) {
+      const memberRedemptions = await this.countRedemptions({ coupon_id: coupon.coupon_id, member_id: memberId }, tx);
+      if (memberRedemptions >= coupon.max_redemptions_per_member) {
+        throw new Error('Invalid coupon: you have already used this code');
+      }
+    }
+  }
+
+  calculateDiscount(coupon, price, currency = DEFAULT_CURRENCY) {
+    const value = parseFloat(coupon.discount_value.toString());
+
+    const discount = coupon.discount_type === 'percentage'
+      ? price * Math.min(value, 100) / 100
+      : value;
+
+    return roundAmount(Math.min(Math.max(discount, 0), price), currency);
+  }
+
+  async countRedemptions(where, prismaClient = prisma) {
+    return await prismaClient.payment.count({
+      where: {
+        ...where,
+        status: {
+          in: REDEEMED_PAYMENT_STATUSES
+        }
+      }
+    });
+  }
+
+  async countRedemptionsByCoupon(couponIds) {
+    if (couponIds.length === 0) {
+      return {};
+    }
+
+    const counts = await prisma.payment.groupBy({
+      by: ['coupon_id'],
+      where: {
+        coupon_id: { in: couponIds },
+        status: { in: REDEEMED_PAYMENT_STATUSES }
+      },
+      _count: {
+        _all: true
+      }
+    });
+
+    return counts.reduce((acc, row) => {
+      acc[row.coupon_id] = row._count._all;
+      return acc;
+    }, {});
+  }
+
+  async findOwnerCoupon(ownerId, couponId) {
+    const coupon = await prisma.coupon.findFirst({
+      where: {
+        coupon_id: couponId,
+        owner_id: ownerId,
+        delete_at: null
+      },
+      include: {
+        coupon_plans: true
+      }
+    });
+
+    if (!coupon) {
+      throw new Error('Coupon not found');
+    }
+
+    return coupon;
+  }
+
+  async ensureCodeAvailable(ownerId, code) {
+    const existing = await prisma.coupon.findFirst({
+      where: {
+        owner_id: ownerId,
+        code,
+        delete_at: null
+      }
+    });
+
+    if (existing) {
+      throw new Error('A coupon with this code already exists');
+    }
+  }
+
+  async verifyOwnerPlans(tx, ownerId, planIds) {
+    if (planIds.length === 0) {
+      return;
+    }
+
+    const ownerPlans = await tx.plan.findMany({
+      where: {
+        plan_id: { in: planIds },
+        owner_id: ownerId,
+        delete_at: null
+      }
+    });
+
+    if (ownerPlans.length !== planIds.length) {
+      throw new Error('Some plans do not exist or do not belong to you');
+    }
+  }
+
+  // Check owner input; returns a list of error messages
+  validateCouponData(data) {
+    const errors = [];
+
+    if (!data.code || typeof data.code !== 'string' || !/^[A-Za-z0-9_-]{3,32}$/.test(data.code.trim())) {
+      errors.push('Code must be 3-32 letters, numbers, dashes or underscores');
+    }
+
+    if (!DISCOUNT_TYPES.includes(data.discountType)) {
+      errors.push('Discount type must be either "percentage" or "fixed"');
+    }
+
+    const discountValue = parseFloat(data.discountValue);
+    if (isNaN(discountValue) || discountValue <= 0) {
+      errors.push('Discount value must be a positive number');
+    } else if (data.discountType === 'percentage' && discountValue >= 100) {
+      // Checkouts need something to charge, so a coupon cannot make a plan free
+      errors.push('Percentage discount must be less than 100');
+    }
+
+    if (data.currency !== undefined && data.currency !== null && !isSupportedCurrency(data.currency)) {
+      errors.push(`Currency must be one of: ${SUPPORTED_CURRENCIES.join(', ')}`);
+    }
+
+    if (data.expiresAt && isNaN(new Date(data.expiresAt).getTime())) {
+      errors.push('Expiry date must be a valid date');
+    }
+
+    for (const field of ['maxRedemptions', 'maxRedemptionsPerMember']) {
+      const value = data[field];
+      if (value !== undefined && value !== null && (!Number.isInteger(Number(value)) || Number(value) < 1)) {
+        errors.push(`${field} must be a whole number of at least 1`);
+      }
+    }
+
+    if (data.planIds !== undefined && (!Array.isArray(data.planIds) || data.planIds.some(id => typeof id !== 'string'))) {
+      errors.push('planIds must be a list of plan IDs');
+    }
+
+    return errors;
+  }
+
+  normalizeCode(code) {
+    return String(code || '').trim().toUpperCase();
+  }
+
+  parseLimit(value) {
+    return value === undefined || value === null ? null : parseInt(value);
+  }
+
+  transformCoupon(coupon, redemptionCount) {
+    return {
+      id: coupon.coupon_id,
+      code: coupon.code,
+      description: coupon.description,
+      discountType: coupon.discount_type,
+      discountValue: parseFloat(coupon.discount_value.toString()),
+      currency: coupon.currency,
+      expiresAt: coupon.expires_at,
+      maxRedemptions: coupon.max_redemptions,
+      maxRedemptionsPerMember: coupon.max_redemptions_per_member,
+      redemptionCount,
+      isActive: coupon.is_active,
+      planIds: coupon.coupon_plans.map(cp => cp.plan_id),
+      createdAt: coupon.create_at,
+      updatedAt: coupon.update_at
+    };
+  }
+}
+
+module.exports = CouponService;
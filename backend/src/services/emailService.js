@@ -0,0 +1,36 @@
+const axios = require('axios');
+
+const SENDGRID_URL = 'https://api.sendgrid.com/v3/mail/send';
+
+// Plain-text account emails Supabase has no template for, sent through SendGrid's API.
+// Without SENDGRID_API_KEY (local development, tests) the email is only logged.
+class EmailService {
+  constructor() {
+    this.apiKey = process.env.SENDGRID_API_KEY;
+    this.from = process.env.EMAIL_FROM || 'no-reply@membella.com';
+  }
+
+  async send({ to, subject, text }) {
+    if (!this.apiKey) {
+      console.log('Email not sent, SENDGRID_API_KEY is not set:', { to, subject });
+      return false;
+    }
+
+    await axios.post(SENDGRID_URL, {
+      personalizations: [{ to: [{ email: to }] }],
+      from: { email: this.from, name: 'Membella' },
+      subject,
+      content: [{ type: 'text/plain', value: text }]
+    }, {
+      headers: {
+        Authorization: `Bearer ${this.apiKey}`
+      },
+      timeout: 10000
+    });
+
+    console.log('Email sent:', { to, subject });
+    return true;
+  }
+}
+
+module.exports = EmailService;
@@ -0,0 +1,178 @@
+const { getPrismaClient } = require('../config/database');
+
+const prisma = getPrismaClient();
+
+const MAX_BULK_MEMBERS = 100;
+
+class EntitlementService {
+  // Every feature the member can use right now through the owner's plans
+  async getMemberEntitlements(ownerId, memberId, now = new Date()) {
+    const [entitlements] = await this.getBulkEntitlements(ownerId, [memberId], now);
+    return entitlements;
+  }
+
+  // Entitlements for several members in one query, in the order the IDs were given
+  async getBulkEntitlements(ownerId, memberIds, now = new Date()) {
+    const uniqueMemberIds = [...new Set(memberIds)];
+
+    if (uniqueMemberIds.length > MAX_BULK_MEMBERS) {
+      throw new Error(`Invalid request: at most ${MAX_BULK_MEMBERS} members can be checked at once`);
+    }
+
+    const subscriptions = await this.findEntitlingSubscriptions(ownerId, uniqueMemberIds, now);
+
+    return uniqueMemberIds.map(memberId => this.buildEntitlements(
+      memberId,
+      subscriptions.filter(subscription => subscription.member_id === memberId),
+      now
+    ));
+  }
+
+  buildEntitlements(memberId, subscriptions, now) {
+    const features = new Map();
+
+    for (const subscription of subscriptions) {
+      for (const feature of this.getSubscriptionFeatures(subscription)) {
+        if (!features.has(feature.feature_id)) {
+          features.set(feature.feature_id, {
+            id: feature.feature_id,
+            name: feature.name,
+            description: feature.description,
+            grantedBy: []
+          });
+        }
+
+        features.get(feature.feature_id).grantedBy.push({
+          subscriptionId: subscription.subscription_id,
+          planId: subscription.plan_id,
+          planName: subscription.plan.name,
+          isTrial: subscription.is_trial,
+          accessUntil: this.getAccessUntil(subscription)
+        });
+      }
+    }
+
+    return {
+      memberId,
+      features: Array.from(features.values()),
+      subscriptions: subscriptions.map(subscription => ({
+        id: subscription.subscription_id,
+        planId: subscription.plan_id,
+        planName: subscription.plan.name,
+        isTrial: subscription.is_trial,
+        accessUntil: this.getAccessUntil(subscription)
+      })),
+      checkedAt: now
+    };
+  }
+
+  // Whether the member can use one feature right now
+  async checkEntitlement(ownerId, memberId, featureId, now = new Date()) {
+    const entitlements = await this.getMemberEntitlements(ownerId, memberId, now);
+    const feature = entitlements.features.find(f => f.id === featureId);
+
+    return {
+      memberId,
+      featureId,
+      entitled: !!feature,
+      grantedBy: feature ? feature.grantedBy : [],
+      checkedAt: now
+    };
+  }
+
+  // Subscriptions that give access, each with the features of the plan version it is on in version_features
+  async findEntitlingSubscriptions(ownerId, memberIds, now) {
+    const subscriptions = await prisma.subscription.findMany({
+      where: this.buildEntitlingWhere(ownerId, memberIds, now),
+      include: {
+        plan: {
+          include: {
+            plan_features: {
+              where: {
+                feature: {
+                  owner_id: ownerId,
+                  delete_at: null
+                }
+              },
+              include: {
+                feature: {
+                  select: {
+                    feature_id: true,
+                    name: true,
+                    description: true
+                  }
+                }
+              }
+            }
+          }
+        },
+        plan_version: {
+          select: {
+            features: true
+          }
+        }
+      },
+      orderBy: {
+        end_date: 'desc'
+      }
+    });
+
+    const versionFeatureIds = [...new Set(subscriptions.flatMap(subscription => subscription.plan_version?.features || []))];
+    const versionFeatures = versionFeatureIds.length === 0 ? [] : await prisma.feature.findMany({
+      where: {
+        feature_id: { in: versionFeatureIds },
+        owner_id: ownerId,
+        delete_at: null
+      },
+      select: {
+        feature_id: true,
+        name: true,
+        description: true
+      }
+    });
+    const featuresById = new Map(versionFeatures.map(feature => [feature.feature_id, feature]));
+
+    return subscriptions.map(subscription => subscription.plan_version ? {
+      ...subscription,
+      version_features: subscription.plan_version.features
+        .map(featureId => featuresById.get(featureId))
+        .filter(Boolean)
+    } : subscription);
+  }
+
+  // Members keep the features of the version they subscribed to when the plan is edited.
+  // Subscriptions from before plans were versioned have none and get the plan's current features.
+  getSubscriptionFeatures(subscription) {
+    return subscription.version_features || subscription.plan.plan_features.map(planFeature => planFeature.feature);
+  }
+
+  // Active subscriptions to live plans that have not run out, counting a renewal grace period as access.
+  // Paused subscriptions give no access until they resume.
+  buildEntitlingWhere(ownerId, memberIds, now) {
+    return {
+      member_id: {
+        in: memberIds
+      },
+      status: 'active',
+      plan: {
+        owner_id: ownerId,
+        delete_at: null
+      },
+      OR: [
+        { end_date: null },
+        { end_date: { gt: now } },
+        { grace_period_end: { gt: now } }
+      ]
+    };
+  }
+
+  getAccessUntil(subscription) {
+    if (subscription.grace_period_end && (!subscription.end_date || subscription.grace_period_end > subscription.end_date)) {
+      return subscription.grace_period_end;
+    }
+    return subscription.end_date;
+  }
+}
+
+module.exports = EntitlementService;
+module.exports.MAX_BULK_MEMBERS = MAX_BULK_MEMBERS;
@@ -1,10 +1,15 @@
+const { getPrismaClient } = require('../config/database');
 const FeatureRepository = require('../repositories/featureRepository');
 const Feature = require('../models/Features');
+const AuditLogService = require('./auditLogService');
 const { ValidationError, NotFoundError } = require('../utils/errorHandler');
 
+const prisma = getPrismaClient();
+
 class FeaturesService {
   constructor() {
     this.featureRepository = new FeatureRepository();
+    this.auditLogService = new AuditLogService();
   }
 
   async getAllFeatures(ownerId) {
@@ -39,7 +44,8 @@ class FeaturesService {
     };
   }
 
-  async updateFeature(id, featureData, ownerId) {
+  // auditContext says who is making the change; see AuditLogService.contextFromRequest
+  async updateFeature(id, featureData, ownerId, auditContext) {
     // Check if feature exists
     const existingFeature = await this.featureRepository.findById(id, ownerId);
     if (!existingFeature) {
@@ -52,9 +58,22 @@ class FeaturesService {
       throw new ValidationError('Validation failed', validationErrors);
     }
 
-    const updatedFeature = await this.featureRepository.update(id, {
-      name: featureData.name.trim(),
-      description: featureData.description.trim()
+    const updatedFeature = await prisma.$transaction(async (tx) => {
+      const feature = await this.featureRepository.update(id, {
+        name: featureData.name.trim(),
+        description: featureData.description.trim()
+      }, tx);
+
+      await this.auditLogService.record({
+        ownerId,
+        action: 'feature.updated',
+        entityType: 'feature',
+        entityId: id,
+        before: this.auditValues(existingFeature),
+        after: this.auditValues(feature)
+      }, auditContext, tx);
+
+      return feature;
     });
 
     return {
@@ -64,20 +83,37 @@ class FeaturesService {
     };
   }
 
-  async deleteFeature(id, ownerId) {
+  async deleteFeature(id, ownerId, auditContext) {
     // Check if feature exists
     const existingFeature = await this.featureRepository.findById(id, ownerId);
     if (!existingFeature) {
       throw new NotFoundError('Feature not found');
     }
 
-    await this.featureRepository.softDelete(id);
+    await prisma.$transaction(async (tx) => {
+      await this.featureRepository.softDelete(id, tx);
+
+      await this.auditLogService.record({
+        ownerId,
+        action: 'feature.deleted',
+        entityType: 'feature',
+        entityId: id,
+        before: this.auditValues(existingFeature)
+      }, auditContext, tx);
+    });
 
     return {
       success: true,
       message: 'Feature deleted successfully'
     };
   }
+
+  auditValues(feature) {
+    return {
+      name: feature.name,
+      description: feature.description
+    };
+  }
 }
 
 module.exports = FeaturesService;
\ No newline at end of file
@@ -0,0 +1,38 @@
+const OmiseGateway = require('./omiseGateway');
+const ManualGateway = require('./manualGateway');
+
+// Gateways owners can choose for their plans; the key is stored on Owner.payment_gateway and Payment.provider
+const GATEWAY_FACTORIES = {
+  omise: () => new OmiseGateway(),
+  manual: () => new ManualGateway()
+};
+
+const DEFAULT_GATEWAY = 'omise';
+
+const PAYMENT_GATEWAYS = Object.keys(GATEWAY_FACTORIES);
+
+const instances = new Map();
+
+function getGateway(name = DEFAULT_GATEWAY) {
+  const factory = GATEWAY_FACTORIES[name];
+
+  if (!factory) {
+    throw new Error(`Unknown payment gateway: ${name}`);
+  }
+
+  if (!instances.has(name)) {
+    instances.set(name, factory());
+  }
+
+  return instances.get(name);
+}
+
+// Every method some gateway accepts; whether an owner's gateway accepts it is checked per payment
+const PAYMENT_METHODS = [...new Set(PAYMENT_GATEWAYS.flatMap(name => getGateway(name).supportedMethods))];
+
+module.exports = {
+  DEFAULT_GATEWAY,
+  PAYMENT_GATEWAYS,
+  PAYMENT_METHODS,
+  getGateway
+};
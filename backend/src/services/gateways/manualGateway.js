@@ -0,0 +1,71 @@
+const { v4: uuidv4 } = require('uuid');
+const PaymentGateway = require('./paymentGateway');
+
+// Bank transfers and other payments settled outside the platform.
+// Charges stay pending until the owner confirms the money arrived; nothing is called remotely.
+class ManualGateway extends PaymentGateway {
+  constructor() {
+    super('manual');
+  }
+
+  get supportedMethods() {
+    return ['bank_transfer'];
+  }
+
+  async createCharge({ amount, currency = 'THB', paymentMethod, instructions }) {
+    if (!this.supportsMethod(paymentMethod)) {
+      throw new Error('Unsupported payment method');
+    }
+
+    if (!(amount > 0)) {
+      throw new Error('Invalid amount: must be greater than 0');
+    }
+
+    // Members quote this reference on the transfer so the owner can match it
+    const reference = `manual_${uuidv4().replace(/-/g, '').substring(0, 16)}`;
+
+    return {
+      reference,
+      sourceReference: null,
+      status: 'pending',
+      success: false,
+      requiresAuthorization: false,
+      instructions: instructions || null,
+      failureMessage: null,
+      raw: {
+        reference,
+        amount,
+        currency,
+        payment_method: paymentMethod,
+        created_at: new Date().toISOString()
+      }
+    };
+  }
+
+  // The local payment record is the only state a manual payment has
+  async retrieveCharge(reference) {
+    return null;
+  }
+
+  // The owner returns the money themselves; the refund is recorded as done
+  async createRefund(chargeReference, { amount }) {
+    const reference = `manual_refund_${uuidv4().replace(/-/g, '').substring(0, 16)}`;
+
+    return {
+      reference,
+      status: 'successful',
+      raw: {
+        reference,
+        charge: chargeReference,
+        amount,
+        created_at: new Date().toISOString()
+      }
+    };
+  }
+
+  mapStatus(status) {
+    return ['pending', 'successful', 'failed', 'refunded'].includes(status) ? status : 'pending';
+  }
+}
+
+module.exports = ManualGateway;
@@ -0,0 +1,497 @@
+const { omise, OMISE_CONFIG } = require('../../config/omise');
+const { getPrismaClient } = require('../../config/database');
+const PaymentGateway = require('./paymentGateway');
+const { toMinorUnits, fromMinorUnits } = require('../../utils/currency');
+
+const prisma = getPrismaClient();
+
+const OMISE_STATUS_MAP = {
+  'pending': 'pending',
+  'successful': 'successful',
+  'failed': 'failed',
+  'expired': 'expired',
+  'reversed': 'refunded',
+  'voided': 'failed',
+  'completed': 'successful'
+};
+
+class OmiseGateway extends PaymentGateway {
+  constructor() {
+    super('omise');
+  }
+
+  get supportedMethods() {
+    return OMISE_CONFIG.supportedPaymentMethods;
+  }
+
+  get supportsSavedCards() {
+    return true;
+  }
+
+  async createCharge(chargeData) {
+    if (chargeData.paymentMethod === 'promptpay') {
+      return await this.createPromptPayCharge(chargeData);
+    }
+    if (chargeData.paymentMethod === 'card') {
+      return await this.createCardCharge(chargeData);
+    }
+    if (OMISE_CONFIG.redirectPaymentMethods.includes(chargeData.paymentMethod)) {
+      return await this.createRedirectCharge(chargeData);
+    }
+    throw new Error('Unsupported payment method');
+  }
+
+  // Charge a one-off card token, or a card saved on an Omise customer
+  async createCardCharge({
+    amount,
+    currency = OMISE_CONFIG.currency,
+    description,
+    token,
+    savedCard,
+    customerId,
+    metadata = {},
+    capture = true
+  }) {
+    try {
+      console.log('Creating Omise card charge:', { amount, currency, description, hasToken: !!token, hasSavedCard: !!savedCard });
+
+      const minorAmount = toMinorUnits(amount, currency);
+      if (minorAmount <= 0) {
+        throw new Error('Invalid amount: must be greater than 0');
+      }
+
+      const minAmount = OMISE_CONFIG.minAmount[currency].card;
+      if (minorAmount < minAmount) {
+        throw new Error(`Invalid amount: minimum payment is ${fromMinorUnits(minAmount, currency)} ${currency}`);
+      }
+
+      // Saved cards are charged through the Omise customer instead of a one-off token
+      if (savedCard) {
+        if (typeof savedCard.customerId !== 'string' || !savedCard.customerId.startsWith('cust_')) {
+          throw new Error('Invalid saved card customer provided');
+        }
+      } else if (!token || typeof token !== 'string' || !token.startsWith('tokn_')) {
+        throw new Error('Invalid card token provided');
+      }
+
+      const cardSource = savedCard
+        ? { customer: savedCard.customerId, ...(savedCard.cardId ? { card: savedCard.cardId } : {}) }
+        : { card: token };
+
+      const charge = await omise.charges.create({
+        amount: minorAmount,
+        currency: currency.toUpperCase(),
+        description: description || 'Card payment',
+        ...cardSource,
+        capture: capture,
+        metadata: {
+          ...metadata,
+          customer_id: customerId,
+          payment_method: 'card',
+          created_by: 'membella_platform'
+        },
+      });
+
+      console.log('Omise card charge created:', {
+        id: charge.id,
+        amount: charge.amount,
+        status: charge.status,
+        paid: charge.paid,
+        authorized: charge.authorized,
+        captured: charge.captured
+      });
+
+      if (!charge || !charge.id) {
+        throw new Error('Failed to create charge - invalid response from payment gateway');
+      }
+
+      const success = !!(charge.paid || (charge.authorized && charge.captured));
+
+      return {
+        reference: charge.id,
+        sourceReference: null,
+        status: success ? 'successful' : this.mapStatus(charge.status),
+        success,
+        requiresAuthorization: !!charge.authorize_uri,
+        authorizeUri: charge.authorize_uri || null,
+        failureMessage: charge.failure_message || null,
+        raw: charge
+      };
+    } catch (error) {
+      console.error('Omise card charge creation failed:', error);
+
+      if (error.code) {
+        switch (error.code) {
+          case 'invalid_card':
+            throw new Error('Invalid card information. Please check your card details and try again.');
+          case 'insufficient_fund':
+          case 'insufficient_funds':
+            throw new Error('Insufficient funds on your card. Please use a different card.');
+          case 'stolen_or_lost_card':
+            throw new Error('This card has been reported as stolen or lost. Please use a different card.');
+          case 'expired_card':
+            throw new Error('This card has expired. Please check the expiry date.');
+          case 'processing_error':
+            throw new Error('Payment processing error. Please try again in a few moments.');
+          case 'failed_processing':
+            throw new Error('Card processing failed. Please check your card details.');
+          case 'invalid_security_code':
+            throw new Error('Invalid security code (CVV). Please check and try again.');
+          case 'limit_exceeded':
+            throw new Error('Transaction limit exceeded. Please contact your bank.');
+          default:
+            throw new Error(`Card payment failed: ${error.message}`);
+        }
+      }
+
+      if (error.response && error.response.data) {
+        const responseData = error.response.data;
+        if (responseData.message) {
+          throw new Error(`Payment failed: ${responseData.message}`);
+        }
+      }
+
+      throw new Error(`Card payment failed: ${error.message}`);
+    }
+  }
+
+  // Create a PromptPay source and an uncaptured charge the member completes by scanning the QR code
+  async createPromptPayCharge({ amount, currency = OMISE_CONFIG.currency, description, customerId, metadata = {} }) {
+    try {
+      console.log('Creating PromptPay charge:', { amount, currency, description });
+
+      if (currency !== 'THB') {
+        throw new Error(`PromptPay cannot charge in ${currency}`);
+      }
+
+      const amountInSatang = toMinorUnits(amount, 'THB');
+      if (amountInSatang <= 0 || amountInSatang < OMISE_CONFIG.minAmount.THB.promptpay) {
+        throw new Error('Invalid amount: minimum payment for PromptPay is 20 THB');
+      }
+
+      console.log('Amount in satang:', amountInSatang);
+
+      const source = await omise.sources.create({
+        type: 'promptpay',
+        amount: amountInSatang,
+        currency: 'THB',
+      });
+
+      console.log('PromptPay source created:', {
+        id: source.id,
+        type: source.type,
+        amount: source.amount,
+        currency: source.currency,
+        has_scannable_code: !!source.scannable_code
+      });
+
+      if (!source || !source.id) {
+        throw new Error('Failed to create PromptPay source');
+      }
+
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      const charge = await omise.charges.create({
+        amount: amountInSatang,
+        currency: 'THB',
+        description: description || 'PromptPay Payment',
+        source: source.id,
+        capture: false,
+        metadata: {
+          ...metadata,
+          customer_id: customerId,
+          payment_method: 'promptpay',
+          created_by: 'membella_platform'
+        },
+      });
+
+      console.log('PromptPay charge created:', {
+        id: charge.id,
+        source_id: charge.source?.id,
+        status: charge.status,
+        amount: charge.amount,
+        authorized: charge.authorized,
+        paid: charge.paid
+      });
+
+      let qrCodeUrl = null;
+      let expiresAt = null;
+
+      if (source.scannable_code && source.scannable_code.image) {
+        qrCodeUrl = source.scannable_code.image.download_uri;
+      } else if (charge.source && charge.source.scannable_code && charge.source.scannable_code.image) {
+        qrCodeUrl = charge.source.scannable_code.image.download_uri;
+      }
+
+      if (source.expires_at) {
+        expiresAt = source.expires_at;
+      } else if (charge.source && charge.source.expires_at) {
+        expiresAt = charge.source.expires_at;
+      }
+
+      if (!qrCodeUrl) {
+        console.warn('No QR code found in source response');
+        try {
+          const retrievedSource = await omise.sources.retrieve(source.id);
+          console.log('Retrieved source:', retrievedSource);
+          if (retrievedSource.scannable_code && retrievedSource.scannable_code.image) {
+            qrCodeUrl = retrievedSource.scannable_code.image.download_uri;
+          }
+        } catch (retrieveError) {
+          console.error('Failed to retrieve source:', retrieveError);
+        }
+      }
+
+      if (!qrCodeUrl) {
+        throw new Error('Failed to generate QR code for PromptPay payment');
+      }
+
+      console.log('QR code URL generated:', qrCodeUrl ? 'Yes' : 'No');
+
+      return {
+        reference: charge.id,
+        sourceReference: source.id,
+        status: this.mapStatus(charge.status),
+        success: charge.status === 'successful',
+        requiresAuthorization: false,
+        qrCodeUrl,
+        expiresAt,
+        failureMessage: charge.failure_message || null,
+        raw: charge
+      };
+    } catch (error) {
+      console.error('PromptPay charge creation failed:', error);
+
+      if (error.response) {
+        console.error('Omise API Error Response:', {
+          status: error.response.status,
+          data: error.response.data,
+          headers: error.response.headers
+        });
+      }
+
+      if (error.code) {
+        console.error('Omise Error Code:', error.code);
+      }
+
+      if (error.message && error.message.includes('amount')) {
+        throw new Error('Invalid payment amount. PromptPay requires minimum 20 THB.');
+      }
+
+      if (error.message && error.message.includes('currency')) {
+        throw new Error('PromptPay only supports THB currency.');
+      }
+
+      if (error.message && error.message.includes('type')) {
+        throw new Error('PromptPay payment method is not available.');
+      }
+
+      throw new Error(`PromptPay payment failed: ${error.message}`);
+    }
+  }
+
+  // Mobile banking, TrueMoney and installments: create the source and a charge the member
+  // authorizes in their bank or wallet app, which then sends them back to returnUri
+  async createRedirectCharge({
+    amount,
+    currency = OMISE_CONFIG.currency,
+    description,
+    paymentMethod,
+    bank,
+    installmentTerm,
+    phoneNumber,
+    returnUri,
+    customerId,
+    metadata = {}
+  }) {
+    const label = OMISE_CONFIG.methodLabels[paymentMethod];
+
+    try {
+      console.log(`Creating ${label} charge:`, { amount, description, bank, installmentTerm });
+
+      // The Thai banks and wallets only settle in baht
+      if (currency !== 'THB') {
+        throw new Error(`Invalid currency: ${label} only supports THB`);
+      }
+
+      const amountInSatang = toMinorUnits(amount, 'THB');
+      if (amountInSatang < OMISE_CONFIG.minAmount.THB[paymentMethod]) {
+        throw new Error(`Invalid amount: minimum payment for ${label} is ${fromMinorUnits(OMISE_CONFIG.minAmount.THB[paymentMethod])} THB`);
+      }
+
+      if (!returnUri) {
+        throw new Error('A return URI is required for redirect payments');
+      }
+
+      const source = await omise.sources.create({
+        ...this.buildSourceParams(paymentMethod, { bank, installmentTerm, phoneNumber }),
+        amount: amountInSatang,
+        currency: 'THB'
+      });
+
+      if (!source || !source.id) {
+        throw new Error(`Failed to create ${label} source`);
+      }
+
+      const charge = await omise.charges.create({
+        amount: amountInSatang,
+        currency: 'THB',
+        description: description || `${label} payment`,
+        source: source.id,
+        return_uri: returnUri,
+        metadata: {
+          ...metadata,
+          customer_id: customerId,
+          payment_method: paymentMethod,
+          created_by: 'membella_platform'
+        }
+      });
+
+      console.log(`${label} charge created:`, {
+        id: charge.id,
+        source_id: source.id,
+        source_type: source.type,
+        status: charge.status,
+        has_authorize_uri: !!charge.authorize_uri
+      });
+
+      if (!charge || !charge.id) {
+        throw new Error('Failed to create charge - invalid response from payment gateway');
+      }
+
+      if (charge.status === 'pending' && !charge.authorize_uri) {
+        throw new Error(`${label} did not return an authorization link`);
+      }
+
+      return {
+        reference: charge.id,
+        sourceReference: source.id,
+        status: this.mapStatus(charge.status),
+        success: charge.status === 'successful',
+        requiresAuthorization: !!charge.authorize_uri,
+        authorizeUri: charge.authorize_uri || null,
+        expiresAt: charge.expires_at || null,
+        failureMessage: charge.failure_message || null,
+        raw: charge
+      };
+    } catch (error) {
+      console.error(`${label} charge creation failed:`, error);
+      throw new Error(`${label} payment failed: ${error.message}`);
+    }
+  }
+
+  // Omise source fields for a redirect payment method
+  buildSourceParams(paymentMethod, { bank, installmentTerm, phoneNumber }) {
+    if (paymentMethod === 'truemoney') {
+      return { type: 'truemoney', phone_number: phoneNumber };
+    }
+
+    const banks = paymentMethod === 'mobile_banking'
+      ? OMISE_CONFIG.mobileBanking.banks
+      : OMISE_CONFIG.installment.banks;
+
+    if (!banks[bank]) {
+      throw new Error(`Unsupported bank: ${bank}`);
+    }
+
+    return paymentMethod === 'mobile_banking'
+      ? { type: banks[bank].sourceType }
+      : { type: banks[bank].sourceType, installment_term: installmentTerm };
+  }
+
+  async retrieveCharge(reference) {
+    try {
+      const charge = await omise.charges.retrieve(reference);
+
+      return {
+        reference: charge.id,
+        status: this.mapStatus(charge.status),
+        raw: charge
+      };
+    } catch (error) {
+      console.error('Failed to retrieve charge from Omise:', error);
+      throw error;
+    }
+  }
+
+  async createRefund(chargeReference, { amount, currency = OMISE_CONFIG.currency, metadata = {} }) {
+    const refund = await omise.charges.createRefund(chargeReference, {
+      amount: toMinorUnits(amount, currency),
+      metadata
+    });
+
+    return {
+      reference: refund.id,
+      status: refund.status,
+      raw: refund
+    };
+  }
+
+  // Save a card token on the member's Omise customer so it can be charged again on renewal
+  async saveCard(member, token) {
+    try {
+      if (!token || typeof token !== 'string' || !token.startsWith('tokn_')) {
+        throw new Error('Invalid card token provided');
+      }
+
+      let customer;
+
+      if (member.omise_customer_id) {
+        console.log('Attaching card to existing Omise customer:', member.omise_customer_id);
+        customer = await omise.customers.update(member.omise_customer_id, { card: token });
+      } else {
+        console.log('Creating Omise customer for member:', member.member_id);
+        customer = await omise.customers.create({
+          email: member.email,
+          description: `${member.full_name} (${member.member_id})`,
+          card: token,
+          metadata: {
+            member_id: member.member_id,
+            created_by: 'membella_platform'
+          }
+        });
+
+        await prisma.member.update({
+          where: { member_id: member.member_id },
+          data: {
+            omise_customer_id: customer.id,
+            update_at: new Date()
+          }
+        });
+      }
+
+      if (!customer || !customer.id) {
+        throw new Error('Failed to save card - invalid response from payment gateway');
+      }
+
+      // The token is consumed by the customer, so the newest card becomes the one to charge
+      const cards = customer.cards?.data || [];
+      const cardId = cards.length > 0 ? cards[cards.length - 1].id : customer.default_card;
+
+      console.log('Card saved for member:', {
+        memberId: member.member_id,
+        customerId: customer.id,
+        cardId
+      });
+
+      return {
+        customerId: customer.id,
+        cardId
+      };
+    } catch (error) {
+      console.error('Failed to save card for member:', error);
+
+      if (error.code === 'invalid_card' || error.code === 'used_token') {
+        throw new Error('Invalid card information. Please check your card details and try again.');
+      }
+
+      throw new Error(`Card payment failed: ${error.message}`);
+    }
+  }
+
+  mapStatus(omiseStatus) {
+    return OMISE_STATUS_MAP[omiseStatus] || 'pending';
+  }
+}
+
+module.exports = OmiseGateway;
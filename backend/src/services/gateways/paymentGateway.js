@@ -0,0 +1,53 @@
+// Base class for payment gateway adapters.
+// PaymentService only talks to gateways through these methods, so adding a provider means
+// subclassing this, registering it in ./index.js and letting owners pick it.
+class PaymentGateway {
+  constructor(name) {
+    this.name = name;
+  }
+
+  // Payment methods members can choose when paying through this gateway
+  get supportedMethods() {
+    return [];
+  }
+
+  // Whether cards can be kept for automatic renewals
+  get supportsSavedCards() {
+    return false;
+  }
+
+  supportsMethod(paymentMethod) {
+    return this.supportedMethods.includes(paymentMethod);
+  }
+
+  // Start a charge. Resolves to:
+  // { reference, sourceReference, status, success, requiresAuthorization, authorizeUri,
+  //   qrCodeUrl, expiresAt, instructions, failureMessage, raw }
+  // where status is one of the local payment statuses and raw is the provider's own response.
+  async createCharge(chargeData) {
+    throw new Error(`${this.name} gateway does not support charges`);
+  }
+
+  // Current state of a charge at the provider: { reference, status, raw }, or null when the
+  // gateway keeps no remote state and the local payment record is the source of truth
+  async retrieveCharge(reference) {
+    throw new Error(`${this.name} gateway does not support retrieving charges`);
+  }
+
+  // Refund part or all of a charge: { reference, status, raw }
+  async createRefund(chargeReference, refundData) {
+    throw new Error(`${this.name} gateway does not support refunds`);
+  }
+
+  // Keep a card for later charges: { customerId, cardId }
+  async saveCard(member, token) {
+    throw new Error(`${this.name} gateway does not support saved cards`);
+  }
+
+  // Translate a provider status into a local payment status
+  mapStatus(providerStatus) {
+    return 'pending';
+  }
+}
+
+module.exports = PaymentGateway;
@@ -0,0 +1,607 @@
+const { getPrismaClient } = require('../config/database');
+const PdfDocument = require('../utils/pdfDocument');
+const { CURRENCIES, DEFAULT_CURRENCY, roundAmount } = require('../utils/currency');
+const { v4: uuidv4 } = require('uuid');
+
+const prisma = getPrismaClient();
+
+const INVOICE_TYPES = ['receipt', 'tax_invoice', 'credit_note'];
+
+const DOCUMENT_TITLES = {
+  receipt: 'RECEIPT',
+  tax_invoice: 'TAX INVOICE',
+  credit_note: 'CREDIT NOTE'
+};
+
+const TAX_ID_PATTERN = /^\d{13}$/;
+const BRANCH_PATTERN = /^\d{5}$/;
+const PREFIX_PATTERN = /^[A-Z0-9]{1,10}$/;
+const HEAD_OFFICE_BRANCH = '00000';
+const MAX_VAT_RATE = 30;
+const MAX_ADDRESS_LENGTH = 500;
+const MAX_NAME_LENGTH = 200;
+
+// Receipts for successful payments, Thai tax invoices on request, and credit notes for refunds
+class InvoiceService {
+  // Issue the receipt for a payment that just succeeded; calling it again returns the same receipt
+  async issueReceipt(paymentId, tx = null) {
+    const prismaClient = tx || prisma;
+
+    const existing = await prismaClient.invoice.findFirst({
+      where: { payment_id: paymentId, type: 'receipt' }
+    });
+
+    if (existing) {
+      return existing;
+    }
+
+    const payment = await prismaClient.payment.findUnique({
+      where: { payment_id: paymentId },
+      include: {
+        plan: { include: { owner: true } },
+        member: true
+      }
+    });
+
+    if (!payment || !['successful', 'refunded'].includes(payment.status)) {
+      throw new Error('Payment not found or not successful');
+    }
+
+    const total = parseFloat(payment.amount.toString());
+
+    // Plan changes paid entirely with credit have nothing to receipt
+    if (total <= 0) {
+      return null;
+    }
+
+    const { owner } = payment.plan;
+
+    let receipt;
+    try {
+      receipt = await this.createDocument(prismaClient, {
+        type: 'receipt',
+        owner,
+        payment,
+        buyer: {
+          name: payment.member.full_name,
+          email: payment.member.email
+        },
+        description: payment.description || `Subscription: ${payment.plan.name}`,
+        total,
+        vatRate: owner.vat_registered ? parseFloat(owner.vat_rate.toString()) : 0
+      });
+    } catch (error) {
+      // Issued by a concurrent request. In a caller's transaction the failed insert has aborted it, so it rolls back instead.
+      if (!tx && this.isDuplicateDocument(error)) {
+        return await prisma.invoice.findUnique({
+          where: { document_key: this.documentKey(paymentId, 'receipt') }
+        });
+      }
+      throw error;
+    }
+
+    console.log('Receipt issued:', { paymentId, number: receipt.number });
+
+    return receipt;
+  }
+
+  // Full Thai tax invoice with the member's tax details, for owners registered for VAT
+  async issueTaxInvoice(memberId, paymentId, details) {
+    try {
+      return await this.createTaxInvoice(memberId, paymentId, details);
+    } catch (error) {
+      // Requested twice at once; both get the one that was issued
+      if (this.isDuplicateDocument(error)) {
+        const existing = await prisma.invoice.findUnique({
+          where: { document_key: this.documentKey(paymentId, 'tax_invoice') },
+          include: { related_invoice: { select: { number: true } } }
+        });
+
+        if (existing) {
+          return this.transformInvoice(existing);
+        }
+      }
+      throw error;
+    }
+  }
+
+  async createTaxInvoice(memberId, paymentId, { name, taxId, address, branch }) {
+    return await prisma.$transaction(async (tx) => {
+      const payment = await tx.payment.findFirst({
+        where: { payment_id: paymentId, member_id: memberId },
+        include: {
+          plan: { include: { owner: true } },
+          member: true,
+          invoices: true
+        }
+      });
+
+      if (!payment) {
+        throw new Error('Payment not found');
+      }
+
+      if (payment.status !== 'successful') {
+        throw new Error('Invalid tax invoice request: only successful payments have tax invoices');
+      }
+
+      const { owner } = payment.plan;
+
+      if (!owner.vat_registered) {
+        throw new Error(`Invalid tax invoice request: ${owner.org_name} is not VAT registered`);
+      }
+
+      const existing = payment.invoices.find(invoice => invoice.type === 'tax_invoice');
+      if (existing) {
+        return this.transformInvoice(existing);
+      }
+
+      const receipt = payment.invoices.find(invoice => invoice.type === 'receipt')
+        || await this.issueReceipt(payment.payment_id, tx);
+
+      if (!receipt) {
+        throw new Error('Invalid tax invoice request: nothing was charged for this payment');
+      }
+
+      const taxInvoice = await this.createDocument(tx, {
+        type: 'tax_invoice',
+        owner,
+        payment,
+        buyer: {
+          name: name.trim(),
+          email: payment.member.email,
+          taxId,
+          address: address.trim(),
+          branch: branch || HEAD_OFFICE_BRANCH
+        },
+        description: receipt.description,
+        total: parseFloat(receipt.total.toString()),
+        vatRate: parseFloat(receipt.vat_rate.toString()),
+        relatedInvoiceId: receipt.invoice_id
+      });
+
+      console.log('Tax invoice issued:', { paymentId, number: taxInvoice.number });
+
+      return this.transformInvoice({ ...taxInvoice, related_invoice: { number: receipt.number } });
+    });
+  }
+
+  // Credit note for a refund, against the tax invoice if the member has one, otherwise the receipt
+  async issueCreditNote(refundId, tx = null) {
+    const prismaClient = tx || prisma;
+
+    const refund = await prismaClient.refund.findUnique({
+      where: { refund_id: refundId },
+      include: {
+        credit_note: true,
+        payment: {
+          include: {
+            plan: { include: { owner: true } },
+            member: true,
+            invoices: true
+          }
+        }
+      }
+    });
+
+    if (!refund) {
+      throw new Error('Refund not found');
+    }
+
+    if (refund.credit_note) {
+      return refund.credit_note;
+    }
+
+    const { payment } = refund;
+    const corrected = payment.invoices.find(invoice => invoice.type === 'tax_invoice')
+      || payment.invoices.find(invoice => invoice.type === 'receipt')
+      || await this.issueReceipt(payment.payment_id, prismaClient);
+
+    if (!corrected) {
+      return null;
+    }
+
+    const creditNote = await this.createDocument(prismaClient, {
+      type: 'credit_note',
+      owner: payment.plan.owner,
+      payment,
+      buyer: {
+        name: corrected.buyer_name,
+        email: corrected.buyer_email,
+        taxId: corrected.buyer_tax_id,
+        address: corrected.buyer_address,
+        branch: corrected.buyer_branch
+      },
+      description: `Refund against ${corrected.number}: ${corrected.description}`,
+      total: parseFloat(refund.amount.toString()),
+      vatRate: parseFloat(corrected.vat_rate.toString()),
+      refundId,
+      relatedInvoiceId: corrected.invoice_id
+    });
+
+    console.log('Credit note issued:', { refundId, number: creditNote.number });
+
+    return creditNote;
+  }
+
+  async createDocument(prismaClient, { type, owner, payment, buyer, description, total, vatRate, refundId = null, relatedInvoiceId = null }) {
+    const number = await this.nextNumber(prismaClient, owner.owner_id, type);
+    const vat = this.calculateVat(total, vatRate, payment.currency);
+
+    return await prismaClient.invoice.create({
+      data: {
+        invoice_id: uuidv4(),
+        owner_id: owner.owner_id,
+        payment_id: payment.payment_id,
+        refund_id: refundId,
+        document_key: type === 'credit_note' ? null : this.documentKey(payment.payment_id, type),
+        related_invoice_id: relatedInvoiceId,
+        type,
+        number,
+        seller_name: owner.org_name,
+        seller_tax_id: owner.vat_registered ? owner.tax_id : null,
+        seller_branch: owner.vat_registered ? (owner.tax_branch || HEAD_OFFICE_BRANCH) : null,
+        seller_address: owner.tax_address,
+        buyer_name: buyer.name,
+        buyer_email: buyer.email || null,
+        buyer_tax_id: buyer.taxId || null,
+        buyer_branch: buyer.branch || null,
+        buyer_address: buyer.address || null,
+        description,
+        subtotal: vat.subtotal,
+        vat_rate: vat.rate,
+        vat_amount: vat.vatAmount,
+        total,
+        currency: payment.currency
+      }
+    });
+  }
+
+  // Payments have at most one receipt and one tax invoice; credit notes are one per refund instead
+  documentKey(paymentId, type) {
+    return `${paymentId}:${type}`;
+  }
+
+  isDuplicateDocument(error) {
+    return error.code === 'P2002' && [].concat(error.meta?.target || []).some(target => String(target).includes('document_key'));
+  }
+
+    // Numbers come from a counter on the owner row, so payments settling together never share one
+  async nextNumber(prismaClient, ownerId, type) {
+    const counter = type === 'credit_note' ? 'next_credit_note_number' : 'next_invoice_number';
+
+    const owner = await prismaClient.owner.update({
+      where: { owner_id: ownerId },
+      data: {
+        [counter]: { increment: 1 }
+      },
+      select: {
+        invoice_prefix: true,
+        [counter]: true
+      }
+    });
+
+    const series = type === 'credit_note' ? `${owner.invoice_prefix}-CN` : owner.invoice_prefix;
+    return `${series}-${String(owner[counter] - 1).padStart(6, '0')}`;
+  }
+
+  // Prices are VAT inclusive, so the VAT is the share of the total above the net price
+  calculateVat(total, vatRate, currency = DEFAULT_CURRENCY) {
+    if (!vatRate) {
+      return { rate: 0, vatAmount: 0, subtotal: total };
+    }
+
+    const vatAmount = roundAmount(total * vatRate / (100 + vatRate), currency);
+
+    return {
+      rate: vatRate,
+      vatAmount,
+      subtotal: roundAmount(total - vatAmount, currency)
+    };
+  }
+
+  async getMemberInvoice(memberId, invoiceId) {
+    const invoice = await prisma.invoice.findFirst({
+      where: {
+        invoice_id: invoiceId,
+        payment: { member_id: memberId }
+      },
+      include: {
+        related_invoice: { select: { number: true } }
+      }
+    });
+
+    if (!invoice) {
+      throw new Error('Invoice not found');
+    }
+
+    return invoice;
+  }
+
+  async getOwnerInvoice(ownerId, invoiceId) {
+    const invoice = await prisma.invoice.findFirst({
+      where: {
+        invoice_id: invoiceId,
+        owner_id: ownerId
+      },
+      include: {
+        related_invoice: { select: { number: true } }
+      }
+    });
+
+    if (!invoice) {
+      throw new Error('Invoice not found');
+    }
+
+    return invoice;
+  }
+
+  async getOwnerInvoices(ownerId, { type, paymentId, limit = 50, offset = 0 } = {}) {
+    if (type && !INVOICE_TYPES.includes(type)) {
+      throw new Error(`Invalid invoice type. Must be one of: ${INVOICE_TYPES.join(', ')}`);
+    }
+
+    const where = {
+      owner_id: ownerId,
+      ...(type ? { type } : {}),
+      ...(paymentId ? { payment_id: paymentId } : {})
+    };
+
+    const [invoices, total] = await Promise.all([
+      prisma.invoice.findMany({
+        where,
+        include: {
+          related_invoice: { select: { number: true } }
+        },
+        orderBy: { issued_at: 'desc' },
+        take: limit,
+        skip: offset
+      }),
+      prisma.invoice.count({ where })
+    ]);
+
+    return {
+      invoices: invoices.map(invoice => this.transformInvoice(invoice)),
+      pagination: {
+        total,
+        limit,
+        offset
+      }
+    };
+  }
+
+  async getTaxSettings(ownerId) {
+    const owner = await prisma.owner.findUnique({
+      where: { owner_id: ownerId }
+    });
+
+    if (!owner) {
+      throw new Error('Owner not found');
+    }
+
+    return this.transformTaxSettings(owner);
+  }
+
+  async updateTaxSettings(ownerId, { vatRegistered, vatRate, taxId, taxBranch, taxAddress, invoicePrefix }) {
+    const owner = await prisma.owner.update({
+      where: { owner_id: ownerId },
+      data: {
+        vat_registered: vatRegistered,
+        ...(vatRate !== undefined ? { vat_rate: vatRate } : {}),
+        tax_id: taxId || null,
+        tax_branch: taxBranch || (vatRegistered ? HEAD_OFFICE_BRANCH : null),
+        tax_address: taxAddress?.trim() || null,
+        ...(invoicePrefix !== undefined ? { invoice_prefix: invoicePrefix } : {}),
+        update_at: new Date()
+      }
+    });
+
+    return this.transformTaxSettings(owner);
+  }
+
+  validateTaxSettings({ vatRegistered, vatRate, taxId, taxBranch, taxAddress, invoicePrefix }) {
+    const errors = [];
+
+    if (typeof vatRegistered !== 'boolean') {
+      errors.push('vatRegistered must be true or false');
+    }
+
+    if (vatRate !== undefined && (typeof vatRate !== 'number' || vatRate < 0 || vatRate > MAX_VAT_RATE)) {
+      errors.push(`VAT rate must be a number between 0 and ${MAX_VAT_RATE}`);
+    }
+
+    if (taxId !== undefined && taxId !== null && (typeof taxId !== 'string' || !TAX_ID_PATTERN.test(taxId))) {
+      errors.push('Tax ID must be 13 digits');
+    }
+
+    if (taxBranch !== undefined && taxBranch !== null && (typeof taxBranch !== 'string' || !BRANCH_PATTERN.test(taxBranch))) {
+      errors.push('Branch must be 5 digits (00000 for head office)');
+    }
+
+    if (taxAddress !== undefined && taxAddress !== null
+      && (typeof taxAddress !== 'string' || taxAddress.length > MAX_ADDRESS_LENGTH)) {
+      errors.push(`Address must be a string of at most ${MAX_ADDRESS_LENGTH} characters`);
+    }
+
+    if (vatRegistered === true && (!taxId || !taxAddress?.trim())) {
+      errors.push('Tax ID and address are required when registered for VAT');
+    }
+
+    if (invoicePrefix !== undefined && (typeof invoicePrefix !== 'string' || !PREFIX_PATTERN.test(invoicePrefix))) {
+      errors.push('Invoice prefix must be 1-10 uppercase letters or digits');
+    }
+
+    return errors;
+  }
+
+  validateTaxInvoiceRequest({ name, taxId, address, branch }) {
+    const errors = [];
+
+    if (!name || typeof name !== 'string' || name.trim() === '' || name.length > MAX_NAME_LENGTH) {
+      errors.push(`Name is required and must be at most ${MAX_NAME_LENGTH} characters`);
+    }
+
+    if (!taxId || typeof taxId !== 'string' || !TAX_ID_PATTERN.test(taxId)) {
+      errors.push('Tax ID must be 13 digits');
+    }
+
+    if (!address || typeof address !== 'string' || address.trim() === '' || address.length > MAX_ADDRESS_LENGTH) {
+      errors.push(`Address is required and must be at most ${MAX_ADDRESS_LENGTH} characters`);
+    }
+
+    if (branch !== undefined && branch !== null && (typeof branch !== 'string' || !BRANCH_PATTERN.test(branch))) {
+      errors.push('Branch must be 5 digits (00000 for head office)');
+    }
+
+    return errors;
+  }
+
+  async renderPdf(invoice) {
+    const pdf = new PdfDocument();
+    const left = 50;
+    const right = PdfDocument.width - 50;
+    const { decimals } = CURRENCIES[invoice.currency] || CURRENCIES[DEFAULT_CURRENCY];
+    const formatAmount = (amount) => parseFloat(amount.toString())
+      .toLocaleString('en-US', { minimumFractionDigits: decimals, maximumFractionDigits: decimals });
+    const branchLabel = (branch) => branch === HEAD_OFFICE_BRANCH ? 'Head office' : `Branch ${branch}`;
+
+    let y = 790;
+
+    // Seller
+    pdf.text(invoice.seller_name, left, y, { size: 16, bold: true });
+    pdf.text(DOCUMENT_TITLES[invoice.type], right, y, { size: 16, bold: true, align: 'right' });
+
+    y -= 20;
+    pdf.text(`No. ${invoice.number}`, right, y, { align: 'right' });
+    pdf.text(`Date ${invoice.issued_at.toISOString().slice(0, 10)}`, right, y - 14, { align: 'right' });
+    if (invoice.related_invoice) {
+      pdf.text(`Reference ${invoice.related_invoice.number}`, right, y - 28, { align: 'right' });
+    }
+
+    for (const line of this.wrapText(invoice.seller_address, 60)) {
+      pdf.text(line, left, y, { size: 9 });
+      y -= 12;
+    }
+    if (invoice.seller_tax_id) {
+      pdf.text(`Tax ID ${invoice.seller_tax_id} (${branchLabel(invoice.seller_branch)})`, left, y, { size: 9 });
+      y -= 12;
+    }
+
+    y = Math.min(y, 730) - 20;
+    pdf.line(left, y, right, y);
+
+    // Buyer
+    y -= 20;
+    pdf.text('Bill to', left, y, { bold: true });
+    y -= 14;
+    pdf.text(invoice.buyer_name, left, y);
+    y -= 12;
+    if (invoice.buyer_email) {
+      pdf.text(invoice.buyer_email, left, y, { size: 9 });
+      y -= 12;
+    }
+    for (const line of this.wrapText(invoice.buyer_address, 80)) {
+      pdf.text(line, left, y, { size: 9 });
+      y -= 12;
+    }
+    if (invoice.buyer_tax_id) {
+      pdf.text(`Tax ID ${invoice.buyer_tax_id} (${branchLabel(invoice.buyer_branch)})`, left, y, { size: 9 });
+      y -= 12;
+    }
+
+    // Line item
+    y -= 20;
+    pdf.text('Description', left, y, { bold: true });
+    pdf.text(`Amount (${invoice.currency})`, right, y, { bold: true, align: 'right' });
+    y -= 6;
+    pdf.line(left, y, right, y);
+    y -= 16;
+
+    const descriptionLines = this.wrapText(invoice.description, 70);
+    pdf.text(formatAmount(invoice.subtotal), right, y, { align: 'right' });
+    for (const line of descriptionLines) {
+      pdf.text(line, left, y);
+      y -= 14;
+    }
+
+    y -= 4;
+    pdf.line(left, y, right, y);
+
+    // Totals
+    const totals = [['Subtotal', invoice.subtotal]];
+    if (parseFloat(invoice.vat_rate.toString()) > 0) {
+      totals.push([`VAT ${parseFloat(invoice.vat_rate.toString())}%`, invoice.vat_amount]);
+    }
+    totals.push([invoice.type === 'credit_note' ? 'Total credited' : 'Total', invoice.total]);
+
+    for (const [label, amount] of totals) {
+      y -= 16;
+      const bold = label.startsWith('Total');
+      pdf.text(label, right - 150, y, { bold });
+      pdf.text(formatAmount(amount), right, y, { bold, align: 'right' });
+    }
+
+    pdf.text(`Payment ${invoice.payment_id}`, left, 60, { size: 8 });
+    pdf.text('This document was issued electronically.', left, 48, { size: 8 });
+
+    return await pdf.toBuffer();
+  }
+
+  wrapText(text, maxLength) {
+    if (!text) {
+      return [];
+    }
+
+    return text.split(/\r?\n/).flatMap(paragraph => {
+      const lines = [];
+      let current = '';
+
+      for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+        if (current && (current.length + word.length + 1) > maxLength) {
+          lines.push(current);
+          current = word;
+        } else {
+          current = current ? `${current} ${word}` : word;
+        }
+      }
+
+      if (current) {
+        lines.push(current);
+      }
+
+      return lines;
+    });
+  }
+
+  transformInvoice(invoice) {
+    return {
+      id: invoice.invoice_id,
+      type: invoice.type,
+      number: invoice.number,
+      paymentId: invoice.payment_id,
+      refundId: invoice.refund_id,
+      relatedInvoiceNumber: invoice.related_invoice?.number || null,
+      buyerName: invoice.buyer_name,
+      buyerTaxId: invoice.buyer_tax_id,
+      description: invoice.description,
+      subtotal: parseFloat(invoice.subtotal.toString()),
+      vatRate: parseFloat(invoice.vat_rate.toString()),
+      vatAmount: parseFloat(invoice.vat_amount.toString()),
+      total: parseFloat(invoice.total.toString()),
+      currency: invoice.currency,
+      issuedAt: invoice.issued_at
+    };
+  }
+
+  transformTaxSettings(owner) {
+    return {
+      vatRegistered: owner.vat_registered,
+      vatRate: parseFloat(owner.vat_rate.toString()),
+      taxId: owner.tax_id,
+      taxBranch: owner.tax_branch,
+      taxAddress: owner.tax_address,
+      invoicePrefix: owner.invoice_prefix
+    };
+  }
+}
+
+module.exports = InvoiceService;
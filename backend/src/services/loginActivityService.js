@@ -0,0 +1,288 @@
+const crypto = require('crypto');
+const { getPrismaClient } = require('../config/database');
+const { NotFoundError } = require('../utils/errorHandler');
+const EmailService = require('./emailService');
+const SessionService = require('./sessionService');
+
+const prisma = getPrismaClient();
+
+const LOCKOUT_POLICY = {
+  maxFailedAttempts: 5,
+  attemptWindowMinutes: 15, // Failures further apart than this start the count again
+  lockoutMinutes: 15
+};
+
+// Failures that count toward a lockout; attempts refused because of one do not extend it
+const COUNTED_FAILURES = ['invalid_credentials', 'invalid_code'];
+
+const MAX_ACTIVITY_LIMIT = 100;
+
+// Per-account lockout after repeated failed sign-ins, sign-in history, and new device emails.
+// authRateLimiter only limits by IP; this stops guessing one account's password from many IPs.
+class LoginActivityService {
+  constructor() {
+    this.emailService = new EmailService();
+    this.sessionService = new SessionService();
+  }
+
+  normalizeEmail(email) {
+    return String(email || '').toLowerCase().trim();
+  }
+
+  // When the account's lockout ends, or null if it is not locked
+  async lockedUntil(email, now = new Date()) {
+    const lockout = await prisma.accountLockout.findUnique({
+      where: { email: this.normalizeEmail(email) }
+    });
+
+    return lockout?.locked_until && lockout.locked_until > now ? lockout.locked_until : null;
+  }
+
+  // Record a failed attempt and lock the account once there are too many in a row.
+  // Returns the end of the lockout if the account is now locked, otherwise null.
+  // unlockUrl is the sign-in app's unlock page; the emailed link adds the token to it.
+  async recordFailure(email, { reason, device = {}, unlockUrl } = {}, now = new Date()) {
+    const normalizedEmail = this.normalizeEmail(email);
+
+    await this.recordEvent({ email: normalizedEmail, success: false, failureReason: reason, device }, now);
+
+    if (!COUNTED_FAILURES.includes(reason)) {
+      return await this.lockedUntil(normalizedEmail, now);
+    }
+
+    const failedAttempts = await this.countFailure(normalizedEmail, now);
+
+    // Only the failure that reaches the limit locks the account and sends the email; later ones
+    // (from concurrent requests) leave that lockout and its unlock link as they are
+    if (failedAttempts < LOCKOUT_POLICY.maxFailedAttempts) {
+      return null;
+    }
+
+    if (failedAttempts > LOCKOUT_POLICY.maxFailedAttempts) {
+      return await this.lockedUntil(normalizedEmail, now);
+    }
+
+    const lockedUntil = new Date(now.getTime() + LOCKOUT_POLICY.lockoutMinutes * 60 * 1000);
+    const unlockToken = crypto.randomBytes(32).toString('base64url');
+    await prisma.accountLockout.update({
+      where: { email: normalizedEmail },
+      data: {
+        locked_until: lockedUntil,
+        unlock_token_hash: this.hashToken(unlockToken),
+        update_at: now
+      }
+    });
+
+    console.log('Account locked after failed sign-ins:', { email: normalizedEmail, failedAttempts, lockedUntil });
+
+    await this.sendUnlockEmail(normalizedEmail, `${unlockUrl}?token=${unlockToken}`, lockedUntil);
+
+    return lockedUntil;
+  }
+
+  // Add one to the email's failure count in a single statement, so concurrent failures are all counted,
+  // and return the new count. The count starts over after a quiet window or an expired lockout.
+  async countFailure(email, now = new Date()) {
+    // Columns are UTC timestamps without a time zone, so compare against UTC values of the same type
+    const at = now.toISOString();
+    const windowStart = new Date(now.getTime() - LOCKOUT_POLICY.attemptWindowMinutes * 60 * 1000).toISOString();
+
+    const [lockout] = await prisma.$queryRaw`
+      INSERT INTO account_lockouts (email, failed_attempts, last_failed_at, update_at)
+      VALUES (${email}, 1, ${at}::timestamp, ${at}::timestamp)
+      ON CONFLICT (email) DO UPDATE SET
+        failed_attempts = CASE
+          WHEN account_lockouts.last_failed_at IS NULL
+            OR account_lockouts.last_failed_at < ${windowStart}::timestamp
+            OR account_lockouts.locked_until <= ${at}::timestamp
+          THEN 1
+          ELSE account_lockouts.failed_attempts + 1
+        END,
+        locked_until = CASE WHEN account_lockouts.locked_until <= ${at}::timestamp THEN NULL ELSE account_lockouts.locked_until END,
+        last_failed_at = ${at}::timestamp,
+        update_at = ${at}::timestamp
+      RETURNING failed_attempts`;
+
+    return lockout.failed_attempts;
+  }
+
+  // Record a sign-in, clear the failure count and email the account holder if the device is new
+  async recordSuccess({ subjectType, subjectId, email }, device = {}, now = new Date()) {
+    const normalizedEmail = this.normalizeEmail(email);
+    const newDevice = await this.isNewDevice(subjectId, device.userAgent);
+
+    await this.recordEvent({ email: normalizedEmail, subjectType, subjectId, success: true, newDevice, device }, now);
+    await this.clearLockout(normalizedEmail);
+
+    if (newDevice) {
+      await this.sendNewDeviceEmail(normalizedEmail, device, now);
+    }
+
+    return { newDevice };
+  }
+
+  // A user agent this account has not signed in with before. The very first sign-in is not "new".
+  async isNewDevice(subjectId, userAgent) {
+    if (!userAgent) {
+      return false;
+    }
+
+    const previous = await prisma.loginEvent.findMany({
+      where: {
+        subject_id: subjectId,
+        success: true
+      },
+      select: { user_agent: true },
+      distinct: ['user_agent']
+    });
+
+    return previous.length > 0 && !previous.some(event => event.user_agent === userAgent);
+  }
+
+  async recordEvent({ email, subjectType = null, subjectId = null, success, failureReason = null, newDevice = false, device = {} }, now = new Date()) {
+    return await prisma.loginEvent.create({
+      data: {
+        email,
+        subject_type: subjectType,
+        subject_id: subjectId,
+        success,
+        failure_reason: failureReason,
+        new_device: newDevice,
+        user_agent: device.userAgent || null,
+        ip_address: device.ipAddress || null,
+        create_at: now
+      }
+    });
+  }
+
+  // After a successful sign-in or password reset
+  async clearLockout(email) {
+    await prisma.accountLockout.deleteMany({
+      where: { email: this.normalizeEmail(email) }
+    });
+  }
+
+  // The link in the unlock email ends the lockout early
+  async unlock(unlockToken) {
+    if (typeof unlockToken !== 'string' || !unlockToken) {
+      throw new NotFoundError('Unlock link not found or already used');
+    }
+
+    const { count } = await prisma.accountLockout.deleteMany({
+      where: { unlock_token_hash: this.hashToken(unlockToken) }
+    });
+
+    if (count === 0) {
+      throw new NotFoundError('Unlock link not found or already used');
+    }
+
+    console.log('Account unlocked from email link');
+  }
+
+  // Sign-ins to the user's account, newest first. Failed attempts are matched by email,
+  // since a wrong password does not tell us whose account it was.
+  async getRecentActivity(user, { limit = 20 } = {}) {
+    const { subjectId } = this.sessionService.subjectFor(user);
+    const take = Math.min(Math.max(parseInt(limit, 10) || 20, 1), MAX_ACTIVITY_LIMIT);
+
+    const events = await prisma.loginEvent.findMany({
+      where: {
+        OR: [
+          { subject_id: subjectId },
+          { subject_id: null, email: this.normalizeEmail(user.email) }
+        ]
+      },
+      orderBy: { create_at: 'desc' },
+      take
+    });
+
+    return events.map(event => this.transformLoginEvent(event));
+  }
+
+  // Response for a sign-in refused because of a lockout
+  lockedResponse(lockedUntil) {
+    return {
+      success: false,
+      message: 'Too many failed sign-in attempts. Try again later, or use the link we emailed you to unlock your account.',
+      locked: true,
+      lockedUntil,
+      requiresVerification: false,
+      rateLimited: false
+    };
+  }
+
+  // Only accounts that exist get the email; unknown emails are locked silently
+  async sendUnlockEmail(email, unlockLink, lockedUntil) {
+    try {
+      if (!(await this.accountExists(email))) {
+        return;
+      }
+
+      await this.emailService.send({
+        to: email,
+        subject: 'Your Membella account has been locked',
+        text: [
+          'There were several failed attempts to sign in to your Membella account, so we have locked it',
+          `until ${lockedUntil.toUTCString()}.`,
+          '',
+          'If this was you, you can unlock your account now:',
+          unlockLink,
+          '',
+          'If it was not you, someone may be trying to guess your password. We recommend resetting it.'
+        ].join('\n')
+      });
+    } catch (error) {
+      console.error('Failed to send unlock email:', error.message);
+    }
+  }
+
+  async sendNewDeviceEmail(email, device, now) {
+    try {
+      await this.emailService.send({
+        to: email,
+        subject: 'New sign-in to your Membella account',
+        text: [
+          'Your Membella account was just signed in to from a new device.',
+          '',
+          `Time: ${now.toUTCString()}`,
+          `Device: ${device.userAgent}`,
+          `IP address: ${device.ipAddress || 'Unknown'}`,
+          '',
+          'If this was you, there is nothing to do. If not, reset your password and sign out of all devices',
+          'from your account settings.'
+        ].join('\n')
+      });
+    } catch (error) {
+      console.error('Failed to send new device email:', error.message);
+    }
+  }
+
+  async accountExists(email) {
+    const [owner, staff, member] = await Promise.all([
+      prisma.owner.findUnique({ where: { email }, select: { owner_id: true } }),
+      prisma.staff.findUnique({ where: { email }, select: { staff_id: true } }),
+      prisma.member.findUnique({ where: { email }, select: { member_id: true } })
+    ]);
+
+    return !!(owner || staff || member);
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  transformLoginEvent(event) {
+    return {
+      id: event.login_event_id,
+      success: event.success,
+      failureReason: event.failure_reason,
+      newDevice: event.new_device,
+      userAgent: event.user_agent,
+      ipAddress: event.ip_address,
+      createdAt: event.create_at
+    };
+  }
+}
+
+module.exports = LoginActivityService;
+module.exports.LOCKOUT_POLICY = LOCKOUT_POLICY;
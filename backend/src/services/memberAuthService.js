@@ -2,11 +2,15 @@ const { getPrismaClient } = require('../config/database');
 const { supabase } = require('../config/supabase');
 const jwt = require('jsonwebtoken');
 const { ValidationError, AuthenticationError, ConflictError, AppError, NotFoundError } = require('../utils/errorHandler');
+const SessionService = require('./sessionService');
+const LoginActivityService = require('./loginActivityService');
 
 class MemberAuthService {
   constructor() {
     this.prisma = getPrismaClient();
     this.supabase = supabase;
+    this.sessionService = new SessionService();
+    this.loginActivityService = new LoginActivityService();
     this.jwtSecret = process.env.JWT_SECRET || '65YHSNjVcJ9q4V2GGGlxvQ1hmGt2x344Po8CYi+U9aD5mdiMJlGMXLHF7YyC5Q5ZTCKWOeWfMYXkqDBG4SxSFw==';
   }
 
@@ -39,7 +43,8 @@ class MemberAuthService {
         where: { email: userData.email.toLowerCase().trim() }
       });
 
-      if (existingMember) {
+      // Members an owner added before they signed up claim that account instead of getting a new one
+      if (existingMember && !existingMember.invited_at) {
         return {
           success: false,
           message: 'This email is already registered. Please try logging in instead.',
@@ -103,16 +108,26 @@ class MemberAuthService {
 
       if (authData.user) {
         try {
-          // Create member in database
-          const newMember = await this.prisma.member.create({
-            data: {
-              member_id: authData.user.id,
-              email: userData.email.toLowerCase().trim(),
-              full_name: userData.fullName.trim(),
-              phone: userData.phone?.trim() || null,
-              password: '' // Password is managed by Supabase
-            }
-          });
+          const memberData = {
+            member_id: authData.user.id,
+            email: userData.email.toLowerCase().trim(),
+            full_name: userData.fullName.trim(),
+            phone: userData.phone?.trim() || null,
+            password: '' // Password is managed by Supabase
+          };
+
+          // Create member in database, or move the invited account (and its subscriptions) to the Supabase user id
+          const newMember = existingMember
+            ? await this.prisma.member.update({
+                where: { member_id: existingMember.member_id },
+                data: {
+                  ...memberData,
+                  update_at: new Date()
+                }
+              })
+            : await this.prisma.member.create({
+                data: memberData
+              });
 
           console.log('Member created in database:', newMember.member_id);
 
@@ -184,9 +199,17 @@ class MemberAuthService {
     }
   }
 
-  async login(email, password) {
+  // device is the user agent and IP the session list shows; see SessionService.deviceFromRequest
+  async login(email, password, device = {}) {
     try {
       console.log('MemberAuthService: Starting member login for:', email);
+
+      // A locked account is refused before the password is even checked
+      const lockedUntil = await this.loginActivityService.lockedUntil(email);
+      if (lockedUntil) {
+        await this.loginActivityService.recordFailure(email, { reason: 'locked', device });
+        return this.loginActivityService.lockedResponse(lockedUntil);
+      }
       
       // Authenticate with Supabase
       const { data: authData, error: authError } = await this.supabase.auth.signInWithPassword({
@@ -213,6 +236,15 @@ class MemberAuthService {
         }
         
         if (authError.message.includes('Invalid login credentials')) {
+          const nowLockedUntil = await this.loginActivityService.recordFailure(email, {
+            reason: 'invalid_credentials',
+            device,
+            unlockUrl: `${process.env.MEMBER_FRONTEND_URL}/unlock-account`
+          });
+          if (nowLockedUntil) {
+            return this.loginActivityService.lockedResponse(nowLockedUntil);
+          }
+
           return {
             success: false,
             message: 'Invalid email or password. Please check your credentials and try again.',
@@ -268,23 +300,31 @@ class MemberAuthService {
         };
       }
 
-      // Generate JWT token for member
-      const token = jwt.sign(
+      // First sign-in of a member an owner invited
+      if (member.invited_at) {
+        await this.acceptInvitations(member.member_id);
+      }
+
+      // Short-lived access token plus a refresh token for this device
+      const { token, refreshToken, expiresIn } = await this.sessionService.createSession(
         { 
           userId: member.member_id, 
           email: member.email,
           role: 'member'
         },
-        this.jwtSecret,
-        { expiresIn: '7d' }
+        device
       );
 
+      await this.loginActivityService.recordSuccess({ subjectType: 'member', subjectId: member.member_id, email: member.email }, device);
+
       console.log('Member login successful:', member.member_id);
 
       return {
         success: true,
         message: 'Login successful.',
         token,
+        refreshToken,
+        expiresIn,
         user: {
           id: member.member_id,
           email: member.email,
@@ -311,6 +351,21 @@ class MemberAuthService {
     }
   }
 
+  async acceptInvitations(memberId, now = new Date()) {
+    await this.prisma.$transaction([
+      this.prisma.member.update({
+        where: { member_id: memberId },
+        data: { invited_at: null, update_at: now }
+      }),
+      this.prisma.memberInvitation.updateMany({
+        where: { member_id: memberId, status: 'pending' },
+        data: { status: 'accepted', accepted_at: now, update_at: now }
+      })
+    ]);
+
+    console.log('Member invitations accepted:', memberId);
+  }
+
   async resendVerification(email) {
     try {
       console.log('Resending member verification email to:', email);
@@ -478,14 +533,6 @@ class MemberAuthService {
     }
   }
 
-  generateToken(userId, email) {
-    return jwt.sign(
-      { userId, email, role: 'member' },
-      this.jwtSecret,
-      { expiresIn: '7d' }
-    );
-  }
-
   verifyToken(token) {
     try {
       return jwt.verify(token, this.jwtSecret);
@@ -561,9 +608,19 @@ class MemberAuthService {
   async resetPassword(accessToken, newPassword) {
     try {
       console.log('Resetting member password with access token');
+
+      // The reset link's token says whose password this is
+      const { data: userData, error: userError } = await this.supabase.auth.getUser(accessToken);
+
+      if (userError || !userData?.user) {
+        return {
+          success: false,
+          message: 'Invalid or expired reset link. Please request a new one.',
+          rateLimited: false
+        };
+      }
       
-      // Use Supabase to reset password
-      const { data, error } = await this.supabase.auth.updateUser({
+      const { data, error } = await this.supabase.auth.admin.updateUserById(userData.user.id, {
         password: newPassword
       });
 
@@ -585,6 +642,10 @@ class MemberAuthService {
         };
       }
 
+      // Whoever knew the old password is signed out everywhere, and the account is no longer locked
+      await this.sessionService.revokeAllSessions(userData.user.id, { reason: 'password_reset' });
+      await this.loginActivityService.clearLockout(userData.user.email);
+
       console.log('Member password reset successful:', data);
 
       return {
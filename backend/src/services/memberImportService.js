@@ -0,0 +1,291 @@
+const { getPrismaClient } = require('../config/database');
+const MemberInvitationService = require('./memberInvitationService');
+const SubscriptionGrantService = require('./subscriptionGrantService');
+const { parseCsv, toCsv } = require('../utils/csv');
+
+const prisma = getPrismaClient();
+
+// Columns an import file can have; only email is required. Header names are matched case-insensitively.
+const IMPORT_COLUMNS = ['email', 'full_name', 'phone', 'plan', 'end_date', 'payment_method', 'amount', 'note'];
+
+const MAX_IMPORT_ROWS = 1000;
+
+// Bring an owner's existing members over from a spreadsheet.
+// Each row invites the person (or matches their account) and, when it names a plan, grants them a subscription.
+class MemberImportService {
+  constructor() {
+    this.memberInvitationService = new MemberInvitationService();
+    this.subscriptionGrantService = new SubscriptionGrantService();
+  }
+
+  // Records keyed by column with the file line they came from; blank lines are skipped
+  parseImport(csvText) {
+    const [header, ...lines] = parseCsv(csvText || '');
+
+    if (!header || header.every(field => !field.trim())) {
+      throw new Error('Invalid import: the file is empty');
+    }
+
+    const columns = header.map(name => name.trim().toLowerCase().replace(/\s+/g, '_'));
+
+    if (!columns.includes('email')) {
+      throw new Error('Invalid import: the file needs an email column');
+    }
+
+    const records = lines
+      .map((fields, index) => ({ fields, rowNumber: index + 2 }))
+      .filter(({ fields }) => fields.some(field => field.trim()))
+      .map(({ fields, rowNumber }) => {
+        const record = { rowNumber };
+
+        columns.forEach((column, index) => {
+          if (IMPORT_COLUMNS.includes(column)) {
+            record[column] = (fields[index] || '').trim();
+          }
+        });
+
+        return record;
+      });
+
+    if (records.length === 0) {
+      throw new Error('Invalid import: the file has no member rows');
+    }
+
+    if (records.length > MAX_IMPORT_ROWS) {
+      throw new Error(`Invalid import: at most ${MAX_IMPORT_ROWS} members can be imported at once`);
+    }
+
+    return records;
+  }
+
+  // Problems with one row before anything is created; plans are the owner's, keyed by lowercased name and by id
+  checkRow(record, plans, seenEmails, now = new Date()) {
+    const errors = [];
+    const email = (record.email || '').toLowerCase();
+
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      errors.push('Email must be a valid email address');
+    } else if (seenEmails.has(email)) {
+      errors.push('Email appears more than once in the file');
+    }
+
+    const plan = record.plan ? plans.get(record.plan.toLowerCase()) || plans.get(record.plan) : null;
+
+    if (record.plan && !plan) {
+      errors.push(`Plan "${record.plan}" does not exist`);
+    }
+
+    if (!record.plan && (record.end_date || record.payment_method || record.amount)) {
+      errors.push('end_date, payment_method and amount need a plan');
+    }
+
+    if (record.end_date && !/^\d{4}-\d{2}-\d{2}$/.test(record.end_date)) {
+      errors.push('end_date must be a date like 2025-12-31');
+    }
+
+    const grant = plan ? this.toGrant(record, plan) : null;
+
+    if (grant) {
+      errors.push(...this.subscriptionGrantService.validateGrant(grant, now));
+    }
+
+    return { errors, grant };
+  }
+
+  // Members carried over already paid in the old system, so rows without a payment method are complimentary
+  toGrant(record, plan) {
+    return {
+      planId: plan.plan_id,
+      email: record.email,
+      paymentMethod: record.payment_method || 'complimentary',
+      amount: record.amount ? Number(record.amount) : undefined,
+      endDate: record.end_date ? new Date(`${record.end_date}T23:59:59.999Z`) : null,
+      note: record.note || null
+    };
+  }
+
+  async importMembers(ownerId, { csv, fileName = null, sendInvites = true }, now = new Date()) {
+    const records = this.parseImport(csv);
+
+    const ownerPlans = await prisma.plan.findMany({
+      where: {
+        owner_id: ownerId,
+        delete_at: null
+      }
+    });
+
+    const plans = new Map();
+    for (const plan of ownerPlans) {
+      plans.set(plan.plan_id, plan);
+      plans.set(plan.name.toLowerCase(), plan);
+    }
+
+    const memberImport = await prisma.memberImport.create({
+      data: {
+        owner_id: ownerId,
+        file_name: fileName,
+        total_rows: records.length
+      }
+    });
+
+    const seenEmails = new Set();
+    const rows = [];
+
+    for (const record of records) {
+      rows.push(await this.importRow(ownerId, record, plans, seenEmails, sendInvites, now));
+    }
+
+    await prisma.memberImportRow.createMany({
+      data: rows.map(row => ({ ...row, member_import_id: memberImport.member_import_id }))
+    });
+
+    const failed = rows.filter(row => row.status === 'failed').length;
+
+    const completed = await prisma.memberImport.update({
+      where: { member_import_id: memberImport.member_import_id },
+      data: {
+        succeeded_rows: rows.length - failed,
+        failed_rows: failed,
+        completed_at: new Date()
+      }
+    });
+
+    console.log('Member import completed:', {
+      importId: memberImport.member_import_id,
+      total: rows.length,
+      failed
+    });
+
+    return this.transformImport({ ...completed, rows });
+  }
+
+  // One failed row never stops the rest of the file
+  async importRow(ownerId, record, plans, seenEmails, sendInvites, now) {
+    const { errors, grant } = this.checkRow(record, plans, seenEmails, now);
+    const row = {
+      row_number: record.rowNumber,
+      email: record.email || null,
+      full_name: record.full_name || null,
+      status: 'failed',
+      error: null,
+      member_id: null,
+      subscription_id: null
+    };
+
+    if (record.email) {
+      seenEmails.add(record.email.toLowerCase());
+    }
+
+    if (errors.length > 0) {
+      return { ...row, error: errors.join('; ') };
+    }
+
+    try {
+      const { member, status } = await this.memberInvitationService.inviteMember(ownerId, {
+        email: record.email,
+        fullName: record.full_name,
+        phone: record.phone
+      }, { source: 'import', sendEmail: sendInvites }, now);
+
+      row.member_id = member.member_id;
+
+      if (grant) {
+        const subscription = await this.subscriptionGrantService.grantSubscription(ownerId, {
+          ...grant,
+          memberId: member.member_id
+        }, { source: 'import' }, now);
+
+        row.subscription_id = subscription.id;
+      }
+
+      return { ...row, status };
+    } catch (error) {
+      console.error('Member import row failed:', record.rowNumber, error.message);
+
+      return { ...row, error: error.message };
+    }
+  }
+
+  async getImports(ownerId) {
+    const imports = await prisma.memberImport.findMany({
+      where: { owner_id: ownerId },
+      orderBy: { create_at: 'desc' }
+    });
+
+    return imports.map(memberImport => this.transformImport(memberImport));
+  }
+
+  async getImport(ownerId, importId) {
+    return this.transformImport(await this.findImport(ownerId, importId));
+  }
+
+  async findImport(ownerId, importId) {
+    const memberImport = await prisma.memberImport.findFirst({
+      where: {
+        member_import_id: importId,
+        owner_id: ownerId
+      },
+      include: {
+        rows: {
+          orderBy: { row_number: 'asc' }
+        }
+      }
+    });
+
+    if (!memberImport) {
+      throw new Error('Import not found');
+    }
+
+    return memberImport;
+  }
+
+  // Every row of the import with its outcome, as a CSV the owner can fix and upload again
+  async getImportResultsCsv(ownerId, importId) {
+    const memberImport = await this.findImport(ownerId, importId);
+
+    const csv = toCsv([
+      ['row', 'email', 'full_name', 'status', 'error', 'member_id', 'subscription_id'],
+      ...memberImport.rows.map(row => [
+        row.row_number,
+        row.email,
+        row.full_name,
+        row.status,
+        row.error,
+        row.member_id,
+        row.subscription_id
+      ])
+    ]);
+
+    return {
+      fileName: `member-import-${memberImport.create_at.toISOString().slice(0, 10)}-results.csv`,
+      csv
+    };
+  }
+
+  transformImport(memberImport) {
+    return {
+      id: memberImport.member_import_id,
+      fileName: memberImport.file_name,
+      totalRows: memberImport.total_rows,
+      succeededRows: memberImport.succeeded_rows,
+      failedRows: memberImport.failed_rows,
+      createdAt: memberImport.create_at,
+      completedAt: memberImport.completed_at,
+      ...(memberImport.rows ? {
+        rows: memberImport.rows.map(row => ({
+          row: row.row_number,
+          email: row.email,
+          fullName: row.full_name,
+          status: row.status,
+          error: row.error,
+          memberId: row.member_id,
+          subscriptionId: row.subscription_id
+        }))
+      } : {})
+    };
+  }
+}
+
+module.exports = MemberImportService;
+module.exports.IMPORT_COLUMNS = IMPORT_COLUMNS;
+module.exports.MAX_IMPORT_ROWS = MAX_IMPORT_ROWS;
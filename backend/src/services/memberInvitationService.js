@@ -0,0 +1,183 @@
+const { getPrismaClient } = require('../config/database');
+const { supabase } = require('../config/supabase');
+
+const prisma = getPrismaClient();
+
+const INVITATION_STATUSES = ['pending', 'accepted'];
+
+// Owners bring people onto the platform before they have signed up.
+// An invited member gets a placeholder account under their Supabase user id, so the invite link signs them straight into it.
+class MemberInvitationService {
+  constructor() {
+    this.supabase = supabase;
+  }
+
+  // Find the member with this email or create an invited one, and record the owner's invitation.
+  // Returns status 'matched' for an email that already had an account and 'invited' for a new one.
+  async inviteMember(ownerId, { email, fullName, phone = null }, { source, sendEmail = true } = {}, now = new Date()) {
+    const normalizedEmail = email.toLowerCase().trim();
+
+    const existing = await prisma.member.findUnique({
+      where: { email: normalizedEmail }
+    });
+
+    // Registered members only need the owner's subscription, not an invitation
+    if (existing && !existing.invited_at) {
+      return { member: existing, invitation: null, status: 'matched' };
+    }
+
+    if (!existing && !fullName?.trim()) {
+      throw new Error('Invalid invitation: full name is required for new members');
+    }
+
+    let member = existing;
+    let sentAt = null;
+
+    if (sendEmail) {
+      // Invited by another owner already; Supabase sends the invite again to an account that is not confirmed
+      const supabaseUserId = await this.sendInviteEmail(normalizedEmail, existing ? existing.full_name : fullName.trim());
+      sentAt = now;
+
+      if (member && member.member_id !== supabaseUserId) {
+        member = await this.moveToSupabaseUser(member.member_id, supabaseUserId);
+      }
+
+      if (!member) {
+        member = await this.createInvitedMember({ member_id: supabaseUserId, email: normalizedEmail, fullName, phone }, now);
+      }
+    } else if (!member) {
+      member = await this.createInvitedMember({ email: normalizedEmail, fullName, phone }, now);
+    }
+
+    const invitation = await prisma.memberInvitation.upsert({
+      where: {
+        owner_id_member_id: {
+          owner_id: ownerId,
+          member_id: member.member_id
+        }
+      },
+      update: {
+        ...(sentAt ? { sent_at: sentAt } : {}),
+        update_at: now
+      },
+      create: {
+        owner_id: ownerId,
+        member_id: member.member_id,
+        email: normalizedEmail,
+        source,
+        sent_at: sentAt
+      }
+    });
+
+    console.log('Member invited:', { ownerId, memberId: member.member_id, source, emailSent: !!sentAt });
+
+    return { member, invitation, status: existing ? 'matched' : 'invited' };
+  }
+
+  async createInvitedMember({ member_id, email, fullName, phone }, now = new Date()) {
+    return await prisma.member.create({
+      data: {
+        ...(member_id ? { member_id } : {}),
+        email,
+        full_name: fullName.trim(),
+        phone: phone?.trim() || null,
+        password: '', // Set by the member through Supabase
+        invited_at: now
+      }
+    });
+  }
+
+  // Supabase creates the auth user and emails a link to set a password; returns that user's id
+  async sendInviteEmail(email, fullName) {
+    const { data, error } = await this.supabase.auth.admin.inviteUserByEmail(email, {
+      redirectTo: `${process.env.MEMBER_FRONTEND_URL}/auth/callback`,
+      data: {
+        full_name: fullName,
+        role: 'member'
+      }
+    });
+
+    if (error) {
+      throw new Error(`Failed to send invitation email: ${error.message}`);
+    }
+
+    return data.user.id;
+  }
+
+  // Subscriptions, payments and invitations follow the id change through ON UPDATE CASCADE
+  async moveToSupabaseUser(memberId, supabaseUserId) {
+    return await prisma.member.update({
+      where: { member_id: memberId },
+      data: {
+        member_id: supabaseUserId,
+        update_at: new Date()
+      }
+    });
+  }
+
+  async resendInvitation(ownerId, invitationId, now = new Date()) {
+    const invitation = await prisma.memberInvitation.findFirst({
+      where: {
+        member_invitation_id: invitationId,
+        owner_id: ownerId
+      },
+      include: {
+        member: true
+      }
+    });
+
+    if (!invitation) {
+      throw new Error('Invitation not found');
+    }
+
+    if (invitation.status !== 'pending') {
+      throw new Error('Invalid invitation: the member has already accepted');
+    }
+
+    const { invitation: resent } = await this.inviteMember(ownerId, { email: invitation.email }, { source: invitation.source }, now);
+
+    return this.transformInvitation({ ...resent, member: invitation.member });
+  }
+
+  async getInvitations(ownerId, { status } = {}) {
+    if (status !== undefined && !INVITATION_STATUSES.includes(status)) {
+      throw new Error(`Invalid status: must be one of ${INVITATION_STATUSES.join(', ')}`);
+    }
+
+    const invitations = await prisma.memberInvitation.findMany({
+      where: {
+        owner_id: ownerId,
+        ...(status ? { status } : {})
+      },
+      include: {
+        member: {
+          select: {
+            full_name: true
+          }
+        }
+      },
+      orderBy: {
+        create_at: 'desc'
+      }
+    });
+
+    return invitations.map(invitation => this.transformInvitation(invitation));
+  }
+
+  transformInvitation(invitation) {
+    return {
+      id: invitation.member_invitation_id,
+      memberId: invitation.member_id,
+      email: invitation.email,
+      fullName: invitation.member?.full_name || null,
+      status: invitation.status,
+      source: invitation.source,
+      sentAt: invitation.sent_at,
+      acceptedAt: invitation.accepted_at,
+      createdAt: invitation.create_at
+    };
+  }
+}
+
+module.exports = MemberInvitationService;
+module.exports.INVITATION_STATUSES = INVITATION_STATUSES;
@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+const { OMISE_CONFIG } = require('../config/omise');
+const { getPrismaClient } = require('../config/database');
+const PaymentService = require('./paymentService');
+
+const prisma = getPrismaClient();
+
+// Confirms that webhook events really come from Omise before they can change payments
+class OmiseWebhookService {
+  constructor() {
+    this.paymentService = new PaymentService();
+  }
+
+  // Returns the event to process, rebuilt from data Omise vouches for.
+  // The result is { verified, method, event, reason, retryable }; retryable failures are Omise outages, not forgeries.
+  async verifyEvent({ event, rawBody, headers = {}, now = new Date() }) {
+    if (OMISE_CONFIG.webhookSecret) {
+      const signatureCheck = this.verifySignature({
+        rawBody,
+        signature: headers['omise-signature'],
+        timestamp: headers['omise-signature-timestamp'],
+        secret: OMISE_CONFIG.webhookSecret,
+        now
+      });
+
+      return {
+        verified: signatureCheck.valid,
+        method: 'signature',
+        event: signatureCheck.valid ? event : null,
+        reason: signatureCheck.reason || null,
+        retryable: false
+      };
+    }
+
+    return await this.refetchEvent(event);
+  }
+
+  // Omise signs "<timestamp>.<raw body>" with HMAC-SHA256 using the base64-decoded webhook secret.
+  // The header may carry several comma-separated signatures while a secret is being rotated.
+  verifySignature({ rawBody, signature, timestamp, secret, now = new Date() }) {
+    if (!rawBody) {
+      return { valid: false, reason: 'Raw request body is not available' };
+    }
+
+    if (!signature || !timestamp) {
+      return { valid: false, reason: 'Missing Omise-Signature or Omise-Signature-Timestamp header' };
+    }
+
+    const timestampSeconds = parseInt(timestamp, 10);
+    if (isNaN(timestampSeconds)) {
+      return { valid: false, reason: 'Invalid signature timestamp' };
+    }
+
+    const ageSeconds = Math.abs(Math.floor(now.getTime() / 1000) - timestampSeconds);
+    if (ageSeconds > OMISE_CONFIG.webhookSignatureToleranceSeconds) {
+      return { valid: false, reason: 'Signature timestamp is outside the allowed window' };
+    }
+
+    const expected = crypto
+      .createHmac('sha256', Buffer.from(secret, 'base64'))
+      .update(`${timestamp}.${rawBody.toString('utf8')}`)
+      .digest();
+
+    const matches = signature.split(',').some(candidate => {
+      const provided = Buffer.from(candidate.trim(), 'hex');
+      return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+    });
+
+    return matches
+      ? { valid: true }
+      : { valid: false, reason: 'Signature does not match' };
+  }
+
+  // Without a signing secret, trust nothing in the body but the object id and ask Omise for the current object
+  async refetchEvent(event) {
+    const { data } = event;
+
+    try {
+      if (data.object === 'refund') {
+        const chargeId = typeof data.charge === 'string' ? data.charge : data.charge?.id;
+        if (!chargeId) {
+          return this.rejectRefetch('Refund event does not reference a charge');
+        }
+
+        const charge = await this.paymentService.getChargeFromOmise(chargeId);
+        const refund = (charge.refunds?.data || []).find(r => r.id === data.id);
+
+        if (!refund) {
+          return this.rejectRefetch(`Refund ${data.id} does not exist on charge ${chargeId}`);
+        }
+
+        return {
+          verified: true,
+          method: 'refetch',
+          event: { ...event, data: { ...refund, charge: chargeId } },
+          reason: null,
+          retryable: false
+        };
+      }
+
+      const charge = await this.paymentService.getChargeFromOmise(data.id);
+
+      if (!charge || charge.id !== data.id) {
+        return this.rejectRefetch(`Charge ${data.id} was not found at Omise`);
+      }
+
+      return {
+        verified: true,
+        method: 'refetch',
+        event: { ...event, data: charge },
+        reason: null,
+        retryable: false
+      };
+    } catch (error) {
+      // Omise answers unknown ids with an error object; anything else means we could not ask
+      if (error.object === 'error' || error.code === 'not_found') {
+        return this.rejectRefetch(`Omise does not recognise ${data.object} ${data.id}: ${error.message}`);
+      }
+
+      return {
+        verified: false,
+        method: 'refetch',
+        event: null,
+        reason: `Could not reach Omise to verify the event: ${error.message}`,
+        retryable: true
+      };
+    }
+  }
+
+  rejectRefetch(reason) {
+    return {
+      verified: false,
+      method: 'refetch',
+      event: null,
+      reason,
+      retryable: false
+    };
+  }
+
+  // Keep every delivery, accepted or not, so forged or failed events can be audited later
+  async recordEvent({ event, verification, sourceIp }) {
+    try {
+      return await prisma.omiseWebhookEvent.create({
+        data: {
+          omise_event_id: typeof event.id === 'string' ? event.id : null,
+          event_key: String(event.key || 'unknown'),
+          object_id: event.data?.id || null,
+          verification_method: verification?.method || null,
+          status: verification?.verified ? 'accepted' : 'rejected',
+          failure_reason: verification?.reason || null,
+          source_ip: sourceIp || null,
+          payload: event
+        }
+      });
+    } catch (error) {
+      console.error('Failed to record Omise webhook event:', error);
+      return null;
+    }
+  }
+
+  async recordProcessingResult(webhookEventId, status, processingResult) {
+    if (!webhookEventId) {
+      return;
+    }
+
+    try {
+      await prisma.omiseWebhookEvent.update({
+        where: { omise_webhook_event_id: webhookEventId },
+        data: {
+          status,
+          processing_result: processingResult,
+          update_at: new Date()
+        }
+      });
+    } catch (error) {
+      console.error('Failed to record Omise webhook result:', error);
+    }
+  }
+}
+
+module.exports = OmiseWebhookService;
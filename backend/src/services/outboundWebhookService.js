@@ -0,0 +1,500 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+const { getPrismaClient } = require('../config/database');
+const { isPublicAddress, resolvePublicAddresses, pinnedLookup } = require('../utils/networkAddress');
+const { v4: uuidv4 } = require('uuid');
+
+const prisma = getPrismaClient();
+
+const WEBHOOK_EVENT_TYPES = [
+  'subscription.created',
+  'subscription.renewed',
+  'subscription.cancelled',
+  'subscription.expired',
+  'subscription.reactivated',
+  'subscription.paused',
+  'subscription.resumed',
+  'payment.succeeded',
+  'payment.failed',
+  'payment.refunded'
+];
+
+// Plain HTTP to these is allowed in development, for receivers running on the developer's machine
+const LOCAL_HOSTNAMES = ['localhost', '127.0.0.1'];
+
+const WEBHOOK_CONFIG = {
+  retryScheduleMinutes: [1, 5, 30, 120, 720], // Wait before the 2nd to 6th attempt
+  timeoutMs: 10000,
+  batchSize: 50,
+  maxEndpointsPerOwner: 10
+};
+
+// Owners learn about subscription and payment changes through signed POSTs to their endpoints
+class OutboundWebhookService {
+  // Queue an event for every endpoint of the owner that listens to it.
+  // Pass the transaction client so the deliveries commit together with the change they describe.
+  async publish(ownerId, type, data, tx = null) {
+    const prismaClient = tx || prisma;
+
+    try {
+      const endpoints = await prismaClient.webhookEndpoint.findMany({
+        where: {
+          owner_id: ownerId,
+          is_active: true,
+          delete_at: null,
+          events: {
+            has: type
+          }
+        },
+        select: {
+          webhook_endpoint_id: true
+        }
+      });
+
+      if (endpoints.length === 0) {
+        return { queued: 0 };
+      }
+
+      const eventId = uuidv4();
+      const payload = {
+        id: eventId,
+        type,
+        created_at: new Date().toISOString(),
+        data
+      };
+
+      await prismaClient.webhookDelivery.createMany({
+        data: endpoints.map(endpoint => ({
+          webhook_endpoint_id: endpoint.webhook_endpoint_id,
+          event_id: eventId,
+          event_type: type,
+          payload
+        }))
+      });
+
+      console.log('Owner webhook event queued:', { ownerId, type, eventId, endpoints: endpoints.length });
+
+      return { queued: endpoints.length, eventId };
+    } catch (error) {
+      console.error('Failed to queue owner webhook event:', { ownerId, type, error: error.message });
+      throw error;
+    }
+  }
+
+  async publishSubscriptionEvent(type, subscription, plan, tx = null) {
+    return await this.publish(plan.owner_id, type, this.serializeSubscription(subscription, plan), tx);
+  }
+
+  async publishPaymentEvent(type, payment, plan, tx = null, extra = {}) {
+    return await this.publish(plan.owner_id, type, {
+      ...this.serializePayment(payment, plan),
+      ...extra
+    }, tx);
+  }
+
+  // Send every delivery that is due, rescheduling failures along the retry schedule
+  async processDueDeliveries(now = new Date()) {
+    const summary = {
+      checked: 0,
+      succeeded: 0,
+      retrying: 0,
+      failed: 0
+    };
+
+    const deliveries = await prisma.webhookDelivery.findMany({
+      where: {
+        status: 'pending',
+        next_attempt_at: {
+          lte: now
+        }
+      },
+      include: {
+        endpoint: true
+      },
+      orderBy: {
+        next_attempt_at: 'asc'
+      },
+      take: WEBHOOK_CONFIG.batchSize
+    });
+
+    summary.checked = deliveries.length;
+
+    for (const delivery of deliveries) {
+      try {
+        const result = await this.attemptDelivery(delivery);
+        summary[result.status === 'pending' ? 'retrying' : result.status]++;
+      } catch (error) {
+        console.error('Webhook delivery attempt crashed:', delivery.webhook_delivery_id, error);
+        summary.failed++;
+      }
+    }
+
+    return summary;
+  }
+
+  async attemptDelivery(delivery, now = new Date()) {
+    const { endpoint } = delivery;
+
+    if (!endpoint.is_active || endpoint.delete_at) {
+      return await prisma.webhookDelivery.update({
+        where: { webhook_delivery_id: delivery.webhook_delivery_id },
+        data: {
+          status: 'failed',
+          next_attempt_at: null,
+          error: 'Endpoint is disabled',
+          update_at: now
+        }
+      });
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(now.getTime() / 1000);
+    const attempts = delivery.attempts + 1;
+
+    let responseStatus = null;
+    let errorMessage = null;
+
+    try {
+      const agent = await this.createDeliveryAgent(endpoint.url);
+      const response = await axios.post(endpoint.url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'SubscriptionPlatform-Webhooks/1.0',
+          'X-Webhook-Id': delivery.event_id,
+          'X-Webhook-Event': delivery.event_type,
+          'X-Webhook-Signature': this.buildSignatureHeader(endpoint.secret, timestamp, body)
+        },
+        timeout: WEBHOOK_CONFIG.timeoutMs,
+        maxRedirects: 0,
+        httpAgent: agent,
+        httpsAgent: agent,
+        proxy: false,
+        validateStatus: () => true,
+        transformResponse: [(data) => data]
+      });
+
+      responseStatus = response.status;
+
+      if (response.status < 200 || response.status >= 300) {
+        errorMessage = `Endpoint responded with HTTP ${response.status}`;
+      }
+    } catch (requestError) {
+      errorMessage = requestError.code === 'ECONNABORTED'
+        ? `Endpoint did not respond within ${WEBHOOK_CONFIG.timeoutMs / 1000} seconds`
+        : requestError.message;
+    }
+
+    const nextAttemptAt = errorMessage ? this.getNextAttemptDate(attempts, now) : null;
+    const status = !errorMessage ? 'succeeded' : nextAttemptAt ? 'pending' : 'failed';
+
+    if (errorMessage) {
+      console.warn('Owner webhook delivery failed:', {
+        deliveryId: delivery.webhook_delivery_id,
+        url: endpoint.url,
+        attempts,
+        nextAttemptAt,
+        error: errorMessage
+      });
+    }
+
+    return await prisma.webhookDelivery.update({
+      where: { webhook_delivery_id: delivery.webhook_delivery_id },
+      data: {
+        status,
+        attempts,
+        next_attempt_at: nextAttemptAt,
+        last_attempt_at: now,
+        response_status: responseStatus,
+        error: errorMessage,
+        update_at: now
+      }
+    });
+  }
+
+  // Owners choose the URL, so only connect to the public addresses it resolved to when checked.
+  // Otherwise an endpoint could point the server at its own network or cloud metadata.
+  async createDeliveryAgent(url) {
+    const { protocol, hostname } = new URL(url);
+    const Agent = protocol === 'https:' ? https.Agent : http.Agent;
+
+    if (process.env.NODE_ENV === 'development' && LOCAL_HOSTNAMES.includes(hostname)) {
+      return new Agent();
+    }
+
+    const addresses = await resolvePublicAddresses(hostname);
+    return new Agent({ lookup: pinnedLookup(addresses) });
+  }
+
+  // Date of the next attempt after the given number of failed attempts, or null when out of retries
+  getNextAttemptDate(failedAttempts, now = new Date()) {
+    const delayMinutes = WEBHOOK_CONFIG.retryScheduleMinutes[failedAttempts - 1];
+
+    if (delayMinutes === undefined) {
+      return null;
+    }
+
+    return new Date(now.getTime() + delayMinutes * 60 * 1000);
+  }
+
+  // Receivers recompute HMAC-SHA256 over "<timestamp>.<raw body>" with their endpoint secret
+  buildSignatureHeader(secret, timestamp, body) {
+    return `t=${timestamp},v1=${this.signPayload(secret, timestamp, body)}`;
+  }
+
+  signPayload(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  // Endpoint management for owners
+
+  async listEndpoints(ownerId) {
+    const endpoints = await prisma.webhookEndpoint.findMany({
+      where: {
+        owner_id: ownerId,
+        delete_at: null
+      },
+      orderBy: {
+        create_at: 'desc'
+      }
+    });
+
+    return endpoints.map(endpoint => this.transformEndpoint(endpoint));
+  }
+
+  // The signing secret is only returned when the endpoint is created
+  async createEndpoint(ownerId, { url, description, events }) {
+    const endpointCount = await prisma.webhookEndpoint.count({
+      where: {
+        owner_id: ownerId,
+        delete_at: null
+      }
+    });
+
+    if (endpointCount >= WEBHOOK_CONFIG.maxEndpointsPerOwner) {
+      throw new Error(`Invalid request: an organization can have at most ${WEBHOOK_CONFIG.maxEndpointsPerOwner} webhook endpoints`);
+    }
+
+    const secret = `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+
+    const endpoint = await prisma.webhookEndpoint.create({
+      data: {
+        owner_id: ownerId,
+        url: url.trim(),
+        description: description?.trim() || null,
+        events: [...new Set(events)],
+        secret
+      }
+    });
+
+    console.log('Webhook endpoint created:', { endpointId: endpoint.webhook_endpoint_id, ownerId });
+
+    return {
+      ...this.transformEndpoint(endpoint),
+      secret
+    };
+  }
+
+  async updateEndpoint(ownerId, endpointId, { url, description, events, isActive }) {
+    const existing = await this.findOwnerEndpoint(ownerId, endpointId);
+
+    const endpoint = await prisma.webhookEndpoint.update({
+      where: { webhook_endpoint_id: endpointId },
+      data: {
+        url: url.trim(),
+        description: description?.trim() || null,
+        events: [...new Set(events)],
+        is_active: isActive !== undefined ? !!isActive : existing.is_active,
+        update_at: new Date()
+      }
+    });
+
+    return this.transformEndpoint(endpoint);
+  }
+
+  async deleteEndpoint(ownerId, endpointId) {
+    await this.findOwnerEndpoint(ownerId, endpointId);
+
+    // Soft delete so the delivery log stays available; pending deliveries fail on their next attempt
+    await prisma.webhookEndpoint.update({
+      where: { webhook_endpoint_id: endpointId },
+      data: {
+        is_active: false,
+        delete_at: new Date()
+      }
+    });
+  }
+
+  async getDeliveries(ownerId, endpointId, { status, limit = 50 } = {}) {
+    await this.findOwnerEndpoint(ownerId, endpointId);
+
+    const deliveries = await prisma.webhookDelivery.findMany({
+      where: {
+        webhook_endpoint_id: endpointId,
+        ...(status ? { status } : {})
+      },
+      orderBy: {
+        create_at: 'desc'
+      },
+      take: Math.min(Math.max(parseInt(limit) || 50, 1), 100)
+    });
+
+    return deliveries.map(delivery => this.transformDelivery(delivery));
+  }
+
+  // Send an event again as a new delivery with the same event id
+  async redeliver(ownerId, endpointId, deliveryId) {
+    const endpoint = await this.findOwnerEndpoint(ownerId, endpointId);
+
+    if (!endpoint.is_active) {
+      throw new Error('Invalid request: endpoint is disabled');
+    }
+
+    const original = await prisma.webhookDelivery.findFirst({
+      where: {
+        webhook_delivery_id: deliveryId,
+        webhook_endpoint_id: endpointId
+      }
+    });
+
+    if (!original) {
+      throw new Error('Webhook delivery not found');
+    }
+
+    const delivery = await prisma.webhookDelivery.create({
+      data: {
+        webhook_endpoint_id: endpointId,
+        event_id: original.event_id,
+        event_type: original.event_type,
+        payload: original.payload
+      }
+    });
+
+    console.log('Webhook redelivery queued:', { originalDeliveryId: deliveryId, deliveryId: delivery.webhook_delivery_id });
+
+    return this.transformDelivery(delivery);
+  }
+
+  async findOwnerEndpoint(ownerId, endpointId) {
+    const endpoint = await prisma.webhookEndpoint.findFirst({
+      where: {
+        webhook_endpoint_id: endpointId,
+        owner_id: ownerId,
+        delete_at: null
+      }
+    });
+
+    if (!endpoint) {
+      throw new Error('Webhook endpoint not found');
+    }
+
+    return endpoint;
+  }
+
+  // Check owner input; returns a list of error messages
+  validateEndpointData({ url, events }) {
+    const errors = [];
+
+    let parsedUrl = null;
+    try {
+      parsedUrl = new URL(url);
+    } catch (error) {
+      errors.push('URL must be a valid absolute URL');
+    }
+
+    if (parsedUrl) {
+      const allowLocal = process.env.NODE_ENV === 'development' && LOCAL_HOSTNAMES.includes(parsedUrl.hostname);
+      const host = parsedUrl.hostname.replace(/^\[(.*)\]$/, '$1');
+
+      if (parsedUrl.protocol !== 'https:' && !(allowLocal && parsedUrl.protocol === 'http:')) {
+        errors.push('URL must use HTTPS');
+      }
+
+      // Host names are checked again when each delivery is sent, since what they resolve to can change
+      if (!allowLocal && (host === 'localhost' || (net.isIP(host) && !isPublicAddress(host)))) {
+        errors.push('URL must point to a public address');
+      }
+    }
+
+    if (!Array.isArray(events) || events.length === 0) {
+      errors.push('At least one event type is required');
+    } else {
+      const unknown = events.filter(event => !WEBHOOK_EVENT_TYPES.includes(event));
+      if (unknown.length > 0) {
+        errors.push(`Unknown event types: ${unknown.join(', ')}`);
+      }
+    }
+
+    return errors;
+  }
+
+  serializeSubscription(subscription, plan) {
+    return {
+      subscription: {
+        id: subscription.subscription_id,
+        memberId: subscription.member_id,
+        planId: subscription.plan_id,
+        planName: plan.name,
+        status: subscription.status,
+        isTrial: subscription.is_trial,
+        startDate: subscription.start_date,
+        endDate: subscription.end_date,
+        autoRenew: subscription.auto_renew,
+        cancelAtPeriodEnd: !!subscription.cancel_at_period_end,
+        cancellationReason: subscription.cancellation_reason || null
+      }
+    };
+  }
+
+  serializePayment(payment, plan) {
+    return {
+      payment: {
+        id: payment.payment_id,
+        memberId: payment.member_id,
+        planId: payment.plan_id,
+        planName: plan.name,
+        amount: parseFloat(payment.amount.toString()),
+        refundedAmount: parseFloat((payment.refunded_amount ?? 0).toString()),
+        currency: payment.currency,
+        paymentMethod: payment.payment_method,
+        provider: payment.provider,
+        status: payment.status,
+        renewalSubscriptionId: payment.renewal_subscription_id || null
+      }
+    };
+  }
+
+  transformEndpoint(endpoint) {
+    return {
+      id: endpoint.webhook_endpoint_id,
+      url: endpoint.url,
+      description: endpoint.description,
+      events: endpoint.events,
+      isActive: endpoint.is_active,
+      createdAt: endpoint.create_at,
+      updatedAt: endpoint.update_at
+    };
+  }
+
+  transformDelivery(delivery) {
+    return {
+      id: delivery.webhook_delivery_id,
+      eventId: delivery.event_id,
+      eventType: delivery.event_type,
+      status: delivery.status,
+      attempts: delivery.attempts,
+      nextAttemptAt: delivery.next_attempt_at,
+      lastAttemptAt: delivery.last_attempt_at,
+      responseStatus: delivery.response_status,
+      error: delivery.error,
+      payload: delivery.payload,
+      createdAt: delivery.create_at
+    };
+  }
+}
+
+module.exports = OutboundWebhookService;
+module.exports.WEBHOOK_EVENT_TYPES = WEBHOOK_EVENT_TYPES;
+module.exports.WEBHOOK_CONFIG = WEBHOOK_CONFIG;
@@ -0,0 +1,177 @@
+const { getPrismaClient } = require('../config/database');
+const PaymentService = require('./paymentService');
+const { getGateway, PAYMENT_GATEWAYS } = require('./gateways');
+
+const prisma = getPrismaClient();
+
+const MAX_INSTRUCTIONS_LENGTH = 2000;
+const NOT_PENDING_MESSAGE = 'Invalid request: only pending bank transfer payments can be confirmed or rejected';
+
+// Owner choice of payment gateway, and settling payments made outside the platform
+class PaymentGatewayService {
+  constructor() {
+    this.paymentService = new PaymentService();
+  }
+
+  async getOwnerGateway(ownerId) {
+    const owner = await prisma.owner.findUnique({
+      where: { owner_id: ownerId },
+      select: {
+        payment_gateway: true,
+        manual_payment_instructions: true
+      }
+    });
+
+    if (!owner) {
+      throw new Error('Owner not found');
+    }
+
+    return this.transformSettings(owner);
+  }
+
+  // Applies to new checkouts; payments already started finish on the gateway they began with
+  async updateOwnerGateway(ownerId, { gateway, manualPaymentInstructions }) {
+    const owner = await prisma.owner.update({
+      where: { owner_id: ownerId },
+      data: {
+        payment_gateway: gateway,
+        ...(manualPaymentInstructions !== undefined
+          ? { manual_payment_instructions: manualPaymentInstructions?.trim() || null }
+          : {}),
+        update_at: new Date()
+      },
+      select: {
+        payment_gateway: true,
+        manual_payment_instructions: true
+      }
+    });
+
+    console.log('Owner payment gateway updated:', { ownerId, gateway });
+
+    return this.transformSettings(owner);
+  }
+
+  // Mark a bank transfer as received, which starts or renews the subscription it pays for
+  async confirmManualPayment(ownerId, paymentId) {
+    const payment = await this.findPendingManualPayment(ownerId, paymentId);
+
+    await prisma.$transaction(async (tx) => {
+      const confirmed = await this.settleManualPayment(tx, paymentId, 'successful', {
+        ...(payment.provider_response || {}),
+        confirmed_by: ownerId,
+        confirmed_at: new Date().toISOString()
+      });
+
+      await this.paymentService.publishPaymentStatusEvent(confirmed, payment.plan, tx);
+
+      if (payment.renewal_subscription_id) {
+        await this.paymentService.applyRenewalPayment(paymentId, tx);
+      } else {
+        await this.paymentService.createSubscriptionFromPayment(paymentId, tx);
+      }
+    });
+
+    console.log('Manual payment confirmed:', { ownerId, paymentId });
+
+    return await this.paymentService.getPaymentStatus(paymentId);
+  }
+
+  // Mark a bank transfer as never received
+  async rejectManualPayment(ownerId, paymentId, reason) {
+    const payment = await this.findPendingManualPayment(ownerId, paymentId);
+
+    await prisma.$transaction(async (tx) => {
+      const rejected = await this.settleManualPayment(tx, paymentId, 'failed', {
+        ...(payment.provider_response || {}),
+        rejected_by: ownerId,
+        rejected_at: new Date().toISOString(),
+        reason: reason || null
+      });
+
+      await this.paymentService.publishPaymentStatusEvent(rejected, payment.plan, tx);
+    });
+
+    console.log('Manual payment rejected:', { ownerId, paymentId });
+
+    return await this.paymentService.getPaymentStatus(paymentId);
+  }
+
+  async findPendingManualPayment(ownerId, paymentId) {
+    const payment = await prisma.payment.findFirst({
+      where: {
+        payment_id: paymentId,
+        plan: {
+          owner_id: ownerId
+        }
+      },
+      include: {
+        plan: true
+      }
+    });
+
+    if (!payment) {
+      throw new Error('Payment not found');
+    }
+
+    if (payment.provider !== 'manual' || payment.status !== 'pending') {
+      throw new Error(NOT_PENDING_MESSAGE);
+    }
+
+    return payment;
+  }
+
+  // Move the payment out of pending, unless a concurrent confirm or reject already has
+  async settleManualPayment(tx, paymentId, status, providerResponse) {
+    const settled = await tx.payment.updateMany({
+      where: {
+        payment_id: paymentId,
+        status: 'pending'
+      },
+      data: {
+        status,
+        provider_response: providerResponse,
+        update_at: new Date()
+      }
+    });
+
+    if (settled.count === 0) {
+      throw new Error(NOT_PENDING_MESSAGE);
+    }
+
+    return await tx.payment.findUnique({
+      where: { payment_id: paymentId }
+    });
+  }
+
+  // Check owner input; returns a list of error messages
+  validateSettings({ gateway, manualPaymentInstructions }) {
+    const errors = [];
+
+    if (!PAYMENT_GATEWAYS.includes(gateway)) {
+      errors.push(`Gateway must be one of: ${PAYMENT_GATEWAYS.join(', ')}`);
+    }
+
+    if (manualPaymentInstructions !== undefined && manualPaymentInstructions !== null) {
+      if (typeof manualPaymentInstructions !== 'string' || manualPaymentInstructions.length > MAX_INSTRUCTIONS_LENGTH) {
+        errors.push(`Payment instructions must be a string of at most ${MAX_INSTRUCTIONS_LENGTH} characters`);
+      }
+    }
+
+    if (gateway === 'manual' && !manualPaymentInstructions?.trim()) {
+      errors.push('Payment instructions are required for bank transfer payments');
+    }
+
+    return errors;
+  }
+
+  transformSettings(owner) {
+    return {
+      gateway: owner.payment_gateway,
+      paymentMethods: getGateway(owner.payment_gateway).supportedMethods,
+      manualPaymentInstructions: owner.manual_payment_instructions,
+      availableGateways: PAYMENT_GATEWAYS
+    };
+  }
+}
+
+module.exports = PaymentGatewayService;
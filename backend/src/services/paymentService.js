@@ -1,240 +1,130 @@
-const { omise, OMISE_CONFIG } = require('../config/omise');
+const { OMISE_CONFIG, validateAmount } = require('../config/omise');
 const { getPrismaClient } = require('../config/database');
+const RefundService = require('./refundService');
+const CouponService = require('./couponService');
+const OutboundWebhookService = require('./outboundWebhookService');
+const InvoiceService = require('./invoiceService');
+const PlanVersionService = require('./planVersionService');
+const { getGateway, DEFAULT_GATEWAY, PAYMENT_METHODS } = require('./gateways');
+const { resolvePlanPrice } = require('../utils/currency');
 const { v4: uuidv4 } = require('uuid');
 
 const prisma = getPrismaClient();
 
 class PaymentService {
   constructor() {
+    this.refundService = new RefundService();
+    this.couponService = new CouponService();
+    this.outboundWebhookService = new OutboundWebhookService();
+    this.invoiceService = new InvoiceService();
+    this.planVersionService = new PlanVersionService();
     // Cache for recent webhook processing to prevent duplicates
     this.recentWebhooks = new Map();
     this.webhookCacheTimeout = 300000; // 5 minutes
   }
 
-  // Create a card payment charge
+  // Adapter for a gateway name stored on a payment or an owner
+  getGateway(name) {
+    return getGateway(name || DEFAULT_GATEWAY);
+  }
+
+  // Charge a card through a gateway, either a one-off token or a card saved for renewals
   async createCardCharge(paymentData) {
-    const { 
-      amount, 
-      currency = 'THB', 
-      description, 
-      token, 
-      customerId, 
-      metadata = {},
-      capture = true
+    const {
+      provider = DEFAULT_GATEWAY,
+      omiseCustomerId,
+      cardId,
+      ...chargeData
     } = paymentData;
 
-    try {
-      console.log('Creating Omise card charge:', { amount, currency, description, hasToken: !!token });
-
-      const amountInSatang = Math.round(amount * 100);
-      if (amountInSatang <= 0) {
-        throw new Error('Invalid amount: must be greater than 0');
-      }
+    return await this.getGateway(provider).createCharge({
+      ...chargeData,
+      paymentMethod: 'card',
+      savedCard: omiseCustomerId ? { customerId: omiseCustomerId, cardId } : null
+    });
+  }
 
-      if (amountInSatang < 100) {
-        throw new Error('Invalid amount: minimum payment is 1 THB');
-      }
+  // Keep a card for renewals at the gateway that can charge it later
+  async saveCardForMember(member, token, provider = DEFAULT_GATEWAY) {
+    const gateway = this.getGateway(provider);
 
-      if (!token || typeof token !== 'string' || !token.startsWith('tokn_')) {
-        throw new Error('Invalid card token provided');
-      }
+    if (!gateway.supportsSavedCards) {
+      throw new Error('Invalid payment method: auto-renewal is not available with this organization\'s payment gateway');
+    }
 
-      const charge = await omise.charges.create({
-        amount: amountInSatang,
-        currency: currency.toUpperCase(),
-        description: description || 'Card payment',
-        card: token,
-        capture: capture,
-        metadata: {
-          ...metadata,
-          customer_id: customerId,
-          payment_method: 'card',
-          created_by: 'membella_platform'
-        },
-      });
+    return await gateway.saveCard(member, token);
+  }
 
-      console.log('Omise card charge created:', {
-        id: charge.id,
-        amount: charge.amount,
-        status: charge.status,
-        paid: charge.paid,
-        authorized: charge.authorized,
-        captured: charge.captured
-      });
+  // Replace the saved card and retry any renewals that failed on the old one
+  async updateSavedCard(memberId, token) {
+    const member = await prisma.member.findUnique({
+      where: { member_id: memberId }
+    });
 
-      if (!charge || !charge.id) {
-        throw new Error('Failed to create charge - invalid response from payment gateway');
-      }
+    if (!member) {
+      throw new Error('Member not found');
+    }
 
-      return {
-        charge,
-        success: charge.paid || (charge.authorized && charge.captured),
-        requiresAuthorization: !!charge.authorize_uri
-      };
-    } catch (error) {
-      console.error('Omise card charge creation failed:', error);
-      
-      if (error.code) {
-        switch (error.code) {
-          case 'invalid_card':
-            throw new Error('Invalid card information. Please check your card details and try again.');
-          case 'insufficient_fund':
-          case 'insufficient_funds':
-            throw new Error('Insufficient funds on your card. Please use a different card.');
-          case 'stolen_or_lost_card':
-            throw new Error('This card has been reported as stolen or lost. Please use a different card.');
-          case 'expired_card':
-            throw new Error('This card has expired. Please check the expiry date.');
-          case 'processing_error':
-            throw new Error('Payment processing error. Please try again in a few moments.');
-          case 'failed_processing':
-            throw new Error('Card processing failed. Please check your card details.');
-          case 'invalid_security_code':
-            throw new Error('Invalid security code (CVV). Please check and try again.');
-          case 'limit_exceeded':
-            throw new Error('Transaction limit exceeded. Please contact your bank.');
-          default:
-            throw new Error(`Card payment failed: ${error.message}`);
-        }
+    const savedCard = await this.saveCardForMember(member, token);
+
+    const retried = await prisma.subscription.updateMany({
+      where: {
+        member_id: memberId,
+        status: 'active',
+        auto_renew: true,
+        renewal_attempts: { gt: 0 }
+      },
+      data: {
+        next_renewal_attempt_at: new Date(),
+        update_at: new Date()
       }
+    });
 
-      if (error.response && error.response.data) {
-        const responseData = error.response.data;
-        if (responseData.message) {
-          throw new Error(`Payment failed: ${responseData.message}`);
-        }
-      }
-      
-      throw new Error(`Card payment failed: ${error.message}`);
-    }
+    return {
+      customerId: savedCard.customerId,
+      cardId: savedCard.cardId,
+      renewalsRetried: retried.count
+    };
   }
 
   // Create PromptPay payment
   async createPromptPayCharge(paymentData) {
-    const { amount, description, customerId, metadata = {} } = paymentData;
-
-    try {
-      console.log('Creating PromptPay charge:', { amount, description });
+    const { provider = DEFAULT_GATEWAY, ...chargeData } = paymentData;
 
-      const amountInSatang = Math.round(amount * 100);
-      if (amountInSatang <= 0 || amountInSatang < 2000) {
-        throw new Error('Invalid amount: minimum payment for PromptPay is 20 THB');
-      }
-
-      console.log('Amount in satang:', amountInSatang);
-
-      const source = await omise.sources.create({
-        type: 'promptpay',
-        amount: amountInSatang,
-        currency: 'THB',
-      });
-
-      console.log('PromptPay source created:', {
-        id: source.id,
-        type: source.type,
-        amount: source.amount,
-        currency: source.currency,
-        has_scannable_code: !!source.scannable_code
-      });
-
-      if (!source || !source.id) {
-        throw new Error('Failed to create PromptPay source');
-      }
-
-      await new Promise(resolve => setTimeout(resolve, 100));
-
-      const charge = await omise.charges.create({
-        amount: amountInSatang,
-        currency: 'THB',
-        description: description || 'PromptPay Payment',
-        source: source.id,
-        capture: false,
-        metadata: {
-          ...metadata,
-          customer_id: customerId,
-          payment_method: 'promptpay',
-          created_by: 'membella_platform'
-        },
-      });
-
-      console.log('PromptPay charge created:', {
-        id: charge.id,
-        source_id: charge.source?.id,
-        status: charge.status,
-        amount: charge.amount,
-        authorized: charge.authorized,
-        paid: charge.paid
-      });
-
-      let qrCodeUrl = null;
-      let expiresAt = null;
-
-      if (source.scannable_code && source.scannable_code.image) {
-        qrCodeUrl = source.scannable_code.image.download_uri;
-      } else if (charge.source && charge.source.scannable_code && charge.source.scannable_code.image) {
-        qrCodeUrl = charge.source.scannable_code.image.download_uri;
-      }
-
-      if (source.expires_at) {
-        expiresAt = source.expires_at;
-      } else if (charge.source && charge.source.expires_at) {
-        expiresAt = charge.source.expires_at;
-      }
+    return await this.getGateway(provider).createCharge({
+      ...chargeData,
+      paymentMethod: 'promptpay'
+    });
+  }
 
-      if (!qrCodeUrl) {
-        console.warn('No QR code found in source response');
-        try {
-          const retrievedSource = await omise.sources.retrieve(source.id);
-          console.log('Retrieved source:', retrievedSource);
-          if (retrievedSource.scannable_code && retrievedSource.scannable_code.image) {
-            qrCodeUrl = retrievedSource.scannable_code.image.download_uri;
-          }
-        } catch (retrieveError) {
-          console.error('Failed to retrieve source:', retrieveError);
-        }
-      }
+  // Create mobile banking payment; the member approves it in their bank app
+  async createMobileBankingCharge(paymentData) {
+    const { provider = DEFAULT_GATEWAY, ...chargeData } = paymentData;
 
-      if (!qrCodeUrl) {
-        throw new Error('Failed to generate QR code for PromptPay payment');
-      }
+    return await this.getGateway(provider).createCharge({
+      ...chargeData,
+      paymentMethod: 'mobile_banking'
+    });
+  }
 
-      console.log('QR code URL generated:', qrCodeUrl ? 'Yes' : 'No');
+  // Create TrueMoney wallet payment
+  async createTrueMoneyCharge(paymentData) {
+    const { provider = DEFAULT_GATEWAY, ...chargeData } = paymentData;
 
-      return {
-        charge,
-        source,
-        qr_code_url: qrCodeUrl,
-        expires_at: expiresAt
-      };
-    } catch (error) {
-      console.error('PromptPay charge creation failed:', error);
-      
-      if (error.response) {
-        console.error('Omise API Error Response:', {
-          status: error.response.status,
-          data: error.response.data,
-          headers: error.response.headers
-        });
-      }
-      
-      if (error.code) {
-        console.error('Omise Error Code:', error.code);
-      }
-
-      if (error.message && error.message.includes('amount')) {
-        throw new Error('Invalid payment amount. PromptPay requires minimum 20 THB.');
-      }
-      
-      if (error.message && error.message.includes('currency')) {
-        throw new Error('PromptPay only supports THB currency.');
-      }
+    return await this.getGateway(provider).createCharge({
+      ...chargeData,
+      paymentMethod: 'truemoney'
+    });
+  }
 
-      if (error.message && error.message.includes('type')) {
-        throw new Error('PromptPay payment method is not available.');
-      }
+  // Create card installment payment through the member's issuing bank
+  async createInstallmentCharge(paymentData) {
+    const { provider = DEFAULT_GATEWAY, ...chargeData } = paymentData;
 
-      throw new Error(`PromptPay payment failed: ${error.message}`);
-    }
+    return await this.getGateway(provider).createCharge({
+      ...chargeData,
+      paymentMethod: 'installment'
+    });
   }
 
   // Process subscription payment with error handling
@@ -243,10 +133,16 @@ class PaymentService {
     planId,
     paymentMethod,
     paymentSource,
-    customerData
+    customerData,
+    autoRenew = false,
+    couponCode = null,
+    currency = null,
+    paymentOptions = {}
   }) {
     try {
-      console.log('Processing subscription payment:', { memberId, planId, paymentMethod });
+      console.log('Processing subscription payment:', { memberId, planId, paymentMethod, autoRenew, couponCode, currency });
+
+      this.validatePaymentOptions(paymentMethod, paymentOptions);
 
       const plan = await prisma.plan.findUnique({
         where: { plan_id: planId },
@@ -254,9 +150,12 @@ class PaymentService {
           owner: {
             select: {
               org_name: true,
-              email: true
+              email: true,
+              payment_gateway: true,
+              manual_payment_instructions: true
             }
-          }
+          },
+          plan_prices: true
         }
       });
 
@@ -264,6 +163,9 @@ class PaymentService {
         throw new Error('Plan not found');
       }
 
+      // Members pay in the plan's own currency unless they pick another it is priced in
+      const price = resolvePlanPrice(plan, currency || plan.currency);
+
       const member = await prisma.member.findUnique({
         where: { member_id: memberId }
       });
@@ -272,45 +174,95 @@ class PaymentService {
         throw new Error('Member not found');
       }
 
+      // Each owner chooses the gateway their plans are paid through
+      const gateway = this.getGateway(plan.owner.payment_gateway);
+
+      if (!gateway.supportsMethod(paymentMethod)) {
+        throw new Error(`Invalid payment method: ${plan.owner.org_name} accepts ${gateway.supportedMethods.join(', ')}`);
+      }
+
+      // A paused subscription is still the member's subscription to this plan
       const existingSubscription = await prisma.subscription.findFirst({
         where: {
           member_id: memberId,
           plan_id: planId,
-          status: 'active'
+          status: { in: ['active', 'paused'] }
         }
       });
 
-      if (existingSubscription) {
+      // Paying during a free trial converts the trial instead of starting a second subscription
+      if (existingSubscription && !existingSubscription.is_trial) {
         throw new Error('You already have an active subscription to this plan');
       }
 
-      const amount = parseFloat(plan.price.toString());
+      // Checks the code against this plan and member, and the discounted price against the method minimums
+      const pricing = couponCode
+        ? await this.couponService.applyCoupon({ code: couponCode, planId, memberId, paymentMethod, currency: price.currency })
+        : null;
+
+      const amount = pricing ? pricing.amount : price.amount;
       
-      if (paymentMethod === 'promptpay' && amount < 20) {
-        throw new Error('PromptPay requires minimum payment of 20 THB');
-      } else if (paymentMethod === 'card' && amount < 1) {
-        throw new Error('Card payment requires minimum payment of 1 THB');
+      const amountCheck = validateAmount(amount, paymentMethod, { ...paymentOptions, currency: price.currency });
+      if (!amountCheck.valid) {
+        throw new Error(`Invalid amount: ${amountCheck.error}`);
+      }
+
+      if (autoRenew && paymentMethod !== 'card') {
+        throw new Error('Invalid payment method: auto-renewal is only available for card payments');
       }
 
       const description = `Subscription: ${plan.name} - ${plan.owner.org_name}`;
 
+      // The member buys the plan's terms as they stand now and keeps them through later edits
+      const planVersion = await this.planVersionService.getCurrentVersion(planId);
+
+      const paymentId = uuidv4();
+      const isRedirectMethod = OMISE_CONFIG.redirectPaymentMethods.includes(paymentMethod);
+
+      if (paymentMethod === 'card' && !paymentSource) {
+        throw new Error('Payment source token is required for card payments');
+      }
+
+      // Keep the card at the gateway when the member opts in to auto-renewal. This calls the gateway and
+      // records the customer on the member, so it happens before the transaction rather than holding it open.
+      const savedCard = paymentMethod === 'card' && autoRenew
+        ? await this.saveCardForMember(member, paymentSource, gateway.name)
+        : null;
+
       return await prisma.$transaction(async (tx) => {
+        if (pricing) {
+          await this.couponService.claimRedemption(tx, pricing.coupon, memberId);
+        }
+
         const paymentRecord = await tx.payment.create({
           data: {
-            payment_id: uuidv4(),
+            payment_id: paymentId,
             member_id: memberId,
             plan_id: planId,
-            amount: plan.price,
-            currency: 'THB',
+            plan_version_id: planVersion.plan_version_id,
+            amount,
+            currency: price.currency,
             payment_method: paymentMethod,
+            provider: gateway.name,
             status: 'pending',
             description,
+            coupon_id: pricing?.coupon.coupon_id,
+            coupon_code: pricing?.coupon.code,
+            original_amount: pricing?.originalAmount,
+            discount_amount: pricing?.discountAmount || 0,
             metadata: {
               plan_name: plan.name,
               organization: plan.owner.org_name,
               member_email: member.email,
               member_name: member.full_name,
               customer_data: customerData || {},
+              auto_renew: !!autoRenew,
+              ...(isRedirectMethod ? {
+                payment_options: {
+                  bank: paymentOptions.bank || null,
+                  installment_term: paymentOptions.installmentTerm || null
+                }
+              } : {}),
               webhook_ready: true // Flag to indicate this payment expects webhooks
             }
           }
@@ -319,71 +271,51 @@ class PaymentService {
         let chargeResult;
 
         try {
-          if (paymentMethod === 'promptpay') {
-            chargeResult = await this.createPromptPayCharge({
-              amount,
-              description,
-              customerId: memberId,
-              metadata: {
-                payment_id: paymentRecord.payment_id,
-                plan_id: planId,
-                member_id: memberId
-              }
-            });
-          } else if (paymentMethod === 'card') {
-            if (!paymentSource) {
-              throw new Error('Payment source token is required for card payments');
-            }
-            
-            chargeResult = await this.createCardCharge({
-              amount,
-              currency: 'THB',
-              description,
-              token: paymentSource,
-              customerId: memberId,
-              metadata: {
-                payment_id: paymentRecord.payment_id,
-                plan_id: planId,
-                member_id: memberId
-              },
-              capture: true
-            });
-          } else {
-            throw new Error('Unsupported payment method');
-          }
-
-          const updateData = {
-            omise_charge_id: chargeResult.charge?.id || chargeResult.id,
-            status: this.mapOmiseStatusToLocal(chargeResult.charge?.status || chargeResult.status),
-            omise_response: chargeResult.charge || chargeResult,
-            update_at: new Date()
-          };
-
-          if (paymentMethod === 'promptpay' && chargeResult.source) {
-            updateData.omise_source_id = chargeResult.source.id;
-          }
+          chargeResult = await gateway.createCharge({
+            amount,
+            currency: price.currency,
+            description,
+            paymentMethod,
+            token: savedCard ? null : paymentSource,
+            savedCard,
+            customerId: memberId,
+            instructions: plan.owner.manual_payment_instructions,
+            bank: paymentOptions.bank,
+            installmentTerm: paymentOptions.installmentTerm,
+            phoneNumber: paymentOptions.phoneNumber,
+            returnUri: isRedirectMethod ? this.resolveReturnUri(paymentOptions.returnUri, paymentId) : null,
+            metadata: {
+              payment_id: paymentRecord.payment_id,
+              plan_id: planId,
+              member_id: memberId
+            },
+            capture: true
+          });
 
           await tx.payment.update({
             where: { payment_id: paymentRecord.payment_id },
-            data: updateData
+            data: {
+              provider_reference: chargeResult.reference,
+              provider_source_reference: chargeResult.sourceReference,
+              status: chargeResult.status,
+              provider_response: chargeResult.raw,
+              update_at: new Date()
+            }
           });
 
-          const finalStatus = chargeResult.charge?.status || chargeResult.status;
-          const isSuccessful = paymentMethod === 'card' ? 
-            (chargeResult.charge?.paid || (chargeResult.charge?.authorized && chargeResult.charge?.captured)) :
-            finalStatus === 'successful';
+          const isSuccessful = chargeResult.success;
 
           if (isSuccessful) {
-            if (paymentMethod === 'card') {
-              await tx.payment.update({
-                where: { payment_id: paymentRecord.payment_id },
-                data: {
-                  status: 'successful',
-                  update_at: new Date()
-                }
-              });
-            }
-            
+            const successfulPayment = await tx.payment.update({
+              where: { payment_id: paymentRecord.payment_id },
+              data: {
+                status: 'successful',
+                update_at: new Date()
+              }
+            });
+
+            await this.outboundWebhookService.publishPaymentEvent('payment.succeeded', successfulPayment, plan, tx);
+            await this.invoiceService.issueReceipt(paymentRecord.payment_id, tx);
             await this.createSubscriptionFromPayment(paymentRecord.payment_id, tx);
           }
 
@@ -392,15 +324,32 @@ class PaymentService {
           const response = {
             success: true,
             paymentId: paymentRecord.payment_id,
-            chargeId: chargeResult.charge?.id || chargeResult.id,
+            provider: gateway.name,
+            chargeId: chargeResult.reference,
             amount,
-            currency: 'THB',
-            status: paymentMethod === 'card' && isSuccessful ? 'successful' : finalStatus
+            currency: price.currency,
+            status: isSuccessful ? 'successful' : chargeResult.status
           };
 
+          if (pricing) {
+            response.originalAmount = pricing.originalAmount;
+            response.discountAmount = pricing.discountAmount;
+            response.couponCode = pricing.coupon.code;
+          }
+
           if (paymentMethod === 'promptpay') {
-            response.qr_code_url = chargeResult.qr_code_url;
-            response.expires_at = chargeResult.expires_at;
+            response.qr_code_url = chargeResult.qrCodeUrl;
+            response.expires_at = chargeResult.expiresAt;
+          }
+
+          if (paymentMethod === 'bank_transfer') {
+            response.reference = chargeResult.reference;
+            response.instructions = chargeResult.instructions;
+          }
+
+          // Card 3-D Secure and the redirect methods finish on the bank's or wallet's own page
+          if (chargeResult.requiresAuthorization) {
+            response.authorize_uri = chargeResult.authorizeUri;
           }
 
           return response;
@@ -412,7 +361,7 @@ class PaymentService {
             where: { payment_id: paymentRecord.payment_id },
             data: {
               status: 'failed',
-              omise_response: { 
+              provider_response: { 
                 error: chargeError.message,
                 error_code: chargeError.code,
                 timestamp: new Date().toISOString()
@@ -436,6 +385,11 @@ class PaymentService {
     try {
       console.log('Processing webhook event:', event.key);
 
+      // Refunds are recorded by their own id, so the charge-status duplicate check does not apply
+      if (event.key === 'refund.create') {
+        return await this.refundService.recordGatewayRefund(event.data);
+      }
+
       const { data: charge } = event;
       const chargeId = charge.id;
       
@@ -458,7 +412,7 @@ class PaymentService {
         console.warn('No payment_id found in webhook metadata for charge:', chargeId);
         // Try to find payment by charge ID
         const payment = await prisma.payment.findFirst({
-          where: { omise_charge_id: chargeId }
+          where: { provider: 'omise', provider_reference: chargeId }
         });
         
         if (!payment) {
@@ -468,8 +422,8 @@ class PaymentService {
       }
 
       // Find payment record with full details
-      const payment = await prisma.payment.findUnique({
-        where: paymentId ? { payment_id: paymentId } : { omise_charge_id: chargeId },
+      const payment = await prisma.payment.findFirst({
+        where: paymentId ? { payment_id: paymentId } : { provider: 'omise', provider_reference: chargeId },
         include: {
           plan: true,
           member: true,
@@ -497,15 +451,34 @@ class PaymentService {
       // Process webhook in transaction
       await prisma.$transaction(async (tx) => {
         // Update payment status and Omise response
-        await tx.payment.update({
+        const updatedPayment = await tx.payment.update({
           where: { payment_id: payment.payment_id },
           data: {
             status: newStatus,
-            omise_response: charge,
+            provider_response: charge,
             update_at: new Date()
           }
         });
 
+        if (statusChanged) {
+          await this.publishPaymentStatusEvent(updatedPayment, payment.plan, tx);
+        }
+
+        // Renewal charges extend the subscription they belong to instead of creating one
+        if (payment.renewal_subscription_id) {
+          if (charge.status === 'successful' && payment.status !== 'successful') {
+            console.log('Applying renewal for successful payment:', payment.payment_id);
+            await this.applyRenewalPayment(payment.payment_id, tx);
+          }
+          return;
+        }
+
+        // Plan changes switch subscriptions synchronously; a late success needs manual review
+        if (payment.metadata?.plan_change && !payment.subscription) {
+          console.warn('Plan change payment updated by webhook without a switched subscription:', payment.payment_id);
+          return;
+        }
+
         // If payment became successful and no subscription exists, create one
         if (charge.status === 'successful' && !payment.subscription) {
           console.log('Creating subscription for successful payment:', payment.payment_id);
@@ -515,13 +488,18 @@ class PaymentService {
         // If payment failed and subscription exists, mark it as cancelled
         if ((charge.status === 'failed' || charge.status === 'expired') && payment.subscription) {
           console.log('Updating subscription status for failed payment:', payment.payment_id);
-          await tx.subscription.update({
+          const cancelledSubscription = await tx.subscription.update({
             where: { payment_id: payment.payment_id },
             data: {
               status: 'cancelled',
+              cancelled_at: new Date(),
               update_at: new Date()
             }
           });
+
+          if (payment.subscription.status !== 'cancelled') {
+            await this.outboundWebhookService.publishSubscriptionEvent('subscription.cancelled', cancelledSubscription, payment.plan, tx);
+          }
         }
       });
 
@@ -542,10 +520,10 @@ class PaymentService {
     }
   }
 
-  // Refresh payment status from Omise API
-  async refreshPaymentFromOmise(paymentId) {
+  // Refresh payment status from the gateway the payment went through
+  async refreshPaymentFromGateway(paymentId) {
     try {
-      console.log('Refreshing payment from Omise:', paymentId);
+      console.log('Refreshing payment from gateway:', paymentId);
       
       const payment = await prisma.payment.findUnique({
         where: { payment_id: paymentId },
@@ -559,19 +537,25 @@ class PaymentService {
         throw new Error('Payment not found');
       }
 
-      if (!payment.omise_charge_id) {
+      if (!payment.provider_reference) {
         throw new Error('No charge ID associated with this payment');
       }
 
-      // Get latest status from Omise
-      const omiseCharge = await omise.charges.retrieve(payment.omise_charge_id);
-      console.log('Retrieved charge from Omise:', {
-        id: omiseCharge.id,
-        status: omiseCharge.status,
-        paid: omiseCharge.paid
+      // Get latest status from the gateway
+      const gatewayCharge = await this.getGateway(payment.provider).retrieveCharge(payment.provider_reference);
+
+      // Manual payments only change when the owner confirms them
+      if (!gatewayCharge) {
+        return payment;
+      }
+
+      console.log('Retrieved charge from gateway:', {
+        provider: payment.provider,
+        reference: gatewayCharge.reference,
+        status: gatewayCharge.status
       });
 
-      const newStatus = this.mapOmiseStatusToLocal(omiseCharge.status);
+      const newStatus = gatewayCharge.status;
       const statusChanged = payment.status !== newStatus;
 
       if (statusChanged) {
@@ -583,13 +567,17 @@ class PaymentService {
             where: { payment_id: paymentId },
             data: {
               status: newStatus,
-              omise_response: omiseCharge,
+              provider_response: gatewayCharge.raw,
               update_at: new Date()
             }
           });
 
+          await this.publishPaymentStatusEvent(updated, payment.plan, tx);
+
           // Handle subscription creation/updates
-          if (omiseCharge.status === 'successful') {
+          if (newStatus === 'successful' && payment.renewal_subscription_id) {
+            await this.applyRenewalPayment(paymentId, tx);
+          } else if (newStatus === 'successful') {
             const existingSubscription = await tx.subscription.findFirst({
               where: { payment_id: paymentId }
             });
@@ -610,7 +598,7 @@ class PaymentService {
         const updatedPayment = await prisma.payment.update({
           where: { payment_id: paymentId },
           data: {
-            omise_response: omiseCharge,
+            provider_response: gatewayCharge.raw,
             update_at: new Date()
           }
         });
@@ -619,15 +607,20 @@ class PaymentService {
       }
 
     } catch (error) {
-      console.error('Failed to refresh payment from Omise:', error);
+      console.error('Failed to refresh payment from gateway:', error);
       throw error;
     }
   }
 
+  // Kept for callers written when Omise was the only gateway
+  async refreshPaymentFromOmise(paymentId) {
+    return await this.refreshPaymentFromGateway(paymentId);
+  }
+
   // Polling with Omise integration
   async pollPaymentStatusEnhanced(paymentId, maxAttempts = 60) {
     let attempts = 0;
-    const pollInterval = 3000; // 3 seconds
+    const pollInterval = OMISE_CONFIG.promptpay.pollIntervalSeconds * 1000;
 
     return new Promise((resolve, reject) => {
       const poll = async () => {
@@ -639,10 +632,10 @@ class PaymentService {
           const payment = await this.getPaymentStatus(paymentId);
           
           // Every 5th attempt, also check with Omise API for the latest status
-          if (payment.omise_charge_id && (attempts % 5 === 0 || attempts === 1)) {
+          if (payment.provider_reference && (attempts % 5 === 0 || attempts === 1)) {
             try {
-              console.log('Checking with Omise API on attempt:', attempts);
-              await this.refreshPaymentFromOmise(paymentId);
+              console.log('Checking with payment gateway on attempt:', attempts);
+              await this.refreshPaymentFromGateway(paymentId);
               // Get updated payment after refresh
               const refreshedPayment = await this.getPaymentStatus(paymentId);
               
@@ -724,6 +717,7 @@ class PaymentService {
         where: { payment_id: paymentId },
         include: {
           plan: true,
+          plan_version: true,
           member: true
         }
       });
@@ -742,10 +736,24 @@ class PaymentService {
         return existingSubscription;
       }
 
-      // Calculate subscription dates
+      const trialSubscription = await prismaClient.subscription.findFirst({
+        where: {
+          member_id: payment.member_id,
+          plan_id: payment.plan_id,
+          status: 'active',
+          is_trial: true
+        }
+      });
+
+      if (trialSubscription) {
+        return await this.convertTrialSubscription(trialSubscription, payment, prismaClient);
+      }
+
+      // Calculate subscription dates from the version bought, or the plan for payments from before versioning
+      const terms = payment.plan_version || payment.plan;
       const startDate = new Date();
       const endDate = new Date();
-      endDate.setDate(startDate.getDate() + payment.plan.duration);
+      endDate.setDate(startDate.getDate() + terms.duration);
 
       // Create subscription
       const subscription = await prismaClient.subscription.create({
@@ -753,19 +761,23 @@ class PaymentService {
           subscription_id: uuidv4(),
           member_id: payment.member_id,
           plan_id: payment.plan_id,
+          plan_version_id: payment.plan_version_id,
           payment_id: paymentId,
           status: 'active',
           start_date: startDate,
           end_date: endDate,
+          auto_renew: payment.payment_method === 'card' && !!payment.metadata?.auto_renew
         }
       });
 
+      await this.outboundWebhookService.publishSubscriptionEvent('subscription.created', subscription, payment.plan, prismaClient);
+
       console.log('Subscription created successfully:', {
         subscriptionId: subscription.subscription_id,
         paymentId: paymentId,
         planName: payment.plan.name,
         memberName: payment.member.full_name,
-        duration: payment.plan.duration,
+        duration: terms.duration,
         endDate: endDate.toISOString()
       });
 
@@ -776,18 +788,155 @@ class PaymentService {
     }
   }
 
+  // Attach the payment to a running trial; the paid period starts when the trial would have ended
+  async convertTrialSubscription(subscription, payment, prismaClient) {
+    const now = new Date();
+    const trialEnd = subscription.end_date ? new Date(subscription.end_date) : now;
+    const endDate = new Date(Math.max(trialEnd.getTime(), now.getTime()));
+    endDate.setDate(endDate.getDate() + (payment.plan_version || payment.plan).duration);
+
+    const converted = await prismaClient.subscription.update({
+      where: { subscription_id: subscription.subscription_id },
+      data: {
+        payment_id: payment.payment_id,
+        plan_version_id: payment.plan_version_id || subscription.plan_version_id,
+        is_trial: false,
+        end_date: endDate,
+        auto_renew: subscription.auto_renew || (payment.payment_method === 'card' && !!payment.metadata?.auto_renew),
+        renewal_attempts: 0,
+        next_renewal_attempt_at: null,
+        last_renewal_error: null,
+        update_at: now
+      }
+    });
+
+    // Owners see the first paid period of a trial as a renewal of the same subscription
+    await this.outboundWebhookService.publishSubscriptionEvent('subscription.renewed', converted, payment.plan, prismaClient);
+
+    console.log('Trial converted to paid subscription:', {
+      subscriptionId: subscription.subscription_id,
+      paymentId: payment.payment_id,
+      endDate: endDate.toISOString()
+    });
+
+    return converted;
+  }
+
+  // Extend a subscription after its renewal payment succeeded
+  async applyRenewalPayment(paymentId, tx = null) {
+    const prismaClient = tx || prisma;
+
+    try {
+      const payment = await prismaClient.payment.findUnique({
+        where: { payment_id: paymentId },
+        include: {
+          plan: true,
+          plan_version: true,
+          renewal_subscription: true
+        }
+      });
+
+      if (!payment || !payment.renewal_subscription) {
+        throw new Error('Renewal payment not found');
+      }
+
+      const subscription = payment.renewal_subscription;
+
+      // Renewal is applied once per payment even if the webhook and the job both report it:
+      // whichever claims the payment first extends the subscription
+      const now = new Date();
+      const claimed = payment.metadata?.renewal_applied ? { count: 0 } : await prismaClient.payment.updateMany({
+        where: {
+          payment_id: paymentId,
+          renewal_applied_at: null
+        },
+        data: {
+          renewal_applied_at: now
+        }
+      });
+
+      if (claimed.count !== 1) {
+        console.log('Renewal already applied for payment:', paymentId);
+        return subscription;
+      }
+
+      // Extend from the current end date, or from now if the subscription already lapsed
+      const currentEnd = subscription.end_date ? new Date(subscription.end_date) : now;
+      const endDate = new Date(Math.max(currentEnd.getTime(), now.getTime()));
+      endDate.setDate(endDate.getDate() + (payment.plan_version || payment.plan).duration);
+
+      const renewedPayment = await prismaClient.payment.update({
+        where: { payment_id: paymentId },
+        data: {
+          status: 'successful',
+          metadata: {
+            ...(payment.metadata || {}),
+            renewal_applied: true,
+            renewed_until: endDate.toISOString()
+          },
+          update_at: new Date()
+        }
+      });
+
+      const updatedSubscription = await prismaClient.subscription.update({
+        where: { subscription_id: subscription.subscription_id },
+        data: {
+          status: 'active',
+          // Members moved to the current version by their owner switch over with this renewal
+          plan_version_id: payment.plan_version_id || subscription.plan_version_id,
+          end_date: endDate,
+          is_trial: false,
+          renewal_attempts: 0,
+          next_renewal_attempt_at: null,
+          grace_period_end: null,
+          last_renewal_error: null,
+          update_at: new Date()
+        }
+      });
+
+      // Raised here rather than on the status change so the renewal job and webhooks report it once
+      await this.outboundWebhookService.publishPaymentEvent('payment.succeeded', renewedPayment, payment.plan, prismaClient);
+      await this.invoiceService.issueReceipt(paymentId, prismaClient);
+      await this.outboundWebhookService.publishSubscriptionEvent('subscription.renewed', updatedSubscription, payment.plan, prismaClient);
+
+      console.log('Subscription renewed successfully:', {
+        subscriptionId: subscription.subscription_id,
+        paymentId,
+        endDate: endDate.toISOString()
+      });
+
+      return updatedSubscription;
+    } catch (error) {
+      console.error('Failed to apply renewal payment:', error);
+      throw error;
+    }
+  }
+
+  // Raise payment.succeeded or payment.failed for a payment that just reached that status,
+  // issuing the receipt for a successful one
+  async publishPaymentStatusEvent(payment, plan, tx) {
+    if (payment.status === 'successful' && payment.renewal_subscription_id) {
+      return; // applyRenewalPayment raises it together with the renewal
+    }
+
+    const eventType = {
+      successful: 'payment.succeeded',
+      failed: 'payment.failed',
+      expired: 'payment.failed'
+    }[payment.status];
+
+    if (eventType) {
+      await this.outboundWebhookService.publishPaymentEvent(eventType, payment, plan, tx);
+    }
+
+    if (payment.status === 'successful') {
+      await this.invoiceService.issueReceipt(payment.payment_id, tx);
+    }
+  }
+
   // Map Omise status to local status
   mapOmiseStatusToLocal(omiseStatus) {
-    const statusMap = {
-      'pending': 'pending',
-      'successful': 'successful',
-      'failed': 'failed',
-      'expired': 'expired',
-      'reversed': 'refunded',
-      'voided': 'failed',
-      'completed': 'successful'
-    };
-    return statusMap[omiseStatus] || 'pending';
+    return this.getGateway('omise').mapStatus(omiseStatus);
   }
 
   // Get payment status
@@ -848,7 +997,8 @@ class PaymentService {
               duration: true,
               owner: {
                 select: {
-                  org_name: true
+                  org_name: true,
+                  vat_registered: true
                 }
               }
             }
@@ -860,6 +1010,17 @@ class PaymentService {
               start_date: true,
               end_date: true
             }
+          },
+          invoices: {
+            select: {
+              invoice_id: true,
+              type: true,
+              number: true,
+              issued_at: true
+            },
+            orderBy: {
+              issued_at: 'asc'
+            }
           }
         },
         orderBy: {
@@ -872,6 +1033,9 @@ class PaymentService {
         planName: payment.plan.name,
         organization: payment.plan.owner.org_name,
         amount: parseFloat(payment.amount.toString()),
+        refundedAmount: parseFloat(payment.refunded_amount.toString()),
+        couponCode: payment.coupon_code,
+        discountAmount: parseFloat(payment.discount_amount.toString()),
         currency: payment.currency,
         paymentMethod: payment.payment_method,
         status: payment.status,
@@ -884,8 +1048,19 @@ class PaymentService {
         } : null,
         createdAt: payment.create_at,
         updatedAt: payment.update_at,
-        omiseChargeId: payment.omise_charge_id,
-        canRefresh: payment.status === 'pending' && !!payment.omise_charge_id,
+        provider: payment.provider,
+        providerReference: payment.provider_reference,
+        canRefresh: payment.status === 'pending' && !!payment.provider_reference,
+        documents: payment.invoices.map(invoice => ({
+          id: invoice.invoice_id,
+          type: invoice.type,
+          number: invoice.number,
+          issuedAt: invoice.issued_at,
+          downloadUrl: `/api/payments/invoices/${invoice.invoice_id}/pdf`
+        })),
+        canRequestTaxInvoice: payment.status === 'successful'
+          && payment.plan.owner.vat_registered
+          && !payment.invoices.some(invoice => invoice.type === 'tax_invoice'),
         metadata: payment.metadata
       }));
     } catch (error) {
@@ -911,8 +1086,8 @@ class PaymentService {
       throw new Error('Valid plan ID is required');
     }
 
-    if (!paymentMethod || !['card', 'promptpay'].includes(paymentMethod)) {
-      throw new Error('Payment method must be either "card" or "promptpay"');
+    if (!paymentMethod || !PAYMENT_METHODS.includes(paymentMethod)) {
+      throw new Error(`Payment method must be one of: ${PAYMENT_METHODS.join(', ')}`);
     }
 
     if (paymentMethod === 'card' && !paymentSource) {
@@ -923,20 +1098,69 @@ class PaymentService {
       throw new Error('Invalid payment token format');
     }
 
+    this.validatePaymentOptions(paymentMethod, paymentData.paymentOptions);
+
     return true;
   }
 
-  // Get charge from Omise API with error handling
-  async getChargeFromOmise(chargeId) {
+  // Check the bank, installment term, phone number and return URI the redirect methods need
+  validatePaymentOptions(paymentMethod, { bank, installmentTerm, phoneNumber, returnUri } = {}) {
+    if (paymentMethod === 'mobile_banking') {
+      const banks = Object.keys(OMISE_CONFIG.mobileBanking.banks);
+      if (!banks.includes(bank)) {
+        throw new Error(`Invalid payment options: bank must be one of ${banks.join(', ')}`);
+      }
+    }
+
+    if (paymentMethod === 'installment') {
+      const banks = OMISE_CONFIG.installment.banks;
+      if (!banks[bank]) {
+        throw new Error(`Invalid payment options: bank must be one of ${Object.keys(banks).join(', ')}`);
+      }
+      if (!banks[bank].terms.includes(installmentTerm)) {
+        throw new Error(`Invalid payment options: installmentTerm for ${bank} must be one of ${banks[bank].terms.join(', ')} months`);
+      }
+    }
+
+    if (paymentMethod === 'truemoney'
+      && (typeof phoneNumber !== 'string' || !OMISE_CONFIG.truemoney.phoneNumberPattern.test(phoneNumber))) {
+      throw new Error('Invalid payment options: TrueMoney requires the 10-digit mobile number of the wallet');
+    }
+
+    if (returnUri !== undefined && returnUri !== null && !this.isAllowedReturnUri(returnUri)) {
+      throw new Error('Invalid payment options: returnUri must be a page on the member site');
+    }
+
+    return true;
+  }
+
+  // Members may only be sent back to the member site, never to an address from the request alone
+  isAllowedReturnUri(returnUri) {
     try {
-      const charge = await omise.charges.retrieve(chargeId);
-      return charge;
+      const memberSite = new URL(process.env.MEMBER_FRONTEND_URL);
+      return new URL(returnUri).origin === memberSite.origin;
     } catch (error) {
-      console.error('Failed to retrieve charge from Omise:', error);
-      throw error;
+      return false;
     }
   }
 
+  // Where the bank or wallet sends the member back to; the payment id lets the page poll its status
+  resolveReturnUri(returnUri, paymentId) {
+    if (!returnUri && !process.env.MEMBER_FRONTEND_URL) {
+      throw new Error('MEMBER_FRONTEND_URL must be set to take redirect payments');
+    }
+
+    const url = new URL(returnUri || `${process.env.MEMBER_FRONTEND_URL}${OMISE_CONFIG.redirect.returnPath}`);
+    url.searchParams.set('payment_id', paymentId);
+    return url.toString();
+  }
+
+  // Get charge from Omise API with error handling
+  async getChargeFromOmise(chargeId) {
+    const charge = await this.getGateway('omise').retrieveCharge(chargeId);
+    return charge.raw;
+  }
+
   // Get payment statistics for monitoring
   async getPaymentStatistics(memberId = null) {
     try {
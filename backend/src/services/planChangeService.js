@@ -0,0 +1,462 @@
+const { getPrismaClient } = require('../config/database');
+const { validateAmount } = require('../config/omise');
+const PaymentService = require('./paymentService');
+const OutboundWebhookService = require('./outboundWebhookService');
+const { DEFAULT_CURRENCY, roundAmount, resolvePlanPrice } = require('../utils/currency');
+const { v4: uuidv4 } = require('uuid');
+
+const prisma = getPrismaClient();
+
+class PlanChangeService {
+  constructor() {
+    this.paymentService = new PaymentService();
+    this.outboundWebhookService = new OutboundWebhookService();
+  }
+
+  // Work out what switching an active subscription to another plan would cost
+  async quotePlanChange(memberId, subscriptionId, newPlanId, now = new Date()) {
+    const subscription = await prisma.subscription.findFirst({
+      where: {
+        subscription_id: subscriptionId,
+        member_id: memberId
+      },
+      include: {
+        plan: true,
+        plan_version: true,
+        payment: true,
+        member: true,
+        renewal_payments: {
+          where: { status: 'successful' },
+          orderBy: { create_at: 'desc' },
+          take: 1
+        },
+        plan_changes_to: {
+          orderBy: { create_at: 'desc' },
+          take: 1
+        }
+      }
+    });
+
+    if (!subscription) {
+      throw new Error('Subscription not found');
+    }
+
+    if (subscription.status !== 'active' || !subscription.end_date || new Date(subscription.end_date) <= now) {
+      throw new Error('Only active subscriptions can change plan');
+    }
+
+    if (subscription.is_trial) {
+      throw new Error('Invalid plan change: trial subscriptions cannot change plan');
+    }
+
+    // Nothing was paid for the current period, so there is no unused value to carry over
+    if (!subscription.payment && subscription.renewal_payments.length === 0) {
+      throw new Error('Invalid plan change: this subscription has no payment for the current period');
+    }
+
+    if (subscription.plan_id === newPlanId) {
+      throw new Error('Invalid plan change: already subscribed to this plan');
+    }
+
+    const newPlan = await prisma.plan.findFirst({
+      where: {
+        plan_id: newPlanId,
+        delete_at: null
+      },
+      include: {
+        owner: {
+          select: {
+            org_name: true,
+            payment_gateway: true
+          }
+        },
+        plan_prices: true
+      }
+    });
+
+    if (!newPlan) {
+      throw new Error('Plan not found');
+    }
+
+    if (newPlan.owner_id !== subscription.plan.owner_id) {
+      throw new Error('Invalid plan change: plans must belong to the same organization');
+    }
+
+    const existingSubscription = await prisma.subscription.findFirst({
+      where: {
+        member_id: memberId,
+        plan_id: newPlanId,
+        status: { in: ['active', 'paused'] }
+      }
+    });
+
+    if (existingSubscription) {
+      throw new Error('You already have an active subscription to this plan');
+    }
+
+    const periodEnd = new Date(subscription.end_date);
+    const periodStart = new Date(periodEnd);
+    periodStart.setDate(periodStart.getDate() - (subscription.plan_version || subscription.plan).duration);
+
+    // The new plan is paid for in the currency the current period was paid in
+    const currency = this.getPeriodCurrency(subscription);
+    const newPlanPrice = resolvePlanPrice(newPlan, currency).amount;
+
+    // Account credit is held in the default currency, so other currencies neither use nor earn it
+    const usesCredit = currency === DEFAULT_CURRENCY;
+
+    const proration = this.calculateProration({
+      periodValue: this.getPeriodValue(subscription),
+      periodStart: new Date(Math.max(periodStart.getTime(), new Date(subscription.start_date).getTime())),
+      periodEnd,
+      newPlanPrice,
+      creditBalance: usesCredit ? parseFloat(subscription.member.credit_balance.toString()) : 0,
+      currency,
+      now
+    });
+
+    if (!usesCredit && proration.creditIssued > 0) {
+      throw new Error(`Invalid plan change: account credit is kept in ${DEFAULT_CURRENCY}, so a ${currency} subscription cannot move to a cheaper plan before it renews`);
+    }
+
+    return {
+      subscription,
+      newPlan,
+      currency,
+      ...proration
+    };
+  }
+
+  // Switch the subscription to the new plan, charging or crediting the difference
+  async changePlan({ memberId, subscriptionId, newPlanId, paymentSource }) {
+    try {
+      console.log('Processing plan change:', { memberId, subscriptionId, newPlanId });
+
+      const quote = await this.quotePlanChange(memberId, subscriptionId, newPlanId);
+      const { subscription, newPlan } = quote;
+      const { member } = subscription;
+      const gateway = this.paymentService.getGateway(newPlan.owner.payment_gateway);
+
+      if (quote.amountDue > 0) {
+        if (!gateway.supportsMethod('card')) {
+          throw new Error('Invalid plan change: this organization does not accept card payments for plan changes');
+        }
+
+        if (!paymentSource && !(gateway.supportsSavedCards && member.omise_customer_id)) {
+          throw new Error('Payment source token is required for card payments');
+        }
+
+        const amountCheck = validateAmount(quote.amountDue, 'card', { currency: quote.currency });
+        if (!amountCheck.valid) {
+          throw new Error(`Invalid amount: ${amountCheck.error}`);
+        }
+      }
+
+      const description = `Plan change: ${subscription.plan.name} to ${newPlan.name} - ${newPlan.owner.org_name}`;
+      const newPlanVersion = await this.paymentService.planVersionService.getCurrentVersion(newPlanId);
+
+      const paymentRecord = await prisma.payment.create({
+        data: {
+          payment_id: uuidv4(),
+          member_id: memberId,
+          plan_id: newPlanId,
+          plan_version_id: newPlanVersion.plan_version_id,
+          amount: quote.amountDue,
+          currency: quote.currency,
+          payment_method: quote.amountDue > 0 ? 'card' : 'credit',
+          provider: gateway.name,
+          status: 'pending',
+          description,
+          metadata: {
+            plan_name: newPlan.name,
+            organization: newPlan.owner.org_name,
+            member_email: member.email,
+            member_name: member.full_name,
+            plan_change: true,
+            change_type: quote.changeType,
+            from_subscription_id: subscription.subscription_id,
+            from_plan_id: subscription.plan_id,
+            unused_value: quote.unusedValue,
+            credit_applied: quote.creditApplied,
+            auto_renew: subscription.auto_renew
+          }
+        }
+      });
+
+      let chargeResult = null;
+
+      if (quote.amountDue > 0) {
+        try {
+          chargeResult = await this.paymentService.createCardCharge({
+            provider: gateway.name,
+            amount: quote.amountDue,
+            currency: quote.currency,
+            description,
+            token: paymentSource || null,
+            omiseCustomerId: paymentSource ? null : member.omise_customer_id,
+            customerId: memberId,
+            metadata: {
+              payment_id: paymentRecord.payment_id,
+              plan_id: newPlanId,
+              member_id: memberId,
+              plan_change: true
+            }
+          });
+
+          if (!chargeResult.success) {
+            throw new Error('Card payment failed: the plan change charge was not completed');
+          }
+        } catch (chargeError) {
+          await prisma.payment.update({
+            where: { payment_id: paymentRecord.payment_id },
+            data: {
+              status: 'failed',
+              provider_reference: chargeResult?.reference,
+              provider_response: chargeResult?.raw || {
+                error: chargeError.message,
+                timestamp: new Date().toISOString()
+              },
+              update_at: new Date()
+            }
+          });
+
+          throw chargeError;
+        }
+      }
+
+      let result;
+      try {
+        result = await this.applyPlanChange({ quote, paymentRecord, chargeResult });
+      } catch (applyError) {
+        await this.failPlanChangePayment(gateway, paymentRecord, chargeResult, quote, applyError);
+        throw applyError;
+      }
+
+      console.log('Plan change completed:', {
+        planChangeId: result.planChange.plan_change_id,
+        fromSubscriptionId: subscription.subscription_id,
+        toSubscriptionId: result.newSubscription.subscription_id,
+        amountCharged: quote.amountDue,
+        creditIssued: quote.creditIssued
+      });
+
+      return {
+        planChangeId: result.planChange.plan_change_id,
+        changeType: quote.changeType,
+        paymentId: paymentRecord.payment_id,
+        previousSubscriptionId: subscription.subscription_id,
+        subscription: {
+          id: result.newSubscription.subscription_id,
+          planId: newPlanId,
+          planName: newPlan.name,
+          status: result.newSubscription.status,
+          startDate: result.newSubscription.start_date,
+          endDate: result.newSubscription.end_date,
+          autoRenew: result.newSubscription.auto_renew
+        },
+        unusedValue: quote.unusedValue,
+        creditApplied: quote.creditApplied,
+        amountCharged: quote.amountDue,
+        creditIssued: quote.creditIssued,
+        currency: quote.currency
+      };
+    } catch (error) {
+      console.error('Plan change failed:', error);
+      throw error;
+    }
+  }
+
+  // Close the old subscription and open the new one once the difference is paid
+  async applyPlanChange({ quote, paymentRecord, chargeResult }) {
+    const { subscription, newPlan } = quote;
+    const memberId = subscription.member_id;
+    const newPlanId = newPlan.plan_id;
+
+    return await prisma.$transaction(async (tx) => {
+      // Guard against the subscription changing while the card was being charged
+      const closed = await tx.subscription.updateMany({
+        where: {
+          subscription_id: subscription.subscription_id,
+          status: 'active'
+        },
+        data: {
+          status: 'cancelled',
+          cancelled_at: new Date(),
+          auto_renew: false,
+          next_renewal_attempt_at: null,
+          update_at: new Date()
+        }
+      });
+
+      if (closed.count === 0) {
+        throw new Error('Only active subscriptions can change plan');
+      }
+
+      await this.outboundWebhookService.publishSubscriptionEvent('subscription.cancelled', {
+        ...subscription,
+        status: 'cancelled',
+        auto_renew: false
+      }, subscription.plan, tx);
+
+      const successfulPayment = await tx.payment.update({
+        where: { payment_id: paymentRecord.payment_id },
+        data: {
+          status: 'successful',
+          provider_reference: chargeResult?.reference,
+          provider_response: chargeResult?.raw,
+          update_at: new Date()
+        }
+      });
+
+      if (quote.amountDue > 0) {
+        await this.outboundWebhookService.publishPaymentEvent('payment.succeeded', successfulPayment, newPlan, tx);
+        await this.paymentService.invoiceService.issueReceipt(paymentRecord.payment_id, tx);
+      }
+
+      let newSubscription = await this.paymentService.createSubscriptionFromPayment(paymentRecord.payment_id, tx);
+
+      if (subscription.auto_renew && !newSubscription.auto_renew) {
+        newSubscription = await tx.subscription.update({
+          where: { subscription_id: newSubscription.subscription_id },
+          data: { auto_renew: true }
+        });
+      }
+
+      // The quote read the balance before the transaction, so only spend credit that is still there
+      if (quote.creditApplied > 0) {
+        const debited = await tx.member.updateMany({
+          where: {
+            member_id: memberId,
+            credit_balance: { gte: quote.creditApplied }
+          },
+          data: {
+            credit_balance: { decrement: quote.creditApplied },
+            update_at: new Date()
+          }
+        });
+
+        if (debited.count === 0) {
+          throw new Error('Invalid plan change: your account credit has changed, please review the plan change again');
+        }
+      }
+
+      if (quote.creditIssued > 0) {
+        await tx.member.update({
+          where: { member_id: memberId },
+          data: {
+            credit_balance: { increment: quote.creditIssued },
+            update_at: new Date()
+          }
+        });
+      }
+
+      const planChange = await tx.planChange.create({
+        data: {
+          member_id: memberId,
+          from_subscription_id: subscription.subscription_id,
+          to_subscription_id: newSubscription.subscription_id,
+          // Trials converted by the renewal job have no initial payment
+          from_payment_id: subscription.payment_id || subscription.renewal_payments[0].payment_id,
+          to_payment_id: paymentRecord.payment_id,
+          from_plan_id: subscription.plan_id,
+          to_plan_id: newPlanId,
+          change_type: quote.changeType,
+          unused_value: quote.unusedValue,
+          new_plan_price: quote.newPlanPrice,
+          credit_applied: quote.creditApplied,
+          amount_charged: quote.amountDue,
+          credit_issued: quote.creditIssued
+        }
+      });
+
+      return { newSubscription, planChange };
+    });
+  }
+
+  // The plan change could not be applied, so mark its payment failed and give back any money charged
+  async failPlanChangePayment(gateway, paymentRecord, chargeResult, quote, reason) {
+    let refund = null;
+    let refundError = null;
+
+    if (chargeResult) {
+      try {
+        refund = await gateway.createRefund(chargeResult.reference, {
+          amount: quote.amountDue,
+          currency: quote.currency,
+          metadata: {
+            payment_id: paymentRecord.payment_id,
+            plan_change: true
+          }
+        });
+      } catch (error) {
+        refundError = error;
+        console.error('Failed to refund plan change charge:', {
+          paymentId: paymentRecord.payment_id,
+          chargeReference: chargeResult.reference,
+          error: error.message
+        });
+      }
+    }
+
+    await prisma.payment.update({
+      where: { payment_id: paymentRecord.payment_id },
+      data: {
+        status: 'failed',
+        provider_reference: chargeResult?.reference,
+        provider_response: {
+          charge: chargeResult?.raw || null,
+          refund: refund?.raw || null,
+          refund_error: refundError?.message || null,
+          error: reason.message,
+          timestamp: new Date().toISOString()
+        },
+        update_at: new Date()
+      }
+    });
+  }
+
+  // Amount the member paid for the current period of the subscription
+  getPeriodValue(subscription) {
+    const latestRenewal = subscription.renewal_payments?.[0];
+    if (latestRenewal) {
+      return parseFloat(latestRenewal.amount.toString());
+    }
+
+    // A subscription created by a plan change was paid partly with credit
+    const latestChange = subscription.plan_changes_to?.[0];
+    if (latestChange) {
+      return parseFloat(latestChange.new_plan_price.toString());
+    }
+
+    return parseFloat(subscription.payment.amount.toString());
+  }
+
+  // Currency the member paid the current period in
+  getPeriodCurrency(subscription) {
+    const payment = subscription.renewal_payments?.[0] || subscription.payment;
+    return payment ? payment.currency : subscription.plan.currency;
+  }
+
+  // Prorate the unused part of the current period against the new plan's price
+  calculateProration({ periodValue, periodStart, periodEnd, newPlanPrice, creditBalance = 0, currency = DEFAULT_CURRENCY, now = new Date() }) {
+    const totalMs = periodEnd.getTime() - periodStart.getTime();
+    const remainingMs = Math.min(Math.max(periodEnd.getTime() - now.getTime(), 0), totalMs);
+
+    const unusedValue = totalMs > 0 ? roundAmount(periodValue * remainingMs / totalMs, currency) : 0;
+    const stillOwed = Math.max(newPlanPrice - unusedValue, 0);
+    const creditApplied = roundAmount(Math.min(creditBalance, stillOwed), currency);
+
+    return {
+      changeType: newPlanPrice > periodValue ? 'upgrade' : 'downgrade',
+      remainingDays: Math.ceil(remainingMs / (1000 * 60 * 60 * 24)),
+      unusedValue,
+      newPlanPrice,
+      creditBalance,
+      creditApplied,
+      amountDue: roundAmount(stillOwed - creditApplied, currency),
+      creditIssued: roundAmount(Math.max(unusedValue - newPlanPrice, 0), currency)
+    };
+  }
+}
+
+module.exports = PlanChangeService;
@@ -0,0 +1,179 @@
+const { getPrismaClient } = require('../config/database');
+
+const prisma = getPrismaClient();
+
+// What happens to members already subscribed when an owner edits a plan
+const SUBSCRIBER_POLICIES = ['keep', 'migrate'];
+
+class PlanVersionService {
+  // Version row for the plan's current terms, recording it first for plans last edited before versioning
+  async getCurrentVersion(planId, tx = null) {
+    const prismaClient = tx || prisma;
+
+    const plan = await prismaClient.plan.findUnique({
+      where: { plan_id: planId },
+      include: {
+        plan_prices: true,
+        plan_features: {
+          select: { feature_id: true }
+        }
+      }
+    });
+
+    if (!plan) {
+      throw new Error('Plan not found');
+    }
+
+    return await prismaClient.planVersion.upsert({
+      where: {
+        plan_id_version: {
+          plan_id: planId,
+          version: plan.version
+        }
+      },
+      update: {},
+      create: this.buildSnapshot(plan)
+    });
+  }
+
+  // Before an edit: tie subscribers from before versioning to the terms they are on now
+  async captureCurrentTerms(planId, tx) {
+    const currentVersion = await this.getCurrentVersion(planId, tx);
+
+    await tx.subscription.updateMany({
+      where: {
+        plan_id: planId,
+        plan_version_id: null
+      },
+      data: {
+        plan_version_id: currentVersion.plan_version_id
+      }
+    });
+
+    return currentVersion;
+  }
+
+  // After an edit has been written to the plan: record its terms as the new current version.
+  // With 'migrate', members on earlier versions move to the current one at their next renewal;
+  // with 'keep' they stay on the terms they bought.
+  async publishVersion(planId, { subscriberPolicy = 'keep' } = {}, tx) {
+    if (!SUBSCRIBER_POLICIES.includes(subscriberPolicy)) {
+      throw new Error(`Invalid subscriber policy: must be one of ${SUBSCRIBER_POLICIES.join(', ')}`);
+    }
+
+    if (subscriberPolicy === 'migrate') {
+      await tx.planVersion.updateMany({
+        where: {
+          plan_id: planId,
+          migrate_at_renewal: false
+        },
+        data: {
+          migrate_at_renewal: true
+        }
+      });
+    }
+
+    const plan = await tx.plan.findUnique({
+      where: { plan_id: planId },
+      include: {
+        plan_prices: true,
+        plan_features: {
+          select: { feature_id: true }
+        }
+      }
+    });
+
+    return await tx.planVersion.create({
+      data: {
+        ...this.buildSnapshot(plan),
+        subscriber_policy: subscriberPolicy
+      }
+    });
+  }
+
+  // Terms the subscription's next renewal is charged on, and the version they come from.
+  // Expects the subscription to be loaded with plan_version.
+  async getRenewalTerms(subscription, tx = null) {
+    const version = subscription.plan_version && !subscription.plan_version.migrate_at_renewal
+      ? subscription.plan_version
+      : await this.getCurrentVersion(subscription.plan_id, tx);
+
+    return {
+      planVersionId: version.plan_version_id,
+      version: version.version,
+      terms: this.toTerms(version)
+    };
+  }
+
+  // Every version of an owner's plan, newest first, with how many members are still on each
+  async getVersionHistory(planId) {
+    const versions = await prisma.planVersion.findMany({
+      where: { plan_id: planId },
+      include: {
+        _count: {
+          select: {
+            subscriptions: {
+              where: { status: 'active' }
+            }
+          }
+        }
+      },
+      orderBy: { version: 'desc' }
+    });
+
+    return versions.map(version => this.transformVersion(version));
+  }
+
+  buildSnapshot(plan) {
+    return {
+      plan_id: plan.plan_id,
+      version: plan.version,
+      name: plan.name,
+      description: plan.description,
+      price: plan.price,
+      currency: plan.currency,
+      prices: (plan.plan_prices || []).map(price => ({
+        currency: price.currency,
+        amount: parseFloat(price.amount.toString())
+      })),
+      duration: plan.duration,
+      trial_days: plan.trial_days,
+      features: (plan.plan_features || []).map(planFeature => planFeature.feature_id)
+    };
+  }
+
+  // A version shaped like a plan, so pricing helpers such as resolvePlanPrice accept it
+  toTerms(version) {
+    return {
+      plan_id: version.plan_id,
+      name: version.name,
+      price: version.price,
+      currency: version.currency,
+      duration: version.duration,
+      trial_days: version.trial_days,
+      plan_prices: version.prices || []
+    };
+  }
+
+  transformVersion(version) {
+    return {
+      id: version.plan_version_id,
+      version: version.version,
+      name: version.name,
+      description: version.description,
+      price: parseFloat(version.price.toString()),
+      currency: version.currency,
+      prices: version.prices || [],
+      duration: version.duration,
+      trialDays: version.trial_days,
+      features: version.features || [],
+      subscriberPolicy: version.subscriber_policy,
+      migrateAtRenewal: version.migrate_at_renewal,
+      activeSubscribers: version._count ? version._count.subscriptions : undefined,
+      createdAt: version.create_at
+    };
+  }
+}
+
+module.exports = PlanVersionService;
+module.exports.SUBSCRIBER_POLICIES = SUBSCRIBER_POLICIES;
@@ -0,0 +1,484 @@
+const { getPrismaClient } = require('../config/database');
+const OutboundWebhookService = require('./outboundWebhookService');
+const InvoiceService = require('./invoiceService');
+const { getGateway } = require('./gateways');
+const { fromMinorUnits, roundAmount } = require('../utils/currency');
+const { v4: uuidv4 } = require('uuid');
+
+const prisma = getPrismaClient();
+
+const SUBSCRIPTION_ACTIONS = ['cancel', 'shorten', 'none'];
+
+class RefundService {
+  constructor() {
+    this.outboundWebhookService = new OutboundWebhookService();
+    this.invoiceService = new InvoiceService();
+  }
+
+  // Refund a successful charge in full or in part on behalf of the owner of its plan
+  async createOwnerRefund({ ownerId, paymentId, amount, reason, subscriptionAction }) {
+    try {
+      console.log('Creating owner refund:', { ownerId, paymentId, amount, subscriptionAction });
+
+      const payment = await this.findRefundablePayment(paymentId);
+
+      if (!payment || payment.plan.owner_id !== ownerId) {
+        throw new Error('Payment not found');
+      }
+
+      if (payment.status !== 'successful') {
+        throw new Error('Invalid refund: only successful payments can be refunded');
+      }
+
+      if (!payment.provider_reference) {
+        throw new Error('Invalid refund: payment has no associated charge');
+      }
+
+      if (subscriptionAction && !SUBSCRIPTION_ACTIONS.includes(subscriptionAction)) {
+        throw new Error('Invalid subscription action. Must be cancel, shorten, or none');
+      }
+
+      const refundable = this.getRefundableAmount(payment);
+      const refundAmount = amount === undefined || amount === null ? refundable : roundAmount(parseFloat(amount), payment.currency);
+
+      if (isNaN(refundAmount) || refundAmount <= 0) {
+        throw new Error('Invalid refund amount: must be greater than 0');
+      }
+
+      if (refundAmount > refundable) {
+        throw new Error(`Invalid refund amount: at most ${refundable} ${payment.currency} can be refunded`);
+      }
+
+      const action = subscriptionAction || (refundAmount >= refundable ? 'cancel' : 'shorten');
+
+      // Reserve the amount before the gateway moves any money, so concurrent refunds cannot go past what was paid
+      const refundRecord = await prisma.$transaction(async (tx) => {
+        await this.reserveRefundAmount(tx, payment, refundAmount);
+
+        return await tx.refund.create({
+          data: {
+            refund_id: uuidv4(),
+            payment_id: payment.payment_id,
+            amount: refundAmount,
+            currency: payment.currency,
+            reason: reason || null,
+            status: 'pending',
+            source: 'owner',
+            requested_by: ownerId
+          }
+        });
+      });
+
+      let gatewayRefund;
+
+      try {
+        gatewayRefund = await getGateway(payment.provider).createRefund(payment.provider_reference, {
+          amount: refundAmount,
+          currency: payment.currency,
+          metadata: {
+            payment_id: payment.payment_id,
+            refund_id: refundRecord.refund_id,
+            subscription_action: action,
+            reason: reason || ''
+          }
+        });
+
+        console.log('Gateway refund created:', {
+          provider: payment.provider,
+          reference: gatewayRefund.reference,
+          status: gatewayRefund.status
+        });
+      } catch (refundError) {
+        console.error('Gateway refund creation failed:', refundError);
+
+        await prisma.$transaction(async (tx) => {
+          await tx.payment.update({
+            where: { payment_id: payment.payment_id },
+            data: {
+              refunded_amount: { decrement: refundAmount },
+              update_at: new Date()
+            }
+          });
+
+          await tx.refund.update({
+            where: { refund_id: refundRecord.refund_id },
+            data: {
+              status: 'failed',
+              provider_response: {
+                error: refundError.message,
+                error_code: refundError.code,
+                timestamp: new Date().toISOString()
+              },
+              update_at: new Date()
+            }
+          });
+        });
+
+        throw new Error(`Gateway refund failed: ${refundError.message}`);
+      }
+
+      // Kept whatever happens next, so the gateway's refund.create webhook can find and complete the refund
+      await prisma.refund.update({
+        where: { refund_id: refundRecord.refund_id },
+        data: {
+          provider_reference: gatewayRefund.reference,
+          provider_response: gatewayRefund.raw,
+          update_at: new Date()
+        }
+      });
+
+      let result;
+      try {
+        result = await prisma.$transaction(async (tx) => {
+          return await this.applyRefund(tx, payment, refundRecord.refund_id, refundAmount, action, { reserved: true });
+        });
+      } catch (applyError) {
+        console.error('Refund left pending for the gateway webhook to complete:', refundRecord.refund_id);
+        throw applyError;
+      }
+
+      // The webhook completed it first
+      if (!result) {
+        result = await this.getAppliedRefundResult(payment.payment_id);
+      }
+
+      return {
+        refundId: refundRecord.refund_id,
+        providerReference: gatewayRefund.reference,
+        paymentId: payment.payment_id,
+        amount: refundAmount,
+        currency: payment.currency,
+        reason: reason || null,
+        paymentStatus: result.paymentStatus,
+        refundedAmount: result.refundedAmount,
+        subscription: result.subscription
+      };
+    } catch (error) {
+      console.error('Owner refund failed:', error);
+      throw error;
+    }
+  }
+
+  // Record a refund reported by the refund.create webhook, e.g. one made in the Omise dashboard
+  async recordGatewayRefund(omiseRefund) {
+    try {
+      console.log('Recording refund from webhook:', omiseRefund.id);
+
+      // Our own refunds carry the refund_id; the gateway reference may not be saved yet if the webhook won the race
+      const ownRefundId = omiseRefund.metadata?.refund_id;
+      const existingRefund = await prisma.refund.findFirst({
+        where: {
+          OR: [
+            { provider_reference: omiseRefund.id },
+            ...(ownRefundId ? [{ refund_id: ownRefundId }] : [])
+          ]
+        }
+      });
+
+      if (existingRefund && existingRefund.status !== 'pending') {
+        console.log('Refund already recorded:', existingRefund.refund_id);
+        return { processed: false, reason: 'Refund already recorded', acknowledged: true };
+      }
+
+      // An owner refund the gateway made but we did not finish recording; its amount is already reserved
+      if (existingRefund) {
+        return await this.completePendingRefund(existingRefund, omiseRefund);
+      }
+
+      const chargeId = typeof omiseRefund.charge === 'string' ? omiseRefund.charge : omiseRefund.charge?.id;
+      const payment = await this.findRefundablePayment(null, chargeId);
+
+      if (!payment) {
+        console.error('No payment found for refunded charge:', chargeId);
+        return { processed: false, reason: 'Payment not found', acknowledged: true };
+      }
+
+      const refundAmount = fromMinorUnits(omiseRefund.amount, payment.currency);
+      const refundable = this.getRefundableAmount(payment);
+      const action = refundAmount >= refundable ? 'cancel' : 'shorten';
+
+      const result = await prisma.$transaction(async (tx) => {
+        const refundRecord = await tx.refund.create({
+          data: {
+            refund_id: uuidv4(),
+            payment_id: payment.payment_id,
+            provider_reference: omiseRefund.id,
+            amount: refundAmount,
+            currency: (omiseRefund.currency || payment.currency).toUpperCase(),
+            reason: 'Refunded in Omise dashboard',
+            status: 'pending',
+            source: 'gateway',
+            provider_response: omiseRefund
+          }
+        });
+
+        return await this.applyRefund(tx, payment, refundRecord.refund_id, Math.min(refundAmount, refundable), action);
+      });
+
+      return {
+        processed: true,
+        paymentId: payment.payment_id,
+        refundId: omiseRefund.id,
+        amount: refundAmount,
+        paymentStatus: result.paymentStatus
+      };
+    } catch (error) {
+      console.error('Failed to record gateway refund:', error);
+      throw error;
+    }
+  }
+
+  // Finish an owner refund from the refund.create webhook when the request that made it did not
+  async completePendingRefund(refund, omiseRefund) {
+    const payment = await this.findRefundablePayment(refund.payment_id);
+    const refundAmount = parseFloat(refund.amount.toString());
+    // The amount is already in refunded_amount, so a full refund shows as nothing left to refund
+    const action = omiseRefund.metadata?.subscription_action
+      || (this.getRefundableAmount(payment) <= 0 ? 'cancel' : 'shorten');
+
+    const result = await prisma.$transaction(async (tx) => {
+      await tx.refund.update({
+        where: { refund_id: refund.refund_id },
+        data: {
+          provider_reference: omiseRefund.id,
+          provider_response: omiseRefund,
+          update_at: new Date()
+        }
+      });
+
+      return await this.applyRefund(tx, payment, refund.refund_id, refundAmount, action, { reserved: true });
+    });
+
+    if (!result) {
+      return { processed: false, reason: 'Refund already recorded', acknowledged: true };
+    }
+
+    return {
+      processed: true,
+      paymentId: payment.payment_id,
+      refundId: omiseRefund.id,
+      amount: refundAmount,
+      paymentStatus: result.paymentStatus
+    };
+  }
+
+  // Add the refund to the payment's refunded amount, never past the amount paid.
+  // payment may have been read before the transaction, so the check is part of the update.
+  async reserveRefundAmount(tx, payment, refundAmount) {
+    const paymentAmount = parseFloat(payment.amount.toString());
+
+    const reserved = await tx.payment.updateMany({
+      where: {
+        payment_id: payment.payment_id,
+        status: 'successful',
+        refunded_amount: {
+          lte: roundAmount(paymentAmount - refundAmount, payment.currency)
+        }
+      },
+      data: {
+        refunded_amount: { increment: refundAmount },
+        update_at: new Date()
+      }
+    });
+
+    if (reserved.count === 0) {
+      throw new Error('Invalid refund amount: the payment has been refunded in the meantime');
+    }
+  }
+
+  // Update the refund, payment and linked subscription once the gateway accepted the refund.
+  // Owner refunds reserve their amount up front (reserved); refunds first seen in a webhook add it here.
+  // Returns null if the refund was already completed, by the request that made it or by the webhook.
+  async applyRefund(tx, payment, refundId, refundAmount, subscriptionAction, { reserved = false } = {}) {
+    const paymentAmount = parseFloat(payment.amount.toString());
+
+    const claimed = await tx.refund.updateMany({
+      where: {
+        refund_id: refundId,
+        status: 'pending'
+      },
+      data: {
+        status: 'successful',
+        update_at: new Date()
+      }
+    });
+
+    if (claimed.count === 0) {
+      return null;
+    }
+
+    if (!reserved) {
+      await this.reserveRefundAmount(tx, payment, refundAmount);
+    }
+
+    let updatedPayment = await tx.payment.findUnique({
+      where: { payment_id: payment.payment_id }
+    });
+    const refundedAmount = parseFloat(updatedPayment.refunded_amount.toString());
+
+    if (refundedAmount >= paymentAmount) {
+      updatedPayment = await tx.payment.update({
+        where: { payment_id: payment.payment_id },
+        data: { status: 'refunded' }
+      });
+    }
+
+    const paymentStatus = updatedPayment.status;
+
+    const subscription = payment.subscription || payment.renewal_subscription;
+    let subscriptionResult = null;
+    let appliedAction = 'none';
+
+    if (subscription && subscription.status === 'active' && subscriptionAction !== 'none') {
+      const now = new Date();
+      let endDate = subscriptionAction === 'cancel'
+        ? now
+        : this.calculateShortenedEndDate({
+          endDate: new Date(subscription.end_date),
+          // The period the payment bought, even if the plan has been edited since
+          durationDays: (payment.plan_version || payment.plan).duration,
+          paymentAmount,
+          refundAmount
+        });
+
+      const cancel = endDate <= now;
+      if (cancel) endDate = now;
+      appliedAction = cancel ? 'cancelled' : 'shortened';
+
+      const updated = await tx.subscription.update({
+        where: { subscription_id: subscription.subscription_id },
+        data: {
+          status: cancel ? 'cancelled' : subscription.status,
+          cancelled_at: cancel ? now : subscription.cancelled_at,
+          end_date: endDate,
+          auto_renew: cancel ? false : subscription.auto_renew,
+          next_renewal_attempt_at: cancel ? null : subscription.next_renewal_attempt_at,
+          update_at: now
+        }
+      });
+
+      subscriptionResult = {
+        id: updated.subscription_id,
+        status: updated.status,
+        endDate: updated.end_date
+      };
+
+      if (cancel) {
+        await this.outboundWebhookService.publishSubscriptionEvent('subscription.cancelled', updated, payment.plan, tx);
+      }
+    }
+
+    await tx.refund.update({
+      where: { refund_id: refundId },
+      data: {
+        subscription_action: appliedAction,
+        update_at: new Date()
+      }
+    });
+
+    await this.invoiceService.issueCreditNote(refundId, tx);
+
+    await this.outboundWebhookService.publishPaymentEvent('payment.refunded', updatedPayment, payment.plan, tx, {
+      refund: {
+        id: refundId,
+        amount: refundAmount
+      }
+    });
+
+    console.log('Refund applied:', {
+      paymentId: payment.payment_id,
+      refundId,
+      refundAmount,
+      paymentStatus,
+      subscriptionAction: appliedAction
+    });
+
+    return {
+      paymentStatus,
+      refundedAmount,
+      subscription: subscriptionResult
+    };
+  }
+
+  // List refunds for a payment belonging to the owner
+  async getPaymentRefunds(ownerId, paymentId) {
+    const payment = await prisma.payment.findFirst({
+      where: {
+        payment_id: paymentId,
+        plan: {
+          owner_id: ownerId
+        }
+      },
+      include: {
+        refunds: {
+          orderBy: {
+            create_at: 'desc'
+          }
+        }
+      }
+    });
+
+    if (!payment) {
+      throw new Error('Payment not found');
+    }
+
+    return {
+      paymentId: payment.payment_id,
+      amount: parseFloat(payment.amount.toString()),
+      refundedAmount: parseFloat(payment.refunded_amount.toString()),
+      refundableAmount: payment.status === 'successful' ? this.getRefundableAmount(payment) : 0,
+      currency: payment.currency,
+      status: payment.status,
+      refunds: payment.refunds.map(refund => ({
+        id: refund.refund_id,
+        providerReference: refund.provider_reference,
+        amount: parseFloat(refund.amount.toString()),
+        currency: refund.currency,
+        reason: refund.reason,
+        status: refund.status,
+        source: refund.source,
+        subscriptionAction: refund.subscription_action,
+        createdAt: refund.create_at
+      }))
+    };
+  }
+
+  async findRefundablePayment(paymentId, chargeId = null) {
+    return await prisma.payment.findFirst({
+      where: paymentId ? { payment_id: paymentId } : { provider: 'omise', provider_reference: chargeId },
+      include: {
+        plan: true,
+        plan_version: true,
+        subscription: true,
+        renewal_subscription: true
+      }
+    });
+  }
+
+  // Where a payment stands after a refund someone else finished recording
+  async getAppliedRefundResult(paymentId) {
+    const payment = await this.findRefundablePayment(paymentId);
+    const subscription = payment.subscription || payment.renewal_subscription;
+
+    return {
+      paymentStatus: payment.status,
+      refundedAmount: parseFloat(payment.refunded_amount.toString()),
+      subscription: subscription
+        ? { id: subscription.subscription_id, status: subscription.status, endDate: subscription.end_date }
+        : null
+    };
+  }
+
+  getRefundableAmount(payment) {
+    return roundAmount(parseFloat(payment.amount.toString()) - parseFloat(payment.refunded_amount.toString()), payment.currency);
+  }
+
+  // Take the refunded share of the paid period off the end of the subscription
+  calculateShortenedEndDate({ endDate, durationDays, paymentAmount, refundAmount }) {
+    const periodMs = durationDays * 24 * 60 * 60 * 1000;
+    const share = paymentAmount > 0 ? Math.min(refundAmount / paymentAmount, 1) : 1;
+    return new Date(endDate.getTime() - Math.round(periodMs * share));
+  }
+}
+
+module.exports = RefundService;
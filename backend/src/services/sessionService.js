@@ -0,0 +1,235 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { getPrismaClient } = require('../config/database');
+const { AuthenticationError, NotFoundError } = require('../utils/errorHandler');
+
+const prisma = getPrismaClient();
+
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+const REFRESH_TOKEN_TTL_DAYS = 30;
+const MAX_USER_AGENT_LENGTH = 255;
+
+// Server-side sessions behind the JWTs owners, staff and members sign in with.
+// An access token lives for 15 minutes; the refresh token that renews it can be revoked at any time.
+class SessionService {
+  constructor() {
+    this.jwtSecret = process.env.JWT_SECRET || '65YHSNjVcJ9q4V2GGGlxvQ1hmGt2x344Po8CYi+U9aD5mdiMJlGMXLHF7YyC5Q5ZTCKWOeWfMYXkqDBG4SxSFw==';
+  }
+
+  // The Supabase user behind a token payload: staff act under the owner's userId but sign in as themselves
+  subjectFor(user) {
+    if (user.role === 'staff') {
+      return { subjectType: 'staff', subjectId: user.staffId };
+    }
+    return { subjectType: user.role === 'member' ? 'member' : 'owner', subjectId: user.userId };
+  }
+
+  deviceFromRequest(req) {
+    const userAgent = req.headers?.['user-agent'];
+
+    return {
+      userAgent: userAgent ? userAgent.substring(0, MAX_USER_AGENT_LENGTH) : null,
+      ipAddress: req.ip || null
+    };
+  }
+
+  // Start a session for the token payload and return the first access and refresh tokens
+  async createSession(claims, { userAgent = null, ipAddress = null } = {}, now = new Date()) {
+    const { subjectType, subjectId } = this.subjectFor(claims);
+    const refreshToken = this.generateRefreshToken();
+
+    const session = await prisma.session.create({
+      data: {
+        subject_type: subjectType,
+        subject_id: subjectId,
+        claims,
+        refresh_token_hash: this.hashToken(refreshToken),
+        user_agent: userAgent,
+        ip_address: ipAddress,
+        last_used_at: now,
+        expires_at: new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+      }
+    });
+
+    return this.issueTokens(session, refreshToken);
+  }
+
+  // Swap a refresh token for a new access token and a new refresh token
+  async refreshSession(refreshToken, { userAgent = null, ipAddress = null } = {}, now = new Date()) {
+    if (typeof refreshToken !== 'string' || !refreshToken) {
+      throw new AuthenticationError('Refresh token is required');
+    }
+
+    const tokenHash = this.hashToken(refreshToken);
+
+    const session = await prisma.session.findFirst({
+      where: {
+        OR: [
+          { refresh_token_hash: tokenHash },
+          { previous_token_hash: tokenHash }
+        ]
+      }
+    });
+
+    if (!session) {
+      throw new AuthenticationError('Invalid refresh token');
+    }
+
+    if (session.revoked_at || session.expires_at <= now) {
+      throw new AuthenticationError('Your session has ended. Please sign in again.');
+    }
+
+    // A replaced token coming back means two parties hold this session; end it for both
+    if (session.previous_token_hash === tokenHash) {
+      await this.revokeSession(session.subject_id, session.session_id, 'refresh_token_reused', now);
+      console.log('Refresh token reused, session revoked:', session.session_id);
+      throw new AuthenticationError('Your session has ended. Please sign in again.');
+    }
+
+    const nextRefreshToken = this.generateRefreshToken();
+
+    // Only one of two simultaneous refreshes with the same token wins
+    const { count } = await prisma.session.updateMany({
+      where: {
+        session_id: session.session_id,
+        refresh_token_hash: tokenHash,
+        revoked_at: null
+      },
+      data: {
+        refresh_token_hash: this.hashToken(nextRefreshToken),
+        previous_token_hash: tokenHash,
+        last_used_at: now,
+        ...(userAgent ? { user_agent: userAgent } : {}),
+        ...(ipAddress ? { ip_address: ipAddress } : {})
+      }
+    });
+
+    if (count === 0) {
+      throw new AuthenticationError('Invalid refresh token');
+    }
+
+    return this.issueTokens(session, nextRefreshToken);
+  }
+
+  issueTokens(session, refreshToken) {
+    return {
+      token: jwt.sign(
+        { ...session.claims, sid: session.session_id },
+        this.jwtSecret,
+        { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+      ),
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+      sessionId: session.session_id
+    };
+  }
+
+  // Whether an access token's session is still signed in; checked on every authenticated request
+  async isSessionActive(sessionId, now = new Date()) {
+    const session = await prisma.session.findUnique({
+      where: { session_id: sessionId },
+      select: {
+        revoked_at: true,
+        expires_at: true
+      }
+    });
+
+    return !!session && !session.revoked_at && session.expires_at > now;
+  }
+
+  // For tokens we did not issue (Supabase access tokens): refused if issued before the user's last "log out everywhere"
+  async isTokenRevoked(subjectId, issuedAtSeconds) {
+    const revocation = await prisma.sessionRevocation.findUnique({
+      where: { subject_id: subjectId }
+    });
+
+    return !!revocation && (!issuedAtSeconds || issuedAtSeconds * 1000 < revocation.revoked_before.getTime());
+  }
+
+  async listSessions(subjectId, currentSessionId = null, now = new Date()) {
+    const sessions = await prisma.session.findMany({
+      where: {
+        subject_id: subjectId,
+        revoked_at: null,
+        expires_at: {
+          gt: now
+        }
+      },
+      orderBy: {
+        last_used_at: 'desc'
+      }
+    });
+
+    return sessions.map(session => this.transformSession(session, currentSessionId));
+  }
+
+  async revokeSession(subjectId, sessionId, reason = 'logout', now = new Date()) {
+    const { count } = await prisma.session.updateMany({
+      where: {
+        session_id: sessionId,
+        subject_id: subjectId,
+        revoked_at: null
+      },
+      data: {
+        revoked_at: now,
+        revoked_reason: reason
+      }
+    });
+
+    if (count === 0) {
+      throw new NotFoundError('Session not found');
+    }
+
+    console.log('Session revoked:', { sessionId, reason });
+  }
+
+  // Sign the user out everywhere, optionally keeping the session making the request
+  async revokeAllSessions(subjectId, { exceptSessionId = null, reason = 'logout_all' } = {}, now = new Date()) {
+    const [{ count }] = await prisma.$transaction([
+      prisma.session.updateMany({
+        where: {
+          subject_id: subjectId,
+          revoked_at: null,
+          ...(exceptSessionId ? { session_id: { not: exceptSessionId } } : {})
+        },
+        data: {
+          revoked_at: now,
+          revoked_reason: reason
+        }
+      }),
+      prisma.sessionRevocation.upsert({
+        where: { subject_id: subjectId },
+        create: { subject_id: subjectId, revoked_before: now },
+        update: { revoked_before: now }
+      })
+    ]);
+
+    console.log('Sessions revoked:', { subjectId, count, reason });
+
+    return count;
+  }
+
+  generateRefreshToken() {
+    return crypto.randomBytes(48).toString('base64url');
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  transformSession(session, currentSessionId = null) {
+    return {
+      id: session.session_id,
+      userAgent: session.user_agent,
+      ipAddress: session.ip_address,
+      current: session.session_id === currentSessionId,
+      createdAt: session.create_at,
+      lastUsedAt: session.last_used_at,
+      expiresAt: session.expires_at
+    };
+  }
+}
+
+module.exports = SessionService;
+module.exports.ACCESS_TOKEN_TTL_SECONDS = ACCESS_TOKEN_TTL_SECONDS;
+module.exports.REFRESH_TOKEN_TTL_DAYS = REFRESH_TOKEN_TTL_DAYS;
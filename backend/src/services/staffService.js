@@ -0,0 +1,296 @@
+const { getPrismaClient } = require('../config/database');
+const { supabase } = require('../config/supabase');
+const { API_KEY_SCOPES } = require('./apiKeyService');
+
+const prisma = getPrismaClient();
+
+// Everything an owner can do, named like API key scopes so one check covers keys, staff and owners.
+// The ones added here are never granted to API keys.
+const PERMISSIONS = [
+  ...API_KEY_SCOPES,
+  'plans:read',
+  'features:read',
+  'settings:manage', // Payment gateway, tax, pause rules and API keys
+  'staff:manage',
+  'audit:read', // Who changed what, with before and after values
+  'account:manage' // The owner's own login and profile; only the owner has it
+];
+
+// A permission that comes with another, so a key scoped to plans:manage can also list plans
+const IMPLIED_PERMISSIONS = {
+  'plans:read': 'plans:manage',
+  'features:read': 'features:manage'
+};
+
+// What each staff role may do. Revenue is on the dashboard, so only roles with dashboard:read see it.
+const STAFF_ROLES = {
+  admin: PERMISSIONS.filter(permission => permission !== 'account:manage'),
+  manager: [
+    'members:read',
+    'members:manage',
+    'plans:read',
+    'features:read',
+    'coupons:manage',
+    'dashboard:read',
+    'refunds:manage',
+    'payments:manage',
+    'entitlements:read'
+  ],
+  front_desk: [
+    'members:read',
+    'members:manage',
+    'plans:read',
+    'features:read',
+    'entitlements:read'
+  ],
+  viewer: [
+    'members:read',
+    'plans:read',
+    'features:read',
+    'dashboard:read'
+  ]
+};
+
+const MAX_STAFF_PER_OWNER = 50;
+
+// People an owner lets into their dashboard under a role, each with their own Supabase login
+class StaffService {
+  constructor() {
+    this.supabase = supabase;
+  }
+
+  async listStaff(ownerId) {
+    const staff = await prisma.staff.findMany({
+      where: { owner_id: ownerId },
+      orderBy: { create_at: 'asc' }
+    });
+
+    return staff.map(member => this.transformStaff(member));
+  }
+
+  // Supabase emails the invite; the staff row is keyed by the auth user it creates
+  async inviteStaff(ownerId, { email, fullName, role }) {
+    const normalizedEmail = email.toLowerCase().trim();
+
+    const [staffCount, existingStaff, existingOwner] = await Promise.all([
+      prisma.staff.count({ where: { owner_id: ownerId } }),
+      prisma.staff.findUnique({ where: { email: normalizedEmail } }),
+      prisma.owner.findUnique({ where: { email: normalizedEmail } })
+    ]);
+
+    if (staffCount >= MAX_STAFF_PER_OWNER) {
+      throw new Error(`Invalid staff invite: an organization can have at most ${MAX_STAFF_PER_OWNER} staff`);
+    }
+
+    if (existingStaff || existingOwner) {
+      throw new Error('Invalid staff invite: this email already has an account');
+    }
+
+    const supabaseUserId = await this.sendInviteEmail(normalizedEmail, fullName.trim());
+
+    const staff = await prisma.staff.create({
+      data: {
+        staff_id: supabaseUserId,
+        owner_id: ownerId,
+        email: normalizedEmail,
+        full_name: fullName.trim(),
+        role
+      }
+    });
+
+    console.log('Staff invited:', { ownerId, staffId: staff.staff_id, role });
+
+    return this.transformStaff(staff);
+  }
+
+  async resendInvite(ownerId, staffId) {
+    const staff = await this.findOwnerStaff(ownerId, staffId);
+
+    if (staff.status !== 'invited') {
+      throw new Error('Invalid staff invite: this person has already signed in');
+    }
+
+    await this.sendInviteEmail(staff.email, staff.full_name);
+
+    const updated = await prisma.staff.update({
+      where: { staff_id: staffId },
+      data: { invited_at: new Date(), update_at: new Date() }
+    });
+
+    return this.transformStaff(updated);
+  }
+
+  async sendInviteEmail(email, fullName) {
+    const { data, error } = await this.supabase.auth.admin.inviteUserByEmail(email, {
+      redirectTo: `${process.env.FRONTEND_URL}/auth/callback`,
+      data: {
+        full_name: fullName,
+        role: 'staff'
+      }
+    });
+
+    if (error) {
+      throw new Error(`Failed to send staff invite: ${error.message}`);
+    }
+
+    return data.user.id;
+  }
+
+  // Change someone's role, or disable and re-enable their access
+  async updateStaff(ownerId, staffId, { role, status }) {
+    const staff = await this.findOwnerStaff(ownerId, staffId);
+
+    // Re-enabling restores whatever state the person was in before being disabled
+    const nextStatus = status === 'active' && !staff.accepted_at ? 'invited' : status;
+
+    const updated = await prisma.staff.update({
+      where: { staff_id: staffId },
+      data: {
+        ...(role ? { role } : {}),
+        ...(nextStatus ? { status: nextStatus } : {}),
+        update_at: new Date()
+      }
+    });
+
+    console.log('Staff updated:', { ownerId, staffId, role, status: updated.status });
+
+    return this.transformStaff(updated);
+  }
+
+  // Removes the staff record and their login
+  async removeStaff(ownerId, staffId) {
+    await this.findOwnerStaff(ownerId, staffId);
+
+    await prisma.staff.delete({
+      where: { staff_id: staffId }
+    });
+
+    const { error } = await this.supabase.auth.admin.deleteUser(staffId);
+
+    if (error) {
+      console.error('Failed to delete staff auth user:', staffId, error.message);
+    }
+
+    console.log('Staff removed:', { ownerId, staffId });
+  }
+
+  // Staff who may act for the owner right now; null once removed or disabled
+  async getActiveStaff(staffId, ownerId) {
+    if (!staffId) {
+      return null;
+    }
+
+    const staff = await prisma.staff.findUnique({
+      where: { staff_id: staffId }
+    });
+
+    if (!staff || staff.owner_id !== ownerId || staff.status === 'disabled') {
+      return null;
+    }
+
+    return staff;
+  }
+
+  // Signing in for the first time accepts the invite
+  async findForLogin(authUserId, now = new Date()) {
+    const staff = await prisma.staff.findUnique({
+      where: { staff_id: authUserId },
+      include: {
+        owner: {
+          select: {
+            org_name: true,
+            staff_two_factor_required: true
+          }
+        }
+      }
+    });
+
+    if (!staff || staff.status !== 'invited') {
+      return staff;
+    }
+
+    const accepted = await prisma.staff.update({
+      where: { staff_id: authUserId },
+      data: {
+        status: 'active',
+        accepted_at: now,
+        update_at: now
+      },
+      include: {
+        owner: {
+          select: {
+            org_name: true,
+            staff_two_factor_required: true
+          }
+        }
+      }
+    });
+
+    console.log('Staff invite accepted:', authUserId);
+
+    return accepted;
+  }
+
+  async findOwnerStaff(ownerId, staffId) {
+    const staff = await prisma.staff.findFirst({
+      where: {
+        staff_id: staffId,
+        owner_id: ownerId
+      }
+    });
+
+    if (!staff) {
+      throw new Error('Staff member not found');
+    }
+
+    return staff;
+  }
+
+  validateStaffData({ email, fullName, role, status }, { isUpdate = false } = {}) {
+    const errors = [];
+
+    if (!isUpdate) {
+      if (typeof email !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim())) {
+        errors.push('A valid email is required');
+      }
+
+      if (!fullName || typeof fullName !== 'string' || !fullName.trim()) {
+        errors.push('Full name is required');
+      }
+    }
+
+    if ((!isUpdate || role !== undefined) && !STAFF_ROLES[role]) {
+      errors.push(`Role must be one of: ${Object.keys(STAFF_ROLES).join(', ')}`);
+    }
+
+    if (isUpdate && status !== undefined && !['active', 'disabled'].includes(status)) {
+      errors.push('Status must be active or disabled');
+    }
+
+    if (isUpdate && role === undefined && status === undefined) {
+      errors.push('Nothing to update: send a role or a status');
+    }
+
+    return errors;
+  }
+
+  transformStaff(staff) {
+    return {
+      id: staff.staff_id,
+      email: staff.email,
+      fullName: staff.full_name,
+      role: staff.role,
+      status: staff.status,
+      permissions: STAFF_ROLES[staff.role] || [],
+      invitedAt: staff.invited_at,
+      acceptedAt: staff.accepted_at,
+      createdAt: staff.create_at,
+      updatedAt: staff.update_at
+    };
+  }
+}
+
+module.exports = StaffService;
+module.exports.PERMISSIONS = PERMISSIONS;
+module.exports.IMPLIED_PERMISSIONS = IMPLIED_PERMISSIONS;
+module.exports.STAFF_ROLES = STAFF_ROLES;
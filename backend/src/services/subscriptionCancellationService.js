@@ -0,0 +1,310 @@
+const { getPrismaClient } = require('../config/database');
+const OutboundWebhookService = require('./outboundWebhookService');
+const AuditLogService = require('./auditLogService');
+
+const prisma = getPrismaClient();
+
+// Answers offered in the exit survey
+const CANCELLATION_REASONS = {
+  too_expensive: 'Too expensive',
+  not_using: 'Not using it enough',
+  missing_features: 'Missing features I need',
+  switching_service: 'Switching to another service',
+  technical_issues: 'Technical issues',
+  temporary: 'Only needed it for a while',
+  other: 'Other'
+};
+
+// Statuses a subscription can move to from each status. Expired is final; a cancelled subscription
+// only becomes active again when the member undoes their own cancellation before end_date.
+const STATUS_TRANSITIONS = {
+  active: ['paused', 'cancelled', 'expired'],
+  paused: ['active', 'cancelled'],
+  cancelled: ['active'],
+  expired: []
+};
+
+const MAX_COMMENT_LENGTH = 1000;
+const RECENT_COMMENTS_LIMIT = 10;
+
+class SubscriptionCancellationService {
+  constructor() {
+    this.outboundWebhookService = new OutboundWebhookService();
+    this.auditLogService = new AuditLogService();
+  }
+
+  validateCancellation({ atPeriodEnd, reason, comment, rating } = {}) {
+    const errors = [];
+
+    if (atPeriodEnd !== undefined && typeof atPeriodEnd !== 'boolean') {
+      errors.push('atPeriodEnd must be true or false');
+    }
+
+    if (reason !== undefined && reason !== null && !CANCELLATION_REASONS[reason]) {
+      errors.push(`Reason must be one of: ${Object.keys(CANCELLATION_REASONS).join(', ')}`);
+    }
+
+    if (comment !== undefined && comment !== null && (typeof comment !== 'string' || comment.length > MAX_COMMENT_LENGTH)) {
+      errors.push(`Comment must be text of at most ${MAX_COMMENT_LENGTH} characters`);
+    }
+
+    if (rating !== undefined && rating !== null && !(Number.isInteger(rating) && rating >= 1 && rating <= 5)) {
+      errors.push('Rating must be a whole number from 1 to 5');
+    }
+
+    return errors;
+  }
+
+  assertTransition(from, to) {
+    if (!(STATUS_TRANSITIONS[from] || []).includes(to)) {
+      throw new Error(`Invalid status change: ${from} subscriptions cannot become ${to}`);
+    }
+  }
+
+  // Cancel at the end of the paid period (the default) or at once.
+  // Either way auto-renewal stops now; a subscription with no time left is cancelled at once.
+  async cancelSubscription(memberId, subscriptionId, { atPeriodEnd = true, reason = null, comment = null, rating = null, auditContext } = {}, now = new Date()) {
+    const subscription = await this.findMemberSubscription(memberId, subscriptionId);
+
+    this.assertTransition(subscription.status, 'cancelled');
+
+    // A paused subscription has no running period to wait out
+    const immediate = !atPeriodEnd || subscription.status === 'paused'
+      || !subscription.end_date || new Date(subscription.end_date) <= now;
+
+    if (!immediate && subscription.cancel_at_period_end) {
+      throw new Error('Invalid cancellation: this subscription is already set to cancel at the end of the period');
+    }
+
+    const cancelled = await prisma.$transaction(async (tx) => {
+      const updated = await tx.subscription.update({
+        where: { subscription_id: subscriptionId },
+        data: {
+          ...(immediate ? { status: 'cancelled', cancelled_at: now, paused_at: null, pause_resume_at: null } : {}),
+          cancel_at_period_end: !immediate,
+          cancel_requested_at: now,
+          cancellation_reason: reason,
+          cancellation_comment: comment ? comment.trim() : null,
+          cancellation_rating: rating,
+          cancel_prev_auto_renew: subscription.auto_renew,
+          cancel_prev_next_renewal_attempt_at: subscription.next_renewal_attempt_at,
+          auto_renew: false,
+          next_renewal_attempt_at: null,
+          grace_period_end: null,
+          update_at: now
+        }
+      });
+
+      // A cancellation at period end is announced by the expiry job when it takes effect
+      if (immediate) {
+        await this.outboundWebhookService.publishSubscriptionEvent('subscription.cancelled', updated, subscription.plan, tx);
+      }
+
+      await this.auditLogService.record({
+        ownerId: subscription.plan.owner_id,
+        action: immediate ? 'subscription.cancelled' : 'subscription.cancellation_scheduled',
+        entityType: 'subscription',
+        entityId: subscriptionId,
+        before: this.auditLogService.subscriptionValues(subscription),
+        after: { ...this.auditLogService.subscriptionValues(updated), reason }
+      }, auditContext, tx);
+
+      return updated;
+    });
+
+    console.log('Subscription cancellation recorded:', {
+      subscriptionId,
+      immediate,
+      reason
+    });
+
+    return this.transformCancellation(cancelled);
+  }
+
+  // Withdraw the member's cancellation while the paid period is still running
+  async undoCancellation(memberId, subscriptionId, { auditContext } = {}, now = new Date()) {
+    const subscription = await this.findMemberSubscription(memberId, subscriptionId);
+
+    const scheduled = subscription.status === 'active' && subscription.cancel_at_period_end;
+    const cancelledByMember = subscription.status === 'cancelled' && subscription.cancel_requested_at;
+
+    if (!scheduled && !cancelledByMember) {
+      throw new Error('Invalid cancellation: there is no cancellation of yours to undo on this subscription');
+    }
+
+    if (!subscription.end_date || new Date(subscription.end_date) <= now) {
+      throw new Error('Invalid cancellation: the subscription has already ended');
+    }
+
+    if (cancelledByMember) {
+      this.assertTransition(subscription.status, 'active');
+    }
+
+    const restored = await prisma.$transaction(async (tx) => {
+      const updated = await tx.subscription.update({
+        where: { subscription_id: subscriptionId },
+        data: {
+          status: 'active',
+          cancel_at_period_end: false,
+          cancel_requested_at: null,
+          cancelled_at: null,
+          cancellation_reason: null,
+          cancellation_comment: null,
+          cancellation_rating: null,
+          // Renew again as the member had it before cancelling
+          auto_renew: subscription.cancel_prev_auto_renew ?? false,
+          next_renewal_attempt_at: subscription.cancel_prev_next_renewal_attempt_at,
+          cancel_prev_auto_renew: null,
+          cancel_prev_next_renewal_attempt_at: null,
+          update_at: now
+        }
+      });
+
+      if (cancelledByMember) {
+        await this.outboundWebhookService.publishSubscriptionEvent('subscription.reactivated', updated, subscription.plan, tx);
+      }
+
+      await this.auditLogService.record({
+        ownerId: subscription.plan.owner_id,
+        action: 'subscription.cancellation_undone',
+        entityType: 'subscription',
+        entityId: subscriptionId,
+        before: this.auditLogService.subscriptionValues(subscription),
+        after: this.auditLogService.subscriptionValues(updated)
+      }, auditContext, tx);
+
+      return updated;
+    });
+
+    console.log('Subscription cancellation undone:', subscriptionId);
+
+    return this.transformCancellation(restored);
+  }
+
+  // Why members of the owner's plans cancelled, for the dashboard
+  async getCancellationSummary(ownerId, { since = null } = {}) {
+    const where = {
+      plan: {
+        owner_id: ownerId
+      },
+      cancel_requested_at: since ? { gte: since } : { not: null }
+    };
+
+    const groups = await prisma.subscription.groupBy({
+      by: ['cancellation_reason'],
+      where,
+      _count: {
+        _all: true
+      },
+      _avg: {
+        cancellation_rating: true
+      }
+    });
+
+    const recentComments = await prisma.subscription.findMany({
+      where: {
+        ...where,
+        cancellation_comment: {
+          not: null
+        }
+      },
+      select: {
+        subscription_id: true,
+        cancellation_reason: true,
+        cancellation_comment: true,
+        cancellation_rating: true,
+        cancel_requested_at: true,
+        plan: {
+          select: {
+            name: true
+          }
+        }
+      },
+      orderBy: {
+        cancel_requested_at: 'desc'
+      },
+      take: RECENT_COMMENTS_LIMIT
+    });
+
+    return {
+      ...this.summarizeReasons(groups),
+      recentComments: recentComments.map(subscription => ({
+        subscriptionId: subscription.subscription_id,
+        planName: subscription.plan.name,
+        reason: subscription.cancellation_reason,
+        comment: subscription.cancellation_comment,
+        rating: subscription.cancellation_rating,
+        cancelledAt: subscription.cancel_requested_at
+      })),
+      since
+    };
+  }
+
+  // Count and share of each reason, with cancellations given without one under 'unspecified'
+  summarizeReasons(groups) {
+    const total = groups.reduce((sum, group) => sum + group._count._all, 0);
+    const countFor = reason => groups
+      .filter(group => group.cancellation_reason === reason)
+      .reduce((sum, group) => sum + group._count._all, 0);
+
+    const reasons = [...Object.keys(CANCELLATION_REASONS), null].map(reason => {
+      const count = countFor(reason);
+
+      return {
+        reason: reason || 'unspecified',
+        label: reason ? CANCELLATION_REASONS[reason] : 'No reason given',
+        count,
+        percentage: total > 0 ? Math.round((count / total) * 100) : 0
+      };
+    });
+
+    // Average of the ratings given, weighted by how many cancellations each reason had
+    const rated = groups.filter(group => group._avg.cancellation_rating !== null);
+    const ratedCount = rated.reduce((sum, group) => sum + group._count._all, 0);
+    const averageRating = ratedCount > 0
+      ? Math.round(rated.reduce((sum, group) => sum + group._avg.cancellation_rating * group._count._all, 0) / ratedCount * 10) / 10
+      : null;
+
+    return {
+      total,
+      reasons,
+      averageRating
+    };
+  }
+
+  async findMemberSubscription(memberId, subscriptionId) {
+    const subscription = await prisma.subscription.findFirst({
+      where: {
+        subscription_id: subscriptionId,
+        member_id: memberId
+      },
+      include: {
+        plan: true
+      }
+    });
+
+    if (!subscription) {
+      throw new Error('Subscription not found');
+    }
+
+    return subscription;
+  }
+
+  transformCancellation(subscription) {
+    return {
+      id: subscription.subscription_id,
+      status: subscription.status,
+      cancelAtPeriodEnd: subscription.cancel_at_period_end,
+      cancelledAt: subscription.cancelled_at,
+      cancelRequestedAt: subscription.cancel_requested_at,
+      reason: subscription.cancellation_reason,
+      endDate: subscription.end_date,
+      autoRenew: subscription.auto_renew,
+      updatedAt: subscription.update_at
+    };
+  }
+}
+
+module.exports = SubscriptionCancellationService;
+module.exports.CANCELLATION_REASONS = CANCELLATION_REASONS;
+module.exports.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
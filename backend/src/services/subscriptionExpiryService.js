@@ -0,0 +1,120 @@
+const { getPrismaClient } = require('../config/database');
+const OutboundWebhookService = require('./outboundWebhookService');
+const AuditLogService = require('./auditLogService');
+
+const { SYSTEM_ACTOR } = AuditLogService;
+const prisma = getPrismaClient();
+
+class SubscriptionExpiryService {
+  constructor() {
+    this.outboundWebhookService = new OutboundWebhookService();
+    this.auditLogService = new AuditLogService();
+  }
+
+  // Move active subscriptions past their end date (and any renewal grace period) to expired,
+  // or to cancelled when the member asked to cancel at the end of the period
+  async expireOverdueSubscriptions(now = new Date()) {
+    try {
+      const overdue = await prisma.subscription.findMany({
+        where: this.buildOverdueWhere(now),
+        include: {
+          plan: true
+        }
+      });
+
+      if (overdue.length === 0) {
+        return { expired: 0, cancelled: 0 };
+      }
+
+      const overdueIds = overdue.map(subscription => subscription.subscription_id);
+
+      const counts = await prisma.$transaction(async (tx) => {
+        // Re-check the overdue conditions so a renewal that landed meanwhile is not expired
+        const cancelled = await tx.subscription.updateMany({
+          where: {
+            ...this.buildOverdueWhere(now),
+            subscription_id: {
+              in: overdueIds
+            },
+            cancel_at_period_end: true
+          },
+          data: {
+            status: 'cancelled',
+            cancelled_at: now,
+            auto_renew: false,
+            next_renewal_attempt_at: null,
+            update_at: now
+          }
+        });
+
+        const expired = await tx.subscription.updateMany({
+          where: {
+            ...this.buildOverdueWhere(now),
+            subscription_id: {
+              in: overdueIds
+            }
+          },
+          data: {
+            status: 'expired',
+            expired_at: now,
+            auto_renew: false,
+            next_renewal_attempt_at: null,
+            update_at: now
+          }
+        });
+
+        const ended = await tx.subscription.findMany({
+          where: {
+            subscription_id: {
+              in: overdueIds
+            },
+            OR: [
+              { status: 'expired', expired_at: now },
+              { status: 'cancelled', cancelled_at: now }
+            ]
+          }
+        });
+
+        for (const subscription of ended) {
+          const before = overdue.find(s => s.subscription_id === subscription.subscription_id);
+          const eventType = subscription.status === 'cancelled' ? 'subscription.cancelled' : 'subscription.expired';
+          await this.outboundWebhookService.publishSubscriptionEvent(eventType, subscription, before.plan, tx);
+
+          await this.auditLogService.record({
+            ownerId: before.plan.owner_id,
+            action: eventType,
+            entityType: 'subscription',
+            entityId: subscription.subscription_id,
+            before: this.auditLogService.subscriptionValues(before),
+            after: this.auditLogService.subscriptionValues(subscription)
+          }, SYSTEM_ACTOR, tx);
+        }
+
+        return { expired: expired.count, cancelled: cancelled.count };
+      });
+
+      console.log(`Expired ${counts.expired} and cancelled ${counts.cancelled} overdue subscriptions`);
+
+      return counts;
+    } catch (error) {
+      console.error('Failed to expire overdue subscriptions:', error);
+      throw error;
+    }
+  }
+
+  buildOverdueWhere(now) {
+    return {
+      status: 'active',
+      end_date: {
+        lte: now
+      },
+      // Subscriptions still retrying a failed renewal keep access until the grace period ends
+      OR: [
+        { grace_period_end: null },
+        { grace_period_end: { lte: now } }
+      ]
+    };
+  }
+}
+
+module.exports = SubscriptionExpiryService;
@@ -0,0 +1,212 @@
+const { getPrismaClient } = require('../config/database');
+const PaymentService = require('./paymentService');
+const InvoiceService = require('./invoiceService');
+const OutboundWebhookService = require('./outboundWebhookService');
+const PlanVersionService = require('./planVersionService');
+const MemberInvitationService = require('./memberInvitationService');
+const { isSupportedCurrency, SUPPORTED_CURRENCIES, resolvePlanPrice, roundAmount } = require('../utils/currency');
+const { v4: uuidv4 } = require('uuid');
+
+const prisma = getPrismaClient();
+
+// How the member paid the owner outside the platform. Complimentary grants are free and stay out of revenue.
+const GRANT_PAYMENT_METHODS = {
+  cash: 'Cash',
+  bank_transfer: 'Bank transfer',
+  complimentary: 'Complimentary'
+};
+
+const MAX_NOTE_LENGTH = 500;
+
+// Subscriptions an owner hands out directly: paid at the front desk, by transfer, or comped
+class SubscriptionGrantService {
+  constructor() {
+    this.paymentService = new PaymentService();
+    this.invoiceService = new InvoiceService();
+    this.outboundWebhookService = new OutboundWebhookService();
+    this.planVersionService = new PlanVersionService();
+    this.memberInvitationService = new MemberInvitationService();
+  }
+
+  validateGrant({ planId, memberId, email, paymentMethod, amount, currency, endDate, note } = {}, now = new Date()) {
+    const errors = [];
+
+    if (!planId || typeof planId !== 'string') {
+      errors.push('Plan ID is required');
+    }
+
+    if (!memberId && !email) {
+      errors.push('Either memberId or email is required');
+    }
+
+    if (!memberId && email && (typeof email !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim()))) {
+      errors.push('Email must be a valid email address');
+    }
+
+    if (!GRANT_PAYMENT_METHODS[paymentMethod]) {
+      errors.push(`Payment method must be one of: ${Object.keys(GRANT_PAYMENT_METHODS).join(', ')}`);
+    }
+
+    if (amount !== undefined && amount !== null) {
+      if (paymentMethod === 'complimentary' && amount !== 0) {
+        errors.push('Complimentary subscriptions cannot have an amount');
+      } else if (paymentMethod !== 'complimentary' && !(typeof amount === 'number' && amount > 0)) {
+        errors.push('Amount must be a number greater than 0');
+      }
+    }
+
+    if (currency !== undefined && !isSupportedCurrency(currency)) {
+      errors.push(`Currency must be one of: ${SUPPORTED_CURRENCIES.join(', ')}`);
+    }
+
+    if (endDate !== undefined && endDate !== null && !(new Date(endDate) > now)) {
+      errors.push('End date must be a date in the future');
+    }
+
+    if (note !== undefined && note !== null && (typeof note !== 'string' || note.length > MAX_NOTE_LENGTH)) {
+      errors.push(`Note must be text of at most ${MAX_NOTE_LENGTH} characters`);
+    }
+
+    return errors;
+  }
+
+  // Record the owner's payment and start the subscription on the plan's current terms, or run it to endDate.
+  // Someone not on the platform yet is invited, by email unless sendInvite is false.
+  async grantSubscription(ownerId, {
+    planId,
+    memberId,
+    email,
+    fullName,
+    phone,
+    paymentMethod,
+    amount,
+    currency,
+    endDate = null,
+    note = null
+  }, { source = 'grant', sendInvite = true } = {}, now = new Date()) {
+    const plan = await prisma.plan.findFirst({
+      where: {
+        plan_id: planId,
+        owner_id: ownerId,
+        delete_at: null
+      },
+      include: {
+        owner: {
+          select: {
+            org_name: true
+          }
+        },
+        plan_prices: true
+      }
+    });
+
+    if (!plan) {
+      throw new Error('Plan not found');
+    }
+
+    const price = resolvePlanPrice(plan, currency || plan.currency);
+    const complimentary = paymentMethod === 'complimentary';
+    const chargedAmount = complimentary ? 0 : roundAmount(amount || price.amount, price.currency);
+
+    const member = memberId
+      ? await prisma.member.findUnique({ where: { member_id: memberId } })
+      : (await this.memberInvitationService.inviteMember(ownerId, { email, fullName, phone }, { source, sendEmail: sendInvite }, now)).member;
+
+    if (!member) {
+      throw new Error('Member not found');
+    }
+
+    // A free trial is converted by the grant like it is by a payment
+    const existingSubscription = await prisma.subscription.findFirst({
+      where: {
+        member_id: member.member_id,
+        plan_id: planId,
+        status: { in: ['active', 'paused'] },
+        is_trial: false
+      }
+    });
+
+    if (existingSubscription) {
+      throw new Error('Invalid grant: the member already has an active subscription to this plan');
+    }
+
+    const planVersion = await this.planVersionService.getCurrentVersion(planId);
+
+    const { payment, subscription } = await prisma.$transaction(async (tx) => {
+      const payment = await tx.payment.create({
+        data: {
+          payment_id: uuidv4(),
+          member_id: member.member_id,
+          plan_id: planId,
+          plan_version_id: planVersion.plan_version_id,
+          amount: chargedAmount,
+          currency: price.currency,
+          payment_method: paymentMethod,
+          provider: 'manual',
+          status: 'successful',
+          description: `${complimentary ? 'Complimentary subscription' : 'Subscription'}: ${plan.name} - ${plan.owner.org_name}`,
+          metadata: {
+            plan_name: plan.name,
+            organization: plan.owner.org_name,
+            member_email: member.email,
+            member_name: member.full_name,
+            granted_by_owner: true,
+            note: note ? note.trim() : null
+          }
+        }
+      });
+
+      if (!complimentary) {
+        await this.outboundWebhookService.publishPaymentEvent('payment.succeeded', payment, plan, tx);
+        await this.invoiceService.issueReceipt(payment.payment_id, tx);
+      }
+
+      const created = await this.paymentService.createSubscriptionFromPayment(payment.payment_id, tx);
+
+      // Members brought over from another system keep the end date they already had
+      const subscription = endDate
+        ? await tx.subscription.update({
+            where: { subscription_id: created.subscription_id },
+            data: { end_date: new Date(endDate), update_at: now }
+          })
+        : created;
+
+      return { payment, subscription };
+    });
+
+    console.log('Subscription granted by owner:', {
+      subscriptionId: subscription.subscription_id,
+      paymentId: payment.payment_id,
+      paymentMethod,
+      invited: !!member.invited_at
+    });
+
+    return this.transformGrant(subscription, payment, member);
+  }
+
+  transformGrant(subscription, payment, member) {
+    return {
+      id: subscription.subscription_id,
+      status: subscription.status,
+      startDate: subscription.start_date,
+      endDate: subscription.end_date,
+      member: {
+        id: member.member_id,
+        email: member.email,
+        fullName: member.full_name,
+        invited: !!member.invited_at
+      },
+      payment: {
+        id: payment.payment_id,
+        method: payment.payment_method,
+        amount: parseFloat(payment.amount.toString()),
+        currency: payment.currency,
+        complimentary: payment.payment_method === 'complimentary',
+        note: payment.metadata?.note || null
+      }
+    };
+  }
+}
+
+module.exports = SubscriptionGrantService;
+module.exports.GRANT_PAYMENT_METHODS = GRANT_PAYMENT_METHODS;
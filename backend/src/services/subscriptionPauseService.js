@@ -0,0 +1,342 @@
+const { getPrismaClient } = require('../config/database');
+const OutboundWebhookService = require('./outboundWebhookService');
+const AuditLogService = require('./auditLogService');
+
+const prisma = getPrismaClient();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PAUSE_LIMITS = {
+  maxDays: 365, // Upper bound owners can allow for one pause
+  maxPerYear: 12,
+  batchSize: 50
+};
+
+// Members freeze a subscription within their owner's rules; paused time does not count as access
+class SubscriptionPauseService {
+  constructor() {
+    this.outboundWebhookService = new OutboundWebhookService();
+    this.auditLogService = new AuditLogService();
+  }
+
+  async pauseSubscription(memberId, subscriptionId, { days, auditContext }, now = new Date()) {
+    const subscription = await prisma.subscription.findFirst({
+      where: {
+        subscription_id: subscriptionId,
+        member_id: memberId
+      },
+      include: {
+        plan: {
+          include: {
+            owner: {
+              select: {
+                org_name: true,
+                pause_max_days: true,
+                pause_max_per_year: true,
+                pause_extends_end_date: true
+              }
+            }
+          }
+        },
+        pauses: {
+          where: {
+            paused_at: {
+              gte: new Date(now.getTime() - 365 * DAY_MS)
+            }
+          }
+        }
+      }
+    });
+
+    if (!subscription) {
+      throw new Error('Subscription not found');
+    }
+
+    const { owner } = subscription.plan;
+
+    if (subscription.status !== 'active' || !subscription.end_date || new Date(subscription.end_date) <= now) {
+      throw new Error('Invalid pause: only active subscriptions can be paused');
+    }
+
+    if (subscription.is_trial) {
+      throw new Error('Invalid pause: free trials cannot be paused');
+    }
+
+    if (subscription.cancel_at_period_end) {
+      throw new Error('Invalid pause: undo the cancellation before pausing');
+    }
+
+    if (owner.pause_max_days <= 0) {
+      throw new Error(`Invalid pause: ${owner.org_name} does not allow pausing`);
+    }
+
+    if (!Number.isInteger(days) || days < 1 || days > owner.pause_max_days) {
+      throw new Error(`Invalid pause: a pause must last 1 to ${owner.pause_max_days} days`);
+    }
+
+    const yearAgo = new Date(now.getTime() - 365 * DAY_MS);
+    const limitMessage = `Invalid pause: the limit of ${owner.pause_max_per_year} per 12 months has been reached`;
+
+    if (subscription.pauses.length >= owner.pause_max_per_year) {
+      throw new Error(limitMessage);
+    }
+
+    const resumeAt = new Date(now.getTime() + days * DAY_MS);
+
+    const paused = await prisma.$transaction(async (tx) => {
+      // Lock the subscription so concurrent pause requests take turns, then count again
+      // with the pauses of those before this one
+      await tx.$queryRaw`SELECT subscription_id FROM subscriptions WHERE subscription_id = ${subscriptionId} FOR UPDATE`;
+
+      const recentPauses = await tx.subscriptionPause.count({
+        where: {
+          subscription_id: subscriptionId,
+          paused_at: {
+            gte: yearAgo
+          }
+        }
+      });
+
+      if (recentPauses >= owner.pause_max_per_year) {
+        throw new Error(limitMessage);
+      }
+
+      // Only while still active: the renewal or expiry job may have moved it on since it was read
+      const { count } = await tx.subscription.updateMany({
+        where: {
+          subscription_id: subscriptionId,
+          status: 'active',
+          cancel_at_period_end: false,
+          end_date: {
+            gt: now
+          }
+        },
+        data: {
+          status: 'paused',
+          paused_at: now,
+          pause_resume_at: resumeAt,
+          next_renewal_attempt_at: null,
+          update_at: now
+        }
+      });
+
+      if (count !== 1) {
+        throw new Error('Invalid pause: only active subscriptions can be paused');
+      }
+
+      const updated = await tx.subscription.findUnique({
+        where: { subscription_id: subscriptionId }
+      });
+
+      await tx.subscriptionPause.create({
+        data: {
+          subscription_id: subscriptionId,
+          paused_at: now,
+          scheduled_resume_at: resumeAt,
+          extends_end_date: owner.pause_extends_end_date
+        }
+      });
+
+      await this.outboundWebhookService.publishSubscriptionEvent('subscription.paused', updated, subscription.plan, tx);
+
+      await this.auditLogService.record({
+        ownerId: subscription.plan.owner_id,
+        action: 'subscription.paused',
+        entityType: 'subscription',
+        entityId: subscriptionId,
+        before: this.auditLogService.subscriptionValues(subscription),
+        after: { ...this.auditLogService.subscriptionValues(updated), days }
+      }, auditContext, tx);
+
+      return updated;
+    });
+
+    console.log('Subscription paused:', { subscriptionId, days, resumeAt: resumeAt.toISOString() });
+
+    return this.transformPause(paused, owner.pause_extends_end_date);
+  }
+
+  // Resume early at the member's request
+  async resumeSubscription(memberId, subscriptionId, { auditContext } = {}, now = new Date()) {
+    const subscription = await prisma.subscription.findFirst({
+      where: {
+        subscription_id: subscriptionId,
+        member_id: memberId
+      }
+    });
+
+    if (!subscription) {
+      throw new Error('Subscription not found');
+    }
+
+    if (subscription.status !== 'paused') {
+      throw new Error('Invalid resume: this subscription is not paused');
+    }
+
+    return this.transformPause(await this.resume(subscriptionId, now, auditContext));
+  }
+
+  // Resume every pause that has reached its scheduled end
+  async resumeDuePauses(now = new Date()) {
+    const due = await prisma.subscription.findMany({
+      where: {
+        status: 'paused',
+        pause_resume_at: {
+          lte: now
+        }
+      },
+      select: {
+        subscription_id: true
+      },
+      take: PAUSE_LIMITS.batchSize
+    });
+
+    let resumed = 0;
+
+    for (const { subscription_id: subscriptionId } of due) {
+      try {
+        await this.resume(subscriptionId, now);
+        resumed++;
+      } catch (error) {
+        console.error('Failed to resume paused subscription:', subscriptionId, error);
+      }
+    }
+
+    console.log(`Resumed ${resumed} paused subscriptions`);
+
+    return { checked: due.length, resumed };
+  }
+
+  // Back to active, pushing end_date out by the time paused when the owner's rule said so.
+  // Scheduled resumes have no auditContext and are recorded as the system.
+  async resume(subscriptionId, now = new Date(), auditContext) {
+    return await prisma.$transaction(async (tx) => {
+      const subscription = await tx.subscription.findUnique({
+        where: { subscription_id: subscriptionId },
+        include: {
+          plan: true,
+          pauses: {
+            where: { resumed_at: null },
+            orderBy: { paused_at: 'desc' },
+            take: 1
+          }
+        }
+      });
+
+      if (!subscription || subscription.status !== 'paused') {
+        throw new Error('Invalid resume: this subscription is not paused');
+      }
+
+      const [pause] = subscription.pauses;
+      const pausedMs = Math.max(now.getTime() - new Date(subscription.paused_at).getTime(), 0);
+      const extendsEndDate = pause ? pause.extends_end_date : true;
+      const endDate = extendsEndDate && subscription.end_date
+        ? new Date(new Date(subscription.end_date).getTime() + pausedMs)
+        : subscription.end_date;
+
+      const resumed = await tx.subscription.update({
+        where: { subscription_id: subscriptionId },
+        data: {
+          status: 'active',
+          end_date: endDate,
+          paused_at: null,
+          pause_resume_at: null,
+          update_at: now
+        }
+      });
+
+      if (pause) {
+        await tx.subscriptionPause.update({
+          where: { subscription_pause_id: pause.subscription_pause_id },
+          data: {
+            resumed_at: now,
+            days_paused: Math.ceil(pausedMs / DAY_MS)
+          }
+        });
+      }
+
+      await this.outboundWebhookService.publishSubscriptionEvent('subscription.resumed', resumed, subscription.plan, tx);
+
+      await this.auditLogService.record({
+        ownerId: subscription.plan.owner_id,
+        action: 'subscription.resumed',
+        entityType: 'subscription',
+        entityId: subscriptionId,
+        before: this.auditLogService.subscriptionValues(subscription),
+        after: this.auditLogService.subscriptionValues(resumed)
+      }, auditContext, tx);
+
+      console.log('Subscription resumed:', { subscriptionId, endDate });
+
+      return resumed;
+    });
+  }
+
+  async getPauseSettings(ownerId) {
+    const owner = await prisma.owner.findUnique({
+      where: { owner_id: ownerId }
+    });
+
+    if (!owner) {
+      throw new Error('Owner not found');
+    }
+
+    return this.transformPauseSettings(owner);
+  }
+
+  async updatePauseSettings(ownerId, { maxDays, maxPerYear, extendsEndDate }) {
+    const owner = await prisma.owner.update({
+      where: { owner_id: ownerId },
+      data: {
+        pause_max_days: maxDays,
+        ...(maxPerYear !== undefined ? { pause_max_per_year: maxPerYear } : {}),
+        ...(extendsEndDate !== undefined ? { pause_extends_end_date: extendsEndDate } : {}),
+        update_at: new Date()
+      }
+    });
+
+    return this.transformPauseSettings(owner);
+  }
+
+  validatePauseSettings({ maxDays, maxPerYear, extendsEndDate }) {
+    const errors = [];
+
+    if (!Number.isInteger(maxDays) || maxDays < 0 || maxDays > PAUSE_LIMITS.maxDays) {
+      errors.push(`maxDays must be a whole number from 0 to ${PAUSE_LIMITS.maxDays}`);
+    }
+
+    if (maxPerYear !== undefined && (!Number.isInteger(maxPerYear) || maxPerYear < 1 || maxPerYear > PAUSE_LIMITS.maxPerYear)) {
+      errors.push(`maxPerYear must be a whole number from 1 to ${PAUSE_LIMITS.maxPerYear}`);
+    }
+
+    if (extendsEndDate !== undefined && typeof extendsEndDate !== 'boolean') {
+      errors.push('extendsEndDate must be true or false');
+    }
+
+    return errors;
+  }
+
+  transformPauseSettings(owner) {
+    return {
+      enabled: owner.pause_max_days > 0,
+      maxDays: owner.pause_max_days,
+      maxPerYear: owner.pause_max_per_year,
+      extendsEndDate: owner.pause_extends_end_date
+    };
+  }
+
+  transformPause(subscription, extendsEndDate) {
+    return {
+      id: subscription.subscription_id,
+      status: subscription.status,
+      pausedAt: subscription.paused_at,
+      resumeAt: subscription.pause_resume_at,
+      endDate: subscription.end_date,
+      ...(extendsEndDate !== undefined ? { extendsEndDate } : {}),
+      updatedAt: subscription.update_at
+    };
+  }
+}
+
+module.exports = SubscriptionPauseService;
+module.exports.PAUSE_LIMITS = PAUSE_LIMITS;
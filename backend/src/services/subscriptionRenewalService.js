@@ -0,0 +1,342 @@
+const { getPrismaClient } = require('../config/database');
+const PaymentService = require('./paymentService');
+const OutboundWebhookService = require('./outboundWebhookService');
+const PlanVersionService = require('./planVersionService');
+const { resolvePlanPrice, getPlanCurrencies } = require('../utils/currency');
+const { v4: uuidv4 } = require('uuid');
+
+const prisma = getPrismaClient();
+
+const RENEWAL_CONFIG = {
+  leadTimeHours: parseInt(process.env.RENEWAL_LEAD_TIME_HOURS) || 24, // Charge this long before end_date
+  retryScheduleHours: [24, 48, 72], // Wait before the 2nd, 3rd and 4th attempt
+  gracePeriodDays: parseInt(process.env.RENEWAL_GRACE_PERIOD_DAYS) || 7, // Access kept after end_date while retrying
+  claimTimeoutMinutes: 15, // A claimed renewal is left alone by other runs for this long
+  batchSize: 50
+};
+
+class SubscriptionRenewalService {
+  constructor() {
+    this.paymentService = new PaymentService();
+    this.outboundWebhookService = new OutboundWebhookService();
+    this.planVersionService = new PlanVersionService();
+  }
+
+  // Charge every subscription that is due for renewal
+  async processDueRenewals(now = new Date()) {
+    const summary = {
+      checked: 0,
+      renewed: 0,
+      failed: 0,
+      pending: 0,
+      skipped: 0
+    };
+
+    try {
+      const dueSubscriptions = await this.findDueRenewals(now);
+      summary.checked = dueSubscriptions.length;
+
+      console.log(`Found ${dueSubscriptions.length} subscriptions due for renewal`);
+
+      for (const subscription of dueSubscriptions) {
+        try {
+          const result = await this.renewSubscription(subscription, now);
+          summary[result.outcome]++;
+        } catch (error) {
+          console.error('Renewal failed for subscription:', subscription.subscription_id, error);
+          summary.failed++;
+        }
+      }
+
+      console.log('Renewal run complete:', summary);
+      return summary;
+    } catch (error) {
+      console.error('Failed to process due renewals:', error);
+      throw error;
+    }
+  }
+
+  // Active auto-renewing subscriptions close to their end date whose next attempt is due
+  async findDueRenewals(now = new Date()) {
+    const renewBefore = new Date(now.getTime() + RENEWAL_CONFIG.leadTimeHours * 60 * 60 * 1000);
+
+    return await prisma.subscription.findMany({
+      where: {
+        ...this.buildDueWhere(now),
+        end_date: {
+          lte: renewBefore
+        },
+        member: {
+          omise_customer_id: {
+            not: null
+          }
+        }
+      },
+      include: {
+        plan: {
+          include: {
+            owner: {
+              select: {
+                org_name: true,
+                payment_gateway: true
+              }
+            },
+            plan_prices: true
+          }
+        },
+        plan_version: true,
+        payment: {
+          select: {
+            currency: true
+          }
+        },
+        member: true
+      },
+      orderBy: {
+        end_date: 'asc'
+      },
+      take: RENEWAL_CONFIG.batchSize
+    });
+  }
+
+  // Charge the saved card for one subscription and extend it or schedule a retry
+  async renewSubscription(subscription, now = new Date()) {
+    const { plan, member } = subscription;
+
+    // Claim the subscription so an overlapping run does not charge it twice
+    const claimUntil = new Date(now.getTime() + RENEWAL_CONFIG.claimTimeoutMinutes * 60 * 1000);
+    const claimed = await prisma.subscription.updateMany({
+      where: {
+        subscription_id: subscription.subscription_id,
+        ...this.buildDueWhere(now)
+      },
+      data: {
+        next_renewal_attempt_at: claimUntil
+      }
+    });
+
+    if (claimed.count === 0) {
+      console.log('Renewal already claimed, skipping:', subscription.subscription_id);
+      return { outcome: 'skipped' };
+    }
+
+    if (plan.delete_at) {
+      await this.stopAutoRenew(subscription.subscription_id, 'Plan is no longer available');
+      return { outcome: 'skipped' };
+    }
+
+    // The owner may have moved to a gateway that cannot charge saved cards
+    const gateway = this.paymentService.getGateway(plan.owner.payment_gateway);
+    if (!gateway.supportsSavedCards) {
+      await this.stopAutoRenew(subscription.subscription_id, 'Payment gateway does not support automatic renewals');
+      return { outcome: 'skipped' };
+    }
+
+    // Grandfathered members renew on the version they bought, others on the plan's current terms
+    const { planVersionId, terms } = await this.planVersionService.getRenewalTerms(subscription);
+
+    // Renew in the currency the member first paid in; trials convert in the plan's own
+    const currency = subscription.payment?.currency || terms.currency;
+    if (!getPlanCurrencies(terms).includes(currency)) {
+      await this.stopAutoRenew(subscription.subscription_id, `Plan is no longer priced in ${currency}`);
+      return { outcome: 'skipped' };
+    }
+
+    const { amount } = resolvePlanPrice(terms, currency);
+    const description = subscription.is_trial
+      ? `Trial conversion: ${plan.name} - ${plan.owner.org_name}`
+      : `Subscription renewal: ${plan.name} - ${plan.owner.org_name}`;
+    const attempt = subscription.renewal_attempts + 1;
+
+    const payment = await prisma.payment.create({
+      data: {
+        payment_id: uuidv4(),
+        member_id: member.member_id,
+        plan_id: plan.plan_id,
+        plan_version_id: planVersionId,
+        amount,
+        currency,
+        payment_method: 'card',
+        provider: gateway.name,
+        status: 'pending',
+        description,
+        renewal_subscription_id: subscription.subscription_id,
+        metadata: {
+          plan_name: plan.name,
+          organization: plan.owner.org_name,
+          member_email: member.email,
+          member_name: member.full_name,
+          renewal: true,
+          trial_conversion: subscription.is_trial,
+          renewal_attempt: attempt,
+          previous_end_date: subscription.end_date
+        }
+      }
+    });
+
+    let failureMessage;
+
+    try {
+      const chargeResult = await this.paymentService.createCardCharge({
+        provider: gateway.name,
+        amount,
+        currency,
+        description,
+        omiseCustomerId: member.omise_customer_id,
+        customerId: member.member_id,
+        metadata: {
+          payment_id: payment.payment_id,
+          plan_id: plan.plan_id,
+          member_id: member.member_id,
+          subscription_id: subscription.subscription_id,
+          renewal: true
+        }
+      });
+
+      await prisma.payment.update({
+        where: { payment_id: payment.payment_id },
+        data: {
+          provider_reference: chargeResult.reference,
+          provider_response: chargeResult.raw,
+          update_at: new Date()
+        }
+      });
+
+      if (chargeResult.success) {
+        await prisma.$transaction(async (tx) => {
+          await this.paymentService.applyRenewalPayment(payment.payment_id, tx);
+        });
+
+        return { outcome: 'renewed', paymentId: payment.payment_id };
+      }
+
+      // Still in progress (e.g. the bank asked for 3-D Secure): the charge webhook settles it
+      if (chargeResult.status === 'pending') {
+        await this.awaitPendingCharge(subscription, payment.payment_id, now);
+        return { outcome: 'pending', paymentId: payment.payment_id };
+      }
+
+      failureMessage = chargeResult.failureMessage || 'Renewal charge was not completed';
+    } catch (chargeError) {
+      failureMessage = chargeError.message;
+    }
+
+    await this.recordFailedAttempt(subscription, payment.payment_id, failureMessage, now);
+
+    return { outcome: 'failed', paymentId: payment.payment_id, error: failureMessage };
+  }
+
+  // Leave the payment pending and keep other runs from charging again before the next retry time.
+  // A successful charge webhook extends the subscription; if the charge fails, the next run retries.
+  async awaitPendingCharge(subscription, paymentId, now = new Date()) {
+    const nextAttemptAt = this.getNextRetryDate(subscription.renewal_attempts + 1, now)
+      || this.getGracePeriodEnd(subscription.end_date);
+
+    console.log('Renewal charge pending:', {
+      subscriptionId: subscription.subscription_id,
+      paymentId,
+      nextAttemptAt
+    });
+
+    await prisma.subscription.update({
+      where: { subscription_id: subscription.subscription_id },
+      data: {
+        next_renewal_attempt_at: nextAttemptAt,
+        update_at: new Date()
+      }
+    });
+  }
+
+  // Mark the renewal payment failed and move the subscription along the retry schedule
+  async recordFailedAttempt(subscription, paymentId, failureMessage, now = new Date()) {
+    const attempts = subscription.renewal_attempts + 1;
+    const nextAttemptAt = this.getNextRetryDate(attempts, now);
+    // A trial that cannot be charged ends with the trial, without a grace period
+    const gracePeriodEnd = subscription.is_trial
+      ? null
+      : subscription.grace_period_end || this.getGracePeriodEnd(subscription.end_date);
+
+    console.warn('Renewal attempt failed:', {
+      subscriptionId: subscription.subscription_id,
+      attempts,
+      nextAttemptAt,
+      gracePeriodEnd,
+      error: failureMessage
+    });
+
+    await prisma.$transaction(async (tx) => {
+      const payment = await tx.payment.update({
+        where: { payment_id: paymentId },
+        data: {
+          status: 'failed',
+          update_at: new Date()
+        }
+      });
+
+      await this.outboundWebhookService.publishPaymentEvent('payment.failed', payment, subscription.plan, tx, {
+        failureMessage,
+        nextAttemptAt
+      });
+
+      await tx.subscription.update({
+        where: { subscription_id: subscription.subscription_id },
+        data: {
+          renewal_attempts: attempts,
+          next_renewal_attempt_at: nextAttemptAt,
+          grace_period_end: gracePeriodEnd,
+          last_renewal_error: failureMessage,
+          // Out of retries: the subscription runs to the end of its grace period
+          auto_renew: nextAttemptAt !== null,
+          update_at: new Date()
+        }
+      });
+    });
+  }
+
+  // Turn off auto-renewal without touching the current period
+  async stopAutoRenew(subscriptionId, reason) {
+    console.log('Stopping auto-renewal for subscription:', subscriptionId, reason);
+
+    return await prisma.subscription.update({
+      where: { subscription_id: subscriptionId },
+      data: {
+        auto_renew: false,
+        next_renewal_attempt_at: null,
+        last_renewal_error: reason,
+        update_at: new Date()
+      }
+    });
+  }
+
+  // Date of the next retry after the given number of failed attempts, or null when out of retries
+  getNextRetryDate(failedAttempts, now = new Date()) {
+    const delayHours = RENEWAL_CONFIG.retryScheduleHours[failedAttempts - 1];
+
+    if (delayHours === undefined) {
+      return null;
+    }
+
+    return new Date(now.getTime() + delayHours * 60 * 60 * 1000);
+  }
+
+  // Last day of access while a failed renewal is being retried
+  getGracePeriodEnd(endDate) {
+    const gracePeriodEnd = new Date(endDate);
+    gracePeriodEnd.setDate(gracePeriodEnd.getDate() + RENEWAL_CONFIG.gracePeriodDays);
+    return gracePeriodEnd;
+  }
+
+  buildDueWhere(now) {
+    return {
+      status: 'active',
+      auto_renew: true,
+      OR: [
+        { next_renewal_attempt_at: null },
+        { next_renewal_attempt_at: { lte: now } }
+      ]
+    };
+  }
+}
+
+module.exports = SubscriptionRenewalService;
+module.exports.RENEWAL_CONFIG = RENEWAL_CONFIG;
@@ -0,0 +1,174 @@
+const { getPrismaClient } = require('../config/database');
+const PaymentService = require('./paymentService');
+const OutboundWebhookService = require('./outboundWebhookService');
+const { v4: uuidv4 } = require('uuid');
+
+const prisma = getPrismaClient();
+
+const USED_TRIAL_MESSAGE = 'Invalid trial: you have already used the free trial for this plan';
+
+class TrialService {
+  constructor() {
+    this.paymentService = new PaymentService();
+    this.outboundWebhookService = new OutboundWebhookService();
+  }
+
+  // Start a free trial; with a card token the trial converts to a paid subscription when it ends
+  async startTrial({ memberId, planId, paymentSource, now = new Date() }) {
+    try {
+      console.log('Starting trial:', { memberId, planId, withCard: !!paymentSource });
+
+      const plan = await prisma.plan.findFirst({
+        where: {
+          plan_id: planId,
+          delete_at: null
+        },
+        include: {
+          owner: {
+            select: {
+              org_name: true
+            }
+          }
+        }
+      });
+
+      if (!plan) {
+        throw new Error('Plan not found');
+      }
+
+      if (!plan.trial_days || plan.trial_days <= 0) {
+        throw new Error('Invalid trial: this plan does not offer a free trial');
+      }
+
+      const member = await prisma.member.findUnique({
+        where: { member_id: memberId }
+      });
+
+      if (!member) {
+        throw new Error('Member not found');
+      }
+
+      const existingSubscription = await prisma.subscription.findFirst({
+        where: {
+          member_id: memberId,
+          plan_id: planId,
+          status: { in: ['active', 'paused'] }
+        }
+      });
+
+      if (existingSubscription) {
+        throw new Error('You already have an active subscription to this plan');
+      }
+
+      if (await this.hasUsedTrial(memberId, planId)) {
+        throw new Error(USED_TRIAL_MESSAGE);
+      }
+
+      const savedCard = paymentSource
+        ? await this.paymentService.saveCardForMember(member, paymentSource)
+        : null;
+
+      const trialEnd = this.getTrialEnd(now, plan.trial_days);
+
+      const subscriptionId = uuidv4();
+
+      const subscription = await prisma.$transaction(async (tx) => {
+        // Claim the member's one trial of this plan; a concurrent request that got here first holds the row
+        await tx.trialUsage.create({
+          data: {
+            member_id: memberId,
+            plan_id: planId,
+            subscription_id: subscriptionId
+          }
+        });
+
+        // The trial converts on the terms the plan has today, even if the owner edits it meanwhile
+        const planVersion = await this.paymentService.planVersionService.getCurrentVersion(planId, tx);
+
+        const created = await tx.subscription.create({
+          data: {
+            subscription_id: subscriptionId,
+            member_id: memberId,
+            plan_id: planId,
+            plan_version_id: planVersion.plan_version_id,
+            payment_id: null,
+            status: 'active',
+            start_date: now,
+            end_date: trialEnd,
+            is_trial: true,
+            trial_end: trialEnd,
+            auto_renew: !!savedCard
+          }
+        });
+
+        await this.outboundWebhookService.publishSubscriptionEvent('subscription.created', created, plan, tx);
+
+        return created;
+      });
+
+      console.log('Trial started:', {
+        subscriptionId: subscription.subscription_id,
+        planName: plan.name,
+        trialEnd: trialEnd.toISOString(),
+        convertsAutomatically: subscription.auto_renew
+      });
+
+      return {
+        id: subscription.subscription_id,
+        planId,
+        planName: plan.name,
+        organization: plan.owner.org_name,
+        status: subscription.status,
+        isTrial: true,
+        startDate: subscription.start_date,
+        endDate: subscription.end_date,
+        trialEnd,
+        autoRenew: subscription.auto_renew,
+        priceAfterTrial: parseFloat(plan.price.toString()),
+        currency: plan.currency
+      };
+    } catch (error) {
+      // Unique constraint on trial_usages: the member already started this plan's trial
+      if (error.code === 'P2002') {
+        throw new Error(USED_TRIAL_MESSAGE);
+      }
+
+      console.error('Start trial failed:', error);
+      throw error;
+    }
+  }
+
+  // Any subscription that started as a trial counts, whether it converted, expired or was cancelled.
+  // Trials from before trial_usages existed are only recorded on the subscription.
+  async hasUsedTrial(memberId, planId) {
+    const [trialUsage, previousTrial] = await Promise.all([
+      prisma.trialUsage.findUnique({
+        where: {
+          member_id_plan_id: {
+            member_id: memberId,
+            plan_id: planId
+          }
+        }
+      }),
+      prisma.subscription.findFirst({
+        where: {
+          member_id: memberId,
+          plan_id: planId,
+          trial_end: {
+            not: null
+          }
+        }
+      })
+    ]);
+
+    return !!(trialUsage || previousTrial);
+  }
+
+  getTrialEnd(startDate, trialDays) {
+    const trialEnd = new Date(startDate);
+    trialEnd.setDate(trialEnd.getDate() + trialDays);
+    return trialEnd;
+  }
+}
+
+module.exports = TrialService;
@@ -0,0 +1,428 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { getPrismaClient } = require('../config/database');
+const { AuthenticationError, AuthorizationError, ValidationError, NotFoundError } = require('../utils/errorHandler');
+const SessionService = require('./sessionService');
+const qrCode = require('../utils/qrCode');
+
+const prisma = getPrismaClient();
+
+const ISSUER = 'Membella';
+const CODE_DIGITS = 6;
+const STEP_SECONDS = 30;
+const ALLOWED_DRIFT_STEPS = 1; // Codes from the step before or after are accepted, for phone clock drift
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL_SECONDS = 5 * 60;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Authenticator app (TOTP, RFC 6238) second sign-in step for owners and staff, with one-time recovery codes.
+// Members sign in with Supabase only and are not covered.
+class TwoFactorService {
+  constructor() {
+    this.sessionService = new SessionService();
+    // Challenge tokens are signed with their own key so they can never pass as access tokens
+    this.challengeSecret = `${process.env.JWT_SECRET || '65YHSNjVcJ9q4V2GGGlxvQ1hmGt2x344Po8CYi+U9aD5mdiMJlGMXLHF7YyC5Q5ZTCKWOeWfMYXkqDBG4SxSFw=='}:two-factor`;
+  }
+
+  async getStatus(user) {
+    const { subjectId } = this.sessionService.subjectFor(user);
+
+    const record = await prisma.twoFactorAuth.findUnique({
+      where: { subject_id: subjectId }
+    });
+
+    return {
+      enabled: !!record?.enabled_at,
+      enabledAt: record?.enabled_at || null,
+      recoveryCodesRemaining: record?.enabled_at ? record.recovery_codes.length : 0,
+      required: await this.isRequired(user)
+    };
+  }
+
+  async isEnabled(subjectId) {
+    const record = await prisma.twoFactorAuth.findUnique({
+      where: { subject_id: subjectId },
+      select: { enabled_at: true }
+    });
+
+    return !!record?.enabled_at;
+  }
+
+  // Owners choose for themselves; staff follow their organization's setting
+  async isRequired(user) {
+    if (user.role !== 'staff') {
+      return false;
+    }
+
+    const owner = await prisma.owner.findUnique({
+      where: { owner_id: user.userId },
+      select: { staff_two_factor_required: true }
+    });
+
+    return !!owner?.staff_two_factor_required;
+  }
+
+  // New secret for the authenticator app; nothing changes at sign-in until enable() confirms a code from it
+  async beginSetup(user, now = new Date()) {
+    const { subjectType, subjectId } = this.sessionService.subjectFor(user);
+
+    if (await this.isEnabled(subjectId)) {
+      throw new ValidationError('Two-factor authentication is already enabled');
+    }
+
+    const secret = this.generateSecret();
+
+    await prisma.twoFactorAuth.upsert({
+      where: { subject_id: subjectId },
+      create: {
+        subject_id: subjectId,
+        subject_type: subjectType,
+        secret
+      },
+      update: {
+        secret,
+        last_used_step: null,
+        recovery_codes: [],
+        update_at: now
+      }
+    });
+
+    const otpauthUrl = this.otpauthUrl(secret, user.email);
+
+    return {
+      secret,
+      otpauthUrl,
+      qrCode: qrCode.toDataUrl(otpauthUrl)
+    };
+  }
+
+  // Turn on the second step once the app shows a matching code. Recovery codes are only ever returned here
+  // and by regenerateRecoveryCodes().
+  async enable(subjectId, code, now = new Date()) {
+    const record = await prisma.twoFactorAuth.findUnique({
+      where: { subject_id: subjectId }
+    });
+
+    if (!record) {
+      throw new ValidationError('Set up two-factor authentication before enabling it');
+    }
+
+    if (record.enabled_at) {
+      throw new ValidationError('Two-factor authentication is already enabled');
+    }
+
+    if (!(await this.useCode(record, code, now))) {
+      throw new ValidationError('Invalid authentication code');
+    }
+
+    const recoveryCodes = this.generateRecoveryCodes();
+
+    await prisma.twoFactorAuth.update({
+      where: { subject_id: subjectId },
+      data: {
+        enabled_at: now,
+        recovery_codes: recoveryCodes.map(recoveryCode => this.hashRecoveryCode(recoveryCode)),
+        update_at: now
+      }
+    });
+
+    console.log('Two-factor authentication enabled:', subjectId);
+
+    return { recoveryCodes };
+  }
+
+  // Second sign-in step: a code from the app, or one of the recovery codes
+  async verify(subjectId, { code, recoveryCode } = {}, now = new Date()) {
+    const record = await prisma.twoFactorAuth.findUnique({
+      where: { subject_id: subjectId }
+    });
+
+    if (!record?.enabled_at) {
+      return false;
+    }
+
+    if (recoveryCode) {
+      return await this.useRecoveryCode(record, recoveryCode, now);
+    }
+
+    return await this.useCode(record, code, now);
+  }
+
+  async disable(user, { code, recoveryCode } = {}, now = new Date()) {
+    const { subjectId } = this.sessionService.subjectFor(user);
+
+    if (await this.isRequired(user)) {
+      throw new AuthorizationError('Your organization requires two-factor authentication');
+    }
+
+    if (!(await this.isEnabled(subjectId))) {
+      throw new ValidationError('Two-factor authentication is not enabled');
+    }
+
+    if (!(await this.verify(subjectId, { code, recoveryCode }, now))) {
+      throw new ValidationError('Invalid authentication code');
+    }
+
+    await prisma.twoFactorAuth.delete({
+      where: { subject_id: subjectId }
+    });
+
+    console.log('Two-factor authentication disabled:', subjectId);
+  }
+
+  // Replace all recovery codes, e.g. after the old ones were lost or used up
+  async regenerateRecoveryCodes(subjectId, code, now = new Date()) {
+    const record = await prisma.twoFactorAuth.findUnique({
+      where: { subject_id: subjectId }
+    });
+
+    if (!record?.enabled_at) {
+      throw new ValidationError('Two-factor authentication is not enabled');
+    }
+
+    if (!(await this.useCode(record, code, now))) {
+      throw new ValidationError('Invalid authentication code');
+    }
+
+    const recoveryCodes = this.generateRecoveryCodes();
+
+    await prisma.twoFactorAuth.update({
+      where: { subject_id: subjectId },
+      data: {
+        recovery_codes: recoveryCodes.map(recoveryCode => this.hashRecoveryCode(recoveryCode)),
+        update_at: now
+      }
+    });
+
+    return { recoveryCodes };
+  }
+
+  // Short-lived token standing in for a password that was checked, until the second step is done.
+  // purpose is 'verify' for a code from an enabled app or 'setup' when staff must set one up first.
+  createChallenge(claims, purpose = 'verify') {
+    return jwt.sign({ purpose, claims }, this.challengeSecret, { expiresIn: CHALLENGE_TTL_SECONDS });
+  }
+
+  readChallenge(challengeToken) {
+    try {
+      const { purpose, claims } = jwt.verify(challengeToken, this.challengeSecret);
+      return { purpose, claims };
+    } catch (error) {
+      throw new AuthenticationError('Your sign-in has expired. Please sign in again.');
+    }
+  }
+
+  async getSecuritySettings(ownerId) {
+    const owner = await prisma.owner.findUnique({
+      where: { owner_id: ownerId }
+    });
+
+    if (!owner) {
+      throw new NotFoundError('Owner not found');
+    }
+
+    return this.transformSecuritySettings(owner);
+  }
+
+  // Turning the requirement on signs out staff without an authenticator app; they set one up at their next sign-in
+  async updateSecuritySettings(ownerId, { staffTwoFactorRequired }, now = new Date()) {
+    const owner = await prisma.owner.update({
+      where: { owner_id: ownerId },
+      data: {
+        staff_two_factor_required: staffTwoFactorRequired,
+        update_at: now
+      }
+    });
+
+    if (staffTwoFactorRequired) {
+      const staff = await prisma.staff.findMany({
+        where: { owner_id: ownerId },
+        select: { staff_id: true }
+      });
+      const enrolled = await prisma.twoFactorAuth.findMany({
+        where: {
+          subject_id: { in: staff.map(member => member.staff_id) },
+          enabled_at: { not: null }
+        },
+        select: { subject_id: true }
+      });
+      const enrolledIds = new Set(enrolled.map(record => record.subject_id));
+
+      for (const { staff_id: staffId } of staff) {
+        if (!enrolledIds.has(staffId)) {
+          await this.sessionService.revokeAllSessions(staffId, { reason: 'two_factor_required' }, now);
+        }
+      }
+    }
+
+    return this.transformSecuritySettings(owner);
+  }
+
+  validateSecuritySettings({ staffTwoFactorRequired }) {
+    const errors = [];
+
+    if (typeof staffTwoFactorRequired !== 'boolean') {
+      errors.push('staffTwoFactorRequired must be true or false');
+    }
+
+    return errors;
+  }
+
+  transformSecuritySettings(owner) {
+    return {
+      staffTwoFactorRequired: owner.staff_two_factor_required
+    };
+  }
+
+  // Accept a code at most once: the matching time step is claimed atomically
+  async useCode(record, code, now) {
+    const normalized = String(code ?? '').replace(/\s/g, '');
+
+    if (!new RegExp(`^\\d{${CODE_DIGITS}}$`).test(normalized)) {
+      return false;
+    }
+
+    const currentStep = this.timeStep(now);
+
+    for (let step = currentStep - ALLOWED_DRIFT_STEPS; step <= currentStep + ALLOWED_DRIFT_STEPS; step++) {
+      if (!crypto.timingSafeEqual(Buffer.from(this.generateCode(record.secret, step)), Buffer.from(normalized))) {
+        continue;
+      }
+
+      const { count } = await prisma.twoFactorAuth.updateMany({
+        where: {
+          subject_id: record.subject_id,
+          OR: [
+            { last_used_step: null },
+            { last_used_step: { lt: step } }
+          ]
+        },
+        data: {
+          last_used_step: step,
+          update_at: now
+        }
+      });
+
+      return count > 0;
+    }
+
+    return false;
+  }
+
+  // Each recovery code works once; the update only applies if no other request used a code in between
+  async useRecoveryCode(record, recoveryCode, now) {
+    const hash = this.hashRecoveryCode(recoveryCode);
+
+    if (!record.recovery_codes.includes(hash)) {
+      return false;
+    }
+
+    const { count } = await prisma.twoFactorAuth.updateMany({
+      where: {
+        subject_id: record.subject_id,
+        recovery_codes: { equals: record.recovery_codes }
+      },
+      data: {
+        recovery_codes: record.recovery_codes.filter(existing => existing !== hash),
+        update_at: now
+      }
+    });
+
+    if (count > 0) {
+      console.log('Recovery code used:', { subjectId: record.subject_id, remaining: record.recovery_codes.length - 1 });
+    }
+
+    return count > 0;
+  }
+
+  timeStep(now) {
+    return Math.floor(now.getTime() / 1000 / STEP_SECONDS);
+  }
+
+  // HOTP (RFC 4226) for the given time step
+  generateCode(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', this.base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** CODE_DIGITS).padStart(CODE_DIGITS, '0');
+  }
+
+  generateSecret() {
+    return this.base32Encode(crypto.randomBytes(20));
+  }
+
+  // Shown as xxxxx-xxxxx; hashed without the dash and case-insensitively
+  generateRecoveryCodes() {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const code = crypto.randomBytes(5).toString('hex');
+      return `${code.substring(0, 5)}-${code.substring(5)}`;
+    });
+  }
+
+  hashRecoveryCode(recoveryCode) {
+    const normalized = String(recoveryCode).toLowerCase().replace(/[^0-9a-f]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  otpauthUrl(secret, email) {
+    const label = encodeURIComponent(`${ISSUER}:${email}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer: ISSUER,
+      algorithm: 'SHA1',
+      digits: String(CODE_DIGITS),
+      period: String(STEP_SECONDS)
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+
+  base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+      value &= (1 << bits) - 1;
+    }
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+  }
+
+  base32Decode(text) {
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of text.toUpperCase().replace(/[=\s]/g, '')) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) {
+        throw new Error('Invalid base32 secret');
+      }
+      value = (value << 5) | index;
+      bits += 5;
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 0xff);
+        bits -= 8;
+      }
+      value &= (1 << bits) - 1;
+    }
+    return Buffer.from(bytes);
+  }
+}
+
+module.exports = TwoFactorService;
+module.exports.CHALLENGE_TTL_SECONDS = CHALLENGE_TTL_SECONDS;
+module.exports.RECOVERY_CODE_COUNT = RECOVERY_CODE_COUNT;
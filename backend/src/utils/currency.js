@@ -0,0 +1,72 @@
+// Currencies plans can be priced in.
+// decimals is the number of minor-unit digits: gateways take amounts in the smallest unit,
+// so 100.50 THB is 10050 satang while 1000 JPY is 1000, since yen has no minor unit.
+const CURRENCIES = {
+  THB: { name: 'Thai Baht', decimals: 2 },
+  USD: { name: 'US Dollar', decimals: 2 },
+  SGD: { name: 'Singapore Dollar', decimals: 2 },
+  JPY: { name: 'Japanese Yen', decimals: 0 }
+};
+
+const DEFAULT_CURRENCY = 'THB';
+
+const SUPPORTED_CURRENCIES = Object.keys(CURRENCIES);
+
+function isSupportedCurrency(currency) {
+  return typeof currency === 'string' && Object.prototype.hasOwnProperty.call(CURRENCIES, currency);
+}
+
+function getDecimals(currency) {
+  if (!isSupportedCurrency(currency)) {
+    throw new Error(`Invalid currency: must be one of ${SUPPORTED_CURRENCIES.join(', ')}`);
+  }
+
+  return CURRENCIES[currency].decimals;
+}
+
+// Major units (what plans and payments store) to the integer amount a gateway charges
+function toMinorUnits(amount, currency = DEFAULT_CURRENCY) {
+  return Math.round(parseFloat(amount) * 10 ** getDecimals(currency));
+}
+
+function fromMinorUnits(amount, currency = DEFAULT_CURRENCY) {
+  return amount / 10 ** getDecimals(currency);
+}
+
+// Round to the smallest amount the currency can express
+function roundAmount(amount, currency = DEFAULT_CURRENCY) {
+  return fromMinorUnits(toMinorUnits(amount, currency), currency);
+}
+
+// Price of a plan in the given currency: its own price, or one of the extra prices the owner set.
+// Expects the plan to be loaded with plan_prices when the currency differs from the plan's own.
+function resolvePlanPrice(plan, currency = plan.currency) {
+  if (currency === plan.currency) {
+    return { amount: parseFloat(plan.price.toString()), currency };
+  }
+
+  const price = (plan.plan_prices || []).find(planPrice => planPrice.currency === currency);
+
+  if (!price) {
+    throw new Error(`Invalid currency: ${plan.name} is not priced in ${currency}`);
+  }
+
+  return { amount: parseFloat(price.amount.toString()), currency };
+}
+
+// Every currency a member can pay for the plan in, its own first
+function getPlanCurrencies(plan) {
+  return [plan.currency, ...(plan.plan_prices || []).map(planPrice => planPrice.currency)];
+}
+
+module.exports = {
+  CURRENCIES,
+  DEFAULT_CURRENCY,
+  SUPPORTED_CURRENCIES,
+  isSupportedCurrency,
+  toMinorUnits,
+  fromMinorUnits,
+  roundAmount,
+  resolvePlanPrice,
+  getPlanCurrencies
+};
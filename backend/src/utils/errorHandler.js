@@ -69,10 +69,10 @@ class RateLimitError extends AppError {
   }
 }
 
-// Async wrapper
+// Async wrapper; returns the promise so callers (and tests) can wait for the handler to finish
 const asyncHandler = (fn) => {
   return (req, res, next) => {
-    Promise.resolve(fn(req, res, next)).catch(next);
+    return Promise.resolve(fn(req, res, next)).catch(next);
   };
 };
 
@@ -0,0 +1,79 @@
+const dns = require('dns');
+const net = require('net');
+
+// Addresses outbound requests to owner-supplied URLs must never reach: this host,
+// private networks, cloud metadata (169.254.169.254) and other special-purpose ranges.
+const BLOCKED_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'], // Carrier-grade NAT
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.0.2.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['198.51.100.0', 24, 'ipv4'],
+  ['203.0.113.0', 24, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'], // Multicast
+  ['240.0.0.0', 4, 'ipv4'], // Reserved, including broadcast
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['::ffff:0:0', 96, 'ipv6'], // IPv4-mapped, which would bypass the IPv4 ranges
+  ['64:ff9b::', 96, 'ipv6'], // NAT64
+  ['2001:db8::', 32, 'ipv6'],
+  ['fc00::', 7, 'ipv6'], // Unique local
+  ['fe80::', 10, 'ipv6'], // Link-local
+  ['ff00::', 8, 'ipv6'] // Multicast
+];
+
+// One list per family: a BlockList also matches IPv4 addresses against IPv4-mapped IPv6 rules
+const blockLists = { ipv4: new net.BlockList(), ipv6: new net.BlockList() };
+for (const [network, prefix, type] of BLOCKED_RANGES) {
+  blockLists[type].addSubnet(network, prefix, type);
+}
+
+function isPublicAddress(address) {
+  const version = net.isIP(address);
+  if (version === 0) {
+    return false;
+  }
+
+  const type = version === 4 ? 'ipv4' : 'ipv6';
+  return !blockLists[type].check(address, type);
+}
+
+// Resolve a hostname and make sure every address it points to is public.
+// Returns [{ address, family }]; connect to these rather than resolving again,
+// or the name could point somewhere else by the time the request is made.
+async function resolvePublicAddresses(hostname) {
+  const host = hostname.replace(/^\[(.*)\]$/, '$1');
+
+  const addresses = net.isIP(host)
+    ? [{ address: host, family: net.isIP(host) }]
+    : await dns.promises.lookup(host, { all: true });
+
+  if (addresses.length === 0 || !addresses.every(({ address }) => isPublicAddress(address))) {
+    throw new Error(`${hostname} does not resolve to a public address`);
+  }
+
+  return addresses;
+}
+
+// dns.lookup replacement for http(s).Agent that only hands out the given addresses
+function pinnedLookup(addresses) {
+  return (hostname, options, callback) => {
+    if (options.all) {
+      callback(null, addresses);
+    } else {
+      callback(null, addresses[0].address, addresses[0].family);
+    }
+  };
+}
+
+module.exports = {
+  isPublicAddress,
+  resolvePublicAddresses,
+  pinnedLookup
+};
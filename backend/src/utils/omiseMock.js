@@ -0,0 +1,586 @@
+const crypto = require('crypto');
+const axios = require('axios');
+
+// In-process stand-in for the Omise API, used instead of the SDK when OMISE_MODE=mock.
+// It implements the calls the Omise gateway makes, keeps everything in memory, and lets tests
+// or a developer move charges to success, failure or expiry and deliver the matching webhooks.
+
+// Card numbers with a fixed outcome; any other number is charged successfully
+const MOCK_CARDS = {
+  '4000000000000002': {
+    failureCode: 'insufficient_fund',
+    failureMessage: 'insufficient funds in the account or the card has reached the credit limit'
+  },
+  '4000000000000069': {
+    failureCode: 'expired_card',
+    failureMessage: 'card expired'
+  },
+  '4000000000000119': {
+    failureCode: 'failed_processing',
+    failureMessage: 'the payment could not be processed'
+  },
+  '4000000000003063': {
+    requiresAuthorization: true
+  }
+};
+
+const DEFAULT_CARD_NUMBER = '4242424242424242';
+
+// Source types paid by leaving for a bank or wallet app rather than scanning a QR code
+const REDIRECT_SOURCE_TYPE = /^(mobile_banking_|installment_)|^truemoney$/;
+
+const QR_SIZE = 25;
+const QR_MODULE_PX = 8;
+
+function omiseError(code, message) {
+  const error = new Error(message);
+  error.object = 'error';
+  error.code = code;
+  return error;
+}
+
+function generateId(prefix) {
+  return `${prefix}_test_${crypto.randomBytes(10).toString('hex')}`;
+}
+
+function detectBrand(number) {
+  if (/^3[47]/.test(number)) return 'American Express';
+  if (/^35/.test(number)) return 'JCB';
+  if (/^5/.test(number)) return 'MasterCard';
+  return 'Visa';
+}
+
+// An SVG that looks like a QR code, drawn from the source id; it encodes nothing
+function buildQrImage(seed) {
+  const bits = crypto.createHash('sha512').update(seed).digest();
+  const isFinder = (x, y) => [[0, 0], [QR_SIZE - 7, 0], [0, QR_SIZE - 7]].some(([fx, fy]) => {
+    const dx = x - fx;
+    const dy = y - fy;
+    if (dx < 0 || dy < 0 || dx > 6 || dy > 6) return false;
+    return dx === 0 || dy === 0 || dx === 6 || dy === 6 || (dx >= 2 && dx <= 4 && dy >= 2 && dy <= 4);
+  });
+  const nearFinder = (x, y) => (x < 8 && y < 8) || (x >= QR_SIZE - 8 && y < 8) || (x < 8 && y >= QR_SIZE - 8);
+
+  const modules = [];
+  for (let y = 0; y < QR_SIZE; y++) {
+    for (let x = 0; x < QR_SIZE; x++) {
+      const index = y * QR_SIZE + x;
+      const dark = nearFinder(x, y)
+        ? isFinder(x, y)
+        : (bits[(index >> 3) % bits.length] >> (index & 7)) & 1;
+      if (dark) {
+        modules.push(`<rect x="${x * QR_MODULE_PX}" y="${y * QR_MODULE_PX}" width="${QR_MODULE_PX}" height="${QR_MODULE_PX}"/>`);
+      }
+    }
+  }
+
+  const size = QR_SIZE * QR_MODULE_PX;
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 ${size} ${size}">`
+    + `<rect width="${size}" height="${size}" fill="#fff"/><g fill="#000">${modules.join('')}</g></svg>`;
+
+  return `data:image/svg+xml;base64,${Buffer.from(svg).toString('base64')}`;
+}
+
+class MockOmise {
+  constructor({
+    webhookSecret = null,
+    webhookUrl = null,
+    autoCompleteSeconds = null,
+    promptpayExpiryMinutes = 15
+  } = {}) {
+    this.isMock = true;
+    this.webhookSecret = webhookSecret;
+    this.webhookUrl = webhookUrl;
+    this.autoCompleteSeconds = autoCompleteSeconds;
+    this.promptpayExpiryMinutes = promptpayExpiryMinutes;
+    this.listeners = new Set();
+    this.timers = new Set();
+    this.reset();
+
+    // Same shape as the Omise SDK resources
+    this.account = {
+      retrieve: async () => ({
+        object: 'account',
+        id: 'acct_test_mock',
+        email: 'mock@omise.local',
+        currency: 'thb',
+        country: 'TH',
+        supported_currencies: ['thb']
+      })
+    };
+
+    this.capability = {
+      retrieve: async () => ({
+        object: 'capability',
+        payment_methods: [
+          { object: 'payment_method', name: 'card', currencies: ['THB'] },
+          { object: 'payment_method', name: 'promptpay', currencies: ['THB'] }
+        ]
+      })
+    };
+
+    this.tokens = {
+      create: async (params) => this.createToken(params),
+      retrieve: async (tokenId) => structuredClone(this.find(this.store.tokens, tokenId, 'token').token)
+    };
+
+    this.sources = {
+      create: async (params) => this.createSource(params),
+      retrieve: async (sourceId) => structuredClone(this.find(this.store.sources, sourceId, 'source'))
+    };
+
+    this.charges = {
+      create: async (params) => this.createCharge(params),
+      retrieve: async (chargeId) => structuredClone(this.find(this.store.charges, chargeId, 'charge')),
+      createRefund: async (chargeId, params) => this.createRefund(chargeId, params)
+    };
+
+    this.customers = {
+      create: async (params) => this.createCustomer(params),
+      update: async (customerId, params) => this.updateCustomer(customerId, params),
+      retrieve: async (customerId) => structuredClone(this.find(this.store.customers, customerId, 'customer'))
+    };
+  }
+
+  // Forget every object and cancel scheduled state changes, e.g. between tests
+  reset() {
+    for (const timer of this.timers) {
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+
+    this.store = {
+      tokens: new Map(),
+      cards: new Map(),
+      sources: new Map(),
+      charges: new Map(),
+      customers: new Map()
+    };
+  }
+
+  find(collection, id, objectName) {
+    const object = collection.get(id);
+    if (!object) {
+      throw omiseError('not_found', `${objectName} ${id} was not found`);
+    }
+    return object;
+  }
+
+  createToken({ card = {} } = {}) {
+    const number = String(card.number || DEFAULT_CARD_NUMBER).replace(/\s/g, '');
+
+    if (!/^\d{12,19}$/.test(number)) {
+      throw omiseError('invalid_card', 'number is invalid');
+    }
+
+    const token = {
+      object: 'token',
+      id: generateId('tokn'),
+      livemode: false,
+      used: false,
+      card: this.createCard(number, card),
+      created_at: new Date().toISOString()
+    };
+
+    this.store.tokens.set(token.id, { token, number });
+    return structuredClone(token);
+  }
+
+  createCard(number, details = {}) {
+    const card = {
+      object: 'card',
+      id: generateId('card'),
+      livemode: false,
+      brand: detectBrand(number),
+      last_digits: number.slice(-4),
+      name: details.name || 'MOCK CARDHOLDER',
+      expiration_month: details.expiration_month || 12,
+      expiration_year: details.expiration_year || new Date().getFullYear() + 3,
+      created_at: new Date().toISOString()
+    };
+
+    this.store.cards.set(card.id, { card, number });
+    return card;
+  }
+
+  // Tokens are single use, as with Omise; tokens made outside the mock stand for the default card
+  useToken(tokenId) {
+    let stored = this.store.tokens.get(tokenId);
+
+    if (!stored) {
+      stored = { token: { id: tokenId, used: false, card: this.createCard(DEFAULT_CARD_NUMBER) }, number: DEFAULT_CARD_NUMBER };
+      this.store.tokens.set(tokenId, stored);
+    }
+
+    if (stored.token.used) {
+      throw omiseError('used_token', 'token was already used');
+    }
+
+    stored.token.used = true;
+    return this.store.cards.get(stored.token.card.id);
+  }
+
+  createSource({ type, amount, currency = 'THB', phone_number, installment_term } = {}) {
+    const isRedirect = REDIRECT_SOURCE_TYPE.test(type || '');
+
+    if (type !== 'promptpay' && !isRedirect) {
+      throw omiseError('invalid_source_type', `type ${type} is not supported by the mock gateway`);
+    }
+
+    if (!Number.isInteger(amount) || amount <= 0) {
+      throw omiseError('invalid_amount', 'amount must be a positive integer');
+    }
+
+    if (type === 'truemoney' && !phone_number) {
+      throw omiseError('invalid_phone_number', 'phone_number is required for truemoney');
+    }
+
+    if (type.startsWith('installment_') && !Number.isInteger(installment_term)) {
+      throw omiseError('invalid_installment_term', 'installment_term is required for installments');
+    }
+
+    const id = generateId('src');
+    const source = {
+      object: 'source',
+      id,
+      livemode: false,
+      type,
+      flow: isRedirect ? 'redirect' : 'offline',
+      amount,
+      currency: currency.toLowerCase(),
+      charge_status: 'unknown',
+      phone_number: phone_number || null,
+      installment_term: installment_term || null,
+      scannable_code: isRedirect ? null : {
+        object: 'barcode',
+        type: 'qr',
+        image: {
+          object: 'document',
+          filename: 'qrcode.svg',
+          download_uri: buildQrImage(id)
+        }
+      },
+      expires_at: isRedirect ? null : new Date(Date.now() + this.promptpayExpiryMinutes * 60 * 1000).toISOString(),
+      created_at: new Date().toISOString()
+    };
+
+    this.store.sources.set(id, source);
+    return structuredClone(source);
+  }
+
+  createCharge({
+    amount,
+    currency = 'THB',
+    description = null,
+    card,
+    customer,
+    source,
+    capture = true,
+    metadata = {},
+    return_uri = null
+  } = {}) {
+    if (!Number.isInteger(amount) || amount <= 0) {
+      throw omiseError('invalid_amount', 'amount must be a positive integer');
+    }
+
+    const now = new Date().toISOString();
+    const charge = {
+      object: 'charge',
+      id: generateId('chrg'),
+      livemode: false,
+      amount,
+      currency: currency.toLowerCase(),
+      description,
+      metadata,
+      status: 'pending',
+      capture,
+      authorized: false,
+      paid: false,
+      captured: false,
+      expired: false,
+      failure_code: null,
+      failure_message: null,
+      card: null,
+      customer: customer || null,
+      source: null,
+      authorize_uri: null,
+      return_uri,
+      refunded_amount: 0,
+      refunds: { object: 'list', data: [], total: 0 },
+      transaction: null,
+      created_at: now,
+      paid_at: null,
+      expires_at: null
+    };
+
+    if (source) {
+      const chargeSource = this.find(this.store.sources, typeof source === 'string' ? source : source.id, 'source');
+      chargeSource.charge_status = 'pending';
+      charge.source = structuredClone(chargeSource);
+      charge.expires_at = chargeSource.expires_at;
+
+      if (chargeSource.flow === 'redirect') {
+        if (!return_uri) {
+          throw omiseError('invalid_charge', 'return_uri is required for redirect sources');
+        }
+        charge.authorize_uri = `https://mock.omise.local/payments/${charge.id}/authorize`;
+      }
+    } else {
+      const stored = customer ? this.findCustomerCard(customer, card) : this.useToken(card);
+      const outcome = MOCK_CARDS[stored.number] || {};
+
+      charge.card = structuredClone(stored.card);
+
+      if (outcome.failureCode) {
+        charge.status = 'failed';
+        charge.failure_code = outcome.failureCode;
+        charge.failure_message = outcome.failureMessage;
+      } else if (outcome.requiresAuthorization) {
+        charge.authorize_uri = `https://mock.omise.local/payments/${charge.id}/authorize`;
+      } else {
+        charge.authorized = true;
+        if (capture) {
+          this.markPaid(charge);
+        }
+      }
+    }
+
+    this.store.charges.set(charge.id, charge);
+
+    if (charge.status === 'pending' && this.autoCompleteSeconds) {
+      this.completeCharge(charge.id, { delayMs: this.autoCompleteSeconds * 1000 }).catch(error => {
+        console.error('Mock Omise auto-complete failed:', error.message);
+      });
+    }
+
+    return structuredClone(charge);
+  }
+
+  findCustomerCard(customerId, cardId) {
+    const customer = this.find(this.store.customers, customerId, 'customer');
+    const id = cardId || customer.default_card;
+
+    if (!customer.cards.data.some(card => card.id === id)) {
+      throw omiseError('not_found', `card ${id} was not found`);
+    }
+
+    return this.store.cards.get(id);
+  }
+
+  markPaid(charge) {
+    charge.status = 'successful';
+    charge.authorized = true;
+    charge.paid = true;
+    charge.captured = true;
+    charge.paid_at = new Date().toISOString();
+    charge.transaction = generateId('trxn');
+  }
+
+  createRefund(chargeId, { amount, metadata = {} } = {}) {
+    const charge = this.find(this.store.charges, chargeId, 'charge');
+
+    if (charge.status !== 'successful') {
+      throw omiseError('failed_refund', 'charge is not paid');
+    }
+
+    if (!Number.isInteger(amount) || amount <= 0 || amount > charge.amount - charge.refunded_amount) {
+      throw omiseError('failed_refund', 'amount exceeds the refundable amount');
+    }
+
+    const refund = {
+      object: 'refund',
+      id: generateId('rfnd'),
+      livemode: false,
+      amount,
+      currency: charge.currency,
+      charge: charge.id,
+      status: 'closed',
+      metadata,
+      transaction: generateId('trxn'),
+      created_at: new Date().toISOString()
+    };
+
+    charge.refunded_amount += amount;
+    charge.refunds.data.push(refund);
+    charge.refunds.total = charge.refunds.data.length;
+
+    // Omise reports API refunds through the refund.create webhook as well
+    this.schedule(0, () => this.sendWebhook('refund.create', refund)).catch(error => {
+      console.error('Mock Omise refund webhook failed:', error.message);
+    });
+
+    return structuredClone(refund);
+  }
+
+  createCustomer({ email, description, card, metadata = {} } = {}) {
+    const customer = {
+      object: 'customer',
+      id: generateId('cust'),
+      livemode: false,
+      email,
+      description,
+      metadata,
+      default_card: null,
+      cards: { object: 'list', data: [], total: 0 },
+      created_at: new Date().toISOString()
+    };
+
+    this.store.customers.set(customer.id, customer);
+    return this.updateCustomer(customer.id, { card });
+  }
+
+  updateCustomer(customerId, { card, ...changes } = {}) {
+    const customer = this.find(this.store.customers, customerId, 'customer');
+    Object.assign(customer, changes);
+
+    if (card) {
+      const stored = this.useToken(card);
+      customer.cards.data.push(stored.card);
+      customer.cards.total = customer.cards.data.length;
+      customer.default_card = stored.card.id;
+    }
+
+    return structuredClone(customer);
+  }
+
+  // Simulated member actions. Each resolves once the change happened and its webhook was delivered,
+  // to { charge, event, deliveries }; delayMs lets the change land after the caller started polling.
+
+  // The member scanned the QR code, passed 3-D Secure, or approved the payment in their bank or wallet
+  completeCharge(chargeId, { delayMs = 0 } = {}) {
+    return this.schedule(delayMs, () => this.transition(chargeId, 'charge.complete', (charge) => {
+      this.markPaid(charge);
+    }));
+  }
+
+  failCharge(chargeId, {
+    delayMs = 0,
+    failureCode = 'payment_rejected',
+    failureMessage = 'the payment was rejected by the issuer'
+  } = {}) {
+    return this.schedule(delayMs, () => this.transition(chargeId, 'charge.complete', (charge) => {
+      charge.status = 'failed';
+      charge.failure_code = failureCode;
+      charge.failure_message = failureMessage;
+    }));
+  }
+
+  // The QR code ran out before the member paid
+  expireCharge(chargeId, { delayMs = 0 } = {}) {
+    return this.schedule(delayMs, () => this.transition(chargeId, 'charge.expired', (charge) => {
+      charge.status = 'expired';
+      charge.expired = true;
+      charge.expired_at = new Date().toISOString();
+    }));
+  }
+
+  async transition(chargeId, eventKey, apply) {
+    const charge = this.find(this.store.charges, chargeId, 'charge');
+
+    if (charge.status !== 'pending') {
+      throw new Error(`Mock charge ${chargeId} is ${charge.status}, not pending`);
+    }
+
+    apply(charge);
+
+    if (charge.source) {
+      charge.source.charge_status = charge.status;
+      const source = this.store.sources.get(charge.source.id);
+      if (source) source.charge_status = charge.status;
+    }
+
+    const { event, deliveries } = await this.sendWebhook(eventKey, charge);
+
+    return {
+      charge: structuredClone(charge),
+      event,
+      deliveries
+    };
+  }
+
+  schedule(delayMs, task) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.timers.delete(timer);
+        Promise.resolve().then(task).then(resolve, reject);
+      }, Math.max(delayMs, 0));
+
+      this.timers.add(timer);
+    });
+  }
+
+  // Receive every webhook the mock sends as { event, rawBody, headers }; returns an unsubscribe function
+  onWebhook(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  // Build an Omise event for the object and deliver it to the listeners and the configured URL.
+  // Deliveries are signed like Omise's when a webhook secret is configured.
+  async sendWebhook(key, data) {
+    const event = {
+      object: 'event',
+      id: generateId('evnt'),
+      livemode: false,
+      key,
+      created_at: new Date().toISOString(),
+      data: structuredClone(data)
+    };
+
+    const rawBody = JSON.stringify(event);
+    const headers = {
+      'content-type': 'application/json',
+      'user-agent': 'Omise-Mock/1.0',
+      ...this.signWebhook(rawBody)
+    };
+
+    const deliveries = [];
+
+    for (const listener of this.listeners) {
+      try {
+        deliveries.push({ result: await listener({ event, rawBody, headers }) });
+      } catch (error) {
+        console.error('Mock Omise webhook listener failed:', error.message);
+        deliveries.push({ error: error.message });
+      }
+    }
+
+    if (this.webhookUrl) {
+      try {
+        const response = await axios.post(this.webhookUrl, rawBody, {
+          headers,
+          timeout: 10000,
+          validateStatus: () => true
+        });
+        deliveries.push({ url: this.webhookUrl, status: response.status });
+      } catch (error) {
+        console.error('Mock Omise webhook delivery failed:', error.message);
+        deliveries.push({ url: this.webhookUrl, error: error.message });
+      }
+    }
+
+    return { event, deliveries };
+  }
+
+  signWebhook(rawBody, timestamp = Math.floor(Date.now() / 1000)) {
+    if (!this.webhookSecret) {
+      return {};
+    }
+
+    const signature = crypto
+      .createHmac('sha256', Buffer.from(this.webhookSecret, 'base64'))
+      .update(`${timestamp}.${rawBody}`)
+      .digest('hex');
+
+    return {
+      'omise-signature': signature,
+      'omise-signature-timestamp': String(timestamp)
+    };
+  }
+}
+
+module.exports = {
+  MockOmise,
+  MOCK_CARDS,
+  DEFAULT_CARD_NUMBER
+};
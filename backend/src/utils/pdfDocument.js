@@ -0,0 +1,69 @@
+// Single-page PDF writer for receipts and invoices.
+// Text is set in Sarabun, embedded in the file, so Thai names and addresses print as written.
+// Coordinates are in points from the bottom-left corner of an A4 page, with y at the text baseline.
+const path = require('path');
+const PDFKitDocument = require('pdfkit');
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+
+const FONTS_DIR = path.join(__dirname, '../../assets/fonts');
+const FONTS = {
+  regular: path.join(FONTS_DIR, 'Sarabun-Regular.ttf'),
+  bold: path.join(FONTS_DIR, 'Sarabun-Bold.ttf')
+};
+
+class PdfDocument {
+  constructor() {
+    this.doc = new PDFKitDocument({ size: [PAGE_WIDTH, PAGE_HEIGHT], margin: 0 });
+    this.doc.registerFont('regular', FONTS.regular);
+    this.doc.registerFont('bold', FONTS.bold);
+
+    // Collect the output as it is written so toBuffer can hand it back once the document ends
+    this.chunks = [];
+    this.doc.on('data', (chunk) => this.chunks.push(chunk));
+  }
+
+  static get width() {
+    return PAGE_WIDTH;
+  }
+
+  static get height() {
+    return PAGE_HEIGHT;
+  }
+
+  textWidth(text, size, { bold = false } = {}) {
+    return this.doc.font(bold ? 'bold' : 'regular').fontSize(size).widthOfString(String(text ?? ''));
+  }
+
+  text(value, x, y, { size = 10, bold = false, align = 'left' } = {}) {
+    const text = String(value ?? '');
+    const left = align === 'right' ? x - this.textWidth(text, size, { bold }) : x;
+
+    this.doc.font(bold ? 'bold' : 'regular').fontSize(size)
+      .text(text, left, PAGE_HEIGHT - y, { baseline: 'alphabetic', lineBreak: false });
+    return this;
+  }
+
+  line(x1, y1, x2, y2, width = 0.5) {
+    this.doc.lineWidth(width)
+      .moveTo(x1, PAGE_HEIGHT - y1)
+      .lineTo(x2, PAGE_HEIGHT - y2)
+      .stroke();
+    return this;
+  }
+
+  async toBuffer() {
+    const ended = new Promise((resolve, reject) => {
+      this.doc.on('end', resolve);
+      this.doc.on('error', reject);
+    });
+
+    this.doc.end();
+    await ended;
+
+    return Buffer.concat(this.chunks);
+  }
+}
+
+module.exports = PdfDocument;
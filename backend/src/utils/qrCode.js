@@ -0,0 +1,420 @@
+// Minimal QR code writer for the authenticator app setup screen.
+// Encodes text in byte mode at error correction level M, versions 1 to 10 (up to 213 bytes),
+// which is plenty for an otpauth:// link. Output is an SVG, so nothing has to be rasterized.
+
+const QUIET_ZONE = 4;
+
+// Per version at level M: error correction codewords per block and [block count, data codewords] groups
+const BLOCKS = {
+  1: { ecPerBlock: 10, groups: [[1, 16]] },
+  2: { ecPerBlock: 16, groups: [[1, 28]] },
+  3: { ecPerBlock: 26, groups: [[1, 44]] },
+  4: { ecPerBlock: 18, groups: [[2, 32]] },
+  5: { ecPerBlock: 24, groups: [[2, 43]] },
+  6: { ecPerBlock: 16, groups: [[4, 27]] },
+  7: { ecPerBlock: 18, groups: [[4, 31]] },
+  8: { ecPerBlock: 22, groups: [[2, 38], [2, 39]] },
+  9: { ecPerBlock: 22, groups: [[3, 36], [2, 37]] },
+  10: { ecPerBlock: 26, groups: [[4, 43], [1, 44]] }
+};
+
+const ALIGNMENT_POSITIONS = {
+  1: [],
+  2: [6, 18],
+  3: [6, 22],
+  4: [6, 26],
+  5: [6, 30],
+  6: [6, 34],
+  7: [6, 22, 38],
+  8: [6, 24, 42],
+  9: [6, 26, 46],
+  10: [6, 28, 50]
+};
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x, y) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+  (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+  (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+const EC_LEVEL_M_BITS = 0;
+
+function dataCodewordCount(version) {
+  return BLOCKS[version].groups.reduce((total, [count, size]) => total + count * size, 0);
+}
+
+function chooseVersion(byteLength) {
+  for (let version = 1; version <= 10; version++) {
+    const countBits = version < 10 ? 8 : 16;
+    if (4 + countBits + byteLength * 8 <= dataCodewordCount(version) * 8) {
+      return version;
+    }
+  }
+  throw new Error('Text is too long for a QR code');
+}
+
+// Multiplication in GF(2^8) with the QR polynomial x^8 + x^4 + x^3 + x^2 + 1
+function gfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+function reedSolomonDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < degree; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < degree) {
+        result[j] ^= result[j + 1];
+      }
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+}
+
+function reedSolomonRemainder(data, divisor) {
+  const result = new Array(divisor.length).fill(0);
+
+  for (const byte of data) {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coefficient, i) => {
+      result[i] ^= gfMultiply(coefficient, factor);
+    });
+  }
+  return result;
+}
+
+// Mode, length, data, terminator and padding, as codewords
+function encodeData(bytes, version) {
+  const bits = [];
+  const append = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) {
+      bits.push((value >>> i) & 1);
+    }
+  };
+
+  append(0b0100, 4);
+  append(bytes.length, version < 10 ? 8 : 16);
+  bytes.forEach(byte => append(byte, 8));
+
+  const capacity = dataCodewordCount(version) * 8;
+  append(0, Math.min(4, capacity - bits.length));
+  append(0, (8 - bits.length % 8) % 8);
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+  for (let pad = 0xec; codewords.length < capacity / 8; pad ^= 0xec ^ 0x11) {
+    codewords.push(pad);
+  }
+  return codewords;
+}
+
+// Split into blocks, add error correction to each and interleave them
+function addErrorCorrection(codewords, version) {
+  const { ecPerBlock, groups } = BLOCKS[version];
+  const divisor = reedSolomonDivisor(ecPerBlock);
+  const blocks = [];
+
+  let offset = 0;
+  for (const [count, size] of groups) {
+    for (let i = 0; i < count; i++) {
+      const data = codewords.slice(offset, offset + size);
+      blocks.push({ data, ec: reedSolomonRemainder(data, divisor) });
+      offset += size;
+    }
+  }
+
+  const result = [];
+  const longest = Math.max(...blocks.map(block => block.data.length));
+  for (let i = 0; i < longest; i++) {
+    blocks.forEach(block => {
+      if (i < block.data.length) {
+        result.push(block.data[i]);
+      }
+    });
+  }
+  for (let i = 0; i < ecPerBlock; i++) {
+    blocks.forEach(block => result.push(block.ec[i]));
+  }
+  return result;
+}
+
+function formatBits(mask) {
+  const data = (EC_LEVEL_M_BITS << 3) | mask;
+  let remainder = data;
+  for (let i = 0; i < 10; i++) {
+    remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+  }
+  return ((data << 10) | remainder) ^ 0x5412;
+}
+
+function versionBits(version) {
+  let remainder = version;
+  for (let i = 0; i < 12; i++) {
+    remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+  }
+  return (version << 12) | remainder;
+}
+
+class QrMatrix {
+  constructor(version) {
+    this.version = version;
+    this.size = version * 4 + 17;
+    this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    this.reserved = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+  }
+
+  setFunction(x, y, dark) {
+    this.modules[y][x] = dark;
+    this.reserved[y][x] = true;
+  }
+
+  drawFunctionPatterns() {
+    const { size } = this;
+
+    for (let i = 0; i < size; i++) {
+      this.setFunction(6, i, i % 2 === 0);
+      this.setFunction(i, 6, i % 2 === 0);
+    }
+
+    this.drawFinder(3, 3);
+    this.drawFinder(size - 4, 3);
+    this.drawFinder(3, size - 4);
+
+    const positions = ALIGNMENT_POSITIONS[this.version];
+    const last = positions.length - 1;
+    positions.forEach((x, i) => {
+      positions.forEach((y, j) => {
+        // The three corners already hold finder patterns
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) {
+          return;
+        }
+        this.drawAlignment(x, y);
+      });
+    });
+
+    // Reserve the format areas now; the real bits go in once the mask is chosen
+    this.drawFormat(0);
+    this.drawVersion();
+  }
+
+  drawFinder(centerX, centerY) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = centerX + dx;
+        const y = centerY + dy;
+        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+        if (x >= 0 && x < this.size && y >= 0 && y < this.size) {
+          this.setFunction(x, y, distance !== 2 && distance !== 4);
+        }
+      }
+    }
+  }
+
+  drawAlignment(centerX, centerY) {
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) {
+        this.setFunction(centerX + dx, centerY + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+      }
+    }
+  }
+
+  drawFormat(mask) {
+    const { size } = this;
+    const bits = formatBits(mask);
+    const bit = i => ((bits >>> i) & 1) === 1;
+
+    for (let i = 0; i <= 5; i++) {
+      this.setFunction(8, i, bit(i));
+    }
+    this.setFunction(8, 7, bit(6));
+    this.setFunction(8, 8, bit(7));
+    this.setFunction(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) {
+      this.setFunction(14 - i, 8, bit(i));
+    }
+
+    for (let i = 0; i < 8; i++) {
+      this.setFunction(size - 1 - i, 8, bit(i));
+    }
+    for (let i = 8; i < 15; i++) {
+      this.setFunction(8, size - 15 + i, bit(i));
+    }
+    this.setFunction(8, size - 8, true);
+  }
+
+  drawVersion() {
+    if (this.version < 7) {
+      return;
+    }
+
+    const bits = versionBits(this.version);
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) === 1;
+      const a = this.size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      this.setFunction(a, b, dark);
+      this.setFunction(b, a, dark);
+    }
+  }
+
+  // Zigzag up and down two-module columns from the bottom right, skipping the vertical timing pattern
+  drawCodewords(codewords) {
+    const { size } = this;
+    let i = 0;
+
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) {
+        right = 5;
+      }
+      for (let vertical = 0; vertical < size; vertical++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const upward = ((right + 1) & 2) === 0;
+          const y = upward ? size - 1 - vertical : vertical;
+          if (!this.reserved[y][x] && i < codewords.length * 8) {
+            this.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+            i++;
+          }
+        }
+      }
+    }
+  }
+
+  // Applying the same mask twice undoes it
+  applyMask(mask) {
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        if (!this.reserved[y][x] && MASKS[mask](x, y)) {
+          this.modules[y][x] = !this.modules[y][x];
+        }
+      }
+    }
+  }
+
+  // Lower is easier for scanners to read
+  penalty() {
+    const { size, modules } = this;
+    const finderLike = [[1, 0, 1, 1, 1, 0, 1, 0, 0, 0, 0], [0, 0, 0, 0, 1, 0, 1, 1, 1, 0, 1]];
+    let score = 0;
+    let dark = 0;
+
+    const scoreLine = line => {
+      let run = 1;
+      for (let i = 1; i <= line.length; i++) {
+        if (i < line.length && line[i] === line[i - 1]) {
+          run++;
+          continue;
+        }
+        if (run >= 5) {
+          score += run - 2;
+        }
+        run = 1;
+      }
+
+      for (let i = 0; i + 11 <= line.length; i++) {
+        finderLike.forEach(pattern => {
+          if (pattern.every((value, k) => line[i + k] === (value === 1))) {
+            score += 40;
+          }
+        });
+      }
+    };
+
+    for (let i = 0; i < size; i++) {
+      scoreLine(modules[i]);
+      scoreLine(modules.map(row => row[i]));
+    }
+
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (modules[y][x]) {
+          dark++;
+        }
+        if (x + 1 < size && y + 1 < size) {
+          const color = modules[y][x];
+          if (modules[y][x + 1] === color && modules[y + 1][x] === color && modules[y + 1][x + 1] === color) {
+            score += 3;
+          }
+        }
+      }
+    }
+
+    const total = size * size;
+    score += Math.max(0, Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+
+    return score;
+  }
+}
+
+// Dark modules of the QR code for text, as rows of booleans without the quiet zone
+function encode(text) {
+  const bytes = [...Buffer.from(String(text), 'utf8')];
+  const version = chooseVersion(bytes.length);
+  const matrix = new QrMatrix(version);
+
+  matrix.drawFunctionPatterns();
+  matrix.drawCodewords(addErrorCorrection(encodeData(bytes, version), version));
+
+  let bestMask = 0;
+  let bestPenalty = Infinity;
+  MASKS.forEach((_, mask) => {
+    matrix.applyMask(mask);
+    matrix.drawFormat(mask);
+    const penalty = matrix.penalty();
+    if (penalty < bestPenalty) {
+      bestMask = mask;
+      bestPenalty = penalty;
+    }
+    matrix.applyMask(mask);
+  });
+
+  matrix.applyMask(bestMask);
+  matrix.drawFormat(bestMask);
+
+  return matrix.modules;
+}
+
+function toSvg(text) {
+  const modules = encode(text);
+  const dimension = modules.length + QUIET_ZONE * 2;
+  let path = '';
+
+  modules.forEach((row, y) => {
+    row.forEach((dark, x) => {
+      if (dark) {
+        path += `M${x + QUIET_ZONE},${y + QUIET_ZONE}h1v1h-1z`;
+      }
+    });
+  });
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${dimension} ${dimension}" shape-rendering="crispEdges">` +
+    `<rect width="100%" height="100%" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+}
+
+// For an <img src>; the setup screen shows it as is
+function toDataUrl(text) {
+  return `data:image/svg+xml;base64,${Buffer.from(toSvg(text)).toString('base64')}`;
+}
+
+module.exports = {
+  encode,
+  toSvg,
+  toDataUrl
+};
@@ -42,6 +42,26 @@ async function createTestPlan(ownerId, data = {}) {
   return await prisma.plan.create({ data: { ...defaultData, ...data } });
 }
 
+// Create a test member
+async function createTestMember(data = {}) {
+  const defaultData = {
+    email: `member${Date.now()}${Math.random().toString(36).substr(2, 5)}@example.com`,
+    full_name: 'Test Member'
+  };
+  return await prisma.member.create({ data: { ...defaultData, ...data } });
+}
+
+// Create an active test subscription
+async function createTestSubscription(memberId, planId, data = {}) {
+  const defaultData = {
+    member_id: memberId,
+    plan_id: planId,
+    status: 'active',
+    end_date: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000)
+  };
+  return await prisma.subscription.create({ data: { ...defaultData, ...data } });
+}
+
 // Create a JWT token for test
 function createTestToken(userId, email) {
   return jwt.sign({ userId, email }, JWT_SECRET, { expiresIn: '1h' });
@@ -64,6 +84,8 @@ module.exports = {
   createTestUser,
   createTestFeature,
   createTestPlan,
+  createTestMember,
+  createTestSubscription,
   createTestToken,
   cleanupTestData,
   disconnectPrisma
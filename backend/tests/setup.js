@@ -29,6 +29,11 @@ beforeEach(async () => {
     if (prisma.plan) await prisma.plan.deleteMany()
     if (prisma.feature) await prisma.feature.deleteMany()
     if (prisma.owner) await prisma.owner.deleteMany()
+    if (prisma.session) await prisma.session.deleteMany()
+    if (prisma.sessionRevocation) await prisma.sessionRevocation.deleteMany()
+    if (prisma.twoFactorAuth) await prisma.twoFactorAuth.deleteMany()
+    if (prisma.accountLockout) await prisma.accountLockout.deleteMany()
+    if (prisma.loginEvent) await prisma.loginEvent.deleteMany()
   } catch (error) {
     console.error('Error cleaning database:', error.message)
   }
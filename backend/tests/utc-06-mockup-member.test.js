@@ -163,7 +163,7 @@ describe('UTC-06: Member Authentication Test Case', () => {
       await memberAuthController.login(req, res);
 
       // Verify the service was called with correct data
-      expect(memberAuthController.memberAuthService.login).toHaveBeenCalledWith('test@example.com', 'password123');
+      expect(memberAuthController.memberAuthService.login).toHaveBeenCalledWith('test@example.com', 'password123', { userAgent: null, ipAddress: null });
 
       // Verify response
       expect(res.status).toHaveBeenCalledWith(200);
@@ -604,12 +604,15 @@ describe('UTC-07: Member Authentication Service Test Case', () => {
   });
   
   describe('Token Utilities', () => {
-    // TC096: When generateToken method is called with valid parameters, should return JWT string
-    it('TC096: should return JWT string when generateToken method called with valid parameters', () => {
+    // TC096: When a member signs in, should issue a JWT string carrying the member's session id
+    it('TC096: should return JWT string with session id when sessionService issueTokens method called for member', () => {
       const userId = 'member-123';
       const email = 'test@example.com';
       
-      const token = memberAuthService.generateToken(userId, email);
+      const { token } = memberAuthService.sessionService.issueTokens({
+        session_id: 'session-123',
+        claims: { userId, email, role: 'member' }
+      }, 'refresh-token');
       
       expect(typeof token).toBe('string');
       expect(token.length).toBeGreaterThan(0);
@@ -620,6 +623,7 @@ describe('UTC-07: Member Authentication Service Test Case', () => {
       expect(decoded.userId).toBe(userId);
       expect(decoded.email).toBe(email);
       expect(decoded.role).toBe('member');
+      expect(decoded.sid).toBe('session-123');
     });
 
     // TC097: When verifyToken method is called with valid token, should return decoded payload
@@ -627,7 +631,10 @@ describe('UTC-07: Member Authentication Service Test Case', () => {
       const userId = 'member-123';
       const email = 'test@example.com';
       
-      const token = memberAuthService.generateToken(userId, email);
+      const { token } = memberAuthService.sessionService.issueTokens({
+        session_id: 'session-123',
+        claims: { userId, email, role: 'member' }
+      }, 'refresh-token');
       const decoded = memberAuthService.verifyToken(token);
       
       expect(decoded.userId).toBe(userId);
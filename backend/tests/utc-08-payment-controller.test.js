@@ -130,7 +130,11 @@ describe('UTC-08: Payment Controller Test Case', () => {
         paymentSource: 'tokn_test_1234567890',
         customerData: {
           name: 'Test User'
-        }
+        },
+        autoRenew: false,
+        couponCode: null,
+        currency: null,
+        paymentOptions: {}
       });
 
       // Verify response
@@ -175,7 +179,11 @@ describe('UTC-08: Payment Controller Test Case', () => {
         planId: 'plan-123',
         paymentMethod: 'promptpay',
         paymentSource: undefined,
-        customerData: {}
+        customerData: {},
+        autoRenew: false,
+        couponCode: null,
+        currency: null,
+        paymentOptions: {}
       });
 
       // Verify response
@@ -214,7 +222,8 @@ describe('UTC-08: Payment Controller Test Case', () => {
         },
         create_at: new Date('2023-01-01'),
         update_at: new Date('2023-01-01'),
-        omise_charge_id: 'chrg_test_123'
+        provider: 'omise',
+        provider_reference: 'chrg_test_123'
       };
 
       // Mock the service method
@@ -307,7 +316,11 @@ describe('UTC-08: Payment Controller Test Case', () => {
       };
 
       paymentController.paymentService.handleWebhook = jest.fn().mockResolvedValue(mockProcessingResult);
-      
+
+      // Omise stand-in confirms the charge during verification
+      paymentController.omiseWebhookService.paymentService.getChargeFromOmise = jest.fn().mockResolvedValue(mockEvent.data);
+      paymentController.omiseWebhookService.recordEvent = jest.fn().mockResolvedValue(null);
+
       // Set up request
       req.body = mockEvent;
 
@@ -235,7 +235,7 @@ describe('UTC-09: Payment Service Test Case', () => {
       };
 
       // Execute and expect error
-      expect(() => paymentService.validatePaymentData(paymentData)).toThrow('Payment method must be either "card" or "promptpay"');
+      expect(() => paymentService.validatePaymentData(paymentData)).toThrow('Payment method must be one of: card, promptpay, mobile_banking, truemoney, installment, bank_transfer');
     });
 
     // TC123: When validatePaymentData method is called with card payment but missing payment source, should throw error
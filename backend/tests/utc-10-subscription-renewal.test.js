@@ -0,0 +1,113 @@
+// UTC-10: Subscription Renewal Test Case
+const SubscriptionRenewalService = require('../src/services/subscriptionRenewalService');
+const { RENEWAL_CONFIG } = require('../src/services/subscriptionRenewalService');
+const PaymentService = require('../src/services/paymentService');
+
+describe('UTC-10: Subscription Renewal Test Case', () => {
+  let renewalService, paymentService;
+
+  beforeEach(() => {
+    renewalService = new SubscriptionRenewalService();
+    paymentService = new PaymentService();
+  });
+
+  afterEach(() => {
+    // Clear all mocks after each test
+    jest.clearAllMocks();
+  });
+
+  describe('Retry Schedule', () => {
+    // TC130: When getNextRetryDate method is called after the first failure, should return the first retry delay
+    it('TC130: should return first retry delay when getNextRetryDate method called after first failure', () => {
+      const now = new Date('2025-01-01T00:00:00.000Z');
+
+      const result = renewalService.getNextRetryDate(1, now);
+
+      const expectedDelay = RENEWAL_CONFIG.retryScheduleHours[0] * 60 * 60 * 1000;
+      expect(result.getTime() - now.getTime()).toBe(expectedDelay);
+    });
+
+    // TC131: When getNextRetryDate method is called after the last retry, should return null
+    it('TC131: should return null when getNextRetryDate method called after last retry', () => {
+      const failedAttempts = RENEWAL_CONFIG.retryScheduleHours.length + 1;
+
+      const result = renewalService.getNextRetryDate(failedAttempts, new Date());
+
+      expect(result).toBeNull();
+    });
+
+    // TC132: When getGracePeriodEnd method is called, should add the grace period to the end date
+    it('TC132: should add grace period to end date when getGracePeriodEnd method called', () => {
+      const endDate = new Date('2025-01-10T00:00:00.000Z');
+
+      const result = renewalService.getGracePeriodEnd(endDate);
+
+      const expected = new Date(endDate);
+      expected.setDate(expected.getDate() + RENEWAL_CONFIG.gracePeriodDays);
+      expect(result.getTime()).toBe(expected.getTime());
+    });
+  });
+
+  describe('Saved Card Charge', () => {
+    // TC133: When createCardCharge method is called with invalid saved customer, should throw error
+    it('TC133: should throw error when createCardCharge method called with invalid saved customer', async () => {
+      const paymentData = {
+        amount: 100,
+        currency: 'THB',
+        description: 'Renewal payment',
+        omiseCustomerId: 'invalid_customer'
+      };
+
+      // Execute and expect error
+      await expect(paymentService.createCardCharge(paymentData)).rejects.toThrow('Invalid saved card customer provided');
+    });
+
+    // TC134: When saveCardForMember method is called with invalid token, should throw error
+    it('TC134: should throw error when saveCardForMember method called with invalid token', async () => {
+      const member = {
+        member_id: 'member-123',
+        email: 'member@example.com',
+        full_name: 'Test Member',
+        omise_customer_id: null
+      };
+
+      // Execute and expect error
+      await expect(paymentService.saveCardForMember(member, 'invalid_token')).rejects.toThrow('Invalid card token provided');
+    });
+  });
+
+  describe('Applying Renewals', () => {
+    // TC250: When applyRenewalPayment method is called for a payment another run already claimed, should not extend again
+    it('TC250: should leave subscription unchanged when applyRenewalPayment method called for claimed payment', async () => {
+      const subscription = { subscription_id: 'subscription-123', end_date: new Date('2025-02-01T00:00:00.000Z') };
+      const tx = {
+        payment: {
+          findUnique: jest.fn().mockResolvedValue({
+            payment_id: 'payment-123',
+            metadata: { renewal: true },
+            plan: { duration: 30 },
+            plan_version: null,
+            renewal_subscription: subscription
+          }),
+          updateMany: jest.fn().mockResolvedValue({ count: 0 }),
+          update: jest.fn()
+        },
+        subscription: {
+          update: jest.fn()
+        }
+      };
+
+      // Execute
+      const result = await paymentService.applyRenewalPayment('payment-123', tx);
+
+      // Assert
+      expect(result).toBe(subscription);
+      expect(tx.payment.updateMany).toHaveBeenCalledWith({
+        where: { payment_id: 'payment-123', renewal_applied_at: null },
+        data: { renewal_applied_at: expect.any(Date) }
+      });
+      expect(tx.payment.update).not.toHaveBeenCalled();
+      expect(tx.subscription.update).not.toHaveBeenCalled();
+    });
+  });
+});
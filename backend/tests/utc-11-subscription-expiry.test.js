@@ -0,0 +1,34 @@
+// UTC-11: Subscription Expiry Test Case
+const SubscriptionExpiryService = require('../src/services/subscriptionExpiryService');
+
+describe('UTC-11: Subscription Expiry Test Case', () => {
+  let expiryService;
+
+  beforeEach(() => {
+    expiryService = new SubscriptionExpiryService();
+  });
+
+  describe('Overdue Subscription Filter', () => {
+    // TC135: When buildOverdueWhere method is called, should only match active subscriptions past their end date
+    it('TC135: should only match active subscriptions past end date when buildOverdueWhere method called', () => {
+      const now = new Date('2025-01-01T00:00:00.000Z');
+
+      const result = expiryService.buildOverdueWhere(now);
+
+      expect(result.status).toBe('active');
+      expect(result.end_date).toEqual({ lte: now });
+    });
+
+    // TC136: When buildOverdueWhere method is called, should keep subscriptions inside a renewal grace period
+    it('TC136: should keep subscriptions inside grace period when buildOverdueWhere method called', () => {
+      const now = new Date('2025-01-01T00:00:00.000Z');
+
+      const result = expiryService.buildOverdueWhere(now);
+
+      expect(result.OR).toEqual([
+        { grace_period_end: null },
+        { grace_period_end: { lte: now } }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,56 @@
+// UTC-14: Coupon Test Case
+const CouponService = require('../src/services/couponService');
+
+describe('UTC-14: Coupon Test Case', () => {
+  let couponService;
+
+  beforeEach(() => {
+    couponService = new CouponService();
+  });
+
+  describe('Calculate Discount', () => {
+    // TC144: When calculateDiscount method is called with a percentage coupon, should take the percentage off the price
+    it('TC144: should take percentage off price when calculateDiscount method called with percentage coupon', () => {
+      const coupon = { discount_type: 'percentage', discount_value: 15 };
+
+      const result = couponService.calculateDiscount(coupon, 299);
+
+      expect(result).toBe(44.85);
+    });
+
+    // TC145: When calculateDiscount method is called with a fixed coupon above the price, should cap the discount at the price
+    it('TC145: should cap discount at price when calculateDiscount method called with fixed coupon above price', () => {
+      const coupon = { discount_type: 'fixed', discount_value: 500 };
+
+      const result = couponService.calculateDiscount(coupon, 300);
+
+      expect(result).toBe(300);
+    });
+  });
+
+  describe('Coupon Validation', () => {
+    // TC146: When validateCouponData method is called with a percentage of 100 or more, should return an error
+    it('TC146: should return error when validateCouponData method called with percentage of 100 or above', () => {
+      for (const discountValue of [100, 120]) {
+        const errors = couponService.validateCouponData({
+          code: 'SUMMER25',
+          discountType: 'percentage',
+          discountValue
+        });
+
+        expect(errors).toEqual(['Percentage discount must be less than 100']);
+      }
+    });
+
+    // TC147: When applyCoupon method is called for a plan that does not exist, should throw error
+    it('TC147: should throw error when applyCoupon method called for non-existent plan', async () => {
+      // Execute and expect error
+      await expect(couponService.applyCoupon({
+        code: 'SUMMER25',
+        planId: 'non-existent-plan',
+        memberId: 'member-123',
+        paymentMethod: 'card'
+      })).rejects.toThrow('Plan not found');
+    });
+  });
+});
@@ -0,0 +1,80 @@
+// UTC-18: Outbound Webhook Test Case
+const crypto = require('crypto');
+const OutboundWebhookService = require('../src/services/outboundWebhookService');
+
+describe('UTC-18: Outbound Webhook Test Case', () => {
+  let outboundWebhookService;
+
+  beforeEach(() => {
+    outboundWebhookService = new OutboundWebhookService();
+  });
+
+  afterEach(() => {
+    // Restore mocks after each test
+    jest.restoreAllMocks();
+  });
+
+  describe('Delivery Signing', () => {
+    // TC159: When buildSignatureHeader method is called, should sign timestamp and body with HMAC-SHA256
+    it('TC159: should return timestamped HMAC signature when buildSignatureHeader method called', () => {
+      const body = JSON.stringify({ id: 'evt-123', type: 'payment.succeeded' });
+      const expected = crypto.createHmac('sha256', 'whsec_test').update(`1700000000.${body}`).digest('hex');
+
+      const header = outboundWebhookService.buildSignatureHeader('whsec_test', 1700000000, body);
+
+      expect(header).toBe(`t=1700000000,v1=${expected}`);
+    });
+  });
+
+  describe('Delivery Retries', () => {
+    // TC160: When getNextAttemptDate method is called, should follow the retry schedule and stop after it
+    it('TC160: should return scheduled retry dates and null when out of retries', () => {
+      const now = new Date('2024-01-01T00:00:00Z');
+
+      expect(outboundWebhookService.getNextAttemptDate(1, now)).toEqual(new Date('2024-01-01T00:01:00Z'));
+      expect(outboundWebhookService.getNextAttemptDate(5, now)).toEqual(new Date('2024-01-01T12:00:00Z'));
+      expect(outboundWebhookService.getNextAttemptDate(6, now)).toBeNull();
+    });
+  });
+
+  describe('Endpoint Validation', () => {
+    // TC161: When validateEndpointData method is called with a plain HTTP URL, should require HTTPS
+    it('TC161: should return error when validateEndpointData method called with HTTP URL', () => {
+      const errors = outboundWebhookService.validateEndpointData({
+        url: 'http://example.com/hooks',
+        events: ['subscription.created']
+      });
+
+      expect(errors).toEqual(['URL must use HTTPS']);
+    });
+
+    // TC162: When validateEndpointData method is called with an unknown event type, should return an error
+    it('TC162: should return error when validateEndpointData method called with unknown event type', () => {
+      const errors = outboundWebhookService.validateEndpointData({
+        url: 'https://example.com/hooks',
+        events: ['payment.succeeded', 'member.deleted']
+      });
+
+      expect(errors).toEqual(['Unknown event types: member.deleted']);
+    });
+
+    // TC244: When validateEndpointData method is called with a private address, should refuse it
+    it('TC244: should return error when validateEndpointData method called with private or metadata address', () => {
+      for (const url of ['https://169.254.169.254/latest/meta-data', 'https://10.0.0.5/hooks', 'https://[::1]/hooks', 'https://localhost/hooks']) {
+        expect(outboundWebhookService.validateEndpointData({ url, events: ['subscription.created'] }))
+          .toEqual(['URL must point to a public address']);
+      }
+    });
+
+    // TC245: When createDeliveryAgent method is called for a host resolving to a private address, should refuse to connect
+    it('TC245: should reject when createDeliveryAgent method called with host resolving to loopback', async () => {
+      await expect(outboundWebhookService.createDeliveryAgent('https://localhost/hooks'))
+        .rejects.toThrow('localhost does not resolve to a public address');
+      await expect(outboundWebhookService.createDeliveryAgent('https://[::ffff:7f00:1]/hooks'))
+        .rejects.toThrow('does not resolve to a public address');
+
+      const agent = await outboundWebhookService.createDeliveryAgent('https://93.184.216.34/hooks');
+      expect(agent.options.lookup).toEqual(expect.any(Function));
+    });
+  });
+});
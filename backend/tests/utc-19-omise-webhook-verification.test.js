@@ -0,0 +1,90 @@
+// UTC-19: Omise Webhook Verification Test Case
+const crypto = require('crypto');
+const OmiseWebhookService = require('../src/services/omiseWebhookService');
+
+// Local stand-in for the Omise charges API: answers from a fixed set of charges like the real API would
+function createOmiseStandIn(charges) {
+  return {
+    retrieve: jest.fn(async (chargeId) => {
+      if (!charges[chargeId]) {
+        throw { object: 'error', code: 'not_found', message: `charge ${chargeId} was not found` };
+      }
+      return charges[chargeId];
+    })
+  };
+}
+
+describe('UTC-19: Omise Webhook Verification Test Case', () => {
+  let omiseWebhookService, omiseStandIn;
+
+  beforeEach(() => {
+    omiseWebhookService = new OmiseWebhookService();
+    omiseStandIn = createOmiseStandIn({
+      chrg_test_pending: { id: 'chrg_test_pending', object: 'charge', status: 'pending', refunds: { data: [] } }
+    });
+    jest.spyOn(omiseWebhookService.paymentService, 'getChargeFromOmise').mockImplementation(omiseStandIn.retrieve);
+  });
+
+  afterEach(() => {
+    // Restore mocks after each test
+    jest.restoreAllMocks();
+  });
+
+  describe('Signature Verification', () => {
+    const secret = Buffer.from('test-webhook-secret').toString('base64');
+    const rawBody = Buffer.from(JSON.stringify({ key: 'charge.complete', data: { id: 'chrg_test_pending' } }));
+    const now = new Date('2024-01-01T00:00:00Z');
+    const timestamp = String(Math.floor(now.getTime() / 1000));
+
+    // TC163: When verifySignature method is called with a signature made with the secret, should accept it
+    it('TC163: should accept signature when verifySignature method called with valid signature', () => {
+      const signature = crypto
+        .createHmac('sha256', Buffer.from(secret, 'base64'))
+        .update(`${timestamp}.${rawBody.toString('utf8')}`)
+        .digest('hex');
+
+      const result = omiseWebhookService.verifySignature({ rawBody, signature, timestamp, secret, now });
+
+      expect(result).toEqual({ valid: true });
+    });
+
+    // TC164: When verifySignature method is called with a forged signature, should reject it
+    it('TC164: should reject signature when verifySignature method called with forged signature', () => {
+      const result = omiseWebhookService.verifySignature({
+        rawBody,
+        signature: crypto.createHmac('sha256', 'wrong-secret').update(`${timestamp}.${rawBody}`).digest('hex'),
+        timestamp,
+        secret,
+        now
+      });
+
+      expect(result).toEqual({ valid: false, reason: 'Signature does not match' });
+    });
+  });
+
+  describe('Event Re-fetch', () => {
+    // TC165: When refetchEvent method is called with a forged status, should use the status Omise reports
+    it('TC165: should use Omise charge status when refetchEvent method called with forged status', async () => {
+      const result = await omiseWebhookService.refetchEvent({
+        key: 'charge.complete',
+        data: { id: 'chrg_test_pending', object: 'charge', status: 'successful' }
+      });
+
+      expect(omiseStandIn.retrieve).toHaveBeenCalledWith('chrg_test_pending');
+      expect(result.verified).toBe(true);
+      expect(result.event.data.status).toBe('pending');
+    });
+
+    // TC166: When refetchEvent method is called for a charge Omise does not know, should reject the event
+    it('TC166: should reject event when refetchEvent method called for unknown charge', async () => {
+      const result = await omiseWebhookService.refetchEvent({
+        key: 'charge.complete',
+        data: { id: 'chrg_test_forged', object: 'charge', status: 'successful' }
+      });
+
+      expect(result.verified).toBe(false);
+      expect(result.retryable).toBe(false);
+      expect(result.event).toBeNull();
+    });
+  });
+});
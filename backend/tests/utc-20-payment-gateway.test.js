@@ -0,0 +1,59 @@
+// UTC-20: Payment Gateway Test Case
+const { getGateway } = require('../src/services/gateways');
+const PaymentGatewayService = require('../src/services/paymentGatewayService');
+
+describe('UTC-20: Payment Gateway Test Case', () => {
+  let paymentGatewayService;
+
+  beforeEach(() => {
+    paymentGatewayService = new PaymentGatewayService();
+  });
+
+  afterEach(() => {
+    // Restore mocks after each test
+    jest.restoreAllMocks();
+  });
+
+  describe('Gateway Registry', () => {
+    // TC167: When getGateway function is called with an unregistered provider, should throw error
+    it('TC167: should throw error when getGateway function called with unknown gateway', () => {
+      expect(() => getGateway('stripe')).toThrow('Unknown payment gateway: stripe');
+    });
+  });
+
+  describe('Manual Gateway', () => {
+    // TC168: When createCharge method is called for a bank transfer, should return a pending charge with instructions
+    it('TC168: should return pending charge with reference when createCharge method called for bank transfer', async () => {
+      const gateway = getGateway('manual');
+
+      const result = await gateway.createCharge({
+        amount: 500,
+        paymentMethod: 'bank_transfer',
+        instructions: 'Transfer to KBank 123-4-56789-0'
+      });
+
+      expect(result.status).toBe('pending');
+      expect(result.success).toBe(false);
+      expect(result.reference).toMatch(/^manual_[0-9a-f]{16}$/);
+      expect(result.instructions).toBe('Transfer to KBank 123-4-56789-0');
+    });
+
+    // TC169: When retrieveCharge method is called on the manual gateway, should return null
+    it('TC169: should return null when retrieveCharge method called on manual gateway', async () => {
+      const gateway = getGateway('manual');
+
+      await expect(gateway.retrieveCharge('manual_0123456789abcdef')).resolves.toBeNull();
+      expect(gateway.supportsSavedCards).toBe(false);
+    });
+  });
+
+  describe('Gateway Settings', () => {
+    // TC170: When validateSettings method is called for the manual gateway without instructions, should return error
+    it('TC170: should return error when validateSettings method called for manual gateway without instructions', () => {
+      const errors = paymentGatewayService.validateSettings({ gateway: 'manual', manualPaymentInstructions: '  ' });
+
+      expect(errors).toContain('Payment instructions are required for bank transfer payments');
+      expect(paymentGatewayService.validateSettings({ gateway: 'omise' })).toEqual([]);
+    });
+  });
+});
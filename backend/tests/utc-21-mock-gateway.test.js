@@ -0,0 +1,121 @@
+// UTC-21: Mock Payment Gateway Test Case
+process.env.OMISE_MODE = 'mock';
+
+const { omise, OMISE_CONFIG } = require('../src/config/omise');
+const { getGateway } = require('../src/services/gateways');
+const PaymentService = require('../src/services/paymentService');
+const OmiseWebhookService = require('../src/services/omiseWebhookService');
+const { createTestUser, createTestPlan, createTestMember } = require('./helper');
+
+describe('UTC-21: Mock Payment Gateway Test Case', () => {
+  let paymentService, stopWebhooks;
+
+  beforeEach(() => {
+    omise.reset();
+    paymentService = new PaymentService();
+    // Poll quickly so the end-to-end flows finish in well under a second
+    OMISE_CONFIG.promptpay.pollIntervalSeconds = 0.05;
+  });
+
+  afterEach(() => {
+    if (stopWebhooks) stopWebhooks();
+    stopWebhooks = null;
+    omise.webhookSecret = null;
+    OMISE_CONFIG.promptpay.pollIntervalSeconds = 3;
+    jest.restoreAllMocks();
+  });
+
+  describe('Simulated Charges', () => {
+    // TC171: When a PromptPay charge is created in mock mode, should return a pending charge with a QR image
+    it('TC171: should return pending charge with QR image when PromptPay charge created in mock mode', async () => {
+      const result = await getGateway('omise').createCharge({ amount: 100, paymentMethod: 'promptpay' });
+
+      expect(result.status).toBe('pending');
+      expect(result.reference).toMatch(/^chrg_test_/);
+      expect(result.sourceReference).toMatch(/^src_test_/);
+      expect(result.qrCodeUrl).toMatch(/^data:image\/svg\+xml;base64,/);
+    });
+
+    // TC172: When a card charge is made with a declining test card, should return a failed charge
+    it('TC172: should return failed charge when card charge made with declining mock card', async () => {
+      const token = await omise.tokens.create({ card: { number: '4000000000000002' } });
+
+      const result = await getGateway('omise').createCharge({ amount: 100, paymentMethod: 'card', token: token.id });
+
+      expect(result.success).toBe(false);
+      expect(result.status).toBe('failed');
+      expect(result.raw.failure_code).toBe('insufficient_fund');
+    });
+
+    // TC173: When a charge is completed with a webhook secret set, should deliver a webhook with a valid signature
+    it('TC173: should deliver signed webhook when completeCharge method called with webhook secret', async () => {
+      omise.webhookSecret = Buffer.from('mock-webhook-secret').toString('base64');
+      const deliveries = [];
+      stopWebhooks = omise.onWebhook(delivery => deliveries.push(delivery));
+
+      const charge = await omise.charges.create({ amount: 10000, source: (await omise.sources.create({ type: 'promptpay', amount: 10000 })).id });
+      await omise.completeCharge(charge.id, { delayMs: 10 });
+
+      expect(deliveries).toHaveLength(1);
+      expect(deliveries[0].event.key).toBe('charge.complete');
+      expect(deliveries[0].event.data.status).toBe('successful');
+
+      const result = new OmiseWebhookService().verifySignature({
+        rawBody: Buffer.from(deliveries[0].rawBody),
+        signature: deliveries[0].headers['omise-signature'],
+        timestamp: deliveries[0].headers['omise-signature-timestamp'],
+        secret: omise.webhookSecret
+      });
+      expect(result).toEqual({ valid: true });
+    });
+  });
+
+  describe('End-to-End Payment Flow', () => {
+    let plan, member;
+
+    // Owner, plan and member a member can pay for with PromptPay
+    beforeEach(async () => {
+      const owner = await createTestUser();
+      plan = await createTestPlan(owner.owner_id);
+      member = await createTestMember();
+    });
+
+    // TC174: When a PromptPay payment completes after polling starts, should resolve successful and create the subscription
+    it('TC174: should resolve successful and create subscription when PromptPay payment completes by webhook', async () => {
+      stopWebhooks = omise.onWebhook(({ event }) => paymentService.handleWebhook(event));
+
+      const payment = await paymentService.processSubscriptionPayment({
+        memberId: member.member_id,
+        planId: plan.plan_id,
+        paymentMethod: 'promptpay'
+      });
+      expect(payment.status).toBe('pending');
+
+      const completion = omise.completeCharge(payment.chargeId, { delayMs: 100 });
+      const result = await paymentService.pollPaymentStatusEnhanced(payment.paymentId, 40);
+      await completion;
+
+      expect(result.status).toBe('successful');
+      const subscription = await global.prisma.subscription.findFirst({ where: { payment_id: payment.paymentId } });
+      expect(subscription.status).toBe('active');
+    });
+
+    // TC175: When a PromptPay QR code expires before payment, should reject polling with the expired status
+    it('TC175: should reject polling when PromptPay charge expires', async () => {
+      stopWebhooks = omise.onWebhook(({ event }) => paymentService.handleWebhook(event));
+
+      const payment = await paymentService.processSubscriptionPayment({
+        memberId: member.member_id,
+        planId: plan.plan_id,
+        paymentMethod: 'promptpay'
+      });
+
+      const expiry = omise.expireCharge(payment.chargeId, { delayMs: 100 });
+      await expect(paymentService.pollPaymentStatusEnhanced(payment.paymentId, 40)).rejects.toThrow('Payment expired');
+      await expiry;
+
+      const stored = await global.prisma.payment.findUnique({ where: { payment_id: payment.paymentId } });
+      expect(stored.status).toBe('expired');
+    });
+  });
+});
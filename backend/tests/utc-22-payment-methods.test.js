@@ -0,0 +1,75 @@
+// UTC-22: Thai Payment Methods Test Case
+process.env.OMISE_MODE = 'mock';
+
+const { omise, validateAmount } = require('../src/config/omise');
+const PaymentService = require('../src/services/paymentService');
+
+describe('UTC-22: Thai Payment Methods Test Case', () => {
+  let paymentService;
+  const originalMemberUrl = process.env.MEMBER_FRONTEND_URL;
+
+  beforeEach(() => {
+    omise.reset();
+    paymentService = new PaymentService();
+    process.env.MEMBER_FRONTEND_URL = 'https://members.membella.test';
+  });
+
+  afterEach(() => {
+    process.env.MEMBER_FRONTEND_URL = originalMemberUrl;
+    jest.restoreAllMocks();
+  });
+
+  describe('Payment Options', () => {
+    // TC176: When validatePaymentOptions method is called with a term the bank does not offer, should throw error
+    it('TC176: should throw error when validatePaymentOptions method called with unsupported installment term', () => {
+      expect(() => paymentService.validatePaymentOptions('installment', { bank: 'kbank', installmentTerm: 12 }))
+        .toThrow('Invalid payment options: installmentTerm for kbank must be one of 3, 4, 6, 10 months');
+      expect(paymentService.validatePaymentOptions('installment', { bank: 'first_choice', installmentTerm: 12 })).toBe(true);
+    });
+
+    // TC177: When validatePaymentOptions method is called for TrueMoney without a valid mobile number, should throw error
+    it('TC177: should throw error when validatePaymentOptions method called for TrueMoney with invalid phone number', () => {
+      expect(() => paymentService.validatePaymentOptions('truemoney', { phoneNumber: '12345' }))
+        .toThrow('Invalid payment options: TrueMoney requires the 10-digit mobile number of the wallet');
+      expect(paymentService.validatePaymentOptions('truemoney', { phoneNumber: '0812345678' })).toBe(true);
+    });
+
+    // TC178: When validatePaymentOptions method is called with a return URI off the member site, should throw error
+    it('TC178: should throw error when validatePaymentOptions method called with foreign return URI', () => {
+      expect(() => paymentService.validatePaymentOptions('mobile_banking', { bank: 'scb', returnUri: 'https://evil.example/return' }))
+        .toThrow('Invalid payment options: returnUri must be a page on the member site');
+    });
+  });
+
+  describe('Amount Limits', () => {
+    // TC179: When validateAmount function is called for installments below the monthly minimum, should return error
+    it('TC179: should return error when validateAmount function called with installment below monthly minimum', () => {
+      expect(validateAmount(1000, 'installment')).toEqual({ valid: false, error: 'Installment minimum is 2000 THB' });
+      expect(validateAmount(2400, 'installment', { installmentTerm: 10 })).toEqual({
+        valid: false,
+        error: 'Installment payments must be at least 300 THB per month'
+      });
+      expect(validateAmount(2400, 'installment', { installmentTerm: 6 }).valid).toBe(true);
+    });
+  });
+
+  describe('Redirect Charges', () => {
+    // TC180: When a mobile banking charge is created, should return the bank authorization link and return to the member site
+    it('TC180: should return authorize URI when createMobileBankingCharge method called', async () => {
+      const createSpy = jest.spyOn(omise.charges, 'create');
+      const returnUri = paymentService.resolveReturnUri(null, 'payment-123');
+
+      const result = await paymentService.createMobileBankingCharge({
+        amount: 500,
+        bank: 'kplus',
+        returnUri
+      });
+
+      expect(returnUri).toBe('https://members.membella.test/payment/return?payment_id=payment-123');
+      expect(result.requiresAuthorization).toBe(true);
+      expect(result.authorizeUri).toMatch(/^https:\/\/mock\.omise\.local\/payments\/chrg_test_/);
+      expect(createSpy).toHaveBeenCalledWith(expect.objectContaining({ return_uri: returnUri }));
+      expect((await omise.sources.retrieve(result.sourceReference)).type).toBe('mobile_banking_kplus');
+    });
+  });
+});
@@ -0,0 +1,124 @@
+// UTC-23: Invoice Test Case
+const InvoiceService = require('../src/services/invoiceService');
+const PdfDocument = require('../src/utils/pdfDocument');
+const { createTestUser, createTestPlan, createTestMember } = require('./helper');
+
+describe('UTC-23: Invoice Test Case', () => {
+  let invoiceService;
+
+  beforeEach(() => {
+    invoiceService = new InvoiceService();
+  });
+
+  afterEach(() => {
+    // Restore mocks after each test
+    jest.restoreAllMocks();
+  });
+
+  // Owner, plan and member with one successful payment
+  async function createFixtures({ vatRegistered = false } = {}) {
+    const owner = await createTestUser({
+      org_name: 'Invoice Gym',
+      vat_registered: vatRegistered,
+      tax_id: vatRegistered ? '0105556000001' : null,
+      tax_address: '1 Sukhumvit Road, Bangkok 10110',
+      invoice_prefix: 'IG'
+    });
+    const plan = await createTestPlan(owner.owner_id, { price: 1070 });
+    const member = await createTestMember({ full_name: 'Invoice Member' });
+    const payment = await global.prisma.payment.create({
+      data: {
+        member_id: member.member_id,
+        plan_id: plan.plan_id,
+        amount: 1070,
+        currency: 'THB',
+        payment_method: 'card',
+        status: 'successful'
+      }
+    });
+
+    return { owner, member, payment };
+  }
+
+  describe('VAT Calculation', () => {
+    // TC181: When calculateVat method is called with a VAT inclusive total, should split out the VAT
+    it('TC181: should split VAT out of total when calculateVat method called with 7 percent rate', () => {
+      expect(invoiceService.calculateVat(107, 7)).toEqual({ rate: 7, vatAmount: 7, subtotal: 100 });
+      expect(invoiceService.calculateVat(500, 0)).toEqual({ rate: 0, vatAmount: 0, subtotal: 500 });
+    });
+  });
+
+  describe('Tax Settings', () => {
+    // TC182: When validateTaxSettings method is called as VAT registered without a tax ID, should return error
+    it('TC182: should return error when validateTaxSettings method called as VAT registered without tax ID', () => {
+      const errors = invoiceService.validateTaxSettings({ vatRegistered: true, taxAddress: 'Bangkok' });
+
+      expect(errors).toContain('Tax ID and address are required when registered for VAT');
+      expect(invoiceService.validateTaxSettings({ vatRegistered: false })).toEqual([]);
+    });
+
+    // TC183: When validateTaxInvoiceRequest method is called with a short tax ID, should return error
+    it('TC183: should return error when validateTaxInvoiceRequest method called with invalid tax ID', () => {
+      const errors = invoiceService.validateTaxInvoiceRequest({ name: 'Acme Co., Ltd.', taxId: '12345', address: 'Bangkok' });
+
+      expect(errors).toEqual(['Tax ID must be 13 digits']);
+    });
+  });
+
+  describe('Issuing Documents', () => {
+    // TC184: When issueReceipt method is called twice for a payment, should return the same sequentially numbered receipt
+    it('TC184: should issue one numbered receipt when issueReceipt method called twice for payment', async () => {
+      const { payment } = await createFixtures();
+
+      const first = await invoiceService.issueReceipt(payment.payment_id);
+      const second = await invoiceService.issueReceipt(payment.payment_id);
+
+      expect(first.number).toBe('IG-000001');
+      expect(second.invoice_id).toBe(first.invoice_id);
+      expect(parseFloat(first.vat_amount.toString())).toBe(0);
+    });
+
+    // TC185: When issueTaxInvoice method is called for an owner not registered for VAT, should throw error
+    it('TC185: should throw error when issueTaxInvoice method called for owner not VAT registered', async () => {
+      const { member, payment } = await createFixtures();
+
+      await expect(invoiceService.issueTaxInvoice(member.member_id, payment.payment_id, {
+        name: 'Acme Co., Ltd.',
+        taxId: '0105556000002',
+        address: 'Bangkok'
+      })).rejects.toThrow('Invalid tax invoice request: Invoice Gym is not VAT registered');
+    });
+
+    // TC186: When issueTaxInvoice method is called for a VAT registered owner, should issue a tax invoice against the receipt
+    it('TC186: should issue tax invoice with VAT when issueTaxInvoice method called for VAT registered owner', async () => {
+      const { member, payment } = await createFixtures({ vatRegistered: true });
+      const receipt = await invoiceService.issueReceipt(payment.payment_id);
+
+      const taxInvoice = await invoiceService.issueTaxInvoice(member.member_id, payment.payment_id, {
+        name: 'Acme Co., Ltd.',
+        taxId: '0105556000002',
+        address: 'Bangkok'
+      });
+
+      expect(taxInvoice.number).toBe('IG-000002');
+      expect(taxInvoice.relatedInvoiceNumber).toBe(receipt.number);
+      expect(taxInvoice).toMatchObject({ type: 'tax_invoice', subtotal: 1000, vatAmount: 70, total: 1070 });
+
+      const stored = await global.prisma.invoice.findUnique({ where: { invoice_id: taxInvoice.id } });
+      expect(stored.related_invoice_id).toBe(receipt.invoice_id);
+    });
+  });
+
+  describe('PDF Rendering', () => {
+    // TC187: When toBuffer method is called with Thai text, should produce a PDF with the Thai font embedded
+    it('TC187: should embed Thai font when toBuffer method called with Thai text', async () => {
+      const pdf = new PdfDocument();
+      const buffer = (await pdf.text('บริษัท เอซีเอ็ม จำกัด', 50, 800, { bold: true }).text('(Thailand)', 545, 780, { align: 'right' }).toBuffer()).toString('latin1');
+
+      expect(buffer.startsWith('%PDF-')).toBe(true);
+      expect(buffer).toMatch(/\/BaseFont \/[A-Z]{6}\+Sarabun-Bold/);
+      expect(buffer).toContain('/FontFile2');
+      expect(buffer.trimEnd().endsWith('%%EOF')).toBe(true);
+    });
+  });
+});
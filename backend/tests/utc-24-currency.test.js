@@ -0,0 +1,80 @@
+// UTC-24: Multi-Currency Test Case
+const { toMinorUnits, fromMinorUnits, resolvePlanPrice } = require('../src/utils/currency');
+const { validateAmount } = require('../src/config/omise');
+const DashboardController = require('../src/controllers/dashboardController');
+const PlanChangeService = require('../src/services/planChangeService');
+
+describe('UTC-24: Multi-Currency Test Case', () => {
+  describe('Amount Conversion', () => {
+    // TC188: When toMinorUnits function is called, should use the minor unit of each currency
+    it('TC188: should convert by currency minor unit when toMinorUnits function called', () => {
+      expect(toMinorUnits(100.5, 'THB')).toBe(10050);
+      expect(toMinorUnits(19.99, 'USD')).toBe(1999);
+      expect(toMinorUnits(1500, 'JPY')).toBe(1500);
+      expect(fromMinorUnits(1500, 'JPY')).toBe(1500);
+    });
+  });
+
+  describe('Amount Limits', () => {
+    // TC189: When validateAmount function is called in a foreign currency, should apply that currency's limits
+    it('TC189: should apply per-currency limits when validateAmount function called with foreign currency', () => {
+      expect(validateAmount(0.5, 'card', { currency: 'USD' })).toEqual({ valid: false, error: 'Card payment minimum is 1 USD' });
+      expect(validateAmount(50, 'promptpay', { currency: 'SGD' })).toEqual({
+        valid: false,
+        error: 'PromptPay is not available for SGD payments'
+      });
+      expect(validateAmount(1000, 'card', { currency: 'JPY' })).toEqual({ valid: true, minorAmount: 1000 });
+    });
+  });
+
+  describe('Plan Prices', () => {
+    // TC190: When resolvePlanPrice function is called for a currency the plan has no price in, should throw error
+    it('TC190: should throw error when resolvePlanPrice function called with unpriced currency', () => {
+      const plan = {
+        name: 'Monthly',
+        price: 500,
+        currency: 'THB',
+        plan_prices: [{ currency: 'USD', amount: 15 }]
+      };
+
+      expect(resolvePlanPrice(plan, 'USD')).toEqual({ amount: 15, currency: 'USD' });
+      expect(() => resolvePlanPrice(plan, 'JPY')).toThrow('Invalid currency: Monthly is not priced in JPY');
+    });
+  });
+
+  describe('Revenue By Currency', () => {
+    // TC191: When sumSubscriptionRevenue method is called with payments in several currencies, should total each separately
+    it('TC191: should total each currency separately when sumSubscriptionRevenue method called', () => {
+      const dashboardController = new DashboardController();
+
+      const result = dashboardController.sumSubscriptionRevenue([
+        { payment: { amount: 500, currency: 'THB', discount_amount: 0, coupon_id: null } },
+        { payment: { amount: 15, currency: 'USD', discount_amount: 5, coupon_id: 'coupon-1' } },
+        { payment: { amount: 300, currency: 'THB', discount_amount: 0, coupon_id: null } },
+        { payment: null }
+      ]);
+
+      expect(result).toEqual({
+        THB: { revenue: 800, discounts: 0, couponRedemptions: 0 },
+        USD: { revenue: 15, discounts: 5, couponRedemptions: 1 }
+      });
+    });
+  });
+
+  describe('Proration', () => {
+    // TC192: When calculateProration method is called for a yen subscription, should round to whole yen
+    it('TC192: should round to whole yen when calculateProration method called with JPY', () => {
+      const result = new PlanChangeService().calculateProration({
+        periodValue: 1000,
+        periodStart: new Date('2025-01-01T00:00:00.000Z'),
+        periodEnd: new Date('2025-01-31T00:00:00.000Z'),
+        newPlanPrice: 2000,
+        currency: 'JPY',
+        now: new Date('2025-01-21T00:00:00.000Z')
+      });
+
+      expect(result.unusedValue).toBe(333);
+      expect(result.amountDue).toBe(1667);
+    });
+  });
+});
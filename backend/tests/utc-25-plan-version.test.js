@@ -0,0 +1,135 @@
+// UTC-25: Plan Version Test Case
+const PlanVersionService = require('../src/services/planVersionService');
+const EntitlementService = require('../src/services/entitlementService');
+const { resolvePlanPrice } = require('../src/utils/currency');
+const { createTestUser, createTestFeature, createTestPlan, createTestMember, createTestSubscription } = require('./helper');
+
+describe('UTC-25: Plan Version Test Case', () => {
+  let planVersionService;
+
+  beforeEach(() => {
+    planVersionService = new PlanVersionService();
+  });
+
+  // Owner, plan and a member subscribed to it from before the plan was versioned
+  async function createFixtures() {
+    const owner = await createTestUser({ org_name: 'Version Gym' });
+    const plan = await createTestPlan(owner.owner_id, { price: 500 });
+    const member = await createTestMember({ full_name: 'Version Member' });
+    const subscription = await createTestSubscription(member.member_id, plan.plan_id, {
+      end_date: new Date(Date.now() + 24 * 60 * 60 * 1000)
+    });
+
+    return { owner, plan, member, subscription };
+  }
+
+  // Raise the price the way PlansController.updatePlan does
+  async function editPlan(planId, subscriberPolicy) {
+    await global.prisma.$transaction(async (tx) => {
+      await planVersionService.captureCurrentTerms(planId, tx);
+      await tx.plan.update({
+        where: { plan_id: planId },
+        data: { price: 700, duration: 60, version: { increment: 1 } }
+      });
+      await planVersionService.publishVersion(planId, { subscriberPolicy }, tx);
+    });
+  }
+
+  async function loadSubscription(subscriptionId) {
+    return await global.prisma.subscription.findUnique({
+      where: { subscription_id: subscriptionId },
+      include: { plan_version: true }
+    });
+  }
+
+  describe('Version Terms', () => {
+    // TC193: When toTerms method is called, should return terms the pricing helpers accept
+    it('TC193: should return plan shaped terms when toTerms method called', () => {
+      const terms = planVersionService.toTerms({
+        plan_id: 'plan-1',
+        name: 'Monthly',
+        price: 500,
+        currency: 'THB',
+        duration: 30,
+        trial_days: 0,
+        prices: [{ currency: 'USD', amount: 15 }]
+      });
+
+      expect(terms.duration).toBe(30);
+      expect(resolvePlanPrice(terms, 'USD')).toEqual({ amount: 15, currency: 'USD' });
+    });
+
+    // TC194: When publishVersion method is called with an unknown subscriber policy, should throw error
+    it('TC194: should throw error when publishVersion method called with unknown subscriber policy', async () => {
+      await expect(planVersionService.publishVersion('plan-1', { subscriberPolicy: 'drop' }, {}))
+        .rejects.toThrow('Invalid subscriber policy: must be one of keep, migrate');
+    });
+  });
+
+  describe('Recording Versions', () => {
+    // TC195: When getCurrentVersion method is called twice for an unversioned plan, should record one version
+    it('TC195: should record the current terms once when getCurrentVersion method called twice', async () => {
+      const { plan } = await createFixtures();
+
+      const first = await planVersionService.getCurrentVersion(plan.plan_id);
+      const second = await planVersionService.getCurrentVersion(plan.plan_id);
+
+      expect(first.version).toBe(1);
+      expect(parseFloat(first.price.toString())).toBe(500);
+      expect(second.plan_version_id).toBe(first.plan_version_id);
+    });
+  });
+
+  describe('Grandfathering', () => {
+    // TC196: When a plan is edited keeping existing subscribers, should renew them on the terms they bought
+    it('TC196: should renew on old terms when getRenewalTerms method called after edit with keep policy', async () => {
+      const { plan, subscription } = await createFixtures();
+
+      await editPlan(plan.plan_id, 'keep');
+
+      const renewal = await planVersionService.getRenewalTerms(await loadSubscription(subscription.subscription_id));
+
+      expect(renewal.version).toBe(1);
+      expect(parseFloat(renewal.terms.price.toString())).toBe(500);
+      expect(renewal.terms.duration).toBe(30);
+    });
+
+    // TC197: When a plan is edited moving existing subscribers over, should renew them on the current terms
+    it('TC197: should renew on current terms when getRenewalTerms method called after edit with migrate policy', async () => {
+      const { plan, subscription } = await createFixtures();
+
+      await editPlan(plan.plan_id, 'migrate');
+
+      const renewal = await planVersionService.getRenewalTerms(await loadSubscription(subscription.subscription_id));
+      const history = await planVersionService.getVersionHistory(plan.plan_id);
+
+      expect(renewal.version).toBe(2);
+      expect(parseFloat(renewal.terms.price.toString())).toBe(700);
+      expect(history.map(version => version.version)).toEqual([2, 1]);
+      expect(history[1]).toMatchObject({ migrateAtRenewal: true, activeSubscribers: 1 });
+    });
+
+    // TC247: When a plan's features are edited keeping existing subscribers, should keep entitling them to the features they bought
+    it('TC247: should entitle to old features when getMemberEntitlements method called after feature edit with keep policy', async () => {
+      const { owner, plan, member } = await createFixtures();
+      const [sauna, pool] = await Promise.all(['Sauna', 'Pool'].map(name => createTestFeature(owner.owner_id, {
+        name,
+        description: `${name} access`
+      })));
+      await global.prisma.planFeature.create({ data: { plan_id: plan.plan_id, feature_id: sauna.feature_id } });
+
+      // Swap the feature the way PlansController.updatePlan does
+      await global.prisma.$transaction(async (tx) => {
+        await planVersionService.captureCurrentTerms(plan.plan_id, tx);
+        await tx.plan.update({ where: { plan_id: plan.plan_id }, data: { version: { increment: 1 } } });
+        await tx.planFeature.deleteMany({ where: { plan_id: plan.plan_id } });
+        await tx.planFeature.create({ data: { plan_id: plan.plan_id, feature_id: pool.feature_id } });
+        await planVersionService.publishVersion(plan.plan_id, { subscriberPolicy: 'keep' }, tx);
+      });
+
+      const entitlements = await new EntitlementService().getMemberEntitlements(owner.owner_id, member.member_id);
+
+      expect(entitlements.features.map(feature => feature.name)).toEqual(['Sauna']);
+    });
+  });
+});
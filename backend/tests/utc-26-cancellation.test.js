@@ -0,0 +1,98 @@
+// UTC-26: Subscription Cancellation Test Case
+const SubscriptionCancellationService = require('../src/services/subscriptionCancellationService');
+const SubscriptionExpiryService = require('../src/services/subscriptionExpiryService');
+const { createTestUser, createTestPlan, createTestMember, createTestSubscription } = require('./helper');
+
+describe('UTC-26: Subscription Cancellation Test Case', () => {
+  let cancellationService;
+  const day = 24 * 60 * 60 * 1000;
+
+  beforeEach(() => {
+    cancellationService = new SubscriptionCancellationService();
+  });
+
+  describe('Validation', () => {
+    // TC198: When validateCancellation method is called with an unknown reason and rating, should return errors
+    it('TC198: should return errors when validateCancellation method called with unknown reason and rating', () => {
+      const errors = cancellationService.validateCancellation({ reason: 'bored', rating: 9 });
+
+      expect(errors).toHaveLength(2);
+      expect(errors[1]).toBe('Rating must be a whole number from 1 to 5');
+      expect(cancellationService.validateCancellation({ reason: 'too_expensive', rating: 2 })).toEqual([]);
+    });
+
+    // TC199: When assertTransition method is called to revive an expired subscription, should throw error
+    it('TC199: should throw error when assertTransition method called from expired to active', () => {
+      expect(() => cancellationService.assertTransition('expired', 'active'))
+        .toThrow('Invalid status change: expired subscriptions cannot become active');
+      expect(() => cancellationService.assertTransition('active', 'cancelled')).not.toThrow();
+    });
+  });
+
+  describe('Cancellation Summary', () => {
+    // TC200: When summarizeReasons method is called, should count each reason and average the ratings
+    it('TC200: should count reasons and average ratings when summarizeReasons method called', () => {
+      const summary = cancellationService.summarizeReasons([
+        { cancellation_reason: 'too_expensive', _count: { _all: 3 }, _avg: { cancellation_rating: 2 } },
+        { cancellation_reason: null, _count: { _all: 1 }, _avg: { cancellation_rating: null } }
+      ]);
+
+      expect(summary.total).toBe(4);
+      expect(summary.averageRating).toBe(2);
+      expect(summary.reasons.find(r => r.reason === 'too_expensive')).toMatchObject({ count: 3, percentage: 75 });
+      expect(summary.reasons.find(r => r.reason === 'unspecified')).toMatchObject({ count: 1, percentage: 25 });
+    });
+  });
+
+  describe('Cancelling', () => {
+    let member, subscription;
+
+    // Member with an auto-renewing subscription that ends 10 days from now
+    beforeEach(async () => {
+      const owner = await createTestUser();
+      const plan = await createTestPlan(owner.owner_id);
+      member = await createTestMember();
+      subscription = await createTestSubscription(member.member_id, plan.plan_id, {
+        end_date: new Date(Date.now() + 10 * day),
+        auto_renew: true
+      });
+    });
+
+    // TC201: When cancelSubscription method is called at period end, should keep access and stop renewal until undone, then renew again
+    it('TC201: should keep subscription active until period end when cancelSubscription method called', async () => {
+      const cancelled = await cancellationService.cancelSubscription(member.member_id, subscription.subscription_id, {
+        reason: 'not_using'
+      });
+
+      expect(cancelled).toMatchObject({ status: 'active', cancelAtPeriodEnd: true, autoRenew: false, reason: 'not_using' });
+
+      const restored = await cancellationService.undoCancellation(member.member_id, subscription.subscription_id);
+
+      expect(restored).toMatchObject({ status: 'active', cancelAtPeriodEnd: false, reason: null, autoRenew: true });
+    });
+
+    // TC202: When undoCancellation method is called after the subscription ended, should throw error
+    it('TC202: should throw error when undoCancellation method called after subscription ended', async () => {
+      await cancellationService.cancelSubscription(member.member_id, subscription.subscription_id, { atPeriodEnd: false });
+
+      await expect(cancellationService.undoCancellation(
+        member.member_id,
+        subscription.subscription_id,
+        {},
+        new Date(Date.now() + 11 * day)
+      )).rejects.toThrow('Invalid cancellation: the subscription has already ended');
+    });
+
+    // TC203: When expireOverdueSubscriptions method is called for a cancellation at period end, should cancel it
+    it('TC203: should cancel rather than expire when expireOverdueSubscriptions method called past period end', async () => {
+      await cancellationService.cancelSubscription(member.member_id, subscription.subscription_id);
+
+      const result = await new SubscriptionExpiryService().expireOverdueSubscriptions(new Date(Date.now() + 11 * day));
+
+      const stored = await global.prisma.subscription.findUnique({ where: { subscription_id: subscription.subscription_id } });
+      expect(result).toEqual({ expired: 0, cancelled: 1 });
+      expect(stored.status).toBe('cancelled');
+      expect(stored.cancelled_at).not.toBeNull();
+    });
+  });
+});
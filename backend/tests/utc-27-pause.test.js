@@ -0,0 +1,116 @@
+// UTC-27: Subscription Pause Test Case
+const SubscriptionPauseService = require('../src/services/subscriptionPauseService');
+const { createTestUser, createTestPlan, createTestMember, createTestSubscription } = require('./helper');
+
+describe('UTC-27: Subscription Pause Test Case', () => {
+  let pauseService;
+  const day = 24 * 60 * 60 * 1000;
+  const now = new Date('2025-03-01T00:00:00.000Z');
+  const endDate = new Date('2025-03-21T00:00:00.000Z');
+
+  beforeEach(() => {
+    pauseService = new SubscriptionPauseService();
+  });
+
+  // Owner with the given pause rules and a member with an active subscription ending 20 days after now
+  async function createSubscription(pauseRules = {}) {
+    const owner = await createTestUser({
+      org_name: 'Pause Gym',
+      pause_max_days: 30,
+      pause_max_per_year: 1,
+      pause_extends_end_date: true,
+      ...pauseRules
+    });
+    const plan = await createTestPlan(owner.owner_id);
+    const member = await createTestMember();
+    const subscription = await createTestSubscription(member.member_id, plan.plan_id, {
+      start_date: new Date('2025-02-19T00:00:00.000Z'),
+      end_date: endDate
+    });
+
+    return { member, subscription };
+  }
+
+  describe('Pause Settings', () => {
+    // TC204: When validatePauseSettings method is called with out of range values, should return errors
+    it('TC204: should return errors when validatePauseSettings method called with out of range values', () => {
+      const errors = pauseService.validatePauseSettings({ maxDays: 400, maxPerYear: 0, extendsEndDate: 'yes' });
+
+      expect(errors).toEqual([
+        'maxDays must be a whole number from 0 to 365',
+        'maxPerYear must be a whole number from 1 to 12',
+        'extendsEndDate must be true or false'
+      ]);
+      expect(pauseService.validatePauseSettings({ maxDays: 0 })).toEqual([]);
+    });
+  });
+
+  describe('Pausing', () => {
+    // TC205: When pauseSubscription method is called and the owner does not allow pausing, should throw error
+    it('TC205: should throw error when pauseSubscription method called with pausing turned off', async () => {
+      const { member, subscription } = await createSubscription({ pause_max_days: 0 });
+
+      await expect(pauseService.pauseSubscription(member.member_id, subscription.subscription_id, { days: 7 }, now))
+        .rejects.toThrow('Invalid pause: Pause Gym does not allow pausing');
+    });
+
+    // TC206: When resumeSubscription method is called, should extend end date by the time paused
+    it('TC206: should extend end date by paused time when resumeSubscription method called', async () => {
+      const { member, subscription } = await createSubscription();
+
+      const paused = await pauseService.pauseSubscription(member.member_id, subscription.subscription_id, { days: 14 }, now);
+      expect(paused).toMatchObject({ status: 'paused', resumeAt: new Date(now.getTime() + 14 * day) });
+
+      const resumed = await pauseService.resumeSubscription(member.member_id, subscription.subscription_id, {}, new Date(now.getTime() + 5 * day));
+
+      expect(resumed.status).toBe('active');
+      expect(resumed.endDate).toEqual(new Date(endDate.getTime() + 5 * day));
+
+      const [pause] = await global.prisma.subscriptionPause.findMany({ where: { subscription_id: subscription.subscription_id } });
+      expect(pause.days_paused).toBe(5);
+    });
+
+    // TC207: When pauseSubscription method is called past the yearly limit, should throw error
+    it('TC207: should throw error when pauseSubscription method called past pauses per year limit', async () => {
+      const { member, subscription } = await createSubscription();
+
+      await pauseService.pauseSubscription(member.member_id, subscription.subscription_id, { days: 2 }, now);
+      await pauseService.resumeSubscription(member.member_id, subscription.subscription_id, {}, new Date(now.getTime() + day));
+
+      await expect(pauseService.pauseSubscription(
+        member.member_id,
+        subscription.subscription_id,
+        { days: 2 },
+        new Date(now.getTime() + 2 * day)
+      )).rejects.toThrow('Invalid pause: the limit of 1 per 12 months has been reached');
+    });
+
+    // TC253: When pauseSubscription method is called twice at once, should pause once and record one pause
+    it('TC253: should pause once when pauseSubscription method called concurrently', async () => {
+      const { member, subscription } = await createSubscription({ pause_max_per_year: 2 });
+
+      const results = await Promise.allSettled([
+        pauseService.pauseSubscription(member.member_id, subscription.subscription_id, { days: 7 }, now),
+        pauseService.pauseSubscription(member.member_id, subscription.subscription_id, { days: 7 }, now)
+      ]);
+
+      const rejected = results.filter(result => result.status === 'rejected');
+      expect(rejected).toHaveLength(1);
+      expect(rejected[0].reason.message).toBe('Invalid pause: only active subscriptions can be paused');
+      expect(await global.prisma.subscriptionPause.count({ where: { subscription_id: subscription.subscription_id } })).toBe(1);
+    });
+
+    // TC208: When resumeDuePauses method is called for an owner not extending end dates, should resume without extension
+    it('TC208: should resume without extending end date when resumeDuePauses method called', async () => {
+      const { member, subscription } = await createSubscription({ pause_extends_end_date: false });
+      await pauseService.pauseSubscription(member.member_id, subscription.subscription_id, { days: 7 }, now);
+
+      const result = await pauseService.resumeDuePauses(new Date(now.getTime() + 7 * day));
+
+      const stored = await global.prisma.subscription.findUnique({ where: { subscription_id: subscription.subscription_id } });
+      expect(result).toEqual({ checked: 1, resumed: 1 });
+      expect(stored.status).toBe('active');
+      expect(stored.end_date).toEqual(endDate);
+    });
+  });
+});
@@ -0,0 +1,100 @@
+// UTC-28: Subscription Grant Test Case
+const SubscriptionGrantService = require('../src/services/subscriptionGrantService');
+const DashboardController = require('../src/controllers/dashboardController');
+const { createTestUser, createTestPlan, createTestMember } = require('./helper');
+
+describe('UTC-28: Subscription Grant Test Case', () => {
+  let grantService;
+
+  beforeEach(() => {
+    grantService = new SubscriptionGrantService();
+  });
+
+  describe('Validation', () => {
+    // TC209: When validateGrant method is called with an amount on a complimentary grant, should return errors
+    it('TC209: should return errors when validateGrant method called with amount on complimentary grant', () => {
+      const errors = grantService.validateGrant({ planId: 'plan-1', paymentMethod: 'complimentary', amount: 100 });
+
+      expect(errors).toEqual([
+        'Either memberId or email is required',
+        'Complimentary subscriptions cannot have an amount'
+      ]);
+      expect(grantService.validateGrant({ planId: 'plan-1', memberId: 'member-1', paymentMethod: 'cash' })).toEqual([]);
+    });
+  });
+
+  describe('Granting', () => {
+    let owner, plan, member;
+
+    // Owner with one monthly plan and a registered member
+    beforeEach(async () => {
+      owner = await createTestUser({ invoice_prefix: 'GG' });
+      plan = await createTestPlan(owner.owner_id, { price: 800 });
+      member = await createTestMember();
+    });
+
+    // TC210: When grantSubscription method is called with cash, should record a paid manual payment and a receipt
+    it('TC210: should record successful manual payment when grantSubscription method called with cash', async () => {
+      const granted = await grantService.grantSubscription(owner.owner_id, {
+        planId: plan.plan_id,
+        memberId: member.member_id,
+        paymentMethod: 'cash',
+        note: 'Paid at the front desk'
+      });
+
+      expect(granted).toMatchObject({
+        status: 'active',
+        payment: { method: 'cash', amount: 800, currency: 'THB', complimentary: false, note: 'Paid at the front desk' }
+      });
+
+      const payment = await global.prisma.payment.findUnique({ where: { payment_id: granted.payment.id } });
+      const receipts = await global.prisma.invoice.count({ where: { payment_id: payment.payment_id, type: 'receipt' } });
+      expect(payment).toMatchObject({ status: 'successful', provider: 'manual' });
+      expect(receipts).toBe(1);
+    });
+
+    // TC211: When grantSubscription method is called as a comp for a new email, should invite the member without a receipt
+    it('TC211: should invite member with free subscription when grantSubscription method called as complimentary', async () => {
+      const granted = await grantService.grantSubscription(owner.owner_id, {
+        planId: plan.plan_id,
+        email: 'New.Member@Grant-Gym.test',
+        fullName: 'New Member',
+        paymentMethod: 'complimentary'
+      }, { sendInvite: false });
+
+      const invited = await global.prisma.member.findUnique({ where: { email: 'new.member@grant-gym.test' } });
+      const receipts = await global.prisma.invoice.count({ where: { payment_id: granted.payment.id } });
+      expect(granted.member).toMatchObject({ id: invited.member_id, invited: true });
+      expect(granted.payment).toMatchObject({ amount: 0, complimentary: true });
+      expect(invited.invited_at).not.toBeNull();
+      expect(receipts).toBe(0);
+    });
+
+    // TC212: When grantSubscription method is called for a member already subscribed, should throw error
+    it('TC212: should throw error when grantSubscription method called for already subscribed member', async () => {
+      const grant = { planId: plan.plan_id, memberId: member.member_id, paymentMethod: 'bank_transfer', amount: 750 };
+
+      await grantService.grantSubscription(owner.owner_id, grant);
+
+      await expect(grantService.grantSubscription(owner.owner_id, grant))
+        .rejects.toThrow('Invalid grant: the member already has an active subscription to this plan');
+    });
+  });
+
+  describe('Revenue', () => {
+    // TC213: When sumSubscriptionRevenue method is called with a comp, should count only paid grants
+    it('TC213: should leave complimentary grants out when sumSubscriptionRevenue method called', () => {
+      const payment = (amount, method) => ({
+        amount, currency: 'THB', discount_amount: 0, coupon_id: null, payment_method: method
+      });
+
+      const totals = new DashboardController().sumSubscriptionRevenue([
+        { payment: payment(800, 'cash') },
+        { payment: payment(0, 'complimentary') },
+        { payment: null }
+      ]);
+
+      expect(totals).toEqual({ THB: { revenue: 800, discounts: 0, couponRedemptions: 0 } });
+    });
+  });
+});
@@ -0,0 +1,117 @@
+// UTC-29: Member Import Test Case
+const MemberImportService = require('../src/services/memberImportService');
+const MemberInvitationService = require('../src/services/memberInvitationService');
+const { parseCsv } = require('../src/utils/csv');
+const { createTestUser, createTestPlan, createTestMember } = require('./helper');
+
+describe('UTC-29: Member Import Test Case', () => {
+  let importService;
+
+  beforeEach(() => {
+    importService = new MemberImportService();
+  });
+
+  afterEach(() => {
+    // Restore mocks after each test
+    jest.restoreAllMocks();
+  });
+
+  describe('Parsing', () => {
+    // TC214: When parseCsv function is called with quoted fields, should keep commas, quotes and line breaks
+    it('TC214: should keep quoted commas and quotes when parseCsv function called', () => {
+      const rows = parseCsv('\uFEFFemail,note\r\na@b.test,"Paid, in ""cash"""\r\nc@d.test,"two\nlines"\r\n');
+
+      expect(rows).toEqual([
+        ['email', 'note'],
+        ['a@b.test', 'Paid, in "cash"'],
+        ['c@d.test', 'two\nlines']
+      ]);
+    });
+
+    // TC215: When parseImport method is called without an email column, should throw error
+    it('TC215: should throw error when parseImport method called without email column', () => {
+      expect(() => importService.parseImport('name,phone\nSomeone,0812345678\n'))
+        .toThrow('Invalid import: the file needs an email column');
+
+      const records = importService.parseImport('Email,Full Name\n\nnew@import-gym.test,New Person\n');
+      expect(records).toEqual([{ rowNumber: 3, email: 'new@import-gym.test', full_name: 'New Person' }]);
+    });
+  });
+
+  describe('Importing', () => {
+    let owner, member;
+
+    // Owner with one plan and a member who already registered
+    beforeEach(async () => {
+      owner = await createTestUser();
+      await createTestPlan(owner.owner_id, { name: 'Monthly', price: 600 });
+      member = await createTestMember({ email: 'existing@import-gym.test', full_name: 'Existing Member' });
+    });
+
+    // TC216: When importMembers method is called, should match, invite and fail rows independently
+    it('TC216: should record each row outcome when importMembers method called', async () => {
+      const csv = [
+        'email,full_name,plan,end_date',
+        'existing@import-gym.test,Existing Member,,',
+        'new@import-gym.test,New Person,monthly,2099-06-30',
+        'not-an-email,Broken Row,,',
+        'new@import-gym.test,New Person Again,,',
+        'ghost@import-gym.test,Ghost,Yearly,'
+      ].join('\n');
+
+      const result = await importService.importMembers(owner.owner_id, { csv, sendInvites: false });
+
+      expect(result).toMatchObject({ totalRows: 5, succeededRows: 2, failedRows: 3 });
+      expect(result.rows.map(row => row.status)).toEqual(['matched', 'invited', 'failed', 'failed', 'failed']);
+      expect(result.rows[0].memberId).toBe(member.member_id);
+      expect(result.rows[3].error).toBe('Email appears more than once in the file');
+      expect(result.rows[4].error).toBe('Plan "Yearly" does not exist');
+
+      const subscription = await global.prisma.subscription.findUnique({ where: { subscription_id: result.rows[1].subscriptionId } });
+      expect(subscription.end_date).toEqual(new Date('2099-06-30T23:59:59.999Z'));
+    });
+
+    // TC217: When getImportResultsCsv method is called, should return every row with its outcome
+    it('TC217: should return results file when getImportResultsCsv method called', async () => {
+      const { id } = await importService.importMembers(owner.owner_id, {
+        csv: 'email,full_name\nbad-email,"Smith, Jo"\n',
+        sendInvites: false
+      });
+
+      const { csv } = await importService.getImportResultsCsv(owner.owner_id, id);
+
+      expect(csv).toBe(
+        'row,email,full_name,status,error,member_id,subscription_id\r\n' +
+        '2,bad-email,"Smith, Jo",failed,Email must be a valid email address,,\r\n'
+      );
+    });
+  });
+
+  describe('Invitations', () => {
+    // TC218: When inviteMember method is called with email sending, should create member under the Supabase user id
+    it('TC218: should create invited member with Supabase user id when inviteMember method called', async () => {
+      const owner = await createTestUser();
+      const invitationService = new MemberInvitationService();
+      const supabaseUserId = '7f2c1e0a-1b2c-4d3e-8f90-123456789abc';
+      invitationService.supabase = {
+        auth: {
+          admin: {
+            inviteUserByEmail: jest.fn().mockResolvedValue({ data: { user: { id: supabaseUserId } }, error: null })
+          }
+        }
+      };
+
+      const { member, invitation, status } = await invitationService.inviteMember(owner.owner_id, {
+        email: 'Invitee@Import-Gym.test',
+        fullName: 'Invitee'
+      }, { source: 'import' });
+
+      expect(status).toBe('invited');
+      expect(member).toMatchObject({ member_id: supabaseUserId, email: 'invitee@import-gym.test' });
+      expect(invitation).toMatchObject({ status: 'pending', source: 'import' });
+      expect(invitation.sent_at).not.toBeNull();
+      expect(invitationService.supabase.auth.admin.inviteUserByEmail)
+        .toHaveBeenCalledWith('invitee@import-gym.test', expect.objectContaining({ data: { full_name: 'Invitee', role: 'member' } }));
+    });
+  });
+});
@@ -0,0 +1,121 @@
+// UTC-31: Audit Log Test Case
+const AuditLogService = require('../src/services/auditLogService');
+const SubscriptionCancellationService = require('../src/services/subscriptionCancellationService');
+const FeaturesService = require('../src/services/featuresService');
+const { createTestUser, createTestFeature, createTestPlan, createTestMember, createTestSubscription } = require('./helper');
+
+describe('UTC-31: Audit Log Test Case', () => {
+  let auditLogService;
+  const day = 24 * 60 * 60 * 1000;
+
+  beforeEach(() => {
+    auditLogService = new AuditLogService();
+  });
+
+  describe('Actors', () => {
+    // TC224: When contextFromRequest method is called, should tell owners, staff, API keys and members apart
+    it('TC224: should identify the actor and request when contextFromRequest method called', () => {
+      const staffContext = auditLogService.contextFromRequest({
+        id: 'req-1',
+        ip: '203.0.113.7',
+        user: { userId: 'owner-1', email: 'desk@audit-gym.test', role: 'staff', staffId: 'staff-1' }
+      });
+
+      expect(staffContext).toEqual({
+        actorType: 'staff',
+        actorId: 'staff-1',
+        actorEmail: 'desk@audit-gym.test',
+        requestId: 'req-1',
+        ipAddress: '203.0.113.7'
+      });
+      expect(auditLogService.contextFromRequest({ user: { userId: 'owner-1', apiKeyId: 'key-1' } }))
+        .toMatchObject({ actorType: 'api_key', actorId: 'key-1', requestId: null });
+      expect(auditLogService.contextFromRequest({ user: { userId: 'owner-1', email: 'owner@audit-gym.test' } }))
+        .toMatchObject({ actorType: 'owner', actorId: 'owner-1' });
+    });
+  });
+
+  describe('Browsing', () => {
+    // TC225: When getAuditLogs method is called with filters, should return only matching entries
+    it('TC225: should filter by actor, entity and date when getAuditLogs method called', async () => {
+      const owner = await createTestUser();
+      const ownerContext = { actorType: 'owner', actorId: owner.owner_id };
+      const staffContext = { actorType: 'staff', actorId: 'staff-1' };
+
+      await auditLogService.record({ ownerId: owner.owner_id, action: 'plan.updated', entityType: 'plan', entityId: 'plan-1' }, ownerContext);
+      await auditLogService.record({ ownerId: owner.owner_id, action: 'plan.deleted', entityType: 'plan', entityId: 'plan-1' }, staffContext);
+      await auditLogService.record({ ownerId: owner.owner_id, action: 'feature.deleted', entityType: 'feature', entityId: 'feature-1' }, staffContext);
+
+      const byStaff = await auditLogService.getAuditLogs(owner.owner_id, { actorType: 'staff', actorId: 'staff-1' });
+      const plans = await auditLogService.getAuditLogs(owner.owner_id, { entityType: 'plan', entityId: 'plan-1', limit: 1 });
+      const future = await auditLogService.getAuditLogs(owner.owner_id, { from: new Date(Date.now() + day).toISOString() });
+
+      expect(byStaff.entries.map(entry => entry.action).sort()).toEqual(['feature.deleted', 'plan.deleted']);
+      expect(plans.pagination).toEqual({ total: 2, limit: 1, offset: 0 });
+      expect(plans.entries).toHaveLength(1);
+      expect(future.entries).toEqual([]);
+    });
+
+    // TC226: When getAuditLogs method is called with bad filters, should throw error
+    it('TC226: should throw error when getAuditLogs method called with unknown entity type or reversed dates', async () => {
+      await expect(auditLogService.getAuditLogs('owner-1', { entityType: 'invoice' }))
+        .rejects.toThrow('Invalid entity type. Must be one of: plan, feature, member, subscription');
+      await expect(auditLogService.getAuditLogs('owner-1', { from: '2026-02-01', to: '2026-01-01' }))
+        .rejects.toThrow('Invalid date range: from must be before to');
+    });
+  });
+
+  describe('Recording', () => {
+    // TC227: When cancelSubscription method is called with an audit context, should record the status change
+    it('TC227: should record before and after status when cancelSubscription method called', async () => {
+      const owner = await createTestUser();
+      const plan = await createTestPlan(owner.owner_id, { price: 500 });
+      const member = await createTestMember({ email: 'member@audit-gym.test', full_name: 'Audit Member' });
+      const subscription = await createTestSubscription(member.member_id, plan.plan_id, {
+        end_date: new Date(Date.now() + 10 * day),
+        auto_renew: true
+      });
+
+      await new SubscriptionCancellationService().cancelSubscription(member.member_id, subscription.subscription_id, {
+        atPeriodEnd: false,
+        reason: 'too_expensive',
+        auditContext: auditLogService.contextFromRequest({
+          id: 'req-2',
+          ip: '198.51.100.4',
+          user: { userId: member.member_id, email: member.email, role: 'member' }
+        })
+      });
+
+      const { entries } = await auditLogService.getAuditLogs(owner.owner_id, { entityId: subscription.subscription_id });
+
+      expect(entries).toHaveLength(1);
+      expect(entries[0]).toMatchObject({
+        actor: { type: 'member', id: member.member_id, email: 'member@audit-gym.test' },
+        action: 'subscription.cancelled',
+        before: { status: 'active', autoRenew: true },
+        after: { status: 'cancelled', autoRenew: false, reason: 'too_expensive' },
+        requestId: 'req-2',
+        ipAddress: '198.51.100.4'
+      });
+    });
+
+    // TC228: When deleteFeature method is called without an audit context, should record it as the system
+    it('TC228: should record deleted feature as system when deleteFeature method called without context', async () => {
+      const owner = await createTestUser();
+      const feature = await createTestFeature(owner.owner_id, { name: 'Sauna', description: 'Sauna access' });
+
+      await new FeaturesService().deleteFeature(feature.feature_id, owner.owner_id);
+
+      const { entries } = await auditLogService.getAuditLogs(owner.owner_id, { entityType: 'feature' });
+
+      expect(entries).toHaveLength(1);
+      expect(entries[0]).toMatchObject({
+        actor: { type: 'system', id: null },
+        action: 'feature.deleted',
+        entityId: feature.feature_id,
+        before: { name: 'Sauna', description: 'Sauna access' },
+        after: null
+      });
+    });
+  });
+});
@@ -0,0 +1,107 @@
+// UTC-32: Session Test Case
+const jwt = require('jsonwebtoken');
+const SessionService = require('../src/services/sessionService');
+const MemberAuthController = require('../src/controllers/memberAuthController');
+const { authenticateToken } = require('../src/middleware/auth');
+
+describe('UTC-32: Session Test Case', () => {
+  let sessionService, res, next;
+  const ownerClaims = { userId: 'owner-session-1', email: 'owner@session-gym.test', role: 'owner' };
+  const memberClaims = { userId: 'member-session-1', email: 'member@session-gym.test', role: 'member' };
+  const device = { userAgent: 'Mozilla/5.0 (iPhone)', ipAddress: '203.0.113.9' };
+
+  beforeEach(() => {
+    sessionService = new SessionService();
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn()
+    };
+    next = jest.fn();
+  });
+
+  describe('Tokens', () => {
+    // TC229: When createSession method is called, should issue a short-lived access token tied to the session
+    it('TC229: should issue 15 minute access token with session id when createSession method called', async () => {
+      const { token, refreshToken, expiresIn, sessionId } = await sessionService.createSession(ownerClaims, device);
+      const payload = jwt.decode(token);
+
+      expect(expiresIn).toBe(15 * 60);
+      expect(payload).toMatchObject({ ...ownerClaims, sid: sessionId });
+      expect(payload.exp - payload.iat).toBe(15 * 60);
+
+      const stored = await global.prisma.session.findUnique({ where: { session_id: sessionId } });
+      expect(stored).toMatchObject({ subject_type: 'owner', subject_id: 'owner-session-1', user_agent: 'Mozilla/5.0 (iPhone)' });
+      expect(stored.refresh_token_hash).not.toBe(refreshToken);
+    });
+
+    // TC230: When refreshSession method is called, should rotate the refresh token and end the session if an old one is replayed
+    it('TC230: should rotate refresh token and revoke session on reuse when refreshSession method called', async () => {
+      const first = await sessionService.createSession(memberClaims, device);
+
+      const second = await sessionService.refreshSession(first.refreshToken, device);
+      expect(second.refreshToken).not.toBe(first.refreshToken);
+      expect(jwt.decode(second.token)).toMatchObject({ ...memberClaims, sid: first.sessionId });
+
+      await expect(sessionService.refreshSession(first.refreshToken, device))
+        .rejects.toThrow('Your session has ended. Please sign in again.');
+      await expect(sessionService.refreshSession(second.refreshToken, device))
+        .rejects.toThrow('Your session has ended. Please sign in again.');
+      expect(await sessionService.isSessionActive(first.sessionId)).toBe(false);
+    });
+  });
+
+  describe('Revocation', () => {
+    // TC231: When revokeAllSessions method is called with the current session, should keep only that one
+    it('TC231: should revoke other sessions and earlier Supabase tokens when revokeAllSessions method called', async () => {
+      const current = await sessionService.createSession(ownerClaims, device);
+      const other = await sessionService.createSession(ownerClaims, { userAgent: 'Chrome on Windows', ipAddress: '198.51.100.2' });
+      const issuedAt = Math.floor(Date.now() / 1000) - 60;
+
+      const count = await sessionService.revokeAllSessions('owner-session-1', { exceptSessionId: current.sessionId });
+      const sessions = await sessionService.listSessions('owner-session-1', current.sessionId);
+
+      expect(count).toBe(1);
+      expect(sessions).toHaveLength(1);
+      expect(sessions[0]).toMatchObject({ id: current.sessionId, current: true, ipAddress: '203.0.113.9' });
+      expect(await sessionService.isSessionActive(other.sessionId)).toBe(false);
+      expect(await sessionService.isTokenRevoked('owner-session-1', issuedAt)).toBe(true);
+      expect(await sessionService.isTokenRevoked('owner-session-2', issuedAt)).toBe(false);
+    });
+
+    // TC232: When authenticateToken middleware receives a token whose session was logged out, should return 401 error
+    it('TC232: should return 401 error when authenticateToken middleware receives token of revoked session', async () => {
+      const { token, sessionId } = await sessionService.createSession(ownerClaims, device);
+      const req = { headers: { authorization: `Bearer ${token}` } };
+
+      await authenticateToken(req, res, next);
+      expect(next).toHaveBeenCalledTimes(1);
+
+      await sessionService.revokeSession('owner-session-1', sessionId);
+      await authenticateToken(req, res, next);
+
+      expect(next).toHaveBeenCalledTimes(1);
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Your session has ended. Please sign in again.' });
+    });
+
+    // TC233: When a member changes their password, should log out their other devices
+    it('TC233: should revoke other member sessions when changePassword controller method succeeds', async () => {
+      const controller = new MemberAuthController();
+      const current = await sessionService.createSession(memberClaims, device);
+      const other = await sessionService.createSession(memberClaims, device);
+      controller.memberAuthService.changePassword = jest.fn().mockResolvedValue({ success: true, message: 'Password changed successfully' });
+
+      await controller.changePassword({
+        body: { currentPassword: 'oldpassword123', newPassword: 'newpassword123' },
+        user: { ...memberClaims, sid: current.sessionId }
+      }, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(await sessionService.isSessionActive(current.sessionId)).toBe(true);
+      expect(await sessionService.isSessionActive(other.sessionId)).toBe(false);
+
+      const revoked = await global.prisma.session.findUnique({ where: { session_id: other.sessionId } });
+      expect(revoked.revoked_reason).toBe('password_changed');
+    });
+  });
+});
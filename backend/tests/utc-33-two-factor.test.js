@@ -0,0 +1,150 @@
+// UTC-33: Two-Factor Authentication Test Case
+const jwt = require('jsonwebtoken');
+const TwoFactorService = require('../src/services/twoFactorService');
+const SessionService = require('../src/services/sessionService');
+const AuthService = require('../src/services/authService');
+const { authenticateToken } = require('../src/middleware/auth');
+const { createTestUser } = require('./helper');
+
+describe('UTC-33: Two-Factor Authentication Test Case', () => {
+  let twoFactorService, res, next;
+  const ownerId = '8b1e4c2a-5d3f-4a6b-9c7e-1f2a3b4c5d6e';
+  const staffId = '2c9d8e7f-6a5b-4c3d-8e1f-0a9b8c7d6e5f';
+
+  beforeEach(() => {
+    twoFactorService = new TwoFactorService();
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn()
+    };
+    next = jest.fn();
+  });
+
+  async function createOwner(data = {}) {
+    return await createTestUser({ owner_id: ownerId, email: 'owner@secure-gym.test', ...data });
+  }
+
+  // Set up and enable the authenticator app for user; returns the secret and recovery codes
+  async function enableTwoFactor(user) {
+    const { secret } = await twoFactorService.beginSetup(user);
+    const { subjectId } = twoFactorService.sessionService.subjectFor(user);
+    const { recoveryCodes } = await twoFactorService.enable(subjectId, twoFactorService.generateCode(secret, twoFactorService.timeStep(new Date())));
+
+    return { secret, recoveryCodes };
+  }
+
+  describe('Codes', () => {
+    // TC234: When generateCode method is called, should match the RFC 6238 test vectors
+    it('TC234: should generate RFC 6238 codes when generateCode method called', () => {
+      const secret = twoFactorService.base32Encode(Buffer.from('12345678901234567890'));
+
+      expect(secret).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+      expect(twoFactorService.generateCode(secret, twoFactorService.timeStep(new Date(59 * 1000)))).toBe('287082');
+      expect(twoFactorService.generateCode(secret, twoFactorService.timeStep(new Date(1111111109 * 1000)))).toBe('081804');
+      expect(twoFactorService.generateCode(secret, twoFactorService.timeStep(new Date(2000000000 * 1000)))).toBe('279037');
+    });
+
+    // TC235: When enable method is called with a code from the app, should turn on 2FA and accept each code once
+    it('TC235: should enable with QR setup and reject reused code when enable method called', async () => {
+      const owner = await createOwner();
+      const user = { userId: owner.owner_id, email: owner.email, role: 'owner' };
+
+      const setup = await twoFactorService.beginSetup(user);
+      expect(setup.otpauthUrl).toBe(`otpauth://totp/Membella%3Aowner%40secure-gym.test?secret=${setup.secret}&issuer=Membella&algorithm=SHA1&digits=6&period=30`);
+      expect(setup.qrCode).toMatch(/^data:image\/svg\+xml;base64,/);
+      expect(await twoFactorService.isEnabled(ownerId)).toBe(false);
+
+      await expect(twoFactorService.enable(ownerId, '000000')).rejects.toThrow('Invalid authentication code');
+
+      const code = twoFactorService.generateCode(setup.secret, twoFactorService.timeStep(new Date()));
+      const { recoveryCodes } = await twoFactorService.enable(ownerId, code);
+
+      expect(recoveryCodes).toHaveLength(10);
+      expect(recoveryCodes[0]).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/);
+      expect(await twoFactorService.getStatus(user)).toMatchObject({ enabled: true, recoveryCodesRemaining: 10, required: false });
+      expect(await twoFactorService.verify(ownerId, { code })).toBe(false);
+    });
+  });
+
+  describe('Login', () => {
+    // TC236: When an owner with 2FA signs in, should get a challenge token first and a session only after the second step
+    it('TC236: should require second step when login method called for owner with 2FA enabled', async () => {
+      const owner = await createOwner();
+      const { recoveryCodes } = await enableTwoFactor({ userId: owner.owner_id, email: owner.email, role: 'owner' });
+      const authService = new AuthService();
+      authService.supabase = {
+        auth: {
+          signInWithPassword: jest.fn().mockResolvedValue({
+            data: { user: { id: ownerId, email_confirmed_at: new Date().toISOString() }, session: { access_token: 'supabase-token' } },
+            error: null
+          })
+        }
+      };
+
+      const challenge = await authService.login('owner@secure-gym.test', 'password123');
+
+      expect(challenge).toMatchObject({ success: false, requiresTwoFactor: true });
+      expect(challenge.token).toBeUndefined();
+      expect(challenge.supabaseSession).toBeUndefined();
+
+      // A challenge token is not an access token
+      authenticateToken({ headers: { authorization: `Bearer ${challenge.challengeToken}` } }, res, next);
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(next).not.toHaveBeenCalled();
+
+      await expect(authService.completeTwoFactorLogin(challenge.challengeToken, { code: '000000' }))
+        .rejects.toThrow('Invalid authentication code');
+
+      const result = await authService.completeTwoFactorLogin(challenge.challengeToken, { recoveryCode: recoveryCodes[0].toUpperCase() });
+
+      expect(result.success).toBe(true);
+      expect(jwt.decode(result.token)).toMatchObject({ userId: ownerId, role: 'owner' });
+      expect(await twoFactorService.verify(ownerId, { recoveryCode: recoveryCodes[0] })).toBe(false);
+      expect((await twoFactorService.getStatus({ userId: ownerId, role: 'owner' })).recoveryCodesRemaining).toBe(9);
+    });
+
+    // TC237: When staff of an organization that requires 2FA sign in without it, should set it up before getting a session
+    it('TC237: should make staff set up 2FA when staffLogin method called for organization requiring it', async () => {
+      const owner = await createOwner({ staff_two_factor_required: true });
+      await global.prisma.staff.create({
+        data: { staff_id: staffId, owner_id: owner.owner_id, email: 'desk@secure-gym.test', full_name: 'Desk Staff', role: 'front_desk', status: 'active' }
+      });
+      const authService = new AuthService();
+
+      const challenge = await authService.staffLogin(await authService.staffService.findForLogin(staffId), null);
+      expect(challenge).toMatchObject({ success: false, requiresTwoFactorSetup: true });
+
+      const { secret } = await authService.beginTwoFactorSetup(challenge.challengeToken);
+      const result = await authService.completeTwoFactorLogin(challenge.challengeToken, {
+        code: twoFactorService.generateCode(secret, twoFactorService.timeStep(new Date()))
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.recoveryCodes).toHaveLength(10);
+      expect(jwt.decode(result.token)).toMatchObject({ role: 'staff', staffId });
+      await expect(twoFactorService.disable({ userId: owner.owner_id, role: 'staff', staffId }, { recoveryCode: result.recoveryCodes[0] }))
+        .rejects.toThrow('Your organization requires two-factor authentication');
+    });
+  });
+
+  describe('Organization requirement', () => {
+    // TC238: When updateSecuritySettings method turns the requirement on, should sign out staff without 2FA
+    it('TC238: should revoke sessions of staff without 2FA when updateSecuritySettings method called', async () => {
+      const owner = await createOwner();
+      await global.prisma.staff.create({
+        data: { staff_id: staffId, owner_id: owner.owner_id, email: 'desk@secure-gym.test', full_name: 'Desk Staff', role: 'front_desk', status: 'active' }
+      });
+      const sessionService = new SessionService();
+      const { sessionId } = await sessionService.createSession({ userId: owner.owner_id, email: 'desk@secure-gym.test', role: 'staff', staffId });
+
+      expect(twoFactorService.validateSecuritySettings({ staffTwoFactorRequired: 'yes' }))
+        .toEqual(['staffTwoFactorRequired must be true or false']);
+
+      const settings = await twoFactorService.updateSecuritySettings(owner.owner_id, { staffTwoFactorRequired: true });
+
+      expect(settings).toEqual({ staffTwoFactorRequired: true });
+      expect(await sessionService.isSessionActive(sessionId)).toBe(false);
+      expect(await twoFactorService.isRequired({ userId: owner.owner_id, role: 'staff', staffId })).toBe(true);
+    });
+  });
+});
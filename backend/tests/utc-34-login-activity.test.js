@@ -0,0 +1,137 @@
+// UTC-34: Login Activity Test Case
+const LoginActivityService = require('../src/services/loginActivityService');
+const AuthService = require('../src/services/authService');
+const MemberAuthService = require('../src/services/memberAuthService');
+const { createTestUser } = require('./helper');
+
+describe('UTC-34: Login Activity Test Case', () => {
+  let loginActivityService;
+  const minute = 60 * 1000;
+  const email = 'owner@lockout-gym.test';
+  const device = { userAgent: 'Mozilla/5.0 (Macintosh)', ipAddress: '203.0.113.20' };
+
+  beforeEach(() => {
+    loginActivityService = new LoginActivityService();
+    loginActivityService.emailService.send = jest.fn().mockResolvedValue(true);
+  });
+
+  // Fail enough times in a row to lock the account
+  async function lockAccount(now = new Date()) {
+    let lockedUntil = null;
+    for (let attempt = 0; attempt < LoginActivityService.LOCKOUT_POLICY.maxFailedAttempts; attempt++) {
+      lockedUntil = await loginActivityService.recordFailure(email, {
+        reason: 'invalid_credentials',
+        device,
+        unlockUrl: 'https://owner.example.com/unlock-account'
+      }, new Date(now.getTime() + attempt * 1000));
+    }
+    return lockedUntil;
+  }
+
+  describe('Lockout', () => {
+    // TC239: When recordFailure method is called five times in a row, should lock the account and email an unlock link
+    it('TC239: should lock account for 15 minutes when recordFailure method called five times', async () => {
+      await createTestUser({ email });
+      const now = new Date();
+
+      const lockedUntil = await lockAccount(now);
+
+      expect(lockedUntil.getTime()).toBe(now.getTime() + 4000 + 15 * minute);
+      expect(await loginActivityService.lockedUntil(email.toUpperCase(), new Date(now.getTime() + 10 * minute))).toEqual(lockedUntil);
+      expect(await loginActivityService.lockedUntil(email, new Date(now.getTime() + 20 * minute))).toBeNull();
+      expect(loginActivityService.emailService.send).toHaveBeenCalledTimes(1);
+      expect(loginActivityService.emailService.send.mock.calls[0][0]).toMatchObject({
+        to: email,
+        subject: 'Your Membella account has been locked',
+        text: expect.stringContaining('https://owner.example.com/unlock-account?token=')
+      });
+    });
+
+    // TC240: When login method is called for a locked account, should refuse without checking the password
+    it('TC240: should return locked response without calling Supabase when login method called for locked account', async () => {
+      await createTestUser({ email });
+      await lockAccount();
+      const authService = new AuthService();
+      authService.supabase = { auth: { signInWithPassword: jest.fn() } };
+
+      const result = await authService.login(email, 'password123', device);
+
+      expect(result).toMatchObject({ success: false, locked: true, rateLimited: false });
+      expect(result.lockedUntil).toBeInstanceOf(Date);
+      expect(authService.supabase.auth.signInWithPassword).not.toHaveBeenCalled();
+    });
+
+    // TC241: When unlock method is called with the emailed token, should end the lockout once
+    it('TC241: should unlock account once when unlock method called with emailed token', async () => {
+      await createTestUser({ email });
+      await lockAccount();
+      const token = loginActivityService.emailService.send.mock.calls[0][0].text.match(/token=([\w-]+)/)[1];
+
+      await loginActivityService.unlock(token);
+
+      expect(await loginActivityService.lockedUntil(email)).toBeNull();
+      await expect(loginActivityService.unlock(token)).rejects.toThrow('Unlock link not found or already used');
+    });
+
+    // TC249: When recordFailure method is called many times at once, should count every attempt and lock once
+    it('TC249: should lock account once when recordFailure method called concurrently', async () => {
+      await createTestUser({ email });
+      const attempts = LoginActivityService.LOCKOUT_POLICY.maxFailedAttempts + 2;
+
+      const results = await Promise.all(Array.from({ length: attempts }, () => loginActivityService.recordFailure(email, {
+        reason: 'invalid_credentials',
+        device,
+        unlockUrl: 'https://owner.example.com/unlock-account'
+      })));
+
+      const lockout = await global.prisma.accountLockout.findUnique({ where: { email } });
+      expect(lockout.failed_attempts).toBe(attempts);
+      expect(await loginActivityService.lockedUntil(email)).toBeInstanceOf(Date);
+      expect(results.filter(Boolean).length).toBeGreaterThanOrEqual(1);
+      expect(loginActivityService.emailService.send).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('History', () => {
+    // TC242: When recordSuccess method is called from a device not seen before, should flag it and email the account holder
+    it('TC242: should notify about new device when recordSuccess method called with unseen user agent', async () => {
+      const subject = { subjectType: 'owner', subjectId: 'owner-activity-1', email };
+
+      const first = await loginActivityService.recordSuccess(subject, device);
+      const again = await loginActivityService.recordSuccess(subject, device);
+      const phone = await loginActivityService.recordSuccess(subject, { userAgent: 'Mozilla/5.0 (iPhone)', ipAddress: '198.51.100.7' });
+
+      expect(first.newDevice).toBe(false);
+      expect(again.newDevice).toBe(false);
+      expect(phone.newDevice).toBe(true);
+      expect(loginActivityService.emailService.send).toHaveBeenCalledTimes(1);
+      expect(loginActivityService.emailService.send).toHaveBeenCalledWith(expect.objectContaining({
+        to: email,
+        subject: 'New sign-in to your Membella account',
+        text: expect.stringContaining('Device: Mozilla/5.0 (iPhone)')
+      }));
+    });
+
+    // TC243: When getRecentActivity method is called, should list the member's sign-ins and failed attempts newest first
+    it('TC243: should return own successes and failures when getRecentActivity method called', async () => {
+      const memberAuthService = new MemberAuthService();
+      memberAuthService.supabase = {
+        auth: {
+          signInWithPassword: jest.fn().mockResolvedValue({ data: {}, error: { message: 'Invalid login credentials' } })
+        }
+      };
+      const now = Date.now();
+
+      await loginActivityService.recordSuccess({ subjectType: 'member', subjectId: 'member-activity-1', email: 'member@lockout-gym.test' }, device, new Date(now - 2 * minute));
+      await loginActivityService.recordSuccess({ subjectType: 'member', subjectId: 'member-activity-2', email: 'other@lockout-gym.test' }, device, new Date(now - minute));
+      const result = await memberAuthService.login('Member@lockout-gym.test', 'wrongpassword', device);
+
+      const activity = await loginActivityService.getRecentActivity({ userId: 'member-activity-1', email: 'member@lockout-gym.test', role: 'member' });
+
+      expect(result.success).toBe(false);
+      expect(activity).toHaveLength(2);
+      expect(activity[0]).toMatchObject({ success: false, failureReason: 'invalid_credentials', ipAddress: '203.0.113.20' });
+      expect(activity[1]).toMatchObject({ success: true, failureReason: null, userAgent: 'Mozilla/5.0 (Macintosh)' });
+    });
+  });
+});